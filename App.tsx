@@ -23,6 +23,15 @@ import ClaimProfileScreen from './src/screens/ClaimProfileScreen';
 import ProfileScreen from './src/screens/ProfileScreen';
 import HomeScreen from './src/screens/HomeScreen';
 import MatchHistoryScreen from './src/screens/MatchHistoryScreen';
+import AdminConsoleScreen from './src/screens/AdminConsoleScreen';
+import TournamentsScreen from './src/screens/TournamentsScreen';
+import TournamentScreen from './src/screens/TournamentScreen';
+import TeamsScreen from './src/screens/TeamsScreen';
+import TeamScreen from './src/screens/TeamScreen';
+import TeamMatchScreen from './src/screens/TeamMatchScreen';
+import OverlayScreen from './src/screens/OverlayScreen';
+import NotificationsScreen from './src/screens/NotificationsScreen';
+import { getOverlayToken } from './src/lib/logic';
 import { Home, List, Bell, User, MessageSquare, Video } from 'lucide-react-native';
 
 const Stack = createStackNavigator();
@@ -75,7 +84,7 @@ function MainTabs() {
       />
       <Tab.Screen
         name="Inbox"
-        component={InboxScreen}
+        component={InboxStack}
         options={{
           tabBarIcon: ({ color }) => <Bell color={color} size={24} />,
           tabBarBadge: unreadCount > 0 ? unreadCount : undefined,
@@ -93,12 +102,26 @@ function MainTabs() {
   );
 }
 
+function InboxStack() {
+  return (
+    <Stack.Navigator screenOptions={{ headerShown: false }}>
+      <Stack.Screen name="InboxMain" component={InboxScreen} />
+      <Stack.Screen name="Notifications" component={NotificationsScreen} />
+    </Stack.Navigator>
+  );
+}
+
 function RankingStack() {
   return (
     <Stack.Navigator screenOptions={{ headerShown: false }}>
       <Stack.Screen name="TheList" component={LeaderboardScreen} />
       <Stack.Screen name="Challenge" component={ChallengeScreen} />
       <Stack.Screen name="Scoreboard" component={ScoreboardScreen} />
+      <Stack.Screen name="Tournaments" component={TournamentsScreen} />
+      <Stack.Screen name="Tournament" component={TournamentScreen} />
+      <Stack.Screen name="Teams" component={TeamsScreen} />
+      <Stack.Screen name="Team" component={TeamScreen} />
+      <Stack.Screen name="TeamMatch" component={TeamMatchScreen} />
     </Stack.Navigator>
   );
 }
@@ -107,7 +130,9 @@ function ProfileStack() {
   return (
     <Stack.Navigator screenOptions={{ headerShown: false }}>
       <Stack.Screen name="ProfileMain" component={ProfileScreen} />
+      <Stack.Screen name="PlayerProfile" component={ProfileScreen} />
       <Stack.Screen name="MatchHistory" component={MatchHistoryScreen} />
+      <Stack.Screen name="AdminConsole" component={AdminConsoleScreen} />
     </Stack.Navigator>
   );
 }
@@ -135,29 +160,25 @@ function AppContent() {
   useEffect(() => {
     if (session?.user) {
       // 1. Initial Load
-      fetchUnreadCount(session.user.id);
+      fetchUnreadCount();
 
-      // 2. Real-time Subscription
+      // 2. Real-time Subscription (RLS only delivers the player's own notifications)
       const channel = supabase
         .channel('db-notifications')
         .on(
           'postgres_changes' as any,
           {
             event: '*',
-            table: 'challenges',
-            filter: `challenged_id=eq.${session.user.id}`,
+            table: 'notifications',
           },
-          () => fetchUnreadCount(session.user.id)
+          () => fetchUnreadCount()
         )
         .subscribe();
 
       // 3. Push Token Registration
-      registerForPushNotificationsAsync().then(token => {
+      registerForPushNotificationsAsync().then(async token => {
         if (token) {
-          supabase
-            .from('profiles')
-            .update({ expo_push_token: token })
-            .eq('owner_id', session.user.id);
+          await supabase.rpc('save_push_token', { p_token: token });
         }
       });
 
@@ -214,6 +235,12 @@ function AppContent() {
 }
 
 export default function App() {
+  // Stream overlay links open straight to the overlay, without signing in
+  const overlayToken = Platform.OS === 'web' ? getOverlayToken(window.location.pathname) : null;
+  if (overlayToken) {
+    return <OverlayScreen token={overlayToken} />;
+  }
+
   return (
     <ErrorBoundary>
       <AppContent />
@@ -1,4 +1,6 @@
-﻿describe('Challenge System', () => {
+﻿import { getDeadlineForfeit, getPlayerOwingResponse } from '../src/lib/logic';
+
+describe('Challenge System', () => {
   describe('Challenge Creation', () => {
     test('default games to win is 7 (race to 7)', () => {
       const defaultGamesToWin = 7;
@@ -62,4 +64,43 @@
       expect(hoursDiff).toBe(24);
     });
   });
+
+  describe('Response Deadline', () => {
+    const past = new Date(Date.now() - 3600000).toISOString();
+    const future = new Date(Date.now() + 3600000).toISOString();
+    const challenge = {
+      status: 'pending' as const,
+      last_proposed_by: null,
+      challenger_id: 'challenger',
+      challenged_id: 'challenged',
+      deadline: past,
+    };
+
+    test('challenged player owes the first response', () => {
+      expect(getPlayerOwingResponse(challenge)).toBe('challenged');
+    });
+
+    test('unanswered challenge is forfeited by the challenged player', () => {
+      expect(getDeadlineForfeit(challenge)).toEqual({ winnerId: 'challenger', loserId: 'challenged' });
+    });
+
+    test('challenger forfeits when ignoring a counter-proposal', () => {
+      const countered = { ...challenge, status: 'negotiating' as const, last_proposed_by: 'challenged' };
+      expect(getDeadlineForfeit(countered)).toEqual({ winnerId: 'challenged', loserId: 'challenger' });
+    });
+
+    test('challenged player forfeits when ignoring the challenger counter', () => {
+      const countered = { ...challenge, status: 'negotiating' as const, last_proposed_by: 'challenger' };
+      expect(getDeadlineForfeit(countered)?.loserId).toBe('challenged');
+    });
+
+    test('no forfeit before the deadline', () => {
+      expect(getDeadlineForfeit({ ...challenge, deadline: future })).toBeNull();
+    });
+
+    test('scheduled challenges are never forfeited by the deadline', () => {
+      expect(getDeadlineForfeit({ ...challenge, status: 'scheduled' })).toBeNull();
+      expect(getPlayerOwingResponse({ ...challenge, status: 'scheduled' })).toBeNull();
+    });
+  });
 });
@@ -0,0 +1,172 @@
+import http from 'http';
+import { AddressInfo } from 'net';
+import {
+  buildFanoutMessage,
+  fetchReceipts,
+  sendPushMessages,
+  ExpoPushOptions,
+  PushMessage,
+} from '../supabase/functions/_shared/expoPush';
+
+// Local stand-in for Expo's push API: answers every message with a ticket,
+// except tokens listed in `unregistered`, and can rate limit the first calls.
+function startFakeExpo(config: { unregistered?: string[]; rateLimited?: number; receipts?: Record<string, unknown> } = {}) {
+  const pushBatches: PushMessage[][] = [];
+  const receiptRequests: string[][] = [];
+  let rateLimited = config.rateLimited ?? 0;
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (part) => { raw += part; });
+    req.on('end', () => {
+      const payload = JSON.parse(raw);
+      res.setHeader('Content-Type', 'application/json');
+      if (rateLimited > 0) {
+        rateLimited--;
+        res.statusCode = 429;
+        res.end(JSON.stringify({ errors: [{ code: 'TOO_MANY_REQUESTS' }] }));
+        return;
+      }
+      if (req.url === '/send') {
+        pushBatches.push(payload);
+        res.end(JSON.stringify({
+          data: payload.map((message: PushMessage, index: number) =>
+            config.unregistered?.includes(message.to)
+              ? { status: 'error', message: 'not registered', details: { error: 'DeviceNotRegistered' } }
+              : { status: 'ok', id: `ticket-${pushBatches.length}-${index}` }
+          ),
+        }));
+        return;
+      }
+      receiptRequests.push(payload.ids);
+      res.end(JSON.stringify({ data: config.receipts ?? {} }));
+    });
+  });
+
+  return new Promise<{ options: ExpoPushOptions; pushBatches: PushMessage[][]; receiptRequests: string[][]; close: () => Promise<void> }>((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address() as AddressInfo;
+      resolve({
+        options: {
+          endpoint: `http://127.0.0.1:${port}/send`,
+          receiptsEndpoint: `http://127.0.0.1:${port}/receipts`,
+          sleep: async () => {},
+        },
+        pushBatches,
+        receiptRequests,
+        close: () => new Promise<void>((done) => server.close(() => done())),
+      });
+    });
+  });
+}
+
+const token = (n: number) => `ExponentPushToken[device-${n}]`;
+const message = (to: string): PushMessage => ({ to, title: 'Match LIVE!', body: 'A vs B is now live!' });
+
+describe('Expo Push Fan-out', () => {
+  test('sends in batches of at most 100, spaced apart', async () => {
+    const expo = await startFakeExpo();
+    const pauses: number[] = [];
+    try {
+      const messages = Array.from({ length: 250 }, (_, i) => message(token(i)));
+      const { tickets, invalidTokens } = await sendPushMessages(messages, {
+        ...expo.options,
+        minIntervalMs: 150,
+        sleep: async (ms) => { pauses.push(ms); },
+      });
+
+      expect(expo.pushBatches.map((batch) => batch.length)).toEqual([100, 100, 50]);
+      expect(pauses).toEqual([150, 150]);
+      expect(tickets).toHaveLength(250);
+      expect(tickets.every((ticket) => ticket.ticketId)).toBe(true);
+      expect(invalidTokens).toEqual([]);
+    } finally {
+      await expo.close();
+    }
+  });
+
+  test('reports unregistered and malformed tokens for pruning', async () => {
+    const expo = await startFakeExpo({ unregistered: [token(2)] });
+    try {
+      const { tickets, invalidTokens } = await sendPushMessages(
+        [message(token(1)), message(token(2)), message('not-a-token'), message(token(1))],
+        expo.options
+      );
+
+      // The duplicate and the malformed token never reach Expo
+      expect(expo.pushBatches[0].map((m) => m.to)).toEqual([token(1), token(2)]);
+      expect(invalidTokens.sort()).toEqual([token(2), 'not-a-token'].sort());
+      expect(tickets.find((t) => t.token === token(2))).toEqual({ token: token(2), ticketId: null, error: 'DeviceNotRegistered' });
+    } finally {
+      await expo.close();
+    }
+  });
+
+  test('retries when Expo rate limits, then gives up', async () => {
+    const expo = await startFakeExpo({ rateLimited: 2 });
+    try {
+      const { tickets } = await sendPushMessages([message(token(1))], { ...expo.options, maxRetries: 2 });
+      expect(tickets[0].ticketId).toBe('ticket-1-0');
+    } finally {
+      await expo.close();
+    }
+
+    const limited = await startFakeExpo({ rateLimited: 5 });
+    try {
+      const { tickets, invalidTokens } = await sendPushMessages([message(token(1))], { ...limited.options, maxRetries: 1 });
+      expect(tickets[0]).toEqual({ token: token(1), ticketId: null, error: 'Expo push request failed with 429' });
+      // A failed request says nothing about the token itself
+      expect(invalidTokens).toEqual([]);
+    } finally {
+      await limited.close();
+    }
+  });
+
+  test('reads receipts and leaves pending ones for later', async () => {
+    const expo = await startFakeExpo({
+      receipts: {
+        a: { status: 'ok' },
+        b: { status: 'error', message: 'gone', details: { error: 'DeviceNotRegistered' } },
+        c: { status: 'error', message: 'too big', details: { error: 'MessageTooBig' } },
+      },
+    });
+    try {
+      const result = await fetchReceipts(
+        [
+          { ticketId: 'a', token: token(1) },
+          { ticketId: 'b', token: token(2) },
+          { ticketId: 'c', token: token(3) },
+          { ticketId: 'd', token: token(4) },
+        ],
+        expo.options
+      );
+
+      expect(expo.receiptRequests).toEqual([['a', 'b', 'c', 'd']]);
+      expect(result.checked).toEqual(['a', 'b', 'c']);
+      expect(result.invalidTokens).toEqual([token(2)]);
+      expect(result.errors).toEqual([{ ticketId: 'b', error: 'DeviceNotRegistered' }, { ticketId: 'c', error: 'MessageTooBig' }]);
+    } finally {
+      await expo.close();
+    }
+  });
+
+  test('builds challenge and live match messages', () => {
+    const context = {
+      challenge_id: 'c1',
+      challenger_name: 'Sam',
+      challenged_name: 'Alex',
+      game_type: '9-ball',
+      games_to_win: 7,
+    };
+    expect(buildFanoutMessage('new_challenge', context)).toMatchObject({
+      title: 'New Challenge!',
+      body: 'Sam challenged you to race to 7 in 9-ball!',
+      data: { type: 'CHALLENGE_RECEIVED', challenge_id: 'c1' },
+    });
+    expect(buildFanoutMessage('live_match', context)).toMatchObject({
+      title: 'Match LIVE!',
+      body: 'Sam vs Alex is now live!',
+      data: { type: 'LIVE_MATCH', challenge_id: 'c1' },
+    });
+  });
+});
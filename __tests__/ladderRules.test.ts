@@ -0,0 +1,108 @@
+import {
+  cooldownRule,
+  spotRangeRule,
+  openChallengeLimitRule,
+  rematchRule,
+  evaluateChallengeRules,
+  resolveLadderRules,
+  DEFAULT_LADDER_RULES,
+} from '../src/lib/ladderRules';
+
+const base = { challengerRank: 10, targetRank: 12, cooldownUntil: null };
+const daysAgo = (days: number) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('Ladder Rules', () => {
+  describe('Spot Range Rule', () => {
+    test('allows targets within the configured range', () => {
+      expect(spotRangeRule({ ...base, targetRank: 15 }, DEFAULT_LADDER_RULES)).toBeNull();
+    });
+
+    test('rejects targets outside a tightened +/-3 range', () => {
+      const config = resolveLadderRules({ spot_range: 3 });
+      const violation = spotRangeRule({ ...base, targetRank: 14 }, config);
+      expect(violation?.code).toBe('SPOT_RANGE');
+      expect(violation?.message).toContain('3 spots');
+    });
+
+    test('rank #1 exemption can be switched off', () => {
+      const context = { ...base, challengerRank: 1, targetRank: 20 };
+      expect(spotRangeRule(context, DEFAULT_LADDER_RULES)).toBeNull();
+      expect(spotRangeRule(context, resolveLadderRules({ top_rank_challenges_anyone: false }))).not.toBeNull();
+    });
+  });
+
+  describe('Cooldown Rule', () => {
+    const cooldownUntil = new Date(Date.now() + 3600000).toISOString();
+
+    test('blocks while cooldown is active', () => {
+      expect(cooldownRule({ ...base, cooldownUntil }, DEFAULT_LADDER_RULES)?.code).toBe('COOLDOWN');
+    });
+
+    test('can be disabled for a season', () => {
+      expect(cooldownRule({ ...base, cooldownUntil }, resolveLadderRules({ enforce_cooldown: false }))).toBeNull();
+    });
+  });
+
+  describe('Open Challenge Limit Rule', () => {
+    const config = resolveLadderRules({ max_open_challenges: 2 });
+
+    test('blocks at the limit', () => {
+      expect(openChallengeLimitRule({ ...base, openChallengeCount: 2 }, config)?.code).toBe('OPEN_CHALLENGE_LIMIT');
+    });
+
+    test('allows below the limit or when the count is unknown', () => {
+      expect(openChallengeLimitRule({ ...base, openChallengeCount: 1 }, config)).toBeNull();
+      expect(openChallengeLimitRule(base, config)).toBeNull();
+    });
+
+    test('unlimited by default', () => {
+      expect(openChallengeLimitRule({ ...base, openChallengeCount: 50 }, DEFAULT_LADDER_RULES)).toBeNull();
+    });
+  });
+
+  describe('Rematch Rule', () => {
+    const config = resolveLadderRules({ rematch_days: 7 });
+
+    test('blocks a rematch inside the window', () => {
+      expect(rematchRule({ ...base, lastMatchAt: daysAgo(3) }, config)?.code).toBe('REMATCH_TOO_SOON');
+    });
+
+    test('allows a rematch after the window', () => {
+      expect(rematchRule({ ...base, lastMatchAt: daysAgo(8) }, config)).toBeNull();
+    });
+  });
+
+  describe('Inactivity Decay Settings', () => {
+    test('decay and rank defense are off by default', () => {
+      expect(DEFAULT_LADDER_RULES.inactivity_days).toBeNull();
+      expect(DEFAULT_LADDER_RULES.defense_top_n).toBeNull();
+    });
+
+    test('a season can switch them on and keep the default drop', () => {
+      const config = resolveLadderRules({ inactivity_days: 30, defense_top_n: 5 });
+      expect(config.inactivity_days).toBe(30);
+      expect(config.defense_top_n).toBe(5);
+      expect(config.inactivity_drop).toBe(DEFAULT_LADDER_RULES.inactivity_drop);
+      expect(config.defense_days).toBe(14);
+    });
+  });
+
+  describe('evaluateChallengeRules', () => {
+    test('collects every violation with the first as the headline error', () => {
+      const config = resolveLadderRules({ max_open_challenges: 1 });
+      const result = evaluateChallengeRules({
+        ...base,
+        targetRank: 30,
+        cooldownUntil: new Date(Date.now() + 3600000).toISOString(),
+        openChallengeCount: 1,
+      }, config);
+      expect(result.eligible).toBe(false);
+      expect(result.reasons.map((r) => r.code)).toEqual(['COOLDOWN', 'SPOT_RANGE', 'OPEN_CHALLENGE_LIMIT']);
+      expect(result.error).toBe(result.reasons[0].message);
+    });
+
+    test('eligible with no reasons when every rule passes', () => {
+      expect(evaluateChallengeRules(base)).toEqual({ eligible: true, reasons: [] });
+    });
+  });
+});
@@ -1,4 +1,33 @@
-import { checkChallengeEligibility, calculateEngagementPoints } from '../src/lib/logic';
+import {
+    checkChallengeEligibility,
+    calculateEngagementPoints,
+    determineMatchResult,
+    getRaceTargets,
+    formatRace,
+    getResultConfirmationState,
+    getResultAutoConfirmTime,
+    canReportResult,
+    RESULT_CONFIRMATION_WINDOW_HOURS,
+    getNegotiationTurn,
+    suggestTimeSlots,
+    getBiggestMovers,
+    getAuditChanges,
+    formatAuditValue,
+    getTeamStandings,
+    getActiveRacks,
+    getRackScore,
+    getRackStats,
+    isNewerLiveScore,
+    getBreakFormat,
+    getNextBreaker,
+    getBreakRates,
+    buildOverlayUrl,
+    getOverlayToken,
+    parseClockTime,
+    isInQuietHours,
+    getClockTimeIn,
+    getNotificationLink,
+} from '../src/lib/logic';
 
 describe('Challenge Logic', () => {
     test('±5 rule applies correctly', () => {
@@ -18,6 +47,313 @@ describe('Challenge Logic', () => {
     });
 });
 
+describe('Match Result', () => {
+    test('winner is whoever reaches the race', () => {
+        expect(determineMatchResult(7, 7, 4)).toEqual({ complete: true, winner: 'challenger' });
+        expect(determineMatchResult(7, 5, 7)).toEqual({ complete: true, winner: 'challenged' });
+    });
+
+    test('incomplete race is rejected', () => {
+        const result = determineMatchResult(7, 6, 6);
+        expect(result.complete).toBe(false);
+        expect(result.error).toContain('7 games');
+    });
+
+    test('both players at the race is rejected', () => {
+        expect(determineMatchResult(5, 5, 5).complete).toBe(false);
+    });
+
+    test('negative scores are rejected', () => {
+        expect(determineMatchResult(5, -1, 5).complete).toBe(false);
+    });
+
+    test('handicapped race uses each player\'s own target', () => {
+        const race = { challenger: 7, challenged: 5 };
+        expect(determineMatchResult(race, 6, 5)).toEqual({ complete: true, winner: 'challenged' });
+        expect(determineMatchResult(race, 7, 4)).toEqual({ complete: true, winner: 'challenger' });
+        expect(determineMatchResult(race, 6, 4).error).toContain('7-5');
+    });
+
+    test('even race falls back to games_to_win', () => {
+        const even = { games_to_win: 7, challenger_race: null, challenged_race: null };
+        expect(getRaceTargets(even)).toEqual({ challenger: 7, challenged: 7 });
+        expect(formatRace(even)).toBe('Race to 7');
+        expect(formatRace({ games_to_win: 7, challenger_race: 5, challenged_race: 7 })).toBe('Race 5-7');
+    });
+});
+
+describe('Result Confirmation', () => {
+    const reported = { status: 'live' as const, reported_by: 'p1', challenger_id: 'p1', challenged_id: 'p2' };
+
+    test('reporter waits for the opponent', () => {
+        expect(getResultConfirmationState(reported, 'p1')).toBe('awaiting_opponent');
+    });
+
+    test('opponent must confirm or dispute', () => {
+        expect(getResultConfirmationState(reported, 'p2')).toBe('needs_my_confirmation');
+    });
+
+    test('spectators have nothing to confirm', () => {
+        expect(getResultConfirmationState(reported, 'p3')).toBe('none');
+    });
+
+    test('unreported and finalized matches need no confirmation', () => {
+        expect(getResultConfirmationState({ ...reported, reported_by: null }, 'p2')).toBe('none');
+        expect(getResultConfirmationState({ ...reported, status: 'completed' }, 'p2')).toBe('none');
+    });
+
+    test('results can only be reported on accepted matches', () => {
+        expect(canReportResult({ status: 'scheduled' })).toBe(true);
+        expect(canReportResult({ status: 'live' })).toBe(true);
+        expect(canReportResult({ status: 'pending' })).toBe(false);
+        expect(canReportResult({ status: 'negotiating' })).toBe(false);
+        expect(canReportResult({ status: 'completed' })).toBe(false);
+    });
+
+    test('a report on a pending challenge is never up for confirmation', () => {
+        expect(getResultConfirmationState({ ...reported, status: 'pending' }, 'p2')).toBe('none');
+    });
+
+    test('disputed matches are flagged for everyone', () => {
+        expect(getResultConfirmationState({ ...reported, status: 'disputed' }, 'p3')).toBe('disputed');
+    });
+
+    test('auto-confirm fires after the confirmation window', () => {
+        const reportedAt = '2026-01-01T00:00:00.000Z';
+        const hours = (getResultAutoConfirmTime(reportedAt).getTime() - new Date(reportedAt).getTime()) / 3600000;
+        expect(hours).toBe(RESULT_CONFIRMATION_WINDOW_HOURS);
+    });
+});
+
+describe('Negotiation', () => {
+    const challenge = { status: 'pending' as const, last_proposed_by: null, challenger_id: 'p1', challenged_id: 'p2' };
+
+    test('challenged player proposes first', () => {
+        expect(getNegotiationTurn(challenge, 'p2')).toBe('mine');
+        expect(getNegotiationTurn(challenge, 'p1')).toBe('theirs');
+    });
+
+    test('turn alternates after each proposal', () => {
+        const countered = { ...challenge, status: 'negotiating' as const, last_proposed_by: 'p2' };
+        expect(getNegotiationTurn(countered, 'p1')).toBe('mine');
+        expect(getNegotiationTurn(countered, 'p2')).toBe('theirs');
+    });
+
+    test('scheduled challenges and outsiders are closed', () => {
+        expect(getNegotiationTurn({ ...challenge, status: 'scheduled' }, 'p2')).toBe('closed');
+        expect(getNegotiationTurn(challenge, 'p3')).toBe('closed');
+    });
+
+    test('suggested slots start tomorrow evening', () => {
+        const from = new Date(2026, 0, 1, 12, 0, 0);
+        const slots = suggestTimeSlots(from, 3);
+        expect(slots).toHaveLength(3);
+        const first = new Date(slots[0]);
+        expect(first.getDate()).toBe(2);
+        expect(first.getHours()).toBe(19);
+    });
+});
+
+describe('Biggest Movers', () => {
+    const change = (profileId: string, before: number | null, after: number, day: number) => ({
+        profile_id: profileId,
+        rank_before: before,
+        rank_after: after,
+        created_at: new Date(2026, 0, day).toISOString(),
+        profile: { id: profileId, full_name: profileId.toUpperCase() },
+    });
+
+    test('nets out every change in the window per player', () => {
+        const movers = getBiggestMovers([
+            change('a', 10, 6, 1),
+            change('a', 6, 7, 2),
+            change('b', 6, 7, 1),
+        ]);
+        expect(movers[0]).toEqual({ profileId: 'a', fullName: 'A', fromRank: 10, toRank: 7, spots: 3 });
+        expect(movers[1].spots).toBe(-1);
+    });
+
+    test('orders by size of the move and drops players back where they started', () => {
+        const movers = getBiggestMovers([
+            change('a', 3, 4, 1),
+            change('b', 9, 4, 2),
+            change('c', 5, 6, 1),
+            change('c', 6, 5, 3),
+        ]);
+        expect(movers.map(m => m.profileId)).toEqual(['b', 'a']);
+    });
+
+    test('a first placement is not a move', () => {
+        expect(getBiggestMovers([change('a', null, 40, 1)])).toEqual([]);
+    });
+});
+
+describe('Audit Changes', () => {
+    test('pairs before and after values for each changed column', () => {
+        const changes = getAuditChanges({
+            changed_columns: ['cooldown_until', 'points'],
+            old_values: { points: 10, cooldown_until: null, full_name: 'A' },
+            new_values: { points: 13, cooldown_until: '2026-01-02T00:00:00Z', full_name: 'A' },
+        });
+        expect(changes).toEqual([
+            { column: 'cooldown_until', before: null, after: '2026-01-02T00:00:00Z' },
+            { column: 'points', before: 10, after: 13 },
+        ]);
+    });
+
+    test('inserts have no before values and deletes no after values', () => {
+        expect(getAuditChanges({ changed_columns: ['rank'], old_values: null, new_values: { rank: 4 } }))
+            .toEqual([{ column: 'rank', before: null, after: 4 }]);
+        expect(getAuditChanges({ changed_columns: ['rank'], old_values: { rank: 4 }, new_values: null }))
+            .toEqual([{ column: 'rank', before: 4, after: null }]);
+    });
+
+    test('formats empty and structured values', () => {
+        expect(formatAuditValue(null)).toBe('—');
+        expect(formatAuditValue(7)).toBe('7');
+        expect(formatAuditValue({ a: 1 })).toBe('{"a":1}');
+    });
+});
+
+describe('Rack Log', () => {
+    const rack = (rack_number: number, winner_id: string, breaker_id: string | null, extra: any = {}) => ({
+        rack_number,
+        winner_id,
+        breaker_id,
+        break_and_run: false,
+        golden_break: false,
+        undone_at: null,
+        ...extra,
+    });
+    const challenge = { challenger_id: 'a', challenged_id: 'b' };
+
+    test('undone racks no longer count', () => {
+        const racks = [
+            rack(2, 'b', 'a'),
+            rack(1, 'a', 'a', { break_and_run: true }),
+            rack(2, 'a', 'b', { undone_at: '2026-01-01T20:00:00Z' }),
+        ];
+        expect(getActiveRacks(racks).map((r) => r.winner_id)).toEqual(['a', 'b']);
+        expect(getRackScore(racks, challenge)).toEqual({ challenger: 1, challenged: 1 });
+    });
+
+    test('counts break stats for the breaker only', () => {
+        const racks = [
+            rack(1, 'a', 'a', { break_and_run: true }),
+            rack(2, 'a', 'a', { golden_break: true }),
+            rack(3, 'b', 'a'),
+            rack(4, 'a', 'b'),
+            rack(5, 'b', 'b', { break_and_run: true }),
+        ];
+        expect(getRackStats(racks, 'a')).toEqual({
+            racksWon: 3,
+            racksLost: 2,
+            breaks: 3,
+            racksWonOnBreak: 2,
+            breakAndRuns: 1,
+            goldenBreaks: 1,
+        });
+        expect(getRackStats(racks, 'b')).toMatchObject({ breaks: 2, racksWonOnBreak: 1, breakAndRuns: 1 });
+    });
+
+    test('only a newer live score version replaces the current one', () => {
+        expect(isNewerLiveScore(null, { version: 0 })).toBe(true);
+        expect(isNewerLiveScore({ version: 4 }, { version: 5 })).toBe(true);
+        expect(isNewerLiveScore({ version: 5 }, { version: 5 })).toBe(false);
+        expect(isNewerLiveScore({ version: 5 }, { version: 3 })).toBe(false);
+    });
+});
+
+describe('Break Rules', () => {
+    const rack = (rack_number: number, winner_id: string, breaker_id: string | null) => ({
+        rack_number,
+        winner_id,
+        breaker_id,
+        break_and_run: false,
+        golden_break: false,
+        undone_at: null,
+    });
+    const base = { challenger_id: 'a', challenged_id: 'b', lag_winner_id: 'b' };
+
+    test('falls back to the discipline default format', () => {
+        expect(getBreakFormat({ game_type: '8-ball', break_format: null })).toBe('winner_breaks');
+        expect(getBreakFormat({ game_type: '9-ball' })).toBe('alternate');
+        expect(getBreakFormat({ game_type: '9-ball', break_format: 'winner_breaks' })).toBe('winner_breaks');
+    });
+
+    test('lag winner breaks first, then the format decides', () => {
+        const winnerBreaks = { ...base, game_type: '8-ball' as const };
+        const alternate = { ...base, game_type: '10-ball' as const };
+        expect(getNextBreaker(winnerBreaks, [])).toBe('b');
+        expect(getNextBreaker({ ...winnerBreaks, lag_winner_id: null }, [])).toBeNull();
+
+        const racks = [rack(1, 'a', 'b')];
+        expect(getNextBreaker(winnerBreaks, racks)).toBe('a');
+        expect(getNextBreaker(alternate, racks)).toBe('a');
+        expect(getNextBreaker(alternate, [...racks, rack(2, 'a', 'a')])).toBe('b');
+    });
+
+    test('alternates from the lag when breakers were not recorded', () => {
+        const alternate = { ...base, game_type: '9-ball' as const };
+        expect(getNextBreaker(alternate, [rack(1, 'a', null)])).toBe('a');
+        expect(getNextBreaker(alternate, [rack(1, 'a', null), rack(2, 'b', null)])).toBe('b');
+    });
+
+    test('break rates are rounded percentages', () => {
+        expect(getBreakRates({ breaks: 0, racksWonOnBreak: 0, breakAndRuns: 0 })).toEqual({ wonOnBreak: 0, breakAndRun: 0 });
+        expect(getBreakRates({ breaks: 3, racksWonOnBreak: 2, breakAndRuns: 1 })).toEqual({ wonOnBreak: 67, breakAndRun: 33 });
+    });
+});
+
+describe('Team Standings', () => {
+    const game = (winner: 'home' | 'away', home: number, away: number, status: any = 'completed') => ({
+        challenger_id: 'hp',
+        challenged_id: 'ap',
+        winner_id: winner === 'home' ? 'hp' : 'ap',
+        challenger_score: home,
+        challenged_score: away,
+        status,
+    }) as any;
+
+    test('counts individual games as team points', () => {
+        const [a, b] = getTeamStandings(['a', 'b'], [{
+            home_team_id: 'a',
+            away_team_id: 'b',
+            status: 'completed',
+            games: [game('home', 3, 1), game('away', 2, 3), game('home', 3, 0)],
+        }]);
+        expect(a).toMatchObject({ teamId: 'a', played: 1, wins: 1, gamesWon: 2, gamesLost: 1, rackDifference: 4 });
+        expect(b).toMatchObject({ teamId: 'b', played: 1, losses: 1, gamesWon: 1, gamesLost: 2, rackDifference: -4 });
+    });
+
+    test('unfinished team matches add games but no result', () => {
+        const [a] = getTeamStandings(['a', 'b'], [{
+            home_team_id: 'a',
+            away_team_id: 'b',
+            status: 'in_progress',
+            games: [game('home', 3, 1), game('away', 0, 0, 'live')],
+        }]);
+        expect(a).toMatchObject({ played: 0, wins: 0, gamesWon: 1, gamesLost: 0 });
+    });
+
+    test('level team matches are draws and cancelled ones are ignored', () => {
+        const standings = getTeamStandings(['a', 'b'], [
+            { home_team_id: 'a', away_team_id: 'b', status: 'completed', games: [game('home', 3, 2), game('away', 1, 3)] },
+            { home_team_id: 'b', away_team_id: 'a', status: 'cancelled', games: [game('home', 3, 0)] },
+        ]);
+        expect(standings.map((s) => s.draws)).toEqual([1, 1]);
+        expect(standings.map((s) => s.gamesWon)).toEqual([1, 1]);
+    });
+
+    test('orders by wins, then games won, then rack difference', () => {
+        const standings = getTeamStandings(['a', 'b', 'c'], [
+            { home_team_id: 'a', away_team_id: 'b', status: 'completed', games: [game('away', 0, 3)] },
+            { home_team_id: 'c', away_team_id: 'a', status: 'completed', games: [game('home', 3, 2), game('away', 0, 3), game('home', 3, 0)] },
+        ]);
+        expect(standings.map((s) => s.teamId)).toEqual(['c', 'b', 'a']);
+    });
+});
+
 describe('Point System', () => {
     test('awards correct points', () => {
         expect(calculateEngagementPoints('challenge')).toBe(2);
@@ -25,3 +361,67 @@ describe('Point System', () => {
         expect(calculateEngagementPoints('win')).toBe(3);
     });
 });
+
+describe('Stream Overlay', () => {
+    const token = '0123456789abcdef0123456789abcdef';
+
+    test('builds and parses overlay links', () => {
+        const url = buildOverlayUrl('https://thelist.example.com/', token);
+        expect(url).toBe(`https://thelist.example.com/overlay/${token}`);
+        expect(getOverlayToken(new URL(url).pathname)).toBe(token);
+        expect(getOverlayToken(`/overlay/${token}/`)).toBe(token);
+    });
+
+    test('ignores other paths', () => {
+        expect(getOverlayToken('/')).toBeNull();
+        expect(getOverlayToken('/overlay/')).toBeNull();
+        expect(getOverlayToken('/overlay/not-a-token')).toBeNull();
+        expect(getOverlayToken(`/admin/overlay/${token}`)).toBeNull();
+    });
+});
+
+describe('Quiet Hours', () => {
+    test('reads typed times', () => {
+        expect(parseClockTime('22:00')).toBe('22:00');
+        expect(parseClockTime(' 7:30 ')).toBe('07:30');
+        expect(parseClockTime('7')).toBe('07:00');
+        expect(parseClockTime('10pm')).toBe('22:00');
+        expect(parseClockTime('12 am')).toBe('00:00');
+        expect(parseClockTime('12:15PM')).toBe('12:15');
+        expect(parseClockTime('24:00')).toBeNull();
+        expect(parseClockTime('13pm')).toBeNull();
+        expect(parseClockTime('7:75')).toBeNull();
+        expect(parseClockTime('late')).toBeNull();
+    });
+
+    test('handles daytime and overnight windows', () => {
+        expect(isInQuietHours('13:00:00', '15:00:00', '14:30')).toBe(true);
+        expect(isInQuietHours('13:00:00', '15:00:00', '15:00')).toBe(false);
+        expect(isInQuietHours('22:00:00', '07:00:00', '23:15')).toBe(true);
+        expect(isInQuietHours('22:00:00', '07:00:00', '06:59')).toBe(true);
+        expect(isInQuietHours('22:00:00', '07:00:00', '12:00')).toBe(false);
+        expect(isInQuietHours('22:00', '22:00', '22:00')).toBe(false);
+        expect(isInQuietHours(null, null, '03:00')).toBe(false);
+    });
+
+    test('reads the wall clock in a timezone', () => {
+        const date = new Date('2026-01-15T05:30:00Z');
+        expect(getClockTimeIn(date, 'UTC')).toBe('05:30');
+        expect(getClockTimeIn(date, 'America/Denver')).toBe('22:30');
+    });
+});
+
+describe('Notification Links', () => {
+    const none = { challenge_id: null, activity_id: null, link_profile_id: null };
+
+    test('opens the challenge, match, activity or profile', () => {
+        expect(getNotificationLink({ ...none, type: 'CHALLENGE_RECEIVED', challenge_id: 'c1' })).toEqual({ tab: 'Inbox', challengeId: 'c1' });
+        expect(getNotificationLink({ ...none, type: 'LIVE_MATCH', challenge_id: 'c1' })).toEqual({ tab: 'Arena' });
+        expect(getNotificationLink({ ...none, type: 'COMMENT', activity_id: 'a1' })).toEqual({ tab: 'Feed', activityId: 'a1' });
+        expect(getNotificationLink({ ...none, type: 'RANK_CHANGE', link_profile_id: 'p1' })).toEqual({ tab: 'Profile', profileId: 'p1' });
+    });
+
+    test('has nowhere to go without a link', () => {
+        expect(getNotificationLink({ ...none, type: 'MATCH_REMINDER' })).toBeNull();
+    });
+});
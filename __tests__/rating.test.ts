@@ -0,0 +1,97 @@
+import {
+  gameWinProbability,
+  ratingWeight,
+  calculateRatingChange,
+  matchWinProbability,
+  suggestHandicapRace,
+  ESTABLISHED_RATING_WEIGHT,
+  PROVISIONAL_RATING_WEIGHT,
+  ESTABLISHED_ROBUSTNESS,
+} from '../src/lib/rating';
+
+const established = (rating: number) => ({ rating, robustness: ESTABLISHED_ROBUSTNESS });
+
+describe('Fargo Rating', () => {
+  describe('Game Win Probability', () => {
+    test('equal ratings are a coin flip', () => {
+      expect(gameWinProbability(500, 500)).toBeCloseTo(0.5);
+    });
+
+    test('100 points stronger wins 2 games for every 1', () => {
+      expect(gameWinProbability(600, 500)).toBeCloseTo(2 / 3);
+      expect(gameWinProbability(500, 600)).toBeCloseTo(1 / 3);
+    });
+  });
+
+  describe('Robustness Weight', () => {
+    test('new players use the provisional weight', () => {
+      expect(ratingWeight(0)).toBe(PROVISIONAL_RATING_WEIGHT);
+    });
+
+    test('established players use the established weight', () => {
+      expect(ratingWeight(ESTABLISHED_ROBUSTNESS)).toBe(ESTABLISHED_RATING_WEIGHT);
+      expect(ratingWeight(ESTABLISHED_ROBUSTNESS * 5)).toBe(ESTABLISHED_RATING_WEIGHT);
+    });
+
+    test('weight eases down as games are played', () => {
+      expect(ratingWeight(ESTABLISHED_ROBUSTNESS / 2)).toBeLessThan(PROVISIONAL_RATING_WEIGHT);
+      expect(ratingWeight(ESTABLISHED_ROBUSTNESS / 2)).toBeGreaterThan(ESTABLISHED_RATING_WEIGHT);
+    });
+  });
+
+  describe('Rating Change', () => {
+    test('uses games won, not just the match result', () => {
+      const close = calculateRatingChange(established(500), established(500), 7, 6);
+      const blowout = calculateRatingChange(established(500), established(500), 7, 0);
+      expect(close.challengerDelta).toBeGreaterThan(0);
+      expect(blowout.challengerDelta).toBeGreaterThan(close.challengerDelta);
+    });
+
+    test('established players move by equal and opposite amounts', () => {
+      const { challengerDelta, challengedDelta } = calculateRatingChange(established(500), established(500), 7, 3);
+      expect(challengerDelta).toBe(4);
+      expect(challengedDelta).toBe(-4);
+    });
+
+    test('winning fewer games than expected still costs rating', () => {
+      // 600 is expected to win 2/3 of the games; 7-5 is only 58%
+      const { challengerDelta } = calculateRatingChange(established(600), established(500), 7, 5);
+      expect(challengerDelta).toBeLessThan(0);
+    });
+
+    test('a new player moves more than an established opponent', () => {
+      const { challengerDelta, challengedDelta } = calculateRatingChange(
+        { rating: 500, robustness: 0 },
+        established(500),
+        7,
+        3
+      );
+      expect(Math.abs(challengerDelta)).toBeGreaterThan(Math.abs(challengedDelta));
+    });
+
+    test('no games means no change', () => {
+      expect(calculateRatingChange(established(500), established(500), 0, 0)).toEqual({ challengerDelta: 0, challengedDelta: 0 });
+    });
+  });
+
+  describe('Handicap Race Chart', () => {
+    test('even players race even', () => {
+      expect(suggestHandicapRace(500, 500, 7)).toEqual({ challengerRace: 7, challengedRace: 7 });
+    });
+
+    test('weaker player gets the shorter race', () => {
+      expect(suggestHandicapRace(600, 500, 7)).toEqual({ challengerRace: 7, challengedRace: 4 });
+      expect(suggestHandicapRace(500, 600, 7)).toEqual({ challengerRace: 4, challengedRace: 7 });
+    });
+
+    test('suggested race is close to a coin flip', () => {
+      const { challengerRace, challengedRace } = suggestHandicapRace(650, 500, 9);
+      const odds = matchWinProbability(gameWinProbability(650, 500), challengerRace, challengedRace);
+      expect(Math.abs(odds - 0.5)).toBeLessThan(0.1);
+    });
+
+    test('even race between equal players is 50/50', () => {
+      expect(matchWinProbability(0.5, 7, 7)).toBeCloseTo(0.5);
+    });
+  });
+});
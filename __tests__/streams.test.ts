@@ -0,0 +1,49 @@
+import { parseStreamUrl } from '../src/lib/streams';
+
+describe('Stream Links', () => {
+  test('normalizes YouTube links', () => {
+    const expected = {
+      provider: 'youtube',
+      watchUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+      embedUrl: 'https://www.youtube.com/embed/dQw4w9WgXcQ',
+    };
+    expect(parseStreamUrl('https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=30s').link).toEqual(expected);
+    expect(parseStreamUrl('youtu.be/dQw4w9WgXcQ').link).toEqual(expected);
+    expect(parseStreamUrl('https://m.youtube.com/live/dQw4w9WgXcQ?si=abc').link).toEqual(expected);
+    expect(parseStreamUrl('https://youtube.com/watch?v=short').error).toBeDefined();
+  });
+
+  test('normalizes Facebook video links', () => {
+    const { link } = parseStreamUrl('https://m.facebook.com/TopOfTheCapital/videos/1234567890/?mibextid=x');
+    expect(link?.provider).toBe('facebook');
+    expect(link?.watchUrl).toBe('https://www.facebook.com/TopOfTheCapital/videos/1234567890/');
+    expect(link?.embedUrl).toBe(
+      'https://www.facebook.com/plugins/video.php?href=https%3A%2F%2Fwww.facebook.com%2FTopOfTheCapital%2Fvideos%2F1234567890%2F&show_text=false'
+    );
+    expect(parseStreamUrl('https://www.facebook.com/watch/live/?v=987').link?.watchUrl).toBe('https://www.facebook.com/watch/?v=987');
+    expect(parseStreamUrl('https://www.facebook.com/TopOfTheCapital').error).toBeDefined();
+    expect(parseStreamUrl('https://www.facebook.com/Caf%C3%A9Pool/videos/555/').link?.watchUrl).toBe('https://www.facebook.com/watch/?v=555');
+  });
+
+  test('normalizes Twitch channels and videos', () => {
+    expect(parseStreamUrl('twitch.tv/CapitalPool').link).toEqual({
+      provider: 'twitch',
+      watchUrl: 'https://www.twitch.tv/capitalpool',
+      embedUrl: 'https://player.twitch.tv/?channel=capitalpool',
+    });
+    expect(parseStreamUrl('https://www.twitch.tv/videos/2244668800').link?.embedUrl).toBe('https://player.twitch.tv/?video=2244668800');
+  });
+
+  test('accepts secure HLS playlists as given', () => {
+    const url = 'https://cdn.example.com/live/table1/index.m3u8?token=abc';
+    expect(parseStreamUrl(url).link).toEqual({ provider: 'hls', watchUrl: url, embedUrl: url });
+    expect(parseStreamUrl('http://cdn.example.com/live/index.m3u8').error).toBeDefined();
+  });
+
+  test('rejects everything else', () => {
+    expect(parseStreamUrl('').error).toBeDefined();
+    expect(parseStreamUrl('not a link at all').error).toBeDefined();
+    expect(parseStreamUrl('ftp://example.com/stream').error).toBeDefined();
+    expect(parseStreamUrl('https://example.com/my-stream').error).toBeDefined();
+  });
+});
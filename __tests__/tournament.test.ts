@@ -0,0 +1,197 @@
+import {
+  getBracketSize,
+  getRoundName,
+  getRoundRobinStandings,
+  getSeedOrder,
+  planDoubleElimination,
+  planRoundRobin,
+  planSingleElimination,
+  planTournament,
+  seedEntrants,
+  PlannedMatch,
+} from '../src/lib/tournament';
+
+// Plays a planned bracket through with the better seed always winning, the
+// same way advance_tournament() moves players on the server
+function playBracket(plan: PlannedMatch[]) {
+  const players = new Map(plan.map((m) => [m.key, m.slots.map((s) => s.seed)]));
+  const losses = new Map<number, number>();
+  let champion: number | null = null;
+  let played = 0;
+
+  const place = (key: string, slot: 1 | 2, seed: number) => {
+    const slots = players.get(key)!;
+    expect(slots[slot - 1]).toBeNull();
+    slots[slot - 1] = seed;
+  };
+
+  for (const match of plan) {
+    const [a, b] = players.get(match.key)!;
+    let winner: number;
+    let loser: number | null = null;
+    if (a !== null && b !== null) {
+      played++;
+      winner = Math.min(a, b);
+      loser = Math.max(a, b);
+      losses.set(loser, (losses.get(loser) ?? 0) + 1);
+    } else {
+      const seed = a ?? b;
+      if (seed === null) continue;
+      winner = seed;
+    }
+
+    if (match.winnerTo) place(match.winnerTo.key, match.winnerTo.slot, winner);
+    else champion = winner;
+    if (loser !== null && match.loserTo) place(match.loserTo.key, match.loserTo.slot, loser);
+  }
+
+  return { champion, losses, played };
+}
+
+describe('Tournaments', () => {
+  describe('Seeding', () => {
+    const entrants = [
+      { id: 'a', ladder_rank: 3, fargo_rating: 600 },
+      { id: 'b', ladder_rank: 1, fargo_rating: 500 },
+      { id: 'c', ladder_rank: 2, fargo_rating: 650 },
+    ];
+
+    test('seeds by ladder rank', () => {
+      expect(seedEntrants(entrants, 'ladder_rank').map((e) => e.id)).toEqual(['b', 'c', 'a']);
+    });
+
+    test('seeds by Fargo rating', () => {
+      expect(seedEntrants(entrants, 'fargo_rating').map((e) => e.id)).toEqual(['c', 'a', 'b']);
+    });
+
+    test('keeps the top seeds apart until the final', () => {
+      expect(getSeedOrder(8)).toEqual([1, 8, 4, 5, 2, 7, 3, 6]);
+      expect(getBracketSize(5)).toBe(8);
+      expect(getBracketSize(8)).toBe(8);
+    });
+  });
+
+  describe('Single Elimination', () => {
+    test('full bracket of 8', () => {
+      const plan = planSingleElimination(8);
+      expect(plan).toHaveLength(7);
+      expect(plan.filter((m) => m.round === 1).map((m) => m.slots.map((s) => s.seed)))
+        .toEqual([[1, 8], [4, 5], [2, 7], [3, 6]]);
+      expect(plan[plan.length - 1].winnerTo).toBeNull();
+    });
+
+    test('top seeds get the byes', () => {
+      const plan = planSingleElimination(6);
+      const byes = plan.filter((m) => m.round === 1 && m.slots.some((s) => s.bye));
+      expect(byes.map((m) => m.slots.find((s) => !s.bye)!.seed).sort()).toEqual([1, 2]);
+    });
+
+    test('the best seed wins when favourites always win', () => {
+      const result = playBracket(planSingleElimination(6));
+      expect(result.champion).toBe(1);
+      expect(result.played).toBe(5);
+    });
+  });
+
+  describe('Double Elimination', () => {
+    test('bracket of 8 has 7 winners, 6 losers and one grand final', () => {
+      const plan = planDoubleElimination(8);
+      expect(plan.filter((m) => m.bracket === 'winners')).toHaveLength(7);
+      expect(plan.filter((m) => m.bracket === 'losers')).toHaveLength(6);
+      expect(plan.filter((m) => m.bracket === 'final')).toHaveLength(1);
+    });
+
+    test('every route points to a later match', () => {
+      const plan = planDoubleElimination(8);
+      const order = new Map(plan.map((m, i) => [m.key, i]));
+      plan.forEach((match, i) => {
+        [match.winnerTo, match.loserTo].forEach((route) => {
+          if (route) expect(order.get(route.key)).toBeGreaterThan(i);
+        });
+      });
+    });
+
+    test.each([3, 5, 6, 8, 11, 16])('%i players: everyone but the champion loses twice', (count) => {
+      const { champion, losses } = playBracket(planDoubleElimination(count));
+      expect(champion).toBe(1);
+      for (let seed = 2; seed <= count; seed++) {
+        expect(losses.get(seed)).toBe(2);
+      }
+    });
+  });
+
+  describe('Round Robin', () => {
+    test.each([4, 5])('%i players: every pair plays exactly once', (count) => {
+      const plan = planRoundRobin(count);
+      const pairs = plan.map((m) => m.slots.map((s) => s.seed).sort().join('-'));
+      expect(plan).toHaveLength((count * (count - 1)) / 2);
+      expect(new Set(pairs).size).toBe(pairs.length);
+    });
+
+    test('nobody plays twice in a round', () => {
+      const plan = planRoundRobin(6);
+      for (let round = 1; round <= 5; round++) {
+        const seeds = plan.filter((m) => m.round === round).flatMap((m) => m.slots.map((s) => s.seed));
+        expect(new Set(seeds).size).toBe(seeds.length);
+      }
+    });
+
+    test('standings order by wins, then game difference, then seed', () => {
+      const standings = getRoundRobinStandings(['a', 'b', 'c'], [
+        { player1_id: 'a', player2_id: 'b', winner_id: 'b', player1_score: 4, player2_score: 5 },
+        { player1_id: 'b', player2_id: 'c', winner_id: 'c', player1_score: 0, player2_score: 5 },
+        { player1_id: 'c', player2_id: 'a', winner_id: 'a', player1_score: 4, player2_score: 5 },
+      ]);
+      expect(standings.map((s) => s.profileId)).toEqual(['c', 'a', 'b']);
+      expect(standings[0]).toMatchObject({ played: 2, wins: 1, losses: 1, gameDifference: 4 });
+    });
+
+    test('unplayed matches do not count', () => {
+      const standings = getRoundRobinStandings(['a', 'b'], [
+        { player1_id: 'a', player2_id: 'b', winner_id: null, player1_score: null, player2_score: null },
+      ]);
+      expect(standings.map((s) => s.played)).toEqual([0, 0]);
+    });
+  });
+
+  describe('Planning', () => {
+    test('needs enough players for the format', () => {
+      expect(() => planTournament('double_elimination', 2)).toThrow('at least 3');
+      expect(() => planTournament('single_elimination', 1)).toThrow('at least 2');
+      expect(planTournament('round_robin', 2)).toHaveLength(1);
+    });
+
+    // start_tournament() rejects a plan that breaks any of these
+    test.each([
+      ['single_elimination', 5],
+      ['single_elimination', 16],
+      ['double_elimination', 3],
+      ['double_elimination', 11],
+      ['round_robin', 5],
+    ] as const)('%s with %i players routes every result to one open slot', (format, count) => {
+      const plan = planTournament(format, count);
+      const order = new Map(plan.map((m, i) => [m.key, i]));
+      expect(order.size).toBe(plan.length);
+
+      const targeted = new Set<string>();
+      plan.forEach((match, i) => {
+        [match.winnerTo, match.loserTo].forEach((route) => {
+          if (!route) return;
+          expect(order.get(route.key)).toBeGreaterThan(i);
+          expect(plan[order.get(route.key)!].slots[route.slot - 1].seed).toBeNull();
+          const target = `${route.key}/${route.slot}`;
+          expect(targeted.has(target)).toBe(false);
+          targeted.add(target);
+        });
+      });
+    });
+
+    test('names rounds from the end of the bracket', () => {
+      expect(getRoundName('winners', 3, 3)).toBe('Final');
+      expect(getRoundName('winners', 2, 3)).toBe('Semifinals');
+      expect(getRoundName('winners', 1, 4)).toBe('Round 1');
+      expect(getRoundName('losers', 4, 4)).toBe('Losers Final');
+      expect(getRoundName('final', 1, 1)).toBe('Grand Final');
+    });
+  });
+});
@@ -110,11 +110,62 @@ async function sendReminder(match, reminderType) {
         }
     }
 
+    // Push, for players who want reminders
+    await sendPushNotification([match.challenger_id, match.target_id], 'reminders',
+        isDayReminder ? 'Match Tomorrow' : 'Match Starting Soon', reminderText,
+        { type: 'MATCH_REMINDER', match_id: match.id });
+
     // Mark reminder as sent in DB
     const updateColumn = isDayReminder ? 'day_reminder_sent' : 'hour_reminder_sent';
     await supabase.from('matches').update({ [updateColumn]: true }).eq('id', match.id);
 }
 
+// Delivered by the send-push edge function, which batches requests to Expo,
+// clears tokens Expo no longer recognises and skips players who turned the
+// category off or are in their quiet hours
+async function sendPushNotification(profileIds, category, title, body, data = {}) {
+    // Error sending push notification - silent failure in production
+    await supabase.functions.invoke('send-push', {
+        body: { kind: 'direct', profile_ids: profileIds, category, title, body, data },
+    });
+}
+
+async function notifyDeadlineForfeit(forfeit) {
+    const { data: players, error } = await supabase
+        .from('profiles')
+        .select('id, full_name')
+        .in('id', [forfeit.winner, forfeit.loser]);
+
+    if (error || !players) {
+        return;
+    }
+
+    const winner = players.find(p => p.id === forfeit.winner);
+    const loser = players.find(p => p.id === forfeit.loser);
+    const data = { type: 'CHALLENGE_FORFEITED', challenge_id: forfeit.expired_challenge_id };
+
+    if (winner) {
+        await sendPushNotification([winner.id], 'rank_change', 'Challenge Forfeited',
+            `${loser ? loser.full_name : 'Your opponent'} missed the 2-week deadline. The win is yours!`, data);
+    }
+
+    if (loser) {
+        await sendPushNotification([loser.id], 'rank_change', 'Challenge Forfeited',
+            `You missed the 2-week deadline against ${winner ? winner.full_name : 'your opponent'} and forfeited.`, data);
+    }
+}
+
+async function notifyRankDecay(drop) {
+    const body = drop.reason === 'moved_up'
+        ? `Players above you dropped down the ${drop.ladder} ladder - you moved up from #${drop.previous_rank} to #${drop.new_rank}.`
+        : drop.reason === 'defense'
+        ? `You didn't defend your #${drop.previous_rank} ${drop.ladder} spot in time and dropped to #${drop.new_rank}.`
+        : `No ${drop.ladder} matches lately - you dropped from #${drop.previous_rank} to #${drop.new_rank}. Issue or accept a challenge to climb back.`;
+
+    await sendPushNotification([drop.player_id], 'rank_change', 'Ladder Update', body,
+        { type: 'RANK_CHANGE', game_type: drop.ladder, reason: drop.reason, profile_id: drop.player_id });
+}
+
 // Schedule the cron job to run every 5 minutes
 cron.schedule('*/5 * * * *', async () => {
     // Scheduler cron job running
@@ -148,6 +199,61 @@ cron.schedule('*/5 * * * *', async () => {
     }
 });
 
+// Auto-confirm reported match results the opponent never answered (every 15 minutes)
+cron.schedule('*/15 * * * *', async () => {
+    // Failures are silent in production - unconfirmed results are picked up on the next run
+    await supabase.rpc('auto_confirm_match_results');
+});
+
+// Forfeit challenges past their 2-week response deadline (hourly)
+cron.schedule('0 * * * *', async () => {
+    // Forfeit, ladder movement and activity are applied in one transaction server-side
+    const { data: forfeits, error } = await supabase.rpc('enforce_challenge_deadlines');
+
+    if (error || !forfeits) {
+        // Error enforcing deadlines - silent failure in production
+        return;
+    }
+
+    for (const forfeit of forfeits) {
+        await notifyDeadlineForfeit(forfeit);
+    }
+});
+
+// Read push receipts and clear tokens for uninstalled apps (every 30 minutes)
+cron.schedule('*/30 * * * *', async () => {
+    // Receipts not ready yet are picked up on the next run
+    await supabase.functions.invoke('send-push', { body: { kind: 'check_receipts' } });
+});
+
+// Drop inactive and undefended players down their ladders (daily at 4am)
+cron.schedule('0 4 * * *', async () => {
+    // Rules come from the active ladder rule set; nothing moves while decay is switched off
+    const { data: drops, error } = await supabase.rpc('apply_inactivity_decay');
+
+    if (error || !drops) {
+        // Error applying inactivity decay - silent failure in production
+        return;
+    }
+
+    // A player can climb past several dropped players; send them one push
+    // from their starting spot to where they ended up
+    const climbs = new Map();
+    for (const drop of drops) {
+        if (drop.reason !== 'moved_up') {
+            await notifyRankDecay(drop);
+            continue;
+        }
+        const key = `${drop.player_id}/${drop.ladder}`;
+        const climb = climbs.get(key);
+        climbs.set(key, climb ? { ...climb, new_rank: drop.new_rank } : drop);
+    }
+
+    for (const climb of climbs.values()) {
+        await notifyRankDecay(climb);
+    }
+});
+
 // Match reminder scheduler initialized
 
 // Export to be imported and started by server.js
@@ -0,0 +1,200 @@
+import React from 'react';
+import { View, Text, ScrollView, TouchableOpacity, StyleSheet } from 'react-native';
+import { BracketSide, TournamentMatch } from '../types';
+import { getRoundName } from '../lib/tournament';
+
+interface BracketProps {
+  matches: TournamentMatch[];
+  // Highlights this player's matches
+  profileId?: string | null;
+  onMatchPress?: (match: TournamentMatch) => void;
+}
+
+const SIDES: { side: BracketSide; title: string | null }[] = [
+  { side: 'winners', title: null },
+  { side: 'losers', title: 'LOSERS BRACKET' },
+  { side: 'final', title: null },
+  { side: 'round_robin', title: null },
+];
+
+/**
+ * Bracket - Round-by-round columns of bracket matches
+ * Byes show as BYE, slots still waiting on an earlier match as TBD.
+ */
+export function Bracket({ matches, profileId, onMatchPress }: BracketProps) {
+  const hasLosers = matches.some((m) => m.bracket === 'losers');
+
+  return (
+    <View>
+      {SIDES.map(({ side, title }) => {
+        const sideMatches = matches.filter((m) => m.bracket === side);
+        if (sideMatches.length === 0) {
+          return null;
+        }
+        const rounds = Array.from(new Set(sideMatches.map((m) => m.round))).sort((a, b) => a - b);
+        const totalRounds = rounds[rounds.length - 1];
+
+        return (
+          <View key={side} style={styles.side}>
+            {(title || (side === 'winners' && hasLosers)) && (
+              <Text style={styles.sideTitle}>{title ?? 'WINNERS BRACKET'}</Text>
+            )}
+            <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+              {rounds.map((round) => (
+                <View key={round} style={styles.column}>
+                  <Text style={styles.roundTitle}>
+                    {getRoundName(side, round, totalRounds).toUpperCase()}
+                  </Text>
+                  <View style={styles.columnMatches}>
+                    {sideMatches
+                      .filter((m) => m.round === round)
+                      .sort((a, b) => a.position - b.position)
+                      .map((match) => (
+                        <BracketMatch
+                          key={match.id}
+                          match={match}
+                          profileId={profileId}
+                          onPress={onMatchPress}
+                        />
+                      ))}
+                  </View>
+                </View>
+              ))}
+            </ScrollView>
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+function BracketMatch({
+  match,
+  profileId,
+  onPress,
+}: {
+  match: TournamentMatch;
+  profileId?: string | null;
+  onPress?: (match: TournamentMatch) => void;
+}) {
+  const challenge = match.challenge;
+  const decided = match.status === 'completed' || match.status === 'bye';
+  const mine = !!profileId && (match.player1_id === profileId || match.player2_id === profileId);
+  const live = challenge?.status === 'live';
+
+  const slots = [
+    { id: match.player1_id, name: match.player1?.full_name, bye: match.player1_bye, score: challenge?.challenger_score },
+    { id: match.player2_id, name: match.player2?.full_name, bye: match.player2_bye, score: challenge?.challenged_score },
+  ];
+
+  return (
+    <TouchableOpacity
+      style={[styles.match, mine && styles.matchMine]}
+      disabled={!onPress || !challenge}
+      onPress={() => onPress?.(match)}
+      accessibilityLabel={`Bracket match ${match.match_key}`}
+    >
+      {live && <Text style={styles.live}>LIVE</Text>}
+      {slots.map((slot, i) => {
+        const won = decided && slot.id !== null && slot.id === match.winner_id;
+        const lost = decided && slot.id !== null && slot.id !== match.winner_id;
+        return (
+          <View key={i} style={[styles.slot, i === 0 && styles.slotDivider]}>
+            <Text
+              style={[styles.slotName, won && styles.slotWinner, lost && styles.slotLoser, !slot.id && styles.slotEmpty]}
+              numberOfLines={1}
+            >
+              {slot.name ?? (slot.bye ? 'BYE' : 'TBD')}
+            </Text>
+            {match.status === 'completed' && slot.score != null && (
+              <Text style={[styles.slotScore, won && styles.slotWinner]}>{slot.score}</Text>
+            )}
+          </View>
+        );
+      })}
+    </TouchableOpacity>
+  );
+}
+
+const styles = StyleSheet.create({
+  side: {
+    marginBottom: 20,
+  },
+  sideTitle: {
+    color: '#666',
+    fontSize: 11,
+    fontWeight: 'bold',
+    letterSpacing: 1,
+    marginBottom: 8,
+  },
+  column: {
+    width: 170,
+    marginRight: 12,
+  },
+  roundTitle: {
+    color: '#87a96b',
+    fontSize: 10,
+    fontWeight: 'bold',
+    letterSpacing: 1,
+    marginBottom: 8,
+  },
+  columnMatches: {
+    flex: 1,
+    justifyContent: 'space-around',
+    gap: 10,
+  },
+  match: {
+    borderRadius: 8,
+    backgroundColor: 'rgba(255,255,255,0.05)',
+    borderWidth: 1,
+    borderColor: 'rgba(255,255,255,0.1)',
+  },
+  matchMine: {
+    borderColor: '#87a96b',
+  },
+  live: {
+    position: 'absolute',
+    top: -7,
+    right: 8,
+    zIndex: 1,
+    color: '#fff',
+    backgroundColor: '#f44336',
+    fontSize: 9,
+    fontWeight: 'bold',
+    paddingHorizontal: 5,
+    borderRadius: 4,
+    overflow: 'hidden',
+  },
+  slot: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+  },
+  slotDivider: {
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(255,255,255,0.05)',
+  },
+  slotName: {
+    flex: 1,
+    color: '#ccc',
+    fontSize: 13,
+  },
+  slotWinner: {
+    color: '#87a96b',
+    fontWeight: 'bold',
+  },
+  slotLoser: {
+    color: '#555',
+  },
+  slotEmpty: {
+    color: '#444',
+    fontStyle: 'italic',
+  },
+  slotScore: {
+    color: '#888',
+    fontSize: 13,
+    fontWeight: 'bold',
+    marginLeft: 6,
+  },
+});
@@ -0,0 +1,232 @@
+import React, { useMemo, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ActivityIndicator } from 'react-native';
+import { ChallengeProposal } from '../types';
+import { LEAGUE_VENUES, NegotiationTurn, suggestTimeSlots } from '../lib/logic';
+
+interface NegotiationPanelProps {
+  proposals: ChallengeProposal[];
+  currentProfileId: string | null;
+  turn: NegotiationTurn;
+  busy?: boolean;
+  onPropose: (venues: string[], timeSlots: string[]) => void;
+  onAccept: (proposal: ChallengeProposal, venue: string, timeSlot: string) => void;
+}
+
+const ACTION_LABELS: Record<ChallengeProposal['action'], string> = {
+  propose: 'proposed',
+  counter: 'countered',
+  accept: 'accepted',
+};
+
+function formatSlot(slot: string) {
+  return new Date(slot).toLocaleString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+function toggle(list: string[], value: string) {
+  return list.includes(value) ? list.filter((v) => v !== value) : [...list, value];
+}
+
+/**
+ * NegotiationPanel - Venue/time proposal thread for a challenge
+ * Shows the history and lets the player whose turn it is accept or counter.
+ */
+export function NegotiationPanel({
+  proposals,
+  currentProfileId,
+  turn,
+  busy = false,
+  onPropose,
+  onAccept,
+}: NegotiationPanelProps) {
+  const latest = proposals.length > 0 ? proposals[proposals.length - 1] : null;
+  const canAccept = turn === 'mine' && latest !== null && latest.action !== 'accept';
+
+  const [composing, setComposing] = useState(false);
+  const [venues, setVenues] = useState<string[]>([]);
+  const [slots, setSlots] = useState<string[]>([]);
+  const [pickedVenue, setPickedVenue] = useState<string | null>(null);
+  const [pickedSlot, setPickedSlot] = useState<string | null>(null);
+
+  const suggestedSlots = useMemo(() => suggestTimeSlots(new Date()), []);
+  const showComposer = turn === 'mine' && (composing || !canAccept);
+
+  return (
+    <View style={styles.container}>
+      {proposals.map((p) => (
+        <View key={p.id} style={styles.entry}>
+          <Text style={styles.entryHeader}>
+            {p.proposed_by === currentProfileId ? 'You' : p.proposer?.full_name || 'Opponent'} {ACTION_LABELS[p.action]}
+          </Text>
+          <Text style={styles.entryText}>{p.venues.join(' / ')}</Text>
+          <Text style={styles.entryText}>{p.time_slots.map(formatSlot).join('\n')}</Text>
+        </View>
+      ))}
+
+      {turn === 'theirs' && (
+        <Text style={styles.waitingText}>Waiting for your opponent to respond...</Text>
+      )}
+
+      {canAccept && !composing && latest && (
+        <View>
+          <Text style={styles.label}>Pick a venue</Text>
+          <View style={styles.chips}>
+            {latest.venues.map((v) => (
+              <TouchableOpacity key={v} style={[styles.chip, pickedVenue === v && styles.chipActive]} onPress={() => setPickedVenue(v)}>
+                <Text style={[styles.chipText, pickedVenue === v && styles.chipTextActive]}>{v}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <Text style={styles.label}>Pick a time</Text>
+          <View style={styles.chips}>
+            {latest.time_slots.map((s) => (
+              <TouchableOpacity key={s} style={[styles.chip, pickedSlot === s && styles.chipActive]} onPress={() => setPickedSlot(s)}>
+                <Text style={[styles.chipText, pickedSlot === s && styles.chipTextActive]}>{formatSlot(s)}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <View style={styles.buttons}>
+            <TouchableOpacity
+              style={[styles.primaryBtn, (!pickedVenue || !pickedSlot || busy) && styles.disabledBtn]}
+              disabled={!pickedVenue || !pickedSlot || busy}
+              onPress={() => pickedVenue && pickedSlot && onAccept(latest, pickedVenue, pickedSlot)}
+            >
+              {busy ? <ActivityIndicator color="#000" /> : <Text style={styles.primaryBtnText}>Accept</Text>}
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.secondaryBtn} onPress={() => setComposing(true)}>
+              <Text style={styles.secondaryBtnText}>Counter</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+
+      {showComposer && (
+        <View>
+          <Text style={styles.label}>Venues you can play at</Text>
+          <View style={styles.chips}>
+            {LEAGUE_VENUES.map((v) => (
+              <TouchableOpacity key={v} style={[styles.chip, venues.includes(v) && styles.chipActive]} onPress={() => setVenues(toggle(venues, v))}>
+                <Text style={[styles.chipText, venues.includes(v) && styles.chipTextActive]}>{v}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <Text style={styles.label}>Times that work for you</Text>
+          <View style={styles.chips}>
+            {suggestedSlots.map((s) => (
+              <TouchableOpacity key={s} style={[styles.chip, slots.includes(s) && styles.chipActive]} onPress={() => setSlots(toggle(slots, s))}>
+                <Text style={[styles.chipText, slots.includes(s) && styles.chipTextActive]}>{formatSlot(s)}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <View style={styles.buttons}>
+            <TouchableOpacity
+              style={[styles.primaryBtn, (venues.length === 0 || slots.length === 0 || busy) && styles.disabledBtn]}
+              disabled={venues.length === 0 || slots.length === 0 || busy}
+              onPress={() => onPropose(venues, slots)}
+            >
+              {busy ? <ActivityIndicator color="#000" /> : <Text style={styles.primaryBtnText}>Send Proposal</Text>}
+            </TouchableOpacity>
+            {canAccept && (
+              <TouchableOpacity style={styles.secondaryBtn} onPress={() => setComposing(false)}>
+                <Text style={styles.secondaryBtnText}>Cancel</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 15,
+  },
+  entry: {
+    padding: 10,
+    borderLeftWidth: 2,
+    borderLeftColor: '#2196f3',
+    marginBottom: 8,
+  },
+  entryHeader: {
+    color: '#fff',
+    fontSize: 13,
+    fontWeight: 'bold',
+    marginBottom: 2,
+  },
+  entryText: {
+    color: '#aaa',
+    fontSize: 12,
+  },
+  waitingText: {
+    color: '#888',
+    fontSize: 13,
+    fontStyle: 'italic',
+    marginTop: 5,
+  },
+  label: {
+    color: '#888',
+    fontSize: 12,
+    marginTop: 10,
+    marginBottom: 6,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 8,
+    backgroundColor: 'rgba(255, 255, 255, 0.08)',
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  chipActive: {
+    backgroundColor: '#87a96b',
+  },
+  chipText: {
+    color: '#aaa',
+    fontSize: 12,
+  },
+  chipTextActive: {
+    color: '#000',
+    fontWeight: 'bold',
+  },
+  buttons: {
+    flexDirection: 'row',
+    marginTop: 10,
+  },
+  primaryBtn: {
+    flex: 2,
+    backgroundColor: '#87a96b',
+    paddingVertical: 12,
+    borderRadius: 10,
+    alignItems: 'center',
+    marginRight: 10,
+  },
+  primaryBtnText: {
+    color: '#000',
+    fontWeight: 'bold',
+  },
+  secondaryBtn: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 10,
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#2196f3',
+  },
+  secondaryBtnText: {
+    color: '#2196f3',
+    fontWeight: 'bold',
+  },
+  disabledBtn: {
+    opacity: 0.4,
+  },
+});
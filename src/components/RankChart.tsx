@@ -0,0 +1,123 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { RankChangeCause, RankHistoryEntry } from '../types';
+
+interface RankChartProps {
+  history: RankHistoryEntry[];
+  height?: number;
+}
+
+const CAUSE_COLORS: Record<RankChangeCause, string> = {
+  joined: '#444',
+  match: '#87a96b',
+  forfeit: '#ff9800',
+  decay: '#f44336',
+  season: '#64b5f6',
+  admin: '#888',
+};
+
+const CAUSE_LABELS: Partial<Record<RankChangeCause, string>> = {
+  match: 'Match',
+  forfeit: 'Forfeit',
+  decay: 'Inactivity',
+  season: 'Season',
+  admin: 'Officer',
+};
+
+const MIN_BAR = 6;
+
+/**
+ * RankChart - Rank-over-time column chart for one ladder
+ * Taller bars are better ranks; each bar is colored by what moved the rank.
+ */
+export function RankChart({ history, height = 90 }: RankChartProps) {
+  if (history.length === 0) {
+    return null;
+  }
+
+  const ranks = history.map((entry) => entry.rank_after);
+  const best = Math.min(...ranks);
+  const worst = Math.max(...ranks);
+  const spread = worst - best || 1;
+  const causes = Array.from(new Set(history.map((entry) => entry.cause))).filter((cause) => CAUSE_LABELS[cause]);
+
+  return (
+    <View>
+      <View style={styles.scale}>
+        <Text style={styles.scaleText}>Best #{best}</Text>
+        <Text style={styles.scaleText}>Now #{ranks[ranks.length - 1]}</Text>
+      </View>
+      <View style={[styles.chart, { height }]}>
+        {history.map((entry) => (
+          <View
+            key={entry.id}
+            style={[
+              styles.bar,
+              {
+                height: MIN_BAR + ((worst - entry.rank_after) / spread) * (height - MIN_BAR),
+                backgroundColor: CAUSE_COLORS[entry.cause],
+              },
+            ]}
+            accessibilityLabel={`Rank ${entry.rank_after}`}
+          />
+        ))}
+      </View>
+      {causes.length > 0 && (
+        <View style={styles.legend}>
+          {causes.map((cause) => (
+            <View key={cause} style={styles.legendItem}>
+              <View style={[styles.legendDot, { backgroundColor: CAUSE_COLORS[cause] }]} />
+              <Text style={styles.legendText}>{CAUSE_LABELS[cause]}</Text>
+            </View>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  scale: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 6,
+  },
+  scaleText: {
+    color: '#666',
+    fontSize: 11,
+  },
+  chart: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    gap: 3,
+    paddingBottom: 4,
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(255,255,255,0.1)',
+  },
+  bar: {
+    flex: 1,
+    maxWidth: 14,
+    borderTopLeftRadius: 3,
+    borderTopRightRadius: 3,
+  },
+  legend: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 8,
+    gap: 12,
+  },
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  legendDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginRight: 4,
+  },
+  legendText: {
+    color: '#888',
+    fontSize: 11,
+  },
+});
@@ -7,3 +7,6 @@ export { ErrorBoundary } from './ErrorBoundary';
 export { SkeletonLoader, SkeletonCard, SkeletonRankingItem } from './SkeletonLoader';
 export { OfflineBanner, SyncStatusBanner, SyncIndicator } from './OfflineBanner';
 export { SyncProvider, useSyncReady } from './SyncProvider';
+export { NegotiationPanel } from './NegotiationPanel';
+export { RankChart } from './RankChart';
+export { Bracket } from './Bracket';
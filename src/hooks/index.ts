@@ -41,6 +41,7 @@ export {
   useCompletedChallenges,
   usePendingChallengeCount,
   useRecentChallenges,
+  useChallengeProposals,
   useChallengeMutations,
 } from './useChallenges';
 
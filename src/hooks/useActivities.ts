@@ -4,7 +4,7 @@
  */
 
 import { useCallback } from 'react';
-import { Activity } from '../types';
+import { Activity, GameType, RankChangeReason } from '../types';
 import { ActivityService, CreateActivityInput } from '../lib/services/ActivityService';
 import {
   useOfflineData,
@@ -182,8 +182,14 @@ export function useActivityMutations() {
   );
 
   const recordRankChange = useCallback(
-    async (userId: string, previousRank: number, newRank: number) => {
-      return ActivityService.recordRankChange(userId, previousRank, newRank);
+    async (
+      userId: string,
+      previousRank: number,
+      newRank: number,
+      gameType?: GameType,
+      reason?: RankChangeReason
+    ) => {
+      return ActivityService.recordRankChange(userId, previousRank, newRank, gameType, reason);
     },
     []
   );
@@ -4,7 +4,7 @@
  */
 
 import { useCallback } from 'react';
-import { Challenge, ChallengeStatus, GameType } from '../types';
+import { Challenge, ChallengeProposal, ChallengeStatus, GameType } from '../types';
 import { ChallengeService, CreateChallengeInput } from '../lib/services/ChallengeService';
 import { useOfflineData, UseOfflineDataOptions, UseOfflineDataResult } from './useOfflineData';
 import { FetchOptions } from '../lib/services/BaseService';
@@ -206,6 +206,34 @@ export function useRecentChallenges(
   return useOfflineData(fetcher, [limit], options);
 }
 
+/**
+ * Hook to fetch the negotiation thread for a challenge
+ */
+export function useChallengeProposals(
+  challengeId: string | null,
+  options?: UseOfflineDataOptions<ChallengeProposal[]>
+): UseOfflineDataResult<ChallengeProposal[]> {
+  const fetcher = useCallback(
+    (fetchOptions?: FetchOptions) => {
+      if (!challengeId) {
+        return Promise.resolve({
+          data: [],
+          error: null,
+          fromCache: false,
+          isStale: false,
+        });
+      }
+      return ChallengeService.getProposals(challengeId, fetchOptions);
+    },
+    [challengeId]
+  );
+
+  return useOfflineData(fetcher, [challengeId], {
+    ...options,
+    fetchOnMount: !!challengeId,
+  });
+}
+
 /**
  * Hook for challenge mutations
  */
@@ -233,23 +261,35 @@ export function useChallengeMutations() {
     []
   );
 
-  const completeMatch = useCallback(
-    async (
-      challengeId: string,
-      challengerScore: number,
-      challengedScore: number,
-      winnerId: string
-    ) => {
-      return ChallengeService.complete(
-        challengeId,
-        challengerScore,
-        challengedScore,
-        winnerId
-      );
+  const proposeTerms = useCallback(
+    async (challengeId: string, venues: string[], timeSlots: string[]) => {
+      return ChallengeService.proposeTerms(challengeId, venues, timeSlots);
+    },
+    []
+  );
+
+  const acceptProposal = useCallback(
+    async (proposalId: string, venue: string, timeSlot: string) => {
+      return ChallengeService.acceptProposal(proposalId, venue, timeSlot);
     },
     []
   );
 
+  const submitResult = useCallback(
+    async (challengeId: string, challengerScore: number, challengedScore: number) => {
+      return ChallengeService.submitResult(challengeId, challengerScore, challengedScore);
+    },
+    []
+  );
+
+  const confirmResult = useCallback(async (challengeId: string) => {
+    return ChallengeService.confirmResult(challengeId);
+  }, []);
+
+  const disputeResult = useCallback(async (challengeId: string, reason?: string) => {
+    return ChallengeService.disputeResult(challengeId, reason);
+  }, []);
+
   const updateChallenge = useCallback(
     async (challengeId: string, updates: Partial<Challenge>) => {
       return ChallengeService.update(challengeId, updates);
@@ -267,7 +307,11 @@ export function useChallengeMutations() {
     declineChallenge,
     startMatch,
     updateScores,
-    completeMatch,
+    proposeTerms,
+    acceptProposal,
+    submitResult,
+    confirmResult,
+    disputeResult,
     updateChallenge,
     deleteChallenge,
   };
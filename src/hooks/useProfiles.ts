@@ -4,7 +4,7 @@
  */
 
 import { useCallback } from 'react';
-import { Profile } from '../types';
+import { ClaimVerification, GameType, Profile } from '../types';
 import { ProfileService } from '../lib/services/ProfileService';
 import { useOfflineData, UseOfflineDataOptions, UseOfflineDataResult } from './useOfflineData';
 import { FetchOptions } from '../lib/services/BaseService';
@@ -24,17 +24,18 @@ export function useLeaderboard(
 }
 
 /**
- * Hook to fetch profiles by ladder rank
+ * Hook to fetch profiles by ladder rank for one discipline
  */
 export function useLadderRankings(
+  gameType: GameType = '8-ball',
   options?: UseOfflineDataOptions<Profile[]>
 ): UseOfflineDataResult<Profile[]> {
   const fetcher = useCallback(
-    (fetchOptions?: FetchOptions) => ProfileService.getByLadderRank(fetchOptions),
-    []
+    (fetchOptions?: FetchOptions) => ProfileService.getByLadderRank(gameType, fetchOptions),
+    [gameType]
   );
 
-  return useOfflineData(fetcher, [], options);
+  return useOfflineData(fetcher, [gameType], options);
 }
 
 /**
@@ -146,8 +147,8 @@ export function useProfileMutations() {
     []
   );
 
-  const claimProfile = useCallback(async (profileId: string, ownerId: string) => {
-    return ProfileService.claim(profileId, ownerId);
+  const claimProfile = useCallback(async (profileId: string, verification?: ClaimVerification) => {
+    return ProfileService.claim(profileId, verification);
   }, []);
 
   const updateCooldown = useCallback(
@@ -158,8 +159,8 @@ export function useProfileMutations() {
   );
 
   const updatePushToken = useCallback(
-    async (profileId: string, token: string | null) => {
-      return ProfileService.updatePushToken(profileId, token);
+    async (token: string | null) => {
+      return ProfileService.updatePushToken(token);
     },
     []
   );
@@ -19,6 +19,7 @@ export const CACHE_CONFIG: CacheConfig = {
   profilesTTL: 10 * MINUTES, // Profiles change less frequently
   challengesTTL: 2 * MINUTES, // Challenges need to be fresh
   activitiesTTL: 5 * MINUTES, // Activity feed
+  seasonsTTL: 1 * HOURS, // Seasons and archived standings rarely change
 
   // Sync queue retry settings
   maxRetries: 5,
@@ -147,6 +147,7 @@ export interface CacheConfig {
   profilesTTL: number;
   challengesTTL: number;
   activitiesTTL: number;
+  seasonsTTL: number;
   maxRetries: number;
   retryDelayBase: number;
   cacheVersion: number;
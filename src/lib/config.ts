@@ -1,6 +1,8 @@
 export const ENV = {
     SUPABASE_URL: process.env.EXPO_PUBLIC_SUPABASE_URL || '',
     SUPABASE_ANON_KEY: process.env.EXPO_PUBLIC_SUPABASE_ANON_KEY || '',
+    // Where the web build is hosted; stream overlay links point here
+    WEB_URL: process.env.EXPO_PUBLIC_WEB_URL || '',
 };
 
 if (!ENV.SUPABASE_URL || !ENV.SUPABASE_ANON_KEY) {
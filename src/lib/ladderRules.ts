@@ -0,0 +1,104 @@
+import { LadderRuleConfig } from '../types';
+
+// Classic Top of the Capital rules: +/-5 spots, #1 challenges anyone, 24h cooldown
+export const DEFAULT_LADDER_RULES: LadderRuleConfig = {
+    spot_range: 5,
+    top_rank_challenges_anyone: true,
+    enforce_cooldown: true,
+    max_open_challenges: null,
+    rematch_days: null,
+    // Inactivity decay and rank defense are applied by the scheduler, not at challenge time
+    inactivity_days: null,
+    inactivity_drop: 3,
+    defense_top_n: null,
+    defense_days: 14,
+};
+
+export type LadderRuleCode = 'COOLDOWN' | 'SPOT_RANGE' | 'OPEN_CHALLENGE_LIMIT' | 'REMATCH_TOO_SOON';
+
+export interface RuleViolation {
+    code: LadderRuleCode;
+    message: string;
+}
+
+export interface ChallengeContext {
+    challengerRank: number;
+    targetRank: number;
+    cooldownUntil: string | null;
+    // Optional facts - rules that need them are skipped when they are unknown
+    openChallengeCount?: number;
+    lastMatchAt?: string | null;
+    now?: Date;
+}
+
+export type LadderRule = (context: ChallengeContext, config: LadderRuleConfig) => RuleViolation | null;
+
+export const cooldownRule: LadderRule = (context, config) => {
+    const now = context.now ?? new Date();
+    if (config.enforce_cooldown && context.cooldownUntil && new Date(context.cooldownUntil) > now) {
+        return { code: 'COOLDOWN', message: 'You are on a 24-hour cooldown after your last loss.' };
+    }
+    return null;
+};
+
+export const spotRangeRule: LadderRule = (context, config) => {
+    if (config.top_rank_challenges_anyone && context.challengerRank === 1) {
+        return null;
+    }
+    if (Math.abs(context.challengerRank - context.targetRank) <= config.spot_range) {
+        return null;
+    }
+    return {
+        code: 'SPOT_RANGE',
+        message: `You can only challenge players within ${config.spot_range} spots of your current rank.`,
+    };
+};
+
+export const openChallengeLimitRule: LadderRule = (context, config) => {
+    const limit = config.max_open_challenges;
+    if (limit === null || context.openChallengeCount === undefined || context.openChallengeCount < limit) {
+        return null;
+    }
+    return {
+        code: 'OPEN_CHALLENGE_LIMIT',
+        message: `You already have ${limit} open challenge${limit === 1 ? '' : 's'}. Finish one before issuing another.`,
+    };
+};
+
+export const rematchRule: LadderRule = (context, config) => {
+    if (config.rematch_days === null || !context.lastMatchAt) {
+        return null;
+    }
+    const now = context.now ?? new Date();
+    const allowedAt = new Date(context.lastMatchAt).getTime() + config.rematch_days * 24 * 60 * 60 * 1000;
+    if (allowedAt <= now.getTime()) {
+        return null;
+    }
+    return {
+        code: 'REMATCH_TOO_SOON',
+        message: `You played this opponent recently. Rematches are allowed after ${config.rematch_days} days.`,
+    };
+};
+
+// Evaluated in order; the first violation is the headline error shown in the UI.
+// Keep in sync with check_challenge_eligibility() in supabase/migrations.
+export const LADDER_RULES: LadderRule[] = [cooldownRule, spotRangeRule, openChallengeLimitRule, rematchRule];
+
+export function resolveLadderRules(overrides?: Partial<LadderRuleConfig> | null): LadderRuleConfig {
+    return { ...DEFAULT_LADDER_RULES, ...(overrides || {}) };
+}
+
+export function evaluateChallengeRules(
+    context: ChallengeContext,
+    config: LadderRuleConfig = DEFAULT_LADDER_RULES,
+    rules: LadderRule[] = LADDER_RULES
+): { eligible: boolean; error?: string; reasons: RuleViolation[] } {
+    const reasons = rules
+        .map((rule) => rule(context, config))
+        .filter((violation): violation is RuleViolation => violation !== null);
+
+    if (reasons.length === 0) {
+        return { eligible: true, reasons };
+    }
+    return { eligible: false, error: reasons[0].message, reasons };
+}
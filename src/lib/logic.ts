@@ -1,21 +1,411 @@
-export function checkChallengeEligibility(challengerRank: number, targetRank: number, cooldownUntil: string | null): { eligible: boolean; error?: string } {
-    // 1. Cooldown Check
-    if (cooldownUntil && new Date(cooldownUntil) > new Date()) {
-        return { eligible: false, error: 'You are on a 24-hour cooldown after your last loss.' };
+import { AppNotification, AuditEntry, BreakFormat, Challenge, GameType, LadderRuleConfig, LiveScore, MatchRack, RankHistoryEntry, TeamMatch } from '../types';
+import { evaluateChallengeRules } from './ladderRules';
+
+export const RESULT_CONFIRMATION_WINDOW_HOURS = 24;
+
+export const CHALLENGE_RESPONSE_DAYS = 14;
+
+export const LEAGUE_VENUES = ['Eagles 4040', 'Valley Hub'];
+
+export function checkChallengeEligibility(challengerRank: number, targetRank: number, cooldownUntil: string | null, config?: LadderRuleConfig): { eligible: boolean; error?: string } {
+    // Rank/cooldown-only check; see ladderRules.ts for the full configurable rule set
+    const { eligible, error } = evaluateChallengeRules({ challengerRank, targetRank, cooldownUntil }, config);
+    return eligible ? { eligible } : { eligible, error };
+}
+
+export interface RaceTargets {
+    challenger: number;
+    challenged: number;
+}
+
+export function getRaceTargets(challenge: Pick<Challenge, 'games_to_win' | 'challenger_race' | 'challenged_race'>): RaceTargets {
+    // Even races leave the per-player columns empty
+    return {
+        challenger: challenge.challenger_race ?? challenge.games_to_win,
+        challenged: challenge.challenged_race ?? challenge.games_to_win,
+    };
+}
+
+export function formatRace(challenge: Pick<Challenge, 'games_to_win' | 'challenger_race' | 'challenged_race'>): string {
+    const race = getRaceTargets(challenge);
+    return race.challenger === race.challenged ? `Race to ${race.challenger}` : `Race ${race.challenger}-${race.challenged}`;
+}
+
+export function determineMatchResult(race: number | RaceTargets, challengerScore: number, challengedScore: number): { complete: boolean; winner?: 'challenger' | 'challenged'; error?: string } {
+    // Mirrors the checks in the finalize_match RPC so the UI can fail fast
+    const { challenger, challenged } = typeof race === 'number' ? { challenger: race, challenged: race } : race;
+    const even = challenger === challenged;
+
+    if (challengerScore < 0 || challengedScore < 0) {
+        return { complete: false, error: 'Scores cannot be negative.' };
+    }
+
+    if (challengerScore >= challenger && challengedScore >= challenged) {
+        return { complete: false, error: even ? `Only one player can reach ${challenger} games.` : 'Only one player can finish their race.' };
+    }
+
+    if (challengerScore >= challenger) {
+        return { complete: true, winner: 'challenger' };
+    }
+
+    if (challengedScore >= challenged) {
+        return { complete: true, winner: 'challenged' };
+    }
+
+    return { complete: false, error: even ? `Someone needs to reach ${challenger} games to win.` : `Someone needs to finish their race (${challenger}-${challenged}) to win.` };
+}
+
+type RackLogEntry = Pick<MatchRack, 'rack_number' | 'winner_id' | 'breaker_id' | 'break_and_run' | 'golden_break' | 'undone_at'>;
+
+// Racks that still count, in the order they were played
+export function getActiveRacks<T extends RackLogEntry>(racks: T[]): T[] {
+    return racks.filter((rack) => !rack.undone_at).sort((a, b) => a.rack_number - b.rack_number);
+}
+
+export function getRackScore(
+    racks: RackLogEntry[],
+    challenge: Pick<Challenge, 'challenger_id' | 'challenged_id'>
+): { challenger: number; challenged: number } {
+    const active = getActiveRacks(racks);
+    return {
+        challenger: active.filter((rack) => rack.winner_id === challenge.challenger_id).length,
+        challenged: active.filter((rack) => rack.winner_id === challenge.challenged_id).length,
+    };
+}
+
+export const DEFAULT_BREAK_FORMATS: Record<GameType, BreakFormat> = {
+    '8-ball': 'winner_breaks',
+    '9-ball': 'alternate',
+    '10-ball': 'alternate',
+};
+
+export function getBreakFormat(challenge: Pick<Challenge, 'game_type' | 'break_format'>): BreakFormat {
+    return challenge.break_format ?? DEFAULT_BREAK_FORMATS[challenge.game_type];
+}
+
+// Whose break the next rack is, or null until the lag has been recorded
+export function getNextBreaker(
+    challenge: Pick<Challenge, 'challenger_id' | 'challenged_id' | 'game_type' | 'break_format' | 'lag_winner_id'>,
+    racks: RackLogEntry[]
+): string | null {
+    const active = getActiveRacks(racks);
+    const last = active[active.length - 1];
+    if (!last) return challenge.lag_winner_id ?? null;
+
+    if (getBreakFormat(challenge) === 'winner_breaks') return last.winner_id;
+
+    const other = (id: string) => id === challenge.challenger_id ? challenge.challenged_id : challenge.challenger_id;
+    if (last.breaker_id) return other(last.breaker_id);
+    // Breakers weren't tracked; count alternating breaks from the lag
+    if (!challenge.lag_winner_id) return null;
+    return active.length % 2 === 0 ? challenge.lag_winner_id : other(challenge.lag_winner_id);
+}
+
+// Realtime events can arrive out of order; only a newer version replaces what we show
+export function isNewerLiveScore(current: Pick<LiveScore, 'version'> | null, incoming: Pick<LiveScore, 'version'>): boolean {
+    return !current || incoming.version > current.version;
+}
+
+// Stream overlay pages live at <web app>/overlay/<share token>
+export function buildOverlayUrl(baseUrl: string, token: string): string {
+    return `${baseUrl.replace(/\/+$/, '')}/overlay/${token}`;
+}
+
+export function getOverlayToken(pathname: string): string | null {
+    const match = pathname.match(/^\/overlay\/([0-9a-f]{32})\/?$/i);
+    return match ? match[1] : null;
+}
+
+// Reads a quiet-hours time typed as '22:00', '7:30', '7' or '10pm'; returns 'HH:MM'
+export function parseClockTime(input: string): string | null {
+    const match = input.trim().toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+    if (!match) return null;
+    let hours = Number(match[1]);
+    const minutes = Number(match[2] ?? 0);
+    const meridiem = match[3];
+    if (minutes > 59) return null;
+    if (meridiem) {
+        if (hours < 1 || hours > 12) return null;
+        hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+    } else if (hours > 23) {
+        return null;
+    }
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+// Same rule as wants_push() in the database: the start is quiet, the end is
+// not, and a window whose start is after its end runs overnight
+export function isInQuietHours(start: string | null, end: string | null, localTime: string): boolean {
+    if (!start || !end) return false;
+    const [from, to, now] = [start, end, localTime].map((time) => time.slice(0, 5));
+    if (from === to) return false;
+    return from < to ? now >= from && now < to : now >= from || now < to;
+}
+
+// 'HH:MM' on the wall clock in the given IANA timezone
+export function getClockTimeIn(date: Date, timeZone: string): string {
+    return date.toLocaleTimeString('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+}
+
+export type NotificationLink =
+    | { tab: 'Inbox'; challengeId: string }
+    | { tab: 'Feed'; activityId: string }
+    | { tab: 'Profile'; profileId: string }
+    | { tab: 'Arena' };
+
+// Where tapping a notification goes: live matches to the Arena, other
+// challenges to the Inbox, comments to their activity in the Feed and rank
+// news to the player's profile
+export function getNotificationLink(notification: Pick<AppNotification, 'type' | 'challenge_id' | 'activity_id' | 'link_profile_id'>): NotificationLink | null {
+    if (notification.challenge_id) {
+        return notification.type === 'LIVE_MATCH'
+            ? { tab: 'Arena' }
+            : { tab: 'Inbox', challengeId: notification.challenge_id };
+    }
+    if (notification.activity_id) return { tab: 'Feed', activityId: notification.activity_id };
+    if (notification.link_profile_id) return { tab: 'Profile', profileId: notification.link_profile_id };
+    return null;
+}
+
+export interface RackStats {
+    racksWon: number;
+    racksLost: number;
+    // Racks this player broke
+    breaks: number;
+    racksWonOnBreak: number;
+    breakAndRuns: number;
+    goldenBreaks: number;
+}
+
+export function getRackStats(racks: RackLogEntry[], profileId: string): RackStats {
+    const stats: RackStats = { racksWon: 0, racksLost: 0, breaks: 0, racksWonOnBreak: 0, breakAndRuns: 0, goldenBreaks: 0 };
+    for (const rack of getActiveRacks(racks)) {
+        const won = rack.winner_id === profileId;
+        if (won) stats.racksWon++;
+        else stats.racksLost++;
+        if (rack.breaker_id !== profileId) continue;
+        stats.breaks++;
+        if (won) stats.racksWonOnBreak++;
+        if (won && rack.break_and_run) stats.breakAndRuns++;
+        if (won && rack.golden_break) stats.goldenBreaks++;
+    }
+    return stats;
+}
+
+// Percentages for the break stats, rounded; 0 when the player hasn't broken yet
+export function getBreakRates(stats: Pick<RackStats, 'breaks' | 'racksWonOnBreak' | 'breakAndRuns'>): { wonOnBreak: number; breakAndRun: number } {
+    if (stats.breaks === 0) return { wonOnBreak: 0, breakAndRun: 0 };
+    return {
+        wonOnBreak: Math.round((stats.racksWonOnBreak / stats.breaks) * 100),
+        breakAndRun: Math.round((stats.breakAndRuns / stats.breaks) * 100),
+    };
+}
+
+export type ResultConfirmationState = 'none' | 'awaiting_opponent' | 'needs_my_confirmation' | 'disputed';
+
+// Results can only be reported once the challenge has been accepted
+export function canReportResult(challenge: Pick<Challenge, 'status'>): boolean {
+    return challenge.status === 'scheduled' || challenge.status === 'live';
+}
+
+export function getResultConfirmationState(challenge: Pick<Challenge, 'status' | 'reported_by' | 'challenger_id' | 'challenged_id'>, profileId: string | null): ResultConfirmationState {
+    if (challenge.status === 'disputed') {
+        return 'disputed';
+    }
+
+    // Nothing reported yet, never accepted, or already settled
+    if (!challenge.reported_by || !canReportResult(challenge)) {
+        return 'none';
     }
 
-    // 2. #1 Rule - Top player can challenge anyone
-    if (challengerRank === 1) {
-        return { eligible: true };
+    if (challenge.reported_by === profileId) {
+        return 'awaiting_opponent';
     }
 
-    // 3. Plus/Minus 5 Rule
-    const diff = Math.abs(challengerRank - targetRank);
-    if (diff <= 5) {
-        return { eligible: true };
+    const isParticipant = profileId === challenge.challenger_id || profileId === challenge.challenged_id;
+    return isParticipant ? 'needs_my_confirmation' : 'none';
+}
+
+export function getResultAutoConfirmTime(reportedAt: string): Date {
+    return new Date(new Date(reportedAt).getTime() + RESULT_CONFIRMATION_WINDOW_HOURS * 60 * 60 * 1000);
+}
+
+export type NegotiationTurn = 'mine' | 'theirs' | 'closed';
+
+export function getNegotiationTurn(challenge: Pick<Challenge, 'status' | 'last_proposed_by' | 'challenger_id' | 'challenged_id'>, profileId: string | null): NegotiationTurn {
+    if (challenge.status !== 'pending' && challenge.status !== 'negotiating') {
+        return 'closed';
+    }
+
+    if (profileId !== challenge.challenger_id && profileId !== challenge.challenged_id) {
+        return 'closed';
+    }
+
+    // The challenged player picks venue/time first
+    if (!challenge.last_proposed_by) {
+        return profileId === challenge.challenged_id ? 'mine' : 'theirs';
+    }
+
+    return challenge.last_proposed_by === profileId ? 'theirs' : 'mine';
+}
+
+export function getPlayerOwingResponse(challenge: Pick<Challenge, 'status' | 'last_proposed_by' | 'challenger_id' | 'challenged_id'>): string | null {
+    if (challenge.status !== 'pending' && challenge.status !== 'negotiating') {
+        return null;
+    }
+
+    // Challenged player responds first, then turns alternate
+    if (!challenge.last_proposed_by || challenge.last_proposed_by === challenge.challenger_id) {
+        return challenge.challenged_id;
+    }
+    return challenge.challenger_id;
+}
+
+export function getDeadlineForfeit(challenge: Pick<Challenge, 'status' | 'last_proposed_by' | 'challenger_id' | 'challenged_id' | 'deadline'>, now: Date = new Date()): { winnerId: string; loserId: string } | null {
+    // Mirrors enforce_challenge_deadlines() run by the scheduler
+    const loserId = getPlayerOwingResponse(challenge);
+    if (!loserId || !challenge.deadline || new Date(challenge.deadline) >= now) {
+        return null;
+    }
+
+    const winnerId = loserId === challenge.challenger_id ? challenge.challenged_id : challenge.challenger_id;
+    return { winnerId, loserId };
+}
+
+export function suggestTimeSlots(from: Date, days: number = 7, hour: number = 19): string[] {
+    // One evening slot per day, starting tomorrow
+    const slots: string[] = [];
+    for (let i = 1; i <= days; i++) {
+        const slot = new Date(from);
+        slot.setDate(slot.getDate() + i);
+        slot.setHours(hour, 0, 0, 0);
+        slots.push(slot.toISOString());
+    }
+    return slots;
+}
+
+export interface RankMover {
+    profileId: string;
+    fullName: string;
+    fromRank: number;
+    toRank: number;
+    // Positive = climbed the ladder
+    spots: number;
+}
+
+export function getBiggestMovers(
+    changes: Pick<RankHistoryEntry, 'profile_id' | 'rank_before' | 'rank_after' | 'created_at' | 'profile'>[],
+    limit: number = 5
+): RankMover[] {
+    // Net movement per player: rank before their first change vs after their last
+    const movers = new Map<string, RankMover>();
+    const ordered = [...changes].sort((a, b) => a.created_at.localeCompare(b.created_at));
+    for (const change of ordered) {
+        const existing = movers.get(change.profile_id);
+        if (existing) {
+            existing.toRank = change.rank_after;
+        } else if (change.rank_before !== null) {
+            movers.set(change.profile_id, {
+                profileId: change.profile_id,
+                fullName: change.profile?.full_name ?? 'Unknown',
+                fromRank: change.rank_before,
+                toRank: change.rank_after,
+                spots: 0,
+            });
+        }
+    }
+
+    return [...movers.values()]
+        .map((mover) => ({ ...mover, spots: mover.fromRank - mover.toRank }))
+        .filter((mover) => mover.spots !== 0)
+        .sort((a, b) => Math.abs(b.spots) - Math.abs(a.spots) || b.spots - a.spots)
+        .slice(0, limit);
+}
+
+export interface AuditChange {
+    column: string;
+    before: unknown;
+    after: unknown;
+}
+
+export function getAuditChanges(entry: Pick<AuditEntry, 'changed_columns' | 'old_values' | 'new_values'>): AuditChange[] {
+    return entry.changed_columns.map((column) => ({
+        column,
+        before: entry.old_values?.[column] ?? null,
+        after: entry.new_values?.[column] ?? null,
+    }));
+}
+
+export function formatAuditValue(value: unknown): string {
+    if (value === null || value === undefined) return '—';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+export interface TeamStanding {
+    teamId: string;
+    played: number;
+    wins: number;
+    losses: number;
+    draws: number;
+    // Individual games won and lost across every team match
+    gamesWon: number;
+    gamesLost: number;
+    rackDifference: number;
+}
+
+// Built from the individual games, the same way score_team_match() counts
+// them: each game won is a point for the player's team, and the home player
+// is always the challenger. Ordered by team match wins, then individual
+// games won, then rack difference.
+export function getTeamStandings(
+    teamIds: string[],
+    matches: Pick<TeamMatch, 'home_team_id' | 'away_team_id' | 'status' | 'games'>[]
+): TeamStanding[] {
+    const table = new Map<string, TeamStanding>(teamIds.map((teamId) => [
+        teamId,
+        { teamId, played: 0, wins: 0, losses: 0, draws: 0, gamesWon: 0, gamesLost: 0, rackDifference: 0 },
+    ]));
+
+    for (const match of matches) {
+        const home = table.get(match.home_team_id);
+        const away = table.get(match.away_team_id);
+        if (!home || !away || match.status === 'cancelled') continue;
+
+        let homePoints = 0;
+        let awayPoints = 0;
+        for (const game of match.games ?? []) {
+            if ((game.status !== 'completed' && game.status !== 'forfeited') || !game.winner_id) continue;
+            if (game.winner_id === game.challenger_id) homePoints++;
+            else awayPoints++;
+            const racks = (game.challenger_score ?? 0) - (game.challenged_score ?? 0);
+            home.rackDifference += racks;
+            away.rackDifference -= racks;
+        }
+        home.gamesWon += homePoints;
+        home.gamesLost += awayPoints;
+        away.gamesWon += awayPoints;
+        away.gamesLost += homePoints;
+
+        if (match.status !== 'completed') continue;
+        home.played++;
+        away.played++;
+        if (homePoints > awayPoints) {
+            home.wins++;
+            away.losses++;
+        } else if (awayPoints > homePoints) {
+            away.wins++;
+            home.losses++;
+        } else {
+            home.draws++;
+            away.draws++;
+        }
     }
 
-    return { eligible: false, error: 'You can only challenge players within 5 spots of your current rank.' };
+    return [...table.values()].sort((a, b) =>
+        b.wins - a.wins
+        || b.gamesWon - a.gamesWon
+        || b.rackDifference - a.rackDifference);
 }
 
 export function calculateEngagementPoints(action: 'challenge' | 'play' | 'win'): number {
@@ -2,6 +2,7 @@ import * as Notifications from 'expo-notifications';
 import * as Device from 'expo-device';
 import Constants from 'expo-constants';
 import { Platform } from 'react-native';
+import { supabase } from './supabase';
 
 export async function registerForPushNotificationsAsync() {
     let token;
@@ -35,22 +36,14 @@ export async function registerForPushNotificationsAsync() {
     return token;
 }
 
-export async function sendPushNotification(expoPushToken: string, title: string, body: string, data: any = {}) {
-    const message = {
-        to: expoPushToken,
-        sound: 'default',
-        title: title,
-        body: body,
-        data: data,
-    };
+export type PushFanoutKind = 'new_challenge' | 'challenge_accepted' | 'live_match' | 'comment';
 
-    await fetch('https://exp.host/--/api/v2/push/send', {
-        method: 'POST',
-        headers: {
-            Accept: 'application/json',
-            'Accept-encoding': 'gzip, deflate',
-            'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(message),
+// Pushes are sent by the send-push edge function, which looks up who should
+// hear about it (honoring their preferences); tokens are never read by the app.
+// targetId is the challenge, or the comment for 'comment'.
+export async function requestPushFanout(kind: PushFanoutKind, targetId: string) {
+    const { error } = await supabase.functions.invoke('send-push', {
+        body: { kind, target_id: targetId },
     });
+    return { error };
 }
@@ -0,0 +1,92 @@
+// Fargo-style game-level ratings. Mirrors apply_match_ratings() in
+// supabase/migrations/20260116000000_fargo_ratings.sql, which is what
+// actually moves ratings when a match is finalized.
+
+// A 100 point gap means the stronger player wins 2 games for every 1
+export const FARGO_SCALE = 100;
+
+// Rating points per game of "surprise" for established and brand-new players
+export const ESTABLISHED_RATING_WEIGHT = 2;
+export const PROVISIONAL_RATING_WEIGHT = 8;
+
+// Games played before a rating counts as fully established
+export const ESTABLISHED_ROBUSTNESS = 200;
+
+export interface RatedPlayer {
+    rating: number;
+    robustness: number;
+}
+
+export function gameWinProbability(rating: number, opponentRating: number): number {
+    return 1 / (1 + Math.pow(2, (opponentRating - rating) / FARGO_SCALE));
+}
+
+export function ratingWeight(robustness: number): number {
+    // New players move quickly, then settle as they log games
+    const provisional = Math.max(0, 1 - robustness / ESTABLISHED_ROBUSTNESS);
+    return ESTABLISHED_RATING_WEIGHT + (PROVISIONAL_RATING_WEIGHT - ESTABLISHED_RATING_WEIGHT) * provisional;
+}
+
+export function calculateRatingChange(
+    challenger: RatedPlayer,
+    challenged: RatedPlayer,
+    challengerScore: number,
+    challengedScore: number
+): { challengerDelta: number; challengedDelta: number } {
+    const games = challengerScore + challengedScore;
+    if (games <= 0) {
+        return { challengerDelta: 0, challengedDelta: 0 };
+    }
+
+    // Games won above (or below) what the rating gap predicted
+    const expected = games * gameWinProbability(challenger.rating, challenged.rating);
+    const surprise = challengerScore - expected;
+
+    return {
+        challengerDelta: Math.round(ratingWeight(challenger.robustness) * surprise),
+        challengedDelta: Math.round(-ratingWeight(challenged.robustness) * surprise),
+    };
+}
+
+export function matchWinProbability(gameWinProb: number, race: number, opponentRace: number): number {
+    // Chance of winning `race` games before the opponent wins `opponentRace`
+    let total = 0;
+    let ways = 1;
+    for (let losses = 0; losses < opponentRace; losses++) {
+        if (losses > 0) {
+            ways = (ways * (race - 1 + losses)) / losses;
+        }
+        total += ways * Math.pow(gameWinProb, race) * Math.pow(1 - gameWinProb, losses);
+    }
+    return total;
+}
+
+export function suggestHandicapRace(
+    challengerRating: number,
+    challengedRating: number,
+    longRace: number
+): { challengerRace: number; challengedRace: number } {
+    // Race chart: the stronger player goes to longRace and the weaker player's
+    // race is shortened until the match is as close to 50/50 as possible
+    // (create_challenge enforces the same chart via handicap_short_race())
+    const challengerStronger = challengerRating >= challengedRating;
+    const strongProb = gameWinProbability(
+        challengerStronger ? challengerRating : challengedRating,
+        challengerStronger ? challengedRating : challengerRating
+    );
+
+    let shortRace = longRace;
+    let bestGap = Math.abs(matchWinProbability(strongProb, longRace, longRace) - 0.5);
+    for (let race = longRace - 1; race >= 1; race--) {
+        const gap = Math.abs(matchWinProbability(strongProb, longRace, race) - 0.5);
+        if (gap >= bestGap) {
+            break;
+        }
+        shortRace = race;
+        bestGap = gap;
+    }
+
+    return challengerStronger
+        ? { challengerRace: longRace, challengedRace: shortRace }
+        : { challengerRace: shortRace, challengedRace: longRace };
+}
@@ -4,7 +4,7 @@
  */
 
 import { supabase } from '../supabase';
-import { Activity } from '../../types';
+import { Activity, GameType, RankChangeReason } from '../../types';
 import { cacheManager } from '../cache/CacheManager';
 import { syncService } from '../cache/SyncService';
 import { CACHE_CONFIG } from '../cache/constants';
@@ -195,19 +195,24 @@ class ActivityServiceImpl extends BaseService<Activity> {
   }
 
   /**
-   * Record a rank change activity
+   * Record a rank change activity.
+   * apply_inactivity_decay() logs the same shape server-side.
    */
   async recordRankChange(
     userId: string,
     previousRank: number,
-    newRank: number
+    newRank: number,
+    gameType?: GameType,
+    reason?: RankChangeReason
   ): Promise<ServiceResult<Activity>> {
     return this.create({
       user_id: userId,
-      action_type: 'rank_changed',
+      action_type: 'RANK_CHANGE',
       metadata: {
         previous_rank: previousRank,
         new_rank: newRank,
+        ...(gameType && { game_type: gameType }),
+        ...(reason && { reason }),
       },
     });
   }
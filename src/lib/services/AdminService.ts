@@ -0,0 +1,286 @@
+/**
+ * AdminService - League officer tools
+ * Every mutation is an admin_* RPC that checks the caller is an officer,
+ * requires a reason, and returns the admin_actions entry it recorded.
+ */
+
+import { supabase } from '../supabase';
+import { AdminAction, AuditEntry, Challenge, ClaimRequest, GameType } from '../../types';
+import { cacheManager } from '../cache/CacheManager';
+import { CACHE_CONFIG } from '../cache/constants';
+import { BaseService, FetchOptions, ServiceResult } from './BaseService';
+
+const ADMIN_ACTION_SELECT = `
+  *,
+  officer:profiles!admin_actions_officer_id_fkey(id, full_name),
+  target_profile:profiles!admin_actions_target_profile_id_fkey(id, full_name)
+`;
+
+/**
+ * AdminService handles officer checks, the review queue and admin actions
+ */
+class AdminServiceImpl extends BaseService<AdminAction> {
+  protected cachePrefix = 'admin';
+  protected defaultTTL = CACHE_CONFIG.defaultTTL;
+
+  /**
+   * Whether the signed-in player is a league officer
+   */
+  async isOfficer(options?: FetchOptions): Promise<ServiceResult<boolean>> {
+    return this.fetchWithCache<boolean>(
+      this.getCacheKey('is-officer'),
+      async () => {
+        const { data, error } = await supabase.rpc('is_league_officer');
+        return { data: error ? null : Boolean(data), error };
+      },
+      options
+    );
+  }
+
+  /**
+   * Get the most recent admin actions (newest first)
+   */
+  async getRecentActions(limit: number = 30, options?: FetchOptions): Promise<ServiceResult<AdminAction[]>> {
+    const cacheKey = this.getListCacheKey(`actions/${limit}`);
+
+    return this.fetchWithCache<AdminAction[]>(
+      cacheKey,
+      async () => {
+        const { data, error } = await supabase
+          .from('admin_actions')
+          .select(ADMIN_ACTION_SELECT)
+          .order('created_at', { ascending: false })
+          .limit(limit);
+        return { data, error };
+      },
+      options
+    );
+  }
+
+  /**
+   * Get disputed matches first, then recently finished ones, for review
+   */
+  async getReviewQueue(limit: number = 30, options?: FetchOptions): Promise<ServiceResult<Challenge[]>> {
+    const cacheKey = this.getListCacheKey(`review/${limit}`);
+
+    return this.fetchWithCache<Challenge[]>(
+      cacheKey,
+      async () => {
+        const { data, error } = await supabase
+          .from('challenges')
+          .select(`
+            *,
+            challenger:profiles!challenges_challenger_id_fkey(*),
+            challenged:profiles!challenges_challenged_id_fkey(*)
+          `)
+          .in('status', ['disputed', 'completed', 'forfeited'])
+          .order('updated_at', { ascending: false })
+          .limit(limit);
+        if (error) {
+          return { data: null, error };
+        }
+        const disputed = (data || []).filter((c) => c.status === 'disputed');
+        const rest = (data || []).filter((c) => c.status !== 'disputed');
+        return { data: [...disputed, ...rest], error: null };
+      },
+      options
+    );
+  }
+
+  /**
+   * Get pending profile claims, oldest first
+   */
+  async getClaimQueue(options?: FetchOptions): Promise<ServiceResult<ClaimRequest[]>> {
+    const cacheKey = this.getListCacheKey('claims');
+
+    return this.fetchWithCache<ClaimRequest[]>(
+      cacheKey,
+      async () => {
+        const { data, error } = await supabase
+          .from('claim_requests')
+          .select('*, profile:profiles!claim_requests_profile_id_fkey(*)')
+          .eq('status', 'pending')
+          .order('created_at', { ascending: true });
+        return { data, error };
+      },
+      options
+    );
+  }
+
+  /**
+   * Get the audit trail for a player: profile changes plus their position on one ladder (newest first)
+   */
+  async getPlayerAuditTrail(
+    profileId: string,
+    gameType: GameType = '8-ball',
+    limit: number = 30,
+    options?: FetchOptions
+  ): Promise<ServiceResult<AuditEntry[]>> {
+    const cacheKey = this.getListCacheKey(`audit/${profileId}/${gameType}/${limit}`);
+
+    return this.fetchWithCache<AuditEntry[]>(
+      cacheKey,
+      async () => {
+        const { data, error } = await supabase
+          .from('audit_log')
+          .select('*')
+          .eq('row_id', profileId)
+          .in('table_name', ['profiles', 'ladder_positions'])
+          .or(`game_type.is.null,game_type.eq.${gameType}`)
+          .order('id', { ascending: false })
+          .limit(limit);
+        return { data, error };
+      },
+      options
+    );
+  }
+
+  /**
+   * Get every recorded change to one challenge (oldest first)
+   */
+  async getChallengeAuditTrail(challengeId: string, options?: FetchOptions): Promise<ServiceResult<AuditEntry[]>> {
+    const cacheKey = this.getListCacheKey(`audit/challenge/${challengeId}`);
+
+    return this.fetchWithCache<AuditEntry[]>(
+      cacheKey,
+      async () => {
+        const { data, error } = await supabase
+          .from('audit_log')
+          .select('*')
+          .eq('table_name', 'challenges')
+          .eq('row_id', challengeId)
+          .order('id', { ascending: true });
+        return { data, error };
+      },
+      options
+    );
+  }
+
+  /**
+   * Rebuild a player's rank on one ladder at a point in time from the audit log
+   */
+  async getRankAsOf(profileId: string, gameType: GameType, at: Date): Promise<ServiceResult<number | null>> {
+    const { data, error } = await supabase.rpc('ladder_rank_as_of', {
+      p_profile_id: profileId,
+      p_game_type: gameType,
+      p_at: at.toISOString(),
+    });
+
+    if (error) {
+      return {
+        data: null,
+        error: new Error(error.message),
+        fromCache: false,
+        isStale: false,
+      };
+    }
+
+    return {
+      data: data as number | null,
+      error: null,
+      fromCache: false,
+      isStale: false,
+    };
+  }
+
+  /**
+   * Move a player to a rank on one ladder
+   */
+  async setRank(profileId: string, gameType: GameType, rank: number, reason: string): Promise<ServiceResult<AdminAction>> {
+    return this.runAction('admin_set_rank', {
+      p_profile_id: profileId,
+      p_game_type: gameType,
+      p_rank: rank,
+      p_reason: reason,
+    });
+  }
+
+  /**
+   * Void a match; a completed one has its rank and rating changes undone
+   */
+  async voidMatch(challengeId: string, reason: string): Promise<ServiceResult<AdminAction>> {
+    return this.runAction('admin_void_match', { p_challenge_id: challengeId, p_reason: reason });
+  }
+
+  /**
+   * Set the final score: resolves a dispute or corrects/overturns a result
+   */
+  async setMatchResult(
+    challengeId: string,
+    challengerScore: number,
+    challengedScore: number,
+    reason: string
+  ): Promise<ServiceResult<AdminAction>> {
+    return this.runAction('admin_set_match_result', {
+      p_challenge_id: challengeId,
+      p_challenger_score: challengerScore,
+      p_challenged_score: challengedScore,
+      p_reason: reason,
+    });
+  }
+
+  /**
+   * Lift a player's post-loss cooldown
+   */
+  async clearCooldown(profileId: string, reason: string): Promise<ServiceResult<AdminAction>> {
+    return this.runAction('admin_clear_cooldown', { p_profile_id: profileId, p_reason: reason });
+  }
+
+  /**
+   * Unlink a profile from the account that claimed it
+   */
+  async releaseClaim(profileId: string, reason: string): Promise<ServiceResult<AdminAction>> {
+    return this.runAction('admin_release_claim', { p_profile_id: profileId, p_reason: reason });
+  }
+
+  /**
+   * Issue a single-use code a player can enter to claim their profile
+   */
+  async issueClaimCode(profileId: string, reason: string): Promise<ServiceResult<AdminAction>> {
+    return this.runAction('admin_issue_claim_code', { p_profile_id: profileId, p_reason: reason });
+  }
+
+  /**
+   * Approve or reject a pending profile claim
+   */
+  async decideClaim(requestId: string, approve: boolean, reason: string): Promise<ServiceResult<AdminAction>> {
+    return this.runAction('admin_decide_claim', {
+      p_request_id: requestId,
+      p_approve: approve,
+      p_reason: reason,
+    });
+  }
+
+  /**
+   * Fold a duplicate profile into the one being kept
+   */
+  async mergeProfiles(keepId: string, duplicateId: string, reason: string): Promise<ServiceResult<AdminAction>> {
+    return this.runAction('admin_merge_profiles', {
+      p_keep_id: keepId,
+      p_duplicate_id: duplicateId,
+      p_reason: reason,
+    });
+  }
+
+  /**
+   * Run an admin RPC, then drop cached ladders and challenges it may have changed
+   */
+  private async runAction(fn: string, params: Record<string, any>): Promise<ServiceResult<AdminAction>> {
+    const result = await this.mutateOnServer(async () => {
+      const { data, error } = await supabase
+        .rpc(fn, params)
+        .select(ADMIN_ACTION_SELECT)
+        .single();
+      return { data: data as AdminAction | null, error };
+    });
+
+    if (!result.error) {
+      await cacheManager.clearByPattern('profiles/');
+      await cacheManager.clearByPattern('challenges/');
+    }
+    return result;
+  }
+}
+
+// Export singleton instance
+export const AdminService = new AdminServiceImpl();
@@ -25,10 +25,21 @@ export interface ServiceResult<T> {
  * Extended by specific data services (Profile, Challenge, etc.)
  */
 export abstract class BaseService<T> {
-  protected abstract table: SyncTable;
+  // Table offline writes are queued against; null for read-only and RPC-only services
+  protected table: SyncTable | null = null;
   protected abstract cachePrefix: string;
   protected abstract defaultTTL: number;
 
+  /**
+   * Table to queue a sync operation against
+   */
+  private getSyncTable(): SyncTable {
+    if (!this.table) {
+      throw new Error(`${this.cachePrefix} does not sync through the offline queue`);
+    }
+    return this.table;
+  }
+
   /**
    * Get cache key for an item
    */
@@ -135,7 +146,7 @@ export abstract class BaseService<T> {
 
     // Queue the operation for sync
     await syncService.queueOperation(
-      this.table,
+      this.getSyncTable(),
       'update',
       { id, ...data },
       { immediate: true }
@@ -188,7 +199,7 @@ export abstract class BaseService<T> {
     inserter: () => Promise<{ data: T | null; error: any }>
   ): Promise<ServiceResult<T>> {
     // Queue the operation
-    await syncService.queueOperation(this.table, 'insert', data as Record<string, any>, {
+    await syncService.queueOperation(this.getSyncTable(), 'insert', data as Record<string, any>, {
       immediate: true,
     });
 
@@ -230,6 +241,50 @@ export abstract class BaseService<T> {
     }
   }
 
+  /**
+   * Server-authoritative mutation (RPC) with cache refresh.
+   * Not queued for offline sync - these must be validated by the server.
+   */
+  protected async mutateOnServer(
+    mutator: () => Promise<{ data: T | null; error: any }>
+  ): Promise<ServiceResult<T>> {
+    try {
+      const { data, error } = await mutator();
+
+      if (error) {
+        return {
+          data: null,
+          error: new Error(error.message),
+          fromCache: false,
+          isStale: false,
+        };
+      }
+
+      // Cache the server's copy
+      if (data && (data as any).id) {
+        const cacheKey = this.getCacheKey((data as any).id);
+        await cacheManager.set(cacheKey, data, this.defaultTTL);
+      }
+
+      // Invalidate list caches
+      await cacheManager.clearByPattern(`${this.cachePrefix}/list`);
+
+      return {
+        data,
+        error: null,
+        fromCache: false,
+        isStale: false,
+      };
+    } catch (error: any) {
+      return {
+        data: null,
+        error: error,
+        fromCache: false,
+        isStale: false,
+      };
+    }
+  }
+
   /**
    * Delete with cache invalidation
    */
@@ -243,7 +298,7 @@ export abstract class BaseService<T> {
     await cacheManager.remove(cacheKey);
 
     // Queue the operation
-    await syncService.queueOperation(this.table, 'delete', { id }, { immediate: true });
+    await syncService.queueOperation(this.getSyncTable(), 'delete', { id }, { immediate: true });
 
     try {
       const { error } = await deleter();
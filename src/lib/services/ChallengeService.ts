@@ -4,22 +4,25 @@
  */
 
 import { supabase } from '../supabase';
-import { Challenge, ChallengeStatus, GameType } from '../../types';
+import { BreakFormat, Challenge, ChallengeProposal, ChallengeStatus, GameType, LadderRuleConfig, LiveScore, MatchOverlay, MatchRack } from '../../types';
+import { resolveLadderRules } from '../ladderRules';
 import { cacheManager } from '../cache/CacheManager';
+import { StreamLink } from '../streams';
 import { syncService } from '../cache/SyncService';
 import { CACHE_CONFIG } from '../cache/constants';
 import { BaseService, FetchOptions, ServiceResult } from './BaseService';
 
 /**
  * Input type for creating a new challenge
+ * The challenger is the signed-in player; venue/time are negotiated afterwards.
  */
 export interface CreateChallengeInput {
-  challenger_id: string;
   challenged_id: string;
   game_type: GameType;
   games_to_win: number;
-  venue?: string;
-  proposed_time?: string;
+  // Optional handicap; games_to_win must be the longer of the two races
+  challenger_race?: number;
+  challenged_race?: number;
 }
 
 /**
@@ -199,17 +202,56 @@ class ChallengeServiceImpl extends BaseService<Challenge> {
   }
 
   /**
-   * Create a new challenge
+   * Get open (pending/negotiating/scheduled/live) challenge count for a user
+   */
+  async getOpenCount(profileId: string, options?: FetchOptions): Promise<ServiceResult<number>> {
+    const cacheKey = `@totc/cache/challenges/count/open/${profileId}`;
+
+    return this.fetchWithCache<number>(
+      cacheKey,
+      async () => {
+        const { count, error } = await supabase
+          .from('challenges')
+          .select('*', { count: 'exact', head: true })
+          .or(`challenger_id.eq.${profileId},challenged_id.eq.${profileId}`)
+          .in('status', ['pending', 'negotiating', 'scheduled', 'live']);
+        return { data: count ?? 0, error };
+      },
+      options
+    );
+  }
+
+  /**
+   * Get the active league/season ladder rules, merged over the defaults
+   */
+  async getLadderRules(options?: FetchOptions): Promise<ServiceResult<LadderRuleConfig>> {
+    const cacheKey = `@totc/cache/challenges/rules`;
+
+    return this.fetchWithCache<LadderRuleConfig>(
+      cacheKey,
+      async () => {
+        const { data, error } = await supabase.rpc('get_ladder_rules');
+        return { data: error ? null : resolveLadderRules(data as Partial<LadderRuleConfig> | null), error };
+      },
+      options
+    );
+  }
+
+  /**
+   * Create a new challenge.
+   * Eligibility (ranks, cooldown, season rules, duplicates) is re-checked
+   * server-side by the create_challenge RPC; its errors surface as-is.
    */
   async create(input: CreateChallengeInput): Promise<ServiceResult<Challenge>> {
-    return this.insertWithCache(
-      { ...input, status: 'pending' as ChallengeStatus },
+    return this.mutateOnServer(
       async () => {
         const { data, error } = await supabase
-          .from('challenges')
-          .insert({
-            ...input,
-            status: 'pending',
+          .rpc('create_challenge', {
+            p_challenged_id: input.challenged_id,
+            p_game_type: input.game_type,
+            p_games_to_win: input.games_to_win,
+            p_challenger_race: input.challenger_race ?? null,
+            p_challenged_race: input.challenged_race ?? null,
           })
           .select(`
             *,
@@ -217,7 +259,7 @@ class ChallengeServiceImpl extends BaseService<Challenge> {
             challenged:profiles!challenges_challenged_id_fkey(*)
           `)
           .single();
-        return { data, error };
+        return { data: data as Challenge | null, error };
       }
     );
   }
@@ -253,10 +295,22 @@ class ChallengeServiceImpl extends BaseService<Challenge> {
   }
 
   /**
-   * Decline a challenge
+   * Decline a challenge that is still pending or being negotiated
    */
   async decline(id: string): Promise<ServiceResult<Challenge>> {
-    return this.updateStatus(id, 'forfeited');
+    return this.mutateOnServer(
+      async () => {
+        const { data, error } = await supabase
+          .rpc('decline_challenge', { p_challenge_id: id })
+          .select(`
+            *,
+            challenger:profiles!challenges_challenger_id_fkey(*),
+            challenged:profiles!challenges_challenged_id_fkey(*)
+          `)
+          .single();
+        return { data: data as Challenge | null, error };
+      }
+    );
   }
 
   /**
@@ -297,43 +351,336 @@ class ChallengeServiceImpl extends BaseService<Challenge> {
   }
 
   /**
-   * Complete a match with final scores and winner
+   * Get the negotiation thread for a challenge (oldest first)
    */
-  async complete(
+  async getProposals(challengeId: string, options?: FetchOptions): Promise<ServiceResult<ChallengeProposal[]>> {
+    const cacheKey = this.getListCacheKey(`proposals/${challengeId}`);
+
+    return this.fetchWithCache<ChallengeProposal[]>(
+      cacheKey,
+      async () => {
+        const { data, error } = await supabase
+          .from('challenge_proposals')
+          .select(`
+            *,
+            proposer:profiles!challenge_proposals_proposed_by_fkey(full_name)
+          `)
+          .eq('challenge_id', challengeId)
+          .order('created_at', { ascending: true });
+        return { data, error };
+      },
+      options
+    );
+  }
+
+  /**
+   * Propose (or counter with) venues and time slots
+   */
+  async proposeTerms(
+    challengeId: string,
+    venues: string[],
+    timeSlots: string[]
+  ): Promise<ServiceResult<Challenge>> {
+    return this.mutateOnServer(
+      async () => {
+        const { data, error } = await supabase
+          .rpc('propose_challenge_terms', {
+            p_challenge_id: challengeId,
+            p_venues: venues,
+            p_time_slots: timeSlots,
+          })
+          .select(`
+            *,
+            challenger:profiles!challenges_challenger_id_fkey(*),
+            challenged:profiles!challenges_challenged_id_fkey(*)
+          `)
+          .single();
+        return { data: data as Challenge | null, error };
+      }
+    );
+  }
+
+  /**
+   * Accept one venue and time slot from the opponent's latest proposal
+   */
+  async acceptProposal(
+    proposalId: string,
+    venue: string,
+    timeSlot: string
+  ): Promise<ServiceResult<Challenge>> {
+    return this.mutateOnServer(
+      async () => {
+        const { data, error } = await supabase
+          .rpc('accept_challenge_proposal', {
+            p_proposal_id: proposalId,
+            p_venue: venue,
+            p_time: timeSlot,
+          })
+          .select(`
+            *,
+            challenger:profiles!challenges_challenger_id_fkey(*),
+            challenged:profiles!challenges_challenged_id_fkey(*)
+          `)
+          .single();
+        return { data: data as Challenge | null, error };
+      }
+    );
+  }
+
+  /**
+   * Report the final score of a match.
+   * The opponent must confirm or dispute it; unanswered reports are
+   * auto-confirmed by the scheduler after RESULT_CONFIRMATION_WINDOW_HOURS.
+   */
+  async submitResult(
     id: string,
     challengerScore: number,
-    challengedScore: number,
-    winnerId: string
+    challengedScore: number
   ): Promise<ServiceResult<Challenge>> {
-    return this.updateWithOptimisticCache(
-      id,
-      {
-        status: 'completed' as ChallengeStatus,
-        challenger_score: challengerScore,
-        challenged_score: challengedScore,
-        winner_id: winnerId,
-      },
+    return this.mutateOnServer(
       async () => {
         const { data, error } = await supabase
-          .from('challenges')
-          .update({
-            status: 'completed',
-            challenger_score: challengerScore,
-            challenged_score: challengedScore,
-            winner_id: winnerId,
+          .rpc('submit_match_result', {
+            p_challenge_id: id,
+            p_challenger_score: challengerScore,
+            p_challenged_score: challengedScore,
+          })
+          .select(`
+            *,
+            challenger:profiles!challenges_challenger_id_fkey(*),
+            challenged:profiles!challenges_challenged_id_fkey(*)
+          `)
+          .single();
+        return { data: data as Challenge | null, error };
+      }
+    );
+  }
+
+  /**
+   * Confirm the opponent's reported score.
+   * Finalizes the match server-side (rank movement, cooldown, activity).
+   */
+  async confirmResult(id: string): Promise<ServiceResult<Challenge>> {
+    return this.mutateOnServer(
+      async () => {
+        const { data, error } = await supabase
+          .rpc('confirm_match_result', { p_challenge_id: id })
+          .select(`
+            *,
+            challenger:profiles!challenges_challenger_id_fkey(*),
+            challenged:profiles!challenges_challenged_id_fkey(*)
+          `)
+          .single();
+        return { data: data as Challenge | null, error };
+      }
+    );
+  }
+
+  /**
+   * Dispute the opponent's reported score (moves to 'disputed' for admin review)
+   */
+  async disputeResult(id: string, reason?: string): Promise<ServiceResult<Challenge>> {
+    return this.mutateOnServer(
+      async () => {
+        const { data, error } = await supabase
+          .rpc('dispute_match_result', { p_challenge_id: id, p_reason: reason ?? null })
+          .select(`
+            *,
+            challenger:profiles!challenges_challenger_id_fkey(*),
+            challenged:profiles!challenges_challenged_id_fkey(*)
+          `)
+          .single();
+        return { data: data as Challenge | null, error };
+      }
+    );
+  }
+
+  /**
+   * Go live, optionally with a stream link already checked by parseStreamUrl
+   */
+  async goLive(id: string, stream: StreamLink | null): Promise<ServiceResult<Challenge>> {
+    return this.mutateOnServer(
+      async () => {
+        const { data, error } = await supabase
+          .rpc('go_live', {
+            p_challenge_id: id,
+            p_stream_url: stream?.watchUrl ?? null,
+            p_stream_provider: stream?.provider ?? null,
           })
-          .eq('id', id)
           .select(`
             *,
             challenger:profiles!challenges_challenger_id_fkey(*),
             challenged:profiles!challenges_challenged_id_fkey(*)
           `)
           .single();
+        return { data: data as Challenge | null, error };
+      }
+    );
+  }
+
+  /**
+   * Stop streaming and leave the Live Arena without finishing the match
+   */
+  async endStream(id: string): Promise<ServiceResult<Challenge>> {
+    return this.mutateOnServer(
+      async () => {
+        const { data, error } = await supabase
+          .rpc('end_stream', { p_challenge_id: id })
+          .select(`
+            *,
+            challenger:profiles!challenges_challenger_id_fkey(*),
+            challenged:profiles!challenges_challenged_id_fkey(*)
+          `)
+          .single();
+        return { data: data as Challenge | null, error };
+      }
+    );
+  }
+
+  /**
+   * Set the break format and lag winner before the first rack.
+   * A null format falls back to the discipline's default.
+   */
+  async setBreakRules(
+    id: string,
+    rules: { break_format: BreakFormat | null; lag_winner_id: string | null }
+  ): Promise<ServiceResult<Challenge>> {
+    return this.mutateOnServer(
+      async () => {
+        const { data, error } = await supabase
+          .rpc('set_break_rules', {
+            p_challenge_id: id,
+            p_break_format: rules.break_format,
+            p_lag_winner_id: rules.lag_winner_id,
+          })
+          .select(`
+            *,
+            challenger:profiles!challenges_challenger_id_fkey(*),
+            challenged:profiles!challenges_challenged_id_fkey(*)
+          `)
+          .single();
+        return { data: data as Challenge | null, error };
+      }
+    );
+  }
+
+  /**
+   * Get a match's rack log, including undone racks (oldest first)
+   */
+  async getRacks(challengeId: string, options?: FetchOptions): Promise<ServiceResult<MatchRack[]>> {
+    const cacheKey = this.getListCacheKey(`racks/${challengeId}`);
+
+    return this.fetchWithCache<MatchRack[]>(
+      cacheKey,
+      async () => {
+        const { data, error } = await supabase
+          .from('match_racks')
+          .select('*')
+          .eq('challenge_id', challengeId)
+          .order('created_at', { ascending: true });
         return { data, error };
+      },
+      options
+    );
+  }
+
+  /**
+   * Get the stored score of a match being played (null before the first rack)
+   */
+  async getLiveScore(challengeId: string): Promise<ServiceResult<LiveScore | null>> {
+    const { data, error } = await supabase
+      .from('live_scores')
+      .select('*')
+      .eq('challenge_id', challengeId)
+      .maybeSingle();
+
+    if (error) {
+      return { data: null, error: new Error(error.message), fromCache: false, isStale: false };
+    }
+    return { data: data as LiveScore | null, error: null, fromCache: false, isStale: false };
+  }
+
+  /**
+   * Record the next rack of a live match.
+   * Break-and-run and golden break only count for the breaker.
+   * Pass the live score version the scorekeeper was looking at; the server
+   * rejects the change if another device has scored since.
+   */
+  async recordRack(
+    challengeId: string,
+    rack: { winner_id: string; breaker_id?: string | null; break_and_run?: boolean; golden_break?: boolean },
+    expectedVersion?: number
+  ): Promise<ServiceResult<LiveScore>> {
+    return this.runRackRpc(challengeId, 'record_rack', {
+      p_challenge_id: challengeId,
+      p_winner_id: rack.winner_id,
+      p_breaker_id: rack.breaker_id ?? null,
+      p_break_and_run: rack.break_and_run ?? false,
+      p_golden_break: rack.golden_break ?? false,
+      p_expected_version: expectedVersion ?? null,
+    });
+  }
+
+  /**
+   * Undo the latest rack; call again to step further back
+   */
+  async undoLastRack(challengeId: string, expectedVersion?: number): Promise<ServiceResult<LiveScore>> {
+    return this.runRackRpc(challengeId, 'undo_last_rack', {
+      p_challenge_id: challengeId,
+      p_expected_version: expectedVersion ?? null,
+    });
+  }
+
+  /**
+   * Undo every rack of the match (the racks stay in the log)
+   */
+  async resetRacks(challengeId: string, expectedVersion?: number): Promise<ServiceResult<LiveScore>> {
+    return this.runRackRpc(challengeId, 'reset_racks', {
+      p_challenge_id: challengeId,
+      p_expected_version: expectedVersion ?? null,
+    });
+  }
+
+  private async runRackRpc(
+    challengeId: string,
+    fn: 'record_rack' | 'undo_last_rack' | 'reset_racks',
+    params: Record<string, unknown>
+  ): Promise<ServiceResult<LiveScore>> {
+    const { data, error } = await supabase.rpc(fn, params).single();
+    // A rejected stale update still leaves our cached log out of date
+    await cacheManager.remove(this.getListCacheKey(`racks/${challengeId}`));
+    if (error) {
+      return { data: null, error: new Error(error.message), fromCache: false, isStale: false };
+    }
+    return { data: data as LiveScore, error: null, fromCache: false, isStale: false };
+  }
+
+  /**
+   * Get the read-only share token for the match's stream overlay (players or officers)
+   */
+  async getShareToken(challengeId: string): Promise<ServiceResult<string>> {
+    const cacheKey = this.getListCacheKey(`share-token/${challengeId}`);
+
+    return this.fetchWithCache<string>(
+      cacheKey,
+      async () => {
+        const { data, error } = await supabase.rpc('get_match_share_token', { p_challenge_id: challengeId });
+        return { data: data as string | null, error };
       }
     );
   }
 
+  /**
+   * Get the stream overlay for a share token; works without signing in
+   */
+  async getOverlay(token: string): Promise<ServiceResult<MatchOverlay>> {
+    const { data, error } = await supabase.rpc('get_match_overlay', { p_token: token });
+    if (error) {
+      return { data: null, error: new Error(error.message), fromCache: false, isStale: false };
+    }
+    return { data: data as MatchOverlay, error: null, fromCache: false, isStale: false };
+  }
+
   /**
    * Update challenge details
    */
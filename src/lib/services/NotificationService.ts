@@ -0,0 +1,86 @@
+/**
+ * NotificationService - In-app notification center
+ * Notifications are written server-side by the send-push edge function;
+ * players can only read theirs and mark them read.
+ */
+
+import { supabase } from '../supabase';
+import { AppNotification } from '../../types';
+import { cacheManager } from '../cache/CacheManager';
+import { CACHE_CONFIG } from '../cache/constants';
+import { BaseService, FetchOptions, ServiceResult } from './BaseService';
+
+/**
+ * NotificationService handles the notification list and read state
+ */
+class NotificationServiceImpl extends BaseService<AppNotification> {
+  protected cachePrefix = 'notifications';
+  protected defaultTTL = CACHE_CONFIG.challengesTTL;
+
+  /**
+   * Get a player's most recent notifications (newest first)
+   */
+  async getRecent(profileId: string, limit: number = 50, options?: FetchOptions): Promise<ServiceResult<AppNotification[]>> {
+    const cacheKey = this.getListCacheKey(`${profileId}/${limit}`);
+
+    return this.fetchWithCache<AppNotification[]>(
+      cacheKey,
+      async () => {
+        const { data, error } = await supabase
+          .from('notifications')
+          .select('*')
+          .eq('profile_id', profileId)
+          .order('created_at', { ascending: false })
+          .limit(limit);
+        return { data, error };
+      },
+      options
+    );
+  }
+
+  /**
+   * Count the signed-in player's unread notifications (always from the server)
+   */
+  async getUnreadCount(): Promise<ServiceResult<number>> {
+    const { count, error } = await supabase
+      .from('notifications')
+      .select('id', { count: 'exact', head: true })
+      .is('read_at', null);
+
+    return {
+      data: error ? null : count ?? 0,
+      error: error ? new Error(error.message) : null,
+      fromCache: false,
+      isStale: false,
+    };
+  }
+
+  /**
+   * Mark notifications read; with no ids, marks every unread one.
+   * Returns how many changed.
+   */
+  async markRead(ids?: string[]): Promise<ServiceResult<number>> {
+    const { data, error } = await supabase.rpc('mark_notifications_read', { p_ids: ids ?? null });
+
+    if (error) {
+      return {
+        data: null,
+        error: new Error(error.message),
+        fromCache: false,
+        isStale: false,
+      };
+    }
+
+    await cacheManager.clearByPattern(this.getListCacheKey());
+
+    return {
+      data: data as number,
+      error: null,
+      fromCache: false,
+      isStale: false,
+    };
+  }
+}
+
+// Export singleton instance
+export const NotificationService = new NotificationServiceImpl();
@@ -4,7 +4,7 @@
  */
 
 import { supabase } from '../supabase';
-import { Profile } from '../../types';
+import { ClaimRequest, ClaimVerification, GameType, NotificationPreferences, PlayerBreakStats, Profile, RankHistoryEntry, RatingHistoryEntry } from '../../types';
 import { cacheManager } from '../cache/CacheManager';
 import { syncService } from '../cache/SyncService';
 import { CACHE_CONFIG } from '../cache/constants';
@@ -99,19 +99,48 @@ class ProfileServiceImpl extends BaseService<Profile> {
   }
 
   /**
-   * Get profiles sorted by ladder rank
+   * Get profiles sorted by their rank on one discipline's ladder.
+   * ladder_rank on the returned profiles is the rank for that game type.
    */
-  async getByLadderRank(options?: FetchOptions): Promise<ServiceResult<Profile[]>> {
-    const cacheKey = this.getListCacheKey('ladder');
+  async getByLadderRank(gameType: GameType = '8-ball', options?: FetchOptions): Promise<ServiceResult<Profile[]>> {
+    const cacheKey = this.getListCacheKey(`ladder/${gameType}`);
 
     return this.fetchWithCache<Profile[]>(
       cacheKey,
       async () => {
         const { data, error } = await supabase
-          .from('profiles')
-          .select('*')
-          .order('ladder_rank', { ascending: true });
-        return { data, error };
+          .from('ladder_positions')
+          .select('rank, profile:profiles(*)')
+          .eq('game_type', gameType)
+          .order('rank', { ascending: true });
+        const profiles = (data || []).map((row: any) => ({ ...row.profile, ladder_rank: row.rank }));
+        return { data: error ? null : profiles, error };
+      },
+      options
+    );
+  }
+
+  /**
+   * Get ladder ranks for a set of players on one discipline's ladder
+   */
+  async getLadderRanks(
+    profileIds: string[],
+    gameType: GameType,
+    options?: FetchOptions
+  ): Promise<ServiceResult<Record<string, number>>> {
+    const cacheKey = this.getListCacheKey(`ladder-ranks/${gameType}/${[...profileIds].sort().join(',')}`);
+
+    return this.fetchWithCache<Record<string, number>>(
+      cacheKey,
+      async () => {
+        const { data, error } = await supabase
+          .from('ladder_positions')
+          .select('profile_id, rank')
+          .eq('game_type', gameType)
+          .in('profile_id', profileIds);
+        const ranks: Record<string, number> = {};
+        (data || []).forEach((row) => { ranks[row.profile_id] = row.rank; });
+        return { data: error ? null : ranks, error };
       },
       options
     );
@@ -178,25 +207,80 @@ class ProfileServiceImpl extends BaseService<Profile> {
   }
 
   /**
-   * Claim a profile (set owner_id)
+   * Claim a profile for the signed-in account.
+   * Approved immediately when the league code matches; otherwise the request
+   * stays pending until an officer decides it (flagged if the phone matched).
    */
-  async claim(profileId: string, ownerId: string): Promise<ServiceResult<Profile>> {
-    return this.updateWithOptimisticCache(
-      profileId,
-      { owner_id: ownerId },
+  async claim(profileId: string, verification: ClaimVerification = {}): Promise<ServiceResult<ClaimRequest>> {
+    return this.runClaimRpc('request_profile_claim', {
+      p_profile_id: profileId,
+      p_code: verification.code?.trim() || null,
+      p_phone: verification.phone?.trim() || null,
+    });
+  }
+
+  /**
+   * Withdraw a pending claim request
+   */
+  async cancelClaim(requestId: string): Promise<ServiceResult<ClaimRequest>> {
+    return this.runClaimRpc('cancel_profile_claim', { p_request_id: requestId });
+  }
+
+  /**
+   * Get an account's most recent claim request, if any
+   */
+  async getLatestClaimRequest(userId: string, options?: FetchOptions): Promise<ServiceResult<ClaimRequest | null>> {
+    const cacheKey = this.getListCacheKey(`claims/${userId}`);
+
+    return this.fetchWithCache<ClaimRequest | null>(
+      cacheKey,
       async () => {
         const { data, error } = await supabase
-          .from('profiles')
-          .update({ owner_id: ownerId })
-          .eq('id', profileId)
-          .is('owner_id', null) // Only claim if unclaimed
-          .select()
-          .single();
+          .from('claim_requests')
+          .select('*, profile:profiles!claim_requests_profile_id_fkey(*)')
+          .eq('user_id', userId)
+          .order('created_at', { ascending: false })
+          .limit(1)
+          .maybeSingle();
         return { data, error };
-      }
+      },
+      options
     );
   }
 
+  /**
+   * Run a claim RPC; an approved claim changes owner_id, so drop cached profiles
+   */
+  private async runClaimRpc(fn: string, params: Record<string, any>): Promise<ServiceResult<ClaimRequest>> {
+    const { data, error } = await supabase
+      .rpc(fn, params)
+      .select('*, profile:profiles!claim_requests_profile_id_fkey(*)')
+      .single();
+
+    if (error) {
+      return {
+        data: null,
+        error: new Error(error.message),
+        fromCache: false,
+        isStale: false,
+      };
+    }
+
+    const request = data as ClaimRequest;
+    if (request.status === 'approved') {
+      await this.invalidateCache();
+    } else {
+      await cacheManager.clearByPattern(`${this.cachePrefix}/list/claims`);
+    }
+
+    return {
+      data: request,
+      error: null,
+      fromCache: false,
+      isStale: false,
+    };
+  }
+
   /**
    * Update cooldown
    */
@@ -217,24 +301,81 @@ class ProfileServiceImpl extends BaseService<Profile> {
   }
 
   /**
-   * Update push token
+   * Save the signed-in player's push token (null forgets it). Tokens are kept
+   * server-side only, so nothing is cached here.
    */
-  async updatePushToken(id: string, token: string | null): Promise<ServiceResult<Profile>> {
-    return this.updateWithOptimisticCache(
-      id,
-      { expo_push_token: token },
+  async updatePushToken(token: string | null): Promise<ServiceResult<null>> {
+    const { error } = await supabase.rpc('save_push_token', { p_token: token });
+
+    return {
+      data: null,
+      error: error ? new Error(error.message) : null,
+      fromCache: false,
+      isStale: false,
+    };
+  }
+
+  /**
+   * Get the player's notification preferences (null until they've saved some,
+   * which means every push, any time)
+   */
+  async getNotificationPreferences(profileId: string, options?: FetchOptions): Promise<ServiceResult<NotificationPreferences | null>> {
+    const cacheKey = this.getListCacheKey(`notification-preferences/${profileId}`);
+
+    return this.fetchWithCache<NotificationPreferences | null>(
+      cacheKey,
       async () => {
         const { data, error } = await supabase
-          .from('profiles')
-          .update({ expo_push_token: token })
-          .eq('id', id)
-          .select()
-          .single();
+          .from('notification_preferences')
+          .select('*')
+          .eq('profile_id', profileId)
+          .maybeSingle();
         return { data, error };
-      }
+      },
+      options
     );
   }
 
+  /**
+   * Save the signed-in player's notification preferences
+   */
+  async saveNotificationPreferences(
+    prefs: Omit<NotificationPreferences, 'profile_id' | 'updated_at'>
+  ): Promise<ServiceResult<NotificationPreferences>> {
+    const { data, error } = await supabase
+      .rpc('save_notification_preferences', {
+        p_challenge_received: prefs.challenge_received,
+        p_challenge_accepted: prefs.challenge_accepted,
+        p_match_live: prefs.match_live,
+        p_rank_change: prefs.rank_change,
+        p_comments: prefs.comments,
+        p_reminders: prefs.reminders,
+        p_quiet_hours_start: prefs.quiet_hours_start,
+        p_quiet_hours_end: prefs.quiet_hours_end,
+        p_timezone: prefs.timezone,
+      })
+      .single();
+
+    if (error) {
+      return {
+        data: null,
+        error: new Error(error.message),
+        fromCache: false,
+        isStale: false,
+      };
+    }
+
+    const saved = data as NotificationPreferences;
+    await cacheManager.remove(this.getListCacheKey(`notification-preferences/${saved.profile_id}`));
+
+    return {
+      data: saved,
+      error: null,
+      fromCache: false,
+      isStale: false,
+    };
+  }
+
   /**
    * Create a new profile
    */
@@ -252,6 +393,103 @@ class ProfileServiceImpl extends BaseService<Profile> {
     );
   }
 
+  /**
+   * Get a player's rank changes on one ladder (oldest first, for charting)
+   */
+  async getRankHistory(
+    profileId: string,
+    gameType: GameType = '8-ball',
+    limit: number = 30,
+    options?: FetchOptions
+  ): Promise<ServiceResult<RankHistoryEntry[]>> {
+    const cacheKey = this.getListCacheKey(`rank-history/${profileId}/${gameType}/${limit}`);
+
+    return this.fetchWithCache<RankHistoryEntry[]>(
+      cacheKey,
+      async () => {
+        const { data, error } = await supabase
+          .from('rank_history')
+          .select('*')
+          .eq('profile_id', profileId)
+          .eq('game_type', gameType)
+          .order('created_at', { ascending: false })
+          .limit(limit);
+        return { data: error ? null : (data || []).reverse(), error };
+      },
+      options
+    );
+  }
+
+  /**
+   * Get every rank change on one ladder since a point in time (oldest first)
+   */
+  async getRecentRankChanges(
+    gameType: GameType,
+    since: Date,
+    options?: FetchOptions
+  ): Promise<ServiceResult<RankHistoryEntry[]>> {
+    const cacheKey = this.getListCacheKey(`rank-changes/${gameType}/${since.toISOString().slice(0, 10)}`);
+
+    return this.fetchWithCache<RankHistoryEntry[]>(
+      cacheKey,
+      async () => {
+        const { data, error } = await supabase
+          .from('rank_history')
+          .select('*, profile:profiles(id, full_name, avatar_url)')
+          .eq('game_type', gameType)
+          .gte('created_at', since.toISOString())
+          .order('created_at', { ascending: true });
+        return { data, error };
+      },
+      options
+    );
+  }
+
+  /**
+   * Get recent Fargo rating changes for a player (newest first)
+   */
+  async getRatingHistory(
+    profileId: string,
+    limit: number = 20,
+    options?: FetchOptions
+  ): Promise<ServiceResult<RatingHistoryEntry[]>> {
+    const cacheKey = this.getListCacheKey(`rating-history/${profileId}/${limit}`);
+
+    return this.fetchWithCache<RatingHistoryEntry[]>(
+      cacheKey,
+      async () => {
+        const { data, error } = await supabase
+          .from('rating_history')
+          .select('*')
+          .eq('profile_id', profileId)
+          .order('created_at', { ascending: false })
+          .limit(limit);
+        return { data, error };
+      },
+      options
+    );
+  }
+
+  /**
+   * Get career break stats (null until the player has broken in a completed match)
+   */
+  async getBreakStats(profileId: string, options?: FetchOptions): Promise<ServiceResult<PlayerBreakStats | null>> {
+    const cacheKey = this.getListCacheKey(`break-stats/${profileId}`);
+
+    return this.fetchWithCache<PlayerBreakStats | null>(
+      cacheKey,
+      async () => {
+        const { data, error } = await supabase
+          .from('player_break_stats')
+          .select('*')
+          .eq('profile_id', profileId)
+          .maybeSingle();
+        return { data, error };
+      },
+      options
+    );
+  }
+
   /**
    * Get multiple profiles by IDs
    */
@@ -0,0 +1,84 @@
+/**
+ * SeasonService - Cached season and archived standings operations
+ * Seasons are closed server-side (close_season RPC); this service is read-only.
+ */
+
+import { supabase } from '../supabase';
+import { GameType, Season, SeasonStanding } from '../../types';
+import { CACHE_CONFIG } from '../cache/constants';
+import { BaseService, FetchOptions, ServiceResult } from './BaseService';
+
+/**
+ * SeasonService handles season lookups and end-of-season standings
+ */
+class SeasonServiceImpl extends BaseService<Season> {
+  protected cachePrefix = 'seasons';
+  protected defaultTTL = CACHE_CONFIG.seasonsTTL;
+
+  /**
+   * Get all seasons, newest first
+   */
+  async getAll(options?: FetchOptions): Promise<ServiceResult<Season[]>> {
+    const cacheKey = this.getListCacheKey('all');
+
+    return this.fetchWithCache<Season[]>(
+      cacheKey,
+      async () => {
+        const { data, error } = await supabase
+          .from('seasons')
+          .select('*')
+          .order('starts_at', { ascending: false });
+        return { data, error };
+      },
+      options
+    );
+  }
+
+  /**
+   * Get the season currently in play
+   */
+  async getActive(options?: FetchOptions): Promise<ServiceResult<Season>> {
+    const cacheKey = this.getCacheKey('active');
+
+    return this.fetchWithCache<Season>(
+      cacheKey,
+      async () => {
+        const { data, error } = await supabase
+          .from('seasons')
+          .select('*')
+          .eq('status', 'active')
+          .single();
+        return { data, error };
+      },
+      options
+    );
+  }
+
+  /**
+   * Get the frozen standings of a completed season for one ladder
+   */
+  async getStandings(
+    seasonId: string,
+    gameType: GameType = '8-ball',
+    options?: FetchOptions
+  ): Promise<ServiceResult<SeasonStanding[]>> {
+    const cacheKey = this.getListCacheKey(`standings/${seasonId}/${gameType}`);
+
+    return this.fetchWithCache<SeasonStanding[]>(
+      cacheKey,
+      async () => {
+        const { data, error } = await supabase
+          .from('season_standings')
+          .select('*, profile:profiles(*)')
+          .eq('season_id', seasonId)
+          .eq('game_type', gameType)
+          .order('rank', { ascending: true });
+        return { data, error };
+      },
+      options
+    );
+  }
+}
+
+// Export singleton instance
+export const SeasonService = new SeasonServiceImpl();
@@ -0,0 +1,261 @@
+/**
+ * TeamService - Team league rosters and team matches
+ * Team matches are scored server-side from their individual games,
+ * which are ordinary challenges with team_match_id set.
+ */
+
+import { supabase } from '../supabase';
+import { Challenge, GameType, Team, TeamMatch } from '../../types';
+import { cacheManager } from '../cache/CacheManager';
+import { CACHE_CONFIG } from '../cache/constants';
+import { BaseService, FetchOptions, ServiceResult } from './BaseService';
+
+const TEAM_SELECT = `
+  *,
+  captain:profiles!teams_captain_id_fkey(id, full_name),
+  members:team_members(*, profile:profiles(*)),
+  invites:team_invites(*, profile:profiles!team_invites_profile_id_fkey(id, full_name))
+`;
+
+const TEAM_MATCH_SELECT = `
+  *,
+  home_team:teams!team_matches_home_team_id_fkey(id, name, captain_id),
+  away_team:teams!team_matches_away_team_id_fkey(id, name, captain_id),
+  games:challenges!challenges_team_match_id_fkey(
+    *,
+    challenger:profiles!challenges_challenger_id_fkey(*),
+    challenged:profiles!challenges_challenged_id_fkey(*)
+  )
+`;
+
+export interface ScheduleTeamMatchInput {
+  home_team_id: string;
+  away_team_id: string;
+  game_type: GameType;
+  games_to_win: number;
+  games_planned: number;
+  scheduled_at?: string | null;
+  venue?: string | null;
+}
+
+/**
+ * TeamService handles teams, rosters and team matches
+ */
+class TeamServiceImpl extends BaseService<Team> {
+  protected cachePrefix = 'teams';
+  protected defaultTTL = CACHE_CONFIG.challengesTTL;
+
+  /**
+   * Get every team with its captain and roster
+   */
+  async getAll(options?: FetchOptions): Promise<ServiceResult<Team[]>> {
+    const cacheKey = this.getListCacheKey('all');
+
+    return this.fetchWithCache<Team[]>(
+      cacheKey,
+      async () => {
+        const { data, error } = await supabase
+          .from('teams')
+          .select(TEAM_SELECT)
+          .order('name', { ascending: true });
+        return { data, error };
+      },
+      options
+    );
+  }
+
+  /**
+   * Get one team with its captain and roster
+   */
+  async getById(id: string, options?: FetchOptions): Promise<ServiceResult<Team>> {
+    return this.fetchWithCache<Team>(
+      this.getCacheKey(id),
+      async () => {
+        const { data, error } = await supabase
+          .from('teams')
+          .select(TEAM_SELECT)
+          .eq('id', id)
+          .single();
+        return { data, error };
+      },
+      options
+    );
+  }
+
+  /**
+   * Get every team match with its individual games, newest first
+   */
+  async getMatches(options?: FetchOptions): Promise<ServiceResult<TeamMatch[]>> {
+    const cacheKey = this.getListCacheKey('matches');
+
+    return this.fetchWithCache<TeamMatch[]>(
+      cacheKey,
+      async () => {
+        const { data, error } = await supabase
+          .from('team_matches')
+          .select(TEAM_MATCH_SELECT)
+          .order('created_at', { ascending: false });
+        return { data, error };
+      },
+      options
+    );
+  }
+
+  /**
+   * Get one team match with its individual games
+   */
+  async getMatch(id: string, options?: FetchOptions): Promise<ServiceResult<TeamMatch>> {
+    return this.fetchWithCache<TeamMatch>(
+      this.getListCacheKey(`match/${id}`),
+      async () => {
+        const { data, error } = await supabase
+          .from('team_matches')
+          .select(TEAM_MATCH_SELECT)
+          .eq('id', id)
+          .single();
+        return { data, error };
+      },
+      options
+    );
+  }
+
+  /**
+   * Create a team and put its captain on the roster (league officers only)
+   */
+  async create(name: string, captainId: string): Promise<ServiceResult<Team>> {
+    return this.mutateOnServer(async () => {
+      const { data, error } = await supabase
+        .rpc('create_team', { p_name: name, p_captain_id: captainId })
+        .select(TEAM_SELECT)
+        .single();
+      return { data: data as Team | null, error };
+    });
+  }
+
+  /**
+   * Hand the captaincy to another roster player (league officers only)
+   */
+  async setCaptain(teamId: string, profileId: string): Promise<ServiceResult<Team>> {
+    return this.mutateOnServer(async () => {
+      const { data, error } = await supabase
+        .rpc('set_team_captain', { p_team_id: teamId, p_profile_id: profileId })
+        .select(TEAM_SELECT)
+        .single();
+      return { data: data as Team | null, error };
+    });
+  }
+
+  /**
+   * Put a player straight on the roster (league officers only)
+   */
+  async addMember(teamId: string, profileId: string): Promise<{ success: boolean; error: Error | null }> {
+    const { error } = await supabase.rpc('add_team_member', { p_team_id: teamId, p_profile_id: profileId });
+    return this.afterRosterChange(teamId, error);
+  }
+
+  /**
+   * Invite a player without a team to join (captain or league officer)
+   */
+  async invite(teamId: string, profileId: string): Promise<{ success: boolean; error: Error | null }> {
+    const { error } = await supabase.rpc('invite_team_member', { p_team_id: teamId, p_profile_id: profileId });
+    return this.afterRosterChange(teamId, error);
+  }
+
+  /**
+   * Accept an invite and join the team
+   */
+  async acceptInvite(teamId: string): Promise<{ success: boolean; error: Error | null }> {
+    const { error } = await supabase.rpc('accept_team_invite', { p_team_id: teamId });
+    return this.afterRosterChange(teamId, error);
+  }
+
+  /**
+   * Decline an invite, or withdraw it as the captain
+   */
+  async declineInvite(teamId: string, profileId: string): Promise<{ success: boolean; error: Error | null }> {
+    const { error } = await supabase.rpc('decline_team_invite', { p_team_id: teamId, p_profile_id: profileId });
+    return this.afterRosterChange(teamId, error);
+  }
+
+  /**
+   * Take a player off the roster (captain or league officer)
+   */
+  async removeMember(teamId: string, profileId: string): Promise<{ success: boolean; error: Error | null }> {
+    const { error } = await supabase.rpc('remove_team_member', { p_team_id: teamId, p_profile_id: profileId });
+    return this.afterRosterChange(teamId, error);
+  }
+
+  /**
+   * Schedule a team match (league officers or the home captain)
+   */
+  async scheduleMatch(input: ScheduleTeamMatchInput): Promise<ServiceResult<TeamMatch>> {
+    const { data, error } = await supabase
+      .rpc('schedule_team_match', {
+        p_home_team_id: input.home_team_id,
+        p_away_team_id: input.away_team_id,
+        p_game_type: input.game_type,
+        p_games_to_win: input.games_to_win,
+        p_games_planned: input.games_planned,
+        p_scheduled_at: input.scheduled_at ?? null,
+        p_venue: input.venue ?? null,
+      })
+      .select(TEAM_MATCH_SELECT)
+      .single();
+
+    if (error) {
+      return { data: null, error: new Error(error.message), fromCache: false, isStale: false };
+    }
+    await cacheManager.remove(this.getListCacheKey('matches'));
+    return { data: data as TeamMatch, error: null, fromCache: false, isStale: false };
+  }
+
+  /**
+   * Put up the next individual game between a home and an away player
+   */
+  async addGame(teamMatchId: string, homePlayerId: string, awayPlayerId: string): Promise<ServiceResult<Challenge>> {
+    const { data, error } = await supabase
+      .rpc('add_team_match_game', {
+        p_team_match_id: teamMatchId,
+        p_home_player_id: homePlayerId,
+        p_away_player_id: awayPlayerId,
+      })
+      .single();
+
+    if (error) {
+      return { data: null, error: new Error(error.message), fromCache: false, isStale: false };
+    }
+    await this.afterMatchChange(teamMatchId);
+    return { data: data as Challenge, error: null, fromCache: false, isStale: false };
+  }
+
+  /**
+   * Cancel a team match and void its unplayed games (league officers only)
+   */
+  async cancelMatch(teamMatchId: string): Promise<{ success: boolean; error: Error | null }> {
+    const { error } = await supabase.rpc('cancel_team_match', { p_team_match_id: teamMatchId });
+    if (error) {
+      return { success: false, error: new Error(error.message) };
+    }
+    await this.afterMatchChange(teamMatchId);
+    return { success: true, error: null };
+  }
+
+  private async afterRosterChange(teamId: string, error: any): Promise<{ success: boolean; error: Error | null }> {
+    if (error) {
+      return { success: false, error: new Error(error.message) };
+    }
+    await cacheManager.remove(this.getCacheKey(teamId));
+    await cacheManager.remove(this.getListCacheKey('all'));
+    return { success: true, error: null };
+  }
+
+  private async afterMatchChange(teamMatchId: string): Promise<void> {
+    await cacheManager.remove(this.getListCacheKey(`match/${teamMatchId}`));
+    await cacheManager.remove(this.getListCacheKey('matches'));
+    // Games are challenges
+    await cacheManager.clearByPattern('challenges/');
+  }
+}
+
+// Export singleton instance
+export const TeamService = new TeamServiceImpl();
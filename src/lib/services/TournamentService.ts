@@ -0,0 +1,223 @@
+/**
+ * TournamentService - Tournaments, entrants and live brackets
+ * Brackets are advanced server-side as bracket matches are completed;
+ * the client only plans the bracket shape when an officer starts one.
+ */
+
+import { supabase } from '../supabase';
+import {
+  GameType,
+  Tournament,
+  TournamentEntrant,
+  TournamentFormat,
+  TournamentMatch,
+  TournamentSeedBy,
+} from '../../types';
+import { cacheManager } from '../cache/CacheManager';
+import { CACHE_CONFIG } from '../cache/constants';
+import { planTournament } from '../tournament';
+import { BaseService, FetchOptions, ServiceResult } from './BaseService';
+
+const TOURNAMENT_SELECT = '*, winner:profiles!tournaments_winner_id_fkey(id, full_name)';
+
+export interface CreateTournamentInput {
+  name: string;
+  format: TournamentFormat;
+  game_type: GameType;
+  seed_by: TournamentSeedBy;
+  games_to_win: number;
+  starts_at?: string | null;
+}
+
+/**
+ * TournamentService handles tournament listings, entries and brackets
+ */
+class TournamentServiceImpl extends BaseService<Tournament> {
+  protected cachePrefix = 'tournaments';
+  protected defaultTTL = CACHE_CONFIG.challengesTTL;
+
+  /**
+   * Get all tournaments, newest first
+   */
+  async getAll(options?: FetchOptions): Promise<ServiceResult<Tournament[]>> {
+    const cacheKey = this.getListCacheKey('all');
+
+    return this.fetchWithCache<Tournament[]>(
+      cacheKey,
+      async () => {
+        const { data, error } = await supabase
+          .from('tournaments')
+          .select(TOURNAMENT_SELECT)
+          .order('created_at', { ascending: false });
+        return { data, error };
+      },
+      options
+    );
+  }
+
+  /**
+   * Get one tournament
+   */
+  async getById(id: string, options?: FetchOptions): Promise<ServiceResult<Tournament>> {
+    return this.fetchWithCache<Tournament>(
+      this.getCacheKey(id),
+      async () => {
+        const { data, error } = await supabase
+          .from('tournaments')
+          .select(TOURNAMENT_SELECT)
+          .eq('id', id)
+          .single();
+        return { data, error };
+      },
+      options
+    );
+  }
+
+  /**
+   * Get a tournament's entrants, by seed once it has started
+   */
+  async getEntrants(tournamentId: string, options?: FetchOptions): Promise<ServiceResult<TournamentEntrant[]>> {
+    const cacheKey = this.getListCacheKey(`entrants/${tournamentId}`);
+
+    return this.fetchWithCache<TournamentEntrant[]>(
+      cacheKey,
+      async () => {
+        const { data, error } = await supabase
+          .from('tournament_entrants')
+          .select('*, profile:profiles(*)')
+          .eq('tournament_id', tournamentId)
+          .order('seed', { ascending: true, nullsFirst: false })
+          .order('created_at', { ascending: true });
+        return { data, error };
+      },
+      options
+    );
+  }
+
+  /**
+   * Get every bracket match with its players and challenge
+   */
+  async getMatches(tournamentId: string, options?: FetchOptions): Promise<ServiceResult<TournamentMatch[]>> {
+    const cacheKey = this.getListCacheKey(`matches/${tournamentId}`);
+
+    return this.fetchWithCache<TournamentMatch[]>(
+      cacheKey,
+      async () => {
+        const { data, error } = await supabase
+          .from('tournament_matches')
+          .select(`
+            *,
+            player1:profiles!tournament_matches_player1_id_fkey(id, full_name),
+            player2:profiles!tournament_matches_player2_id_fkey(id, full_name),
+            challenge:challenges!tournament_matches_challenge_id_fkey(
+              *,
+              challenger:profiles!challenges_challenger_id_fkey(*),
+              challenged:profiles!challenges_challenged_id_fkey(*)
+            )
+          `)
+          .eq('tournament_id', tournamentId)
+          .order('round', { ascending: true })
+          .order('position', { ascending: true });
+        return { data, error };
+      },
+      options
+    );
+  }
+
+  /**
+   * Create a tournament (league officers only)
+   */
+  async create(input: CreateTournamentInput): Promise<ServiceResult<Tournament>> {
+    return this.mutateOnServer(async () => {
+      const { data, error } = await supabase
+        .rpc('create_tournament', {
+          p_name: input.name,
+          p_format: input.format,
+          p_game_type: input.game_type,
+          p_seed_by: input.seed_by,
+          p_games_to_win: input.games_to_win,
+          p_starts_at: input.starts_at ?? null,
+        })
+        .select(TOURNAMENT_SELECT)
+        .single();
+      return { data: data as Tournament | null, error };
+    });
+  }
+
+  /**
+   * Enter a tournament; officers can pass another player's profile id
+   */
+  async enter(tournamentId: string, profileId?: string): Promise<{ success: boolean; error: Error | null }> {
+    const { error } = await supabase.rpc('enter_tournament', {
+      p_tournament_id: tournamentId,
+      p_profile_id: profileId ?? null,
+    });
+    return this.afterEntryChange(tournamentId, error);
+  }
+
+  /**
+   * Withdraw from a tournament before it starts
+   */
+  async withdraw(tournamentId: string, profileId?: string): Promise<{ success: boolean; error: Error | null }> {
+    const { error } = await supabase.rpc('withdraw_from_tournament', {
+      p_tournament_id: tournamentId,
+      p_profile_id: profileId ?? null,
+    });
+    return this.afterEntryChange(tournamentId, error);
+  }
+
+  /**
+   * Seed the entrants and generate the bracket (league officers only)
+   */
+  async start(tournament: Tournament, entrantCount: number): Promise<ServiceResult<Tournament>> {
+    let plan;
+    try {
+      plan = planTournament(tournament.format, entrantCount);
+    } catch (error: any) {
+      return { data: null, error, fromCache: false, isStale: false };
+    }
+
+    const result = await this.mutateOnServer(async () => {
+      const { data, error } = await supabase
+        .rpc('start_tournament', { p_tournament_id: tournament.id, p_plan: plan })
+        .select(TOURNAMENT_SELECT)
+        .single();
+      return { data: data as Tournament | null, error };
+    });
+
+    if (!result.error) {
+      // Bracket matches are new challenges
+      await cacheManager.clearByPattern('challenges/');
+    }
+    return result;
+  }
+
+  /**
+   * Cancel a tournament and void its unplayed matches (league officers only)
+   */
+  async cancel(tournamentId: string): Promise<ServiceResult<Tournament>> {
+    const result = await this.mutateOnServer(async () => {
+      const { data, error } = await supabase
+        .rpc('cancel_tournament', { p_tournament_id: tournamentId })
+        .select(TOURNAMENT_SELECT)
+        .single();
+      return { data: data as Tournament | null, error };
+    });
+
+    if (!result.error) {
+      await cacheManager.clearByPattern('challenges/');
+    }
+    return result;
+  }
+
+  private async afterEntryChange(tournamentId: string, error: any): Promise<{ success: boolean; error: Error | null }> {
+    if (error) {
+      return { success: false, error: new Error(error.message) };
+    }
+    await cacheManager.remove(this.getListCacheKey(`entrants/${tournamentId}`));
+    return { success: true, error: null };
+  }
+}
+
+// Export singleton instance
+export const TournamentService = new TournamentServiceImpl();
@@ -6,9 +6,19 @@
  * - ProfileService: Cached profile operations
  * - ChallengeService: Cached challenge operations
  * - ActivityService: Cached activity operations
+ * - SeasonService: Cached seasons and archived standings
+ * - AdminService: League officer tools and audit log
+ * - TournamentService: Tournaments, entrants and live brackets
+ * - TeamService: Team league rosters, team matches and standings
+ * - NotificationService: In-app notification center
  */
 
 export { ProfileService } from './ProfileService';
 export { ChallengeService, type CreateChallengeInput } from './ChallengeService';
 export { ActivityService, type CreateActivityInput } from './ActivityService';
+export { SeasonService } from './SeasonService';
+export { AdminService } from './AdminService';
+export { TournamentService, type CreateTournamentInput } from './TournamentService';
+export { TeamService, type ScheduleTeamMatchInput } from './TeamService';
+export { NotificationService } from './NotificationService';
 export { BaseService, type FetchOptions, type ServiceResult } from './BaseService';
@@ -0,0 +1,122 @@
+// Stream links pasted when a match goes live. Each one is checked and
+// normalized to a canonical watch link plus an embeddable player link.
+// go_live() in supabase/migrations/20260131000000_match_streams.sql only
+// accepts these canonical watch links and builds the embed link itself.
+
+import { StreamProvider } from '../types';
+
+export interface StreamLink {
+    provider: StreamProvider;
+    // Opened by the WATCH button
+    watchUrl: string;
+    // For an iframe (or an HLS player); Twitch players add &parent=<host> themselves
+    embedUrl: string;
+}
+
+export type StreamLinkResult = { link: StreamLink; error?: undefined } | { link?: undefined; error: string };
+
+export const STREAM_PROVIDER_LABELS: Record<StreamProvider, string> = {
+    youtube: 'YouTube',
+    facebook: 'Facebook',
+    twitch: 'Twitch',
+    hls: 'HLS',
+};
+
+const YOUTUBE_ID = /^[A-Za-z0-9_-]{11}$/;
+const TWITCH_NAME = /^[A-Za-z0-9_]{3,25}$/;
+const FACEBOOK_PAGE = /^[A-Za-z0-9._-]+$/;
+const FB_WATCH_CODE = /^[A-Za-z0-9_-]+$/;
+
+function parseYouTube(url: URL): StreamLink | null {
+    const host = url.hostname.replace(/^(www|m)\./, '');
+    let id: string | null = null;
+    if (host === 'youtu.be') {
+        id = url.pathname.slice(1).split('/')[0];
+    } else if (host === 'youtube.com') {
+        const [section, value] = url.pathname.split('/').filter(Boolean);
+        if (section === 'watch') id = url.searchParams.get('v');
+        else if (section === 'live' || section === 'embed' || section === 'shorts') id = value ?? null;
+    }
+    if (!id || !YOUTUBE_ID.test(id)) return null;
+    return {
+        provider: 'youtube',
+        watchUrl: `https://www.youtube.com/watch?v=${id}`,
+        embedUrl: `https://www.youtube.com/embed/${id}`,
+    };
+}
+
+function parseFacebook(url: URL): StreamLink | null {
+    const host = url.hostname.replace(/^(www|m|web)\./, '');
+    if (host === 'fb.watch') {
+        const code = url.pathname.split('/').filter(Boolean)[0];
+        if (!code || !FB_WATCH_CODE.test(code)) return null;
+        const watchUrl = `https://fb.watch/${code}/`;
+        return { provider: 'facebook', watchUrl, embedUrl: facebookEmbed(watchUrl) };
+    }
+    if (host !== 'facebook.com') return null;
+
+    // /<page>/videos/<id>, /watch/?v=<id> and /watch/live/?v=<id>
+    const parts = url.pathname.split('/').filter(Boolean);
+    const videoIndex = parts.indexOf('videos');
+    const id = videoIndex >= 0 ? parts[videoIndex + 1] : parts[0] === 'watch' ? url.searchParams.get('v') : null;
+    if (!id || !/^\d+$/.test(id)) return null;
+    // Pages with unusual names fall back to the plain video link
+    const watchUrl = videoIndex > 0 && FACEBOOK_PAGE.test(parts[videoIndex - 1])
+        ? `https://www.facebook.com/${parts[videoIndex - 1]}/videos/${id}/`
+        : `https://www.facebook.com/watch/?v=${id}`;
+    return { provider: 'facebook', watchUrl, embedUrl: facebookEmbed(watchUrl) };
+}
+
+function facebookEmbed(watchUrl: string): string {
+    return `https://www.facebook.com/plugins/video.php?href=${encodeURIComponent(watchUrl)}&show_text=false`;
+}
+
+function parseTwitch(url: URL): StreamLink | null {
+    const host = url.hostname.replace(/^(www|m)\./, '');
+    if (host !== 'twitch.tv') return null;
+    const [first, second] = url.pathname.split('/').filter(Boolean);
+    if (first === 'videos' && second && /^\d+$/.test(second)) {
+        return {
+            provider: 'twitch',
+            watchUrl: `https://www.twitch.tv/videos/${second}`,
+            embedUrl: `https://player.twitch.tv/?video=${second}`,
+        };
+    }
+    if (!first || second || !TWITCH_NAME.test(first)) return null;
+    const channel = first.toLowerCase();
+    return {
+        provider: 'twitch',
+        watchUrl: `https://www.twitch.tv/${channel}`,
+        embedUrl: `https://player.twitch.tv/?channel=${channel}`,
+    };
+}
+
+function parseHls(url: URL): StreamLink | null {
+    if (!url.pathname.toLowerCase().endsWith('.m3u8')) return null;
+    return { provider: 'hls', watchUrl: url.href, embedUrl: url.href };
+}
+
+export function parseStreamUrl(input: string): StreamLinkResult {
+    const trimmed = input.trim();
+    if (!trimmed) return { error: 'Paste the link to your stream.' };
+
+    let url: URL;
+    try {
+        url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+    } catch {
+        return { error: 'That doesn\'t look like a link.' };
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        return { error: 'Stream links must start with https://' };
+    }
+
+    const link = parseYouTube(url) ?? parseFacebook(url) ?? parseTwitch(url);
+    if (link) return { link };
+
+    // Raw HLS playlists are played as given, so they must already be secure
+    if (url.protocol !== 'https:') return { error: 'Stream links must start with https://' };
+    const hls = parseHls(url);
+    if (hls) return { link: hls };
+
+    return { error: 'Use a YouTube, Facebook or Twitch link, or an HLS (.m3u8) playlist.' };
+}
@@ -0,0 +1,272 @@
+// Tournament brackets. The plan built here only says which seed starts where
+// and where each match's winner and loser go next; start_tournament() in
+// supabase/migrations/20260125000000_tournaments.sql seeds the entrants,
+// stores the plan and advances players as bracket matches are completed.
+
+import { BracketSide, TournamentFormat, TournamentSeedBy } from '../types';
+
+export interface PlannedSlot {
+    // 1-based seed placed here when the tournament starts
+    seed: number | null;
+    // Nobody will ever fill this slot, so whoever reaches the match advances
+    bye: boolean;
+}
+
+export interface MatchRoute {
+    key: string;
+    slot: 1 | 2;
+}
+
+export interface PlannedMatch {
+    key: string;
+    bracket: BracketSide;
+    round: number;
+    position: number;
+    slots: [PlannedSlot, PlannedSlot];
+    winnerTo: MatchRoute | null;
+    loserTo: MatchRoute | null;
+}
+
+export interface SeedableEntrant {
+    id: string;
+    ladder_rank: number;
+    fargo_rating: number;
+}
+
+export const MIN_ENTRANTS: Record<TournamentFormat, number> = {
+    single_elimination: 2,
+    double_elimination: 3,
+    round_robin: 2,
+};
+
+export function seedEntrants<T extends SeedableEntrant>(entrants: T[], seedBy: TournamentSeedBy): T[] {
+    return [...entrants].sort((a, b) => seedBy === 'fargo_rating'
+        ? b.fargo_rating - a.fargo_rating || a.ladder_rank - b.ladder_rank
+        : a.ladder_rank - b.ladder_rank || b.fargo_rating - a.fargo_rating);
+}
+
+export function getBracketSize(entrantCount: number): number {
+    let size = 2;
+    while (size < entrantCount) size *= 2;
+    return size;
+}
+
+// Standard bracket order: the top seeds can only meet in the latest rounds
+// (8 players: 1v8, 4v5, 2v7, 3v6)
+export function getSeedOrder(size: number): number[] {
+    let order = [1];
+    while (order.length < size) {
+        const next = order.length * 2 + 1;
+        order = order.flatMap((seed) => [seed, next - seed]);
+    }
+    return order;
+}
+
+function emptySlot(): PlannedSlot {
+    return { seed: null, bye: false };
+}
+
+function plannedMatch(bracket: BracketSide, round: number, position: number): PlannedMatch {
+    const prefix = bracket === 'winners' ? 'W' : bracket === 'losers' ? 'L' : bracket === 'final' ? 'F' : 'R';
+    return {
+        key: `${prefix}${round}-${position}`,
+        bracket,
+        round,
+        position,
+        slots: [emptySlot(), emptySlot()],
+        winnerTo: null,
+        loserTo: null,
+    };
+}
+
+function placeFirstRound(round: PlannedMatch[], entrantCount: number, size: number) {
+    const order = getSeedOrder(size);
+    round.forEach((match, i) => {
+        [order[i * 2], order[i * 2 + 1]].forEach((seed, slot) => {
+            match.slots[slot] = seed <= entrantCount ? { seed, bye: false } : { seed: null, bye: true };
+        });
+    });
+}
+
+function buildWinnersBracket(entrantCount: number): PlannedMatch[][] {
+    const size = getBracketSize(entrantCount);
+    const rounds: PlannedMatch[][] = [];
+    for (let round = 1, count = size / 2; count >= 1; round++, count /= 2) {
+        rounds.push(Array.from({ length: count }, (_, i) => plannedMatch('winners', round, i + 1)));
+    }
+    placeFirstRound(rounds[0], entrantCount, size);
+    rounds.forEach((matches, r) => {
+        const next = rounds[r + 1];
+        if (!next) return;
+        matches.forEach((match, i) => {
+            match.winnerTo = { key: next[Math.floor(i / 2)].key, slot: i % 2 === 0 ? 1 : 2 };
+        });
+    });
+    return rounds;
+}
+
+// A slot fed by a match that can never produce that result is a bye too, so
+// players skip straight past it. Routes only point forward, so one pass in
+// bracket order settles every match.
+function markByes(matches: PlannedMatch[]) {
+    const byKey = new Map(matches.map((match) => [match.key, match]));
+    for (const match of matches) {
+        const [a, b] = match.slots;
+        const hasWinner = !(a.bye && b.bye);
+        const hasLoser = !a.bye && !b.bye;
+        if (match.winnerTo && !hasWinner) {
+            byKey.get(match.winnerTo.key)!.slots[match.winnerTo.slot - 1].bye = true;
+        }
+        if (match.loserTo && !hasLoser) {
+            byKey.get(match.loserTo.key)!.slots[match.loserTo.slot - 1].bye = true;
+        }
+    }
+}
+
+export function planSingleElimination(entrantCount: number): PlannedMatch[] {
+    const matches = buildWinnersBracket(entrantCount).flat();
+    markByes(matches);
+    return matches;
+}
+
+// Losers bracket alternates two kinds of round: survivors play each other,
+// then play the players just dropped from the winners bracket (in reverse
+// order, to avoid immediate rematches). One grand final, no bracket reset.
+export function planDoubleElimination(entrantCount: number): PlannedMatch[] {
+    const winners = buildWinnersBracket(entrantCount);
+    const final = plannedMatch('final', 1, 1);
+    const losers: PlannedMatch[][] = [];
+
+    const winnersRounds = winners.length;
+    for (let round = 1; round <= 2 * (winnersRounds - 1); round++) {
+        const count = winners[0].length / Math.pow(2, Math.ceil(round / 2));
+        losers.push(Array.from({ length: count }, (_, i) => plannedMatch('losers', round, i + 1)));
+    }
+
+    // Winners bracket losers drop down
+    winners[0].forEach((match, i) => {
+        match.loserTo = losers.length > 0
+            ? { key: losers[0][Math.floor(i / 2)].key, slot: i % 2 === 0 ? 1 : 2 }
+            : { key: final.key, slot: 2 };
+    });
+    winners.slice(1).forEach((matches, r) => {
+        const dropRound = losers[2 * r + 1];
+        matches.forEach((match, i) => {
+            match.loserTo = { key: dropRound[matches.length - 1 - i].key, slot: 2 };
+        });
+    });
+
+    // Losers bracket winners move on
+    losers.forEach((matches, r) => {
+        const next = losers[r + 1];
+        matches.forEach((match, i) => {
+            if (!next) {
+                match.winnerTo = { key: final.key, slot: 2 };
+            } else if (r % 2 === 0) {
+                match.winnerTo = { key: next[i].key, slot: 1 };
+            } else {
+                match.winnerTo = { key: next[Math.floor(i / 2)].key, slot: i % 2 === 0 ? 1 : 2 };
+            }
+        });
+    });
+    winners[winnersRounds - 1][0].winnerTo = { key: final.key, slot: 1 };
+
+    const matches = [...winners.flat(), ...losers.flat(), final];
+    markByes(matches);
+    return matches;
+}
+
+// Circle method: one seed stays put while the rest rotate, so everyone plays
+// everyone exactly once
+export function planRoundRobin(entrantCount: number): PlannedMatch[] {
+    const seeds: (number | null)[] = Array.from({ length: entrantCount }, (_, i) => i + 1);
+    if (seeds.length % 2 === 1) seeds.push(null);
+
+    const matches: PlannedMatch[] = [];
+    const rounds = seeds.length - 1;
+    for (let round = 1; round <= rounds; round++) {
+        let position = 0;
+        for (let i = 0; i < seeds.length / 2; i++) {
+            const home = seeds[i];
+            const away = seeds[seeds.length - 1 - i];
+            if (home === null || away === null) continue;
+            const match = plannedMatch('round_robin', round, ++position);
+            match.slots = [{ seed: home, bye: false }, { seed: away, bye: false }];
+            matches.push(match);
+        }
+        seeds.splice(1, 0, seeds.pop()!);
+    }
+    return matches;
+}
+
+export function planTournament(format: TournamentFormat, entrantCount: number): PlannedMatch[] {
+    if (entrantCount < MIN_ENTRANTS[format]) {
+        throw new Error(`This format needs at least ${MIN_ENTRANTS[format]} players.`);
+    }
+    switch (format) {
+        case 'single_elimination': return planSingleElimination(entrantCount);
+        case 'double_elimination': return planDoubleElimination(entrantCount);
+        case 'round_robin': return planRoundRobin(entrantCount);
+    }
+}
+
+export function getRoundName(bracket: BracketSide, round: number, totalRounds: number): string {
+    if (bracket === 'final') return 'Grand Final';
+    if (bracket === 'round_robin') return `Round ${round}`;
+    if (bracket === 'losers') return round === totalRounds ? 'Losers Final' : `Losers Round ${round}`;
+    const fromEnd = totalRounds - round;
+    if (fromEnd === 0) return 'Final';
+    if (fromEnd === 1) return 'Semifinals';
+    if (fromEnd === 2) return 'Quarterfinals';
+    return `Round ${round}`;
+}
+
+export interface RoundRobinResult {
+    player1_id: string | null;
+    player2_id: string | null;
+    winner_id: string | null;
+    player1_score: number | null;
+    player2_score: number | null;
+}
+
+export interface RoundRobinStanding {
+    profileId: string;
+    played: number;
+    wins: number;
+    losses: number;
+    // Games won minus games lost
+    gameDifference: number;
+}
+
+// Most wins, then best game difference, then seed. Mirrors the order
+// advance_tournament() uses to crown a round robin winner.
+export function getRoundRobinStandings(seededIds: string[], results: RoundRobinResult[]): RoundRobinStanding[] {
+    const table = new Map<string, RoundRobinStanding>(seededIds.map((profileId) => [
+        profileId,
+        { profileId, played: 0, wins: 0, losses: 0, gameDifference: 0 },
+    ]));
+
+    for (const result of results) {
+        if (!result.winner_id || !result.player1_id || !result.player2_id) continue;
+        const p1 = table.get(result.player1_id);
+        const p2 = table.get(result.player2_id);
+        if (!p1 || !p2) continue;
+        const diff = (result.player1_score ?? 0) - (result.player2_score ?? 0);
+        p1.played++;
+        p2.played++;
+        p1.gameDifference += diff;
+        p2.gameDifference -= diff;
+        if (result.winner_id === result.player1_id) {
+            p1.wins++;
+            p2.losses++;
+        } else {
+            p2.wins++;
+            p1.losses++;
+        }
+    }
+
+    return [...table.values()].sort((a, b) =>
+        b.wins - a.wins
+        || b.gameDifference - a.gameDifference
+        || seededIds.indexOf(a.profileId) - seededIds.indexOf(b.profileId));
+}
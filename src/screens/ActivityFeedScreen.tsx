@@ -1,15 +1,19 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { View, Text, FlatList, StyleSheet, TextInput, TouchableOpacity, Platform, Alert, RefreshControl, Image } from 'react-native';
 import { supabase } from '../lib/supabase';
-import { MessageSquare, Send, Heart, Award, Zap } from 'lucide-react-native';
+import { MessageSquare, Send, Heart, Award, Zap, TrendingDown, Trophy, Users } from 'lucide-react-native';
 import { SkeletonCard } from '../components/SkeletonLoader';
+import { requestPushFanout } from '../lib/notifications';
 
-export default function ActivityFeedScreen() {
+export default function ActivityFeedScreen({ route }: any) {
     const [activities, setActivities] = useState<any[]>([]);
     const [loading, setLoading] = useState(true);
     const [refreshing, setRefreshing] = useState(false);
     const [commentText, setCommentText] = useState<{ [key: string]: string }>({});
     const [currentUserId, setCurrentUserId] = useState<string | null>(null);
+    const listRef = useRef<FlatList>(null);
+    // Set when opened from a notification
+    const focusedId: string | undefined = route?.params?.activityId;
 
     async function fetchActivities(isRefresh = false) {
         if (isRefresh) setRefreshing(true);
@@ -40,6 +44,11 @@ export default function ActivityFeedScreen() {
         return () => { supabase.removeChannel(sub); };
     }, []);
 
+    useEffect(() => {
+        const index = activities.findIndex((a) => a.id === focusedId);
+        if (index >= 0) listRef.current?.scrollToIndex({ index, animated: true });
+    }, [focusedId, activities]);
+
     async function toggleCheer(activityId: string) {
         if (!currentUserId) return;
         const activity = activities.find(a => a.id === activityId);
@@ -58,8 +67,10 @@ export default function ActivityFeedScreen() {
         const text = commentText[activityId]?.trim();
         if (!text || !currentUserId) return;
         try {
-            const { error } = await supabase.from('comments').insert({ activity_id: activityId, user_id: currentUserId, content: text });
+            const { data: comment, error } = await supabase.from('comments')
+                .insert({ activity_id: activityId, user_id: currentUserId, content: text }).select('id').single();
             if (error) throw error;
+            requestPushFanout('comment', comment.id);
             setCommentText({ ...commentText, [activityId]: '' });
             fetchActivities();
         } catch (err: any) { Alert.alert('Error', err.message); }
@@ -80,13 +91,53 @@ export default function ActivityFeedScreen() {
                 </View>
             );
         }
+        if (item.action_type === 'TOURNAMENT_WON') {
+            return (
+                <View style={styles.matchCard}>
+                    <View style={styles.matchHeader}><Trophy size={14} color="#ffd700" /><Text style={styles.matchHeaderText}>TOURNAMENT CHAMPION</Text></View>
+                    <Text style={styles.matchText}>Won <Text style={styles.highlight}>{item.metadata.tournament_name}</Text> ({item.metadata.entrants} players)</Text>
+                    <Text style={styles.gameTag}>{item.metadata.game_type?.toUpperCase()}</Text>
+                </View>
+            );
+        }
+        if (item.action_type === 'TEAM_MATCH_COMPLETED') {
+            return (
+                <View style={styles.matchCard}>
+                    <View style={styles.matchHeader}><Users size={14} color="#87a96b" /><Text style={styles.matchHeaderText}>TEAM MATCH</Text></View>
+                    <Text style={styles.matchText}>
+                        {item.metadata.winner_team_name ? <><Text style={styles.highlight}>{item.metadata.winner_team_name}</Text> win!</> : 'Honours even!'}
+                    </Text>
+                    <View style={styles.scoreRow}>
+                        <Text style={styles.scoreName}>{item.metadata.home_team_name}</Text>
+                        <View style={styles.scorePill}><Text style={styles.scoreText}>{item.metadata.final_score}</Text></View>
+                        <Text style={styles.scoreName}>{item.metadata.away_team_name}</Text>
+                    </View>
+                    <Text style={styles.gameTag}>{item.metadata.game_type?.toUpperCase()}</Text>
+                </View>
+            );
+        }
+        if (item.action_type === 'RANK_CHANGE') {
+            const { previous_rank, new_rank, reason } = item.metadata;
+            const dropped = new_rank > previous_rank;
+            return (
+                <View style={styles.matchCard}>
+                    <View style={styles.matchHeader}><TrendingDown size={14} color="#ff9800" /><Text style={styles.matchHeaderText}>RANK CHANGE</Text></View>
+                    <Text style={styles.matchText}>
+                        {dropped ? 'Dropped' : 'Moved up'} from <Text style={styles.highlight}>#{previous_rank}</Text> to <Text style={styles.highlight}>#{new_rank}</Text>
+                    </Text>
+                    {reason === 'inactive' && <Text style={styles.rankReason}>No matches played or accepted recently</Text>}
+                    {reason === 'defense' && <Text style={styles.rankReason}>Top spot not defended in time</Text>}
+                    {item.metadata.game_type && <Text style={styles.gameTag}>{item.metadata.game_type.toUpperCase()}</Text>}
+                </View>
+            );
+        }
         return <Text style={styles.actionText}>{item.action_type}</Text>;
     };
 
     const renderItem = ({ item }: { item: any }) => {
         const hasCheered = item.cheers?.some((c: any) => c.user_id === currentUserId);
         return (
-            <View style={styles.card}>
+            <View style={[styles.card, item.id === focusedId && styles.cardFocused]}>
                 <View style={styles.cardHeader}>
                     {item.user?.avatar_url ? <Image source={{ uri: item.user.avatar_url }} style={styles.avatar} /> : <Zap size={16} color="#87a96b" />}
                     <Text style={styles.userName}>{item.user?.full_name || 'System'}</Text>
@@ -133,7 +184,8 @@ export default function ActivityFeedScreen() {
                 <MessageSquare color="#87a96b" size={28} />
                 <Text style={styles.title}>LEAGUE FEED</Text>
             </View>
-            <FlatList data={loading ? [] : activities} renderItem={renderItem} keyExtractor={(item) => item.id}
+            <FlatList ref={listRef} data={loading ? [] : activities} renderItem={renderItem} keyExtractor={(item) => item.id}
+                onScrollToIndexFailed={() => {}}
                 ListEmptyComponent={loading ? renderSkeletons : renderEmpty} contentContainerStyle={styles.list}
                 refreshControl={<RefreshControl refreshing={refreshing} onRefresh={() => fetchActivities(true)} tintColor="#87a96b" />} />
         </View>
@@ -146,6 +198,7 @@ const styles = StyleSheet.create({
     title: { fontSize: 20, fontWeight: 'bold', color: '#fff', marginLeft: 12 },
     list: { padding: 15, flexGrow: 1 },
     card: { backgroundColor: 'rgba(255,255,255,0.03)', borderRadius: 16, padding: 16, marginBottom: 15, borderWidth: 1, borderColor: 'rgba(255,255,255,0.05)' },
+    cardFocused: { borderColor: '#87a96b' },
     cardHeader: { flexDirection: 'row', alignItems: 'center', marginBottom: 12 },
     avatar: { width: 24, height: 24, borderRadius: 12, borderWidth: 1, borderColor: '#87a96b' },
     userName: { color: '#87a96b', fontWeight: '600', marginLeft: 10, flex: 1, fontSize: 14 },
@@ -160,6 +213,7 @@ const styles = StyleSheet.create({
     scorePill: { backgroundColor: '#1a1a1a', paddingHorizontal: 14, paddingVertical: 4, borderRadius: 15, borderWidth: 1, borderColor: 'rgba(135,169,107,0.3)' },
     scoreText: { color: '#87a96b', fontWeight: 'bold', fontSize: 14 },
     gameTag: { color: '#444', fontSize: 10, textAlign: 'center', fontWeight: 'bold' },
+    rankReason: { color: '#888', fontSize: 12, marginTop: 6, marginBottom: 6 },
     actionText: { color: '#aaa', fontSize: 14 },
     actionBar: { flexDirection: 'row', paddingTop: 12, borderTopWidth: 1, borderTopColor: 'rgba(255,255,255,0.05)', gap: 20 },
     actionBtn: { flexDirection: 'row', alignItems: 'center', gap: 6 },
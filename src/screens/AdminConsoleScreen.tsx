@@ -0,0 +1,776 @@
+import React, { useEffect, useState } from 'react';
+import {
+    View,
+    Text,
+    ScrollView,
+    StyleSheet,
+    TouchableOpacity,
+    TextInput,
+    Alert,
+    ActivityIndicator,
+    RefreshControl
+} from 'react-native';
+import { AdminAction, AdminActionType, AuditEntry, AuditSource, Challenge, ClaimRequest, GameType, Profile } from '../types';
+import { AdminService, ProfileService, ServiceResult } from '../lib/services';
+import { formatAuditValue, formatRace, getAuditChanges } from '../lib/logic';
+import { formatRelativeTime } from '../lib/utils';
+import { ArrowLeft, Shield, Clock, Link2, AlertTriangle } from 'lucide-react-native';
+
+type AdminTab = 'matches' | 'players' | 'claims' | 'log';
+
+const ACTION_LABELS: Record<AdminActionType, string> = {
+    set_rank: 'Rank set',
+    void_match: 'Match voided',
+    resolve_dispute: 'Dispute resolved',
+    overturn_result: 'Result overturned',
+    correct_score: 'Score corrected',
+    record_result: 'Result recorded',
+    clear_cooldown: 'Cooldown cleared',
+    merge_profiles: 'Profiles merged',
+    release_claim: 'Claim released',
+    issue_claim_code: 'Claim code issued',
+    approve_claim: 'Claim approved',
+    reject_claim: 'Claim rejected',
+};
+
+const SOURCE_COLORS: Record<AuditSource, string> = {
+    client: '#87a96b',
+    scheduler: '#64b5f6',
+    admin: '#ff9800',
+};
+
+// Bookkeeping columns that don't need to be shown in the audit trail
+const HIDDEN_AUDIT_COLUMNS = ['id', 'created_at', 'updated_at'];
+
+export default function AdminConsoleScreen({ navigation }: any) {
+    const [isOfficer, setIsOfficer] = useState<boolean | null>(null);
+    const [refreshing, setRefreshing] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const [tab, setTab] = useState<AdminTab>('matches');
+    const [reason, setReason] = useState('');
+
+    const [matches, setMatches] = useState<Challenge[]>([]);
+    const [selectedMatchId, setSelectedMatchId] = useState<string | null>(null);
+    const [challengerScore, setChallengerScore] = useState('');
+    const [challengedScore, setChallengedScore] = useState('');
+
+    const [gameType, setGameType] = useState<GameType>('8-ball');
+    const [players, setPlayers] = useState<Profile[]>([]);
+    const [search, setSearch] = useState('');
+    const [selectedPlayerId, setSelectedPlayerId] = useState<string | null>(null);
+    const [rankInput, setRankInput] = useState('');
+    const [duplicate, setDuplicate] = useState<Profile | null>(null);
+    const [auditTrail, setAuditTrail] = useState<AuditEntry[] | null>(null);
+
+    const [claims, setClaims] = useState<ClaimRequest[]>([]);
+    const [actions, setActions] = useState<AdminAction[]>([]);
+
+    async function load(isRefresh = false) {
+        if (isRefresh) setRefreshing(true);
+        try {
+            const { data: officer } = await AdminService.isOfficer({ forceRefresh: true });
+            setIsOfficer(Boolean(officer));
+            if (!officer) return;
+
+            const [queue, ladder, claimQueue, log] = await Promise.all([
+                AdminService.getReviewQueue(30, { forceRefresh: true }),
+                ProfileService.getByLadderRank(gameType, { forceRefresh: true }),
+                AdminService.getClaimQueue({ forceRefresh: true }),
+                AdminService.getRecentActions(30, { forceRefresh: true }),
+            ]);
+            setMatches(queue.data || []);
+            setPlayers(ladder.data || []);
+            setClaims(claimQueue.data || []);
+            setActions(log.data || []);
+        } catch (error: any) {
+            console.error('Error loading admin console:', error.message);
+        } finally {
+            setRefreshing(false);
+        }
+    }
+
+    useEffect(() => { load(); }, [gameType]);
+
+    async function run(action: () => Promise<ServiceResult<AdminAction>>) {
+        if (!reason.trim()) {
+            Alert.alert('Reason Needed', 'Every officer action is logged. Add a reason first.');
+            return;
+        }
+        setBusy(true);
+        const { data, error } = await action();
+        setBusy(false);
+        if (error) {
+            Alert.alert('Error', error.message);
+            return;
+        }
+        if (data?.action === 'issue_claim_code') {
+            Alert.alert(ACTION_LABELS[data.action], `Give ${data.target_profile?.full_name ?? 'the player'} this code: ${data.details.code}`);
+        } else {
+            Alert.alert('Done', data ? ACTION_LABELS[data.action] : 'Saved');
+        }
+        setReason('');
+        setSelectedMatchId(null);
+        setSelectedPlayerId(null);
+        setDuplicate(null);
+        load();
+    }
+
+    function confirm(title: string, message: string, onConfirm: () => void) {
+        Alert.alert(title, message, [
+            { text: 'Cancel', style: 'cancel' },
+            { text: 'Confirm', style: 'destructive', onPress: onConfirm },
+        ]);
+    }
+
+    function selectMatch(match: Challenge) {
+        if (selectedMatchId === match.id) {
+            setSelectedMatchId(null);
+            return;
+        }
+        setSelectedMatchId(match.id);
+        setChallengerScore(match.challenger_score != null ? String(match.challenger_score) : '');
+        setChallengedScore(match.challenged_score != null ? String(match.challenged_score) : '');
+    }
+
+    function selectPlayer(player: Profile) {
+        if (selectedPlayerId === player.id) {
+            setSelectedPlayerId(null);
+            return;
+        }
+        setSelectedPlayerId(player.id);
+        setRankInput(String(player.ladder_rank));
+        setAuditTrail(null);
+    }
+
+    async function toggleAuditTrail(player: Profile) {
+        if (auditTrail) {
+            setAuditTrail(null);
+            return;
+        }
+        const { data, error } = await AdminService.getPlayerAuditTrail(player.id, gameType, 30, { forceRefresh: true });
+        if (error) {
+            Alert.alert('Error', error.message);
+            return;
+        }
+        setAuditTrail(data || []);
+    }
+
+    const playerName = (profileId: string | null) =>
+        players.find((p) => p.id === profileId)?.full_name;
+
+    if (isOfficer === null) {
+        return <View style={styles.centered}><ActivityIndicator size="large" color="#87a96b" /></View>;
+    }
+
+    if (!isOfficer) {
+        return (
+            <View style={styles.centered}>
+                <Shield size={48} color="#444" />
+                <Text style={styles.emptyText}>The admin console is for league officers only.</Text>
+                <TouchableOpacity onPress={() => navigation.goBack()}>
+                    <Text style={styles.linkText}>Go Back</Text>
+                </TouchableOpacity>
+            </View>
+        );
+    }
+
+    const renderMatch = (match: Challenge) => {
+        const selected = selectedMatchId === match.id;
+        const hasScore = match.challenger_score != null && match.challenged_score != null;
+        return (
+            <TouchableOpacity key={match.id} style={[styles.card, selected && styles.cardSelected]} onPress={() => selectMatch(match)}>
+                <View style={styles.cardRow}>
+                    <Text style={styles.cardTitle} numberOfLines={1}>
+                        {match.challenger?.full_name} vs {match.challenged?.full_name}
+                    </Text>
+                    <Text style={[styles.statusBadge, match.status === 'disputed' && styles.statusDisputed]}>
+                        {match.status.toUpperCase()}
+                    </Text>
+                </View>
+                <Text style={styles.cardMeta}>
+                    {match.game_type.toUpperCase()} • {formatRace(match)}
+                    {hasScore ? ` • ${match.challenger_score} - ${match.challenged_score}` : ''}
+                    {` • ${formatRelativeTime(match.updated_at)}`}
+                </Text>
+                {match.dispute_reason ? (
+                    <View style={styles.disputeRow}>
+                        <AlertTriangle size={12} color="#ff9800" />
+                        <Text style={styles.disputeText}>{match.dispute_reason}</Text>
+                    </View>
+                ) : null}
+                {selected && (
+                    <View style={styles.panel}>
+                        {match.status !== 'forfeited' && (
+                            <>
+                                <View style={styles.scoreRow}>
+                                    <TextInput
+                                        style={styles.scoreInput}
+                                        value={challengerScore}
+                                        onChangeText={setChallengerScore}
+                                        keyboardType="number-pad"
+                                        placeholder="0"
+                                        placeholderTextColor="#444"
+                                    />
+                                    <Text style={styles.scoreDash}>-</Text>
+                                    <TextInput
+                                        style={styles.scoreInput}
+                                        value={challengedScore}
+                                        onChangeText={setChallengedScore}
+                                        keyboardType="number-pad"
+                                        placeholder="0"
+                                        placeholderTextColor="#444"
+                                    />
+                                </View>
+                                <TouchableOpacity
+                                    style={styles.primaryButton}
+                                    disabled={busy}
+                                    onPress={() => run(() => AdminService.setMatchResult(
+                                        match.id,
+                                        parseInt(challengerScore, 10),
+                                        parseInt(challengedScore, 10),
+                                        reason
+                                    ))}
+                                >
+                                    <Text style={styles.primaryButtonText}>
+                                        {match.status === 'disputed' ? 'RESOLVE WITH THIS SCORE' : 'SAVE RESULT'}
+                                    </Text>
+                                </TouchableOpacity>
+                            </>
+                        )}
+                        <TouchableOpacity
+                            style={styles.dangerButton}
+                            disabled={busy}
+                            onPress={() => confirm(
+                                'Void Match',
+                                'Rank and rating changes from this match will be undone.',
+                                () => run(() => AdminService.voidMatch(match.id, reason))
+                            )}
+                        >
+                            <Text style={styles.dangerButtonText}>VOID MATCH</Text>
+                        </TouchableOpacity>
+                    </View>
+                )}
+            </TouchableOpacity>
+        );
+    };
+
+    const renderPlayer = (player: Profile) => {
+        const selected = selectedPlayerId === player.id;
+        const onCooldown = !!player.cooldown_until && new Date(player.cooldown_until) > new Date();
+        return (
+            <TouchableOpacity key={player.id} style={[styles.card, selected && styles.cardSelected]} onPress={() => selectPlayer(player)}>
+                <View style={styles.cardRow}>
+                    <Text style={styles.rankText}>#{player.ladder_rank}</Text>
+                    <Text style={styles.cardTitle} numberOfLines={1}>{player.full_name}</Text>
+                    {onCooldown && <Clock size={14} color="#ff9800" />}
+                    {player.owner_id && <Link2 size={14} color="#87a96b" style={{ marginLeft: 6 }} />}
+                </View>
+                {selected && (
+                    <View style={styles.panel}>
+                        <View style={styles.scoreRow}>
+                            <TextInput
+                                style={styles.scoreInput}
+                                value={rankInput}
+                                onChangeText={setRankInput}
+                                keyboardType="number-pad"
+                                placeholderTextColor="#444"
+                            />
+                            <TouchableOpacity
+                                style={[styles.primaryButton, styles.inlineButton]}
+                                disabled={busy}
+                                onPress={() => run(() => AdminService.setRank(player.id, gameType, parseInt(rankInput, 10), reason))}
+                            >
+                                <Text style={styles.primaryButtonText}>SET {gameType.toUpperCase()} RANK</Text>
+                            </TouchableOpacity>
+                        </View>
+                        {onCooldown && (
+                            <TouchableOpacity
+                                style={styles.secondaryButton}
+                                disabled={busy}
+                                onPress={() => run(() => AdminService.clearCooldown(player.id, reason))}
+                            >
+                                <Text style={styles.secondaryButtonText}>CLEAR COOLDOWN</Text>
+                            </TouchableOpacity>
+                        )}
+                        {!player.owner_id && (
+                            <TouchableOpacity
+                                style={styles.secondaryButton}
+                                disabled={busy}
+                                onPress={() => run(() => AdminService.issueClaimCode(player.id, reason))}
+                            >
+                                <Text style={styles.secondaryButtonText}>ISSUE CLAIM CODE</Text>
+                            </TouchableOpacity>
+                        )}
+                        {player.owner_id && (
+                            <TouchableOpacity
+                                style={styles.secondaryButton}
+                                disabled={busy}
+                                onPress={() => confirm(
+                                    'Release Claim',
+                                    `${player.full_name} will be unlinked from the account that claimed it.`,
+                                    () => run(() => AdminService.releaseClaim(player.id, reason))
+                                )}
+                            >
+                                <Text style={styles.secondaryButtonText}>RELEASE CLAIM</Text>
+                            </TouchableOpacity>
+                        )}
+                        <TouchableOpacity style={styles.secondaryButton} onPress={() => toggleAuditTrail(player)}>
+                            <Text style={styles.secondaryButtonText}>{auditTrail ? 'HIDE AUDIT TRAIL' : 'AUDIT TRAIL'}</Text>
+                        </TouchableOpacity>
+                        {auditTrail && (
+                            auditTrail.length > 0
+                                ? auditTrail.map(renderAuditEntry)
+                                : <Text style={styles.cardMeta}>No recorded changes.</Text>
+                        )}
+                        {duplicate && duplicate.id !== player.id ? (
+                            <TouchableOpacity
+                                style={styles.dangerButton}
+                                disabled={busy}
+                                onPress={() => confirm(
+                                    'Merge Profiles',
+                                    `${duplicate.full_name} will be merged into ${player.full_name} and removed.`,
+                                    () => run(() => AdminService.mergeProfiles(player.id, duplicate.id, reason))
+                                )}
+                            >
+                                <Text style={styles.dangerButtonText}>MERGE {duplicate.full_name.toUpperCase()} INTO THIS PROFILE</Text>
+                            </TouchableOpacity>
+                        ) : (
+                            <TouchableOpacity
+                                style={styles.secondaryButton}
+                                onPress={() => { setDuplicate(player); setSelectedPlayerId(null); }}
+                            >
+                                <Text style={styles.secondaryButtonText}>MARK AS DUPLICATE</Text>
+                            </TouchableOpacity>
+                        )}
+                    </View>
+                )}
+            </TouchableOpacity>
+        );
+    };
+
+    const renderAuditEntry = (entry: AuditEntry) => {
+        const changes = getAuditChanges(entry).filter((c) => !HIDDEN_AUDIT_COLUMNS.includes(c.column));
+        return (
+            <View key={entry.id} style={styles.auditEntry}>
+                <View style={styles.cardRow}>
+                    <Text style={[styles.auditSource, { color: SOURCE_COLORS[entry.source] }]}>
+                        {entry.source.toUpperCase()}
+                    </Text>
+                    <Text style={styles.auditMeta}>
+                        {entry.table_name === 'ladder_positions' ? `${entry.game_type} ladder` : 'profile'}
+                        {entry.actor_id ? ` • ${playerName(entry.actor_id) || 'player'}` : ''}
+                    </Text>
+                    <Text style={styles.auditMeta}>{formatRelativeTime(entry.created_at)}</Text>
+                </View>
+                {entry.operation !== 'UPDATE' && (
+                    <Text style={styles.auditChange}>{entry.operation === 'INSERT' ? 'Added' : 'Removed'}</Text>
+                )}
+                {entry.operation === 'UPDATE' && changes.map((change) => (
+                    <Text key={change.column} style={styles.auditChange}>
+                        {change.column}: {formatAuditValue(change.before)} → {formatAuditValue(change.after)}
+                    </Text>
+                ))}
+            </View>
+        );
+    };
+
+    const renderClaim = (claim: ClaimRequest) => {
+        const competing = claims.filter((c) => c.profile_id === claim.profile_id).length;
+        return (
+            <View key={claim.id} style={styles.card}>
+                <View style={styles.cardRow}>
+                    <Text style={styles.cardTitle} numberOfLines={1}>{claim.profile?.full_name}</Text>
+                    {competing > 1 && (
+                        <Text style={[styles.statusBadge, styles.statusDisputed]}>{competing} CLAIMS</Text>
+                    )}
+                </View>
+                <Text style={styles.cardMeta}>
+                    Rank #{claim.profile?.ladder_rank} • Account {claim.user_id.slice(0, 8)} • {formatRelativeTime(claim.created_at)}
+                    {claim.phone_matched ? ' • Phone matches' : ''}
+                    {claim.failed_attempts > 0 ? ` • ${claim.failed_attempts} failed verification${claim.failed_attempts === 1 ? '' : 's'}` : ''}
+                </Text>
+                <View style={[styles.panel, styles.scoreRow]}>
+                    <TouchableOpacity
+                        style={[styles.primaryButton, styles.inlineButton]}
+                        disabled={busy}
+                        onPress={() => run(() => AdminService.decideClaim(claim.id, true, reason))}
+                    >
+                        <Text style={styles.primaryButtonText}>APPROVE</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                        style={[styles.dangerButton, styles.inlineButton]}
+                        disabled={busy}
+                        onPress={() => run(() => AdminService.decideClaim(claim.id, false, reason))}
+                    >
+                        <Text style={styles.dangerButtonText}>REJECT</Text>
+                    </TouchableOpacity>
+                </View>
+            </View>
+        );
+    };
+
+    const renderAction = (entry: AdminAction) => (
+        <View key={entry.id} style={styles.card}>
+            <View style={styles.cardRow}>
+                <Text style={styles.cardTitle}>{ACTION_LABELS[entry.action]}</Text>
+                <Text style={styles.cardMeta}>{formatRelativeTime(entry.created_at)}</Text>
+            </View>
+            <Text style={styles.cardMeta}>
+                {entry.officer?.full_name || 'Officer'}
+                {entry.target_profile ? ` → ${entry.target_profile.full_name}` : ''}
+            </Text>
+            <Text style={styles.reasonText}>"{entry.reason}"</Text>
+        </View>
+    );
+
+    const filteredPlayers = players.filter((p) => p.full_name.toLowerCase().includes(search.trim().toLowerCase()));
+
+    return (
+        <ScrollView
+            style={styles.container}
+            contentContainerStyle={styles.content}
+            keyboardShouldPersistTaps="handled"
+            refreshControl={<RefreshControl refreshing={refreshing} onRefresh={() => load(true)} tintColor="#87a96b" />}
+        >
+            <View style={styles.mainHeader}>
+                <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+                    <ArrowLeft color="#fff" size={24} />
+                </TouchableOpacity>
+                <Shield color="#87a96b" size={28} />
+                <Text style={styles.title}>ADMIN CONSOLE</Text>
+            </View>
+
+            <TextInput
+                style={styles.reasonInput}
+                value={reason}
+                onChangeText={setReason}
+                placeholder="Reason (recorded in the audit log)"
+                placeholderTextColor="#555"
+            />
+
+            <View style={styles.tabContainer}>
+                {(['matches', 'players', 'claims', 'log'] as AdminTab[]).map((t) => (
+                    <TouchableOpacity key={t} style={[styles.tab, tab === t && styles.activeTab]} onPress={() => setTab(t)}>
+                        <Text style={[styles.tabText, tab === t && styles.activeTabText]}>{t.toUpperCase()}</Text>
+                    </TouchableOpacity>
+                ))}
+            </View>
+
+            {tab === 'matches' && (
+                matches.length > 0
+                    ? matches.map(renderMatch)
+                    : <Text style={styles.emptyText}>No matches to review.</Text>
+            )}
+
+            {tab === 'players' && (
+                <>
+                    <View style={styles.chipRow}>
+                        {(['8-ball', '9-ball', '10-ball'] as GameType[]).map((t) => (
+                            <TouchableOpacity key={t} style={[styles.chip, gameType === t && styles.chipActive]} onPress={() => { setGameType(t); setAuditTrail(null); }}>
+                                <Text style={[styles.chipText, gameType === t && styles.chipTextActive]}>{t.toUpperCase()}</Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+                    <TextInput
+                        style={styles.searchInput}
+                        value={search}
+                        onChangeText={setSearch}
+                        placeholder="Search players"
+                        placeholderTextColor="#555"
+                    />
+                    {duplicate && (
+                        <View style={styles.duplicateBar}>
+                            <Text style={styles.duplicateText}>Duplicate: {duplicate.full_name}. Pick the profile to keep.</Text>
+                            <TouchableOpacity onPress={() => setDuplicate(null)}>
+                                <Text style={styles.linkText}>Cancel</Text>
+                            </TouchableOpacity>
+                        </View>
+                    )}
+                    {filteredPlayers.map(renderPlayer)}
+                </>
+            )}
+
+            {tab === 'claims' && (
+                claims.length > 0
+                    ? claims.map(renderClaim)
+                    : <Text style={styles.emptyText}>No profile claims waiting.</Text>
+            )}
+
+            {tab === 'log' && (
+                actions.length > 0
+                    ? actions.map(renderAction)
+                    : <Text style={styles.emptyText}>No officer actions yet.</Text>
+            )}
+        </ScrollView>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#0a0a0a',
+    },
+    content: {
+        paddingBottom: 100,
+    },
+    centered: {
+        flex: 1,
+        backgroundColor: '#0a0a0a',
+        alignItems: 'center',
+        justifyContent: 'center',
+        padding: 30,
+    },
+    mainHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        padding: 20,
+        paddingTop: 60,
+        backgroundColor: 'rgba(255, 255, 255, 0.03)',
+    },
+    backButton: {
+        marginRight: 15,
+        padding: 4,
+    },
+    title: {
+        fontSize: 22,
+        fontWeight: 'bold',
+        color: '#fff',
+        marginLeft: 12,
+    },
+    reasonInput: {
+        margin: 15,
+        marginBottom: 5,
+        padding: 12,
+        borderRadius: 10,
+        backgroundColor: 'rgba(255, 255, 255, 0.05)',
+        borderWidth: 1,
+        borderColor: 'rgba(255, 255, 255, 0.1)',
+        color: '#fff',
+    },
+    tabContainer: {
+        flexDirection: 'row',
+        padding: 10,
+        marginHorizontal: 10,
+        marginTop: 10,
+        backgroundColor: 'rgba(255, 255, 255, 0.02)',
+        borderRadius: 10,
+    },
+    tab: {
+        flex: 1,
+        paddingVertical: 10,
+        alignItems: 'center',
+        borderRadius: 8,
+    },
+    activeTab: {
+        backgroundColor: '#87a96b',
+    },
+    tabText: {
+        color: '#666',
+        fontWeight: '600',
+    },
+    activeTabText: {
+        color: '#000',
+    },
+    chipRow: {
+        flexDirection: 'row',
+        paddingHorizontal: 15,
+        marginTop: 10,
+        gap: 8,
+    },
+    chip: {
+        paddingHorizontal: 14,
+        paddingVertical: 6,
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: 'rgba(255, 255, 255, 0.1)',
+    },
+    chipActive: {
+        borderColor: '#87a96b',
+        backgroundColor: 'rgba(135, 169, 107, 0.2)',
+    },
+    chipText: {
+        color: '#666',
+        fontSize: 12,
+        fontWeight: '600',
+    },
+    chipTextActive: {
+        color: '#87a96b',
+    },
+    searchInput: {
+        marginHorizontal: 15,
+        marginVertical: 10,
+        padding: 10,
+        borderRadius: 10,
+        backgroundColor: 'rgba(255, 255, 255, 0.05)',
+        color: '#fff',
+    },
+    duplicateBar: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        marginHorizontal: 15,
+        marginBottom: 10,
+        padding: 10,
+        borderRadius: 10,
+        backgroundColor: 'rgba(244, 67, 54, 0.1)',
+    },
+    duplicateText: {
+        flex: 1,
+        color: '#f44336',
+        fontSize: 12,
+        marginRight: 10,
+    },
+    card: {
+        marginHorizontal: 15,
+        marginTop: 8,
+        padding: 12,
+        borderRadius: 12,
+        backgroundColor: 'rgba(255, 255, 255, 0.05)',
+        borderWidth: 1,
+        borderColor: 'rgba(255, 255, 255, 0.1)',
+    },
+    cardSelected: {
+        borderColor: '#87a96b',
+    },
+    cardRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    cardTitle: {
+        flex: 1,
+        color: '#fff',
+        fontSize: 14,
+        fontWeight: '600',
+    },
+    cardMeta: {
+        color: '#888',
+        fontSize: 11,
+        marginTop: 4,
+    },
+    rankText: {
+        color: '#87a96b',
+        fontWeight: 'bold',
+        width: 40,
+    },
+    statusBadge: {
+        color: '#888',
+        fontSize: 10,
+        fontWeight: 'bold',
+        letterSpacing: 1,
+    },
+    statusDisputed: {
+        color: '#ff9800',
+    },
+    disputeRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginTop: 6,
+    },
+    disputeText: {
+        color: '#ff9800',
+        fontSize: 12,
+        marginLeft: 6,
+    },
+    reasonText: {
+        color: '#aaa',
+        fontSize: 12,
+        fontStyle: 'italic',
+        marginTop: 6,
+    },
+    panel: {
+        marginTop: 12,
+        gap: 8,
+    },
+    scoreRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 10,
+    },
+    scoreInput: {
+        width: 60,
+        padding: 10,
+        borderRadius: 8,
+        backgroundColor: 'rgba(0, 0, 0, 0.4)',
+        color: '#fff',
+        fontSize: 18,
+        fontWeight: 'bold',
+        textAlign: 'center',
+    },
+    scoreDash: {
+        color: '#666',
+        fontSize: 18,
+    },
+    primaryButton: {
+        backgroundColor: '#87a96b',
+        paddingVertical: 12,
+        borderRadius: 10,
+        alignItems: 'center',
+    },
+    inlineButton: {
+        flex: 1,
+    },
+    primaryButtonText: {
+        color: '#000',
+        fontWeight: 'bold',
+        fontSize: 12,
+        letterSpacing: 1,
+    },
+    secondaryButton: {
+        paddingVertical: 12,
+        borderRadius: 10,
+        alignItems: 'center',
+        borderWidth: 1,
+        borderColor: 'rgba(135, 169, 107, 0.5)',
+    },
+    secondaryButtonText: {
+        color: '#87a96b',
+        fontWeight: 'bold',
+        fontSize: 12,
+        letterSpacing: 1,
+    },
+    dangerButton: {
+        paddingVertical: 12,
+        borderRadius: 10,
+        alignItems: 'center',
+        backgroundColor: 'rgba(244, 67, 54, 0.15)',
+    },
+    dangerButtonText: {
+        color: '#f44336',
+        fontWeight: 'bold',
+        fontSize: 12,
+        letterSpacing: 1,
+    },
+    auditEntry: {
+        paddingVertical: 8,
+        borderTopWidth: 1,
+        borderTopColor: 'rgba(255, 255, 255, 0.05)',
+    },
+    auditSource: {
+        fontSize: 10,
+        fontWeight: 'bold',
+        letterSpacing: 1,
+        marginRight: 8,
+    },
+    auditMeta: {
+        flex: 1,
+        color: '#888',
+        fontSize: 11,
+    },
+    auditChange: {
+        color: '#ccc',
+        fontSize: 12,
+        marginTop: 4,
+    },
+    emptyText: {
+        color: '#666',
+        fontSize: 14,
+        textAlign: 'center',
+        marginTop: 30,
+        marginHorizontal: 30,
+    },
+    linkText: {
+        color: '#87a96b',
+        fontWeight: '600',
+        marginTop: 10,
+    },
+});
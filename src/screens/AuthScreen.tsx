@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { View, Text, TextInput, TouchableOpacity, StyleSheet, Alert, KeyboardAvoidingView, Platform, ScrollView, ActivityIndicator, Modal, FlatList } from 'react-native';
 import { supabase } from '../lib/supabase';
+import { ProfileService } from '../lib/services';
 import { useGuestStore } from '../store/useGuestStore';
 import { ChevronDown, User, Lock, Search, X, Check, Crown, Eye } from 'lucide-react-native';
 
@@ -123,22 +124,19 @@ export default function AuthScreen() {
 
             if (authError) throw authError;
 
-            if (authData.user) {
-                // Link the player profile to the new user
-                const { error: linkError } = await supabase
-                    .from('profiles')
-                    .update({ owner_id: authData.user.id })
-                    .eq('id', selectedPlayer.id);
+            if (authData.session) {
+                // Open a claim on the player profile; it is verified on the claim screen
+                const { error: claimError } = await ProfileService.claim(selectedPlayer.id);
 
-                if (linkError) {
-                    console.error('Failed to link profile:', linkError);
-                    // Don't throw - user is created, they can still use the app
+                if (claimError) {
+                    console.error('Failed to request profile claim:', claimError);
+                    // Don't throw - user is created, they can still claim from the claim screen
                 }
             }
 
             Alert.alert(
                 'Welcome!',
-                `Account created for ${selectedPlayer.full_name}!\n\nPlease check your email to confirm your account.`
+                `Account created for ${selectedPlayer.full_name}!\n\nPlease check your email to confirm your account, then claim your profile with your league code or ask a league officer to approve it.`
             );
         } catch (error: any) {
             Alert.alert('Registration Failed', error.message);
@@ -2,21 +2,27 @@ import React, { useState, useEffect } from 'react';
 import { View, Text, StyleSheet, TouchableOpacity, ScrollView, Alert, Platform, ActivityIndicator } from 'react-native';
 import { supabase } from '../lib/supabase';
 import { Profile, GameType } from '../types';
-import { sendPushNotification } from '../lib/notifications';
-import { checkChallengeEligibility } from '../lib/logic';
+import { requestPushFanout } from '../lib/notifications';
+import { evaluateChallengeRules, RuleViolation } from '../lib/ladderRules';
+import { gameWinProbability, suggestHandicapRace } from '../lib/rating';
+import { ChallengeService, ProfileService } from '../lib/services';
 import { Target, ChevronRight, AlertCircle, ArrowLeft, Calendar } from 'lucide-react-native';
 
 export default function ChallengeScreen({ route, navigation }: any) {
-    const { target } = route.params as { target: Profile };
-    const [gameType, setGameType] = useState<GameType>('8-ball');
+    const { target, gameType: initialGameType } = route.params as { target: Profile; gameType?: GameType };
+    const [gameType, setGameType] = useState<GameType>(initialGameType || '8-ball');
     const [gamesToWin, setGamesToWin] = useState(7);
+    const [handicap, setHandicap] = useState(false);
     const [loading, setLoading] = useState(false);
     const [currentProfile, setCurrentProfile] = useState<Profile | null>(null);
-    const [eligibility, setEligibility] = useState<{ eligible: boolean; error?: string } | null>(null);
+    const [eligibility, setEligibility] = useState<{ eligible: boolean; error?: string; reasons: RuleViolation[] } | null>(null);
+    const [targetRank, setTargetRank] = useState<number | null>(null);
 
+    // Eligibility depends on both players' ranks on this discipline's ladder
     useEffect(() => {
+        setEligibility(null);
         checkCurrentProfile();
-    }, []);
+    }, [gameType]);
 
     async function checkCurrentProfile() {
         try {
@@ -29,7 +35,31 @@ export default function ChallengeScreen({ route, navigation }: any) {
                 .single();
             if (profile) {
                 setCurrentProfile(profile);
-                const result = checkChallengeEligibility(profile.ladder_rank, target.ladder_rank, profile.cooldown_until);
+                const [ranks, rules, openCount, history] = await Promise.all([
+                    ProfileService.getLadderRanks([profile.id, target.id], gameType, { forceRefresh: true }),
+                    ChallengeService.getLadderRules(),
+                    ChallengeService.getOpenCount(profile.id, { forceRefresh: true }),
+                    ChallengeService.getBetweenPlayers(profile.id, target.id),
+                ]);
+                const lastMatch = (history.data || [])
+                    .filter((c) => c.status === 'completed' || c.status === 'forfeited')
+                    .map((c) => c.updated_at)
+                    .sort()
+                    .pop();
+                const myRank = ranks.data?.[profile.id];
+                const theirRank = ranks.data?.[target.id];
+                if (!myRank || !theirRank) {
+                    setEligibility({ eligible: false, error: `Both players need a spot on the ${gameType} ladder.`, reasons: [] });
+                    return;
+                }
+                setTargetRank(theirRank);
+                const result = evaluateChallengeRules({
+                    challengerRank: myRank,
+                    targetRank: theirRank,
+                    cooldownUntil: profile.cooldown_until,
+                    openChallengeCount: openCount.data ?? undefined,
+                    lastMatchAt: lastMatch ?? null,
+                }, rules.data ?? undefined);
                 setEligibility(result);
             }
         } catch (error: any) {
@@ -37,6 +67,10 @@ export default function ChallengeScreen({ route, navigation }: any) {
         }
     }
 
+    const handicapRace = handicap && currentProfile
+        ? suggestHandicapRace(currentProfile.fargo_rating, target.fargo_rating, gamesToWin)
+        : null;
+
     async function submitChallenge() {
         if (!currentProfile || (eligibility && !eligibility.eligible)) {
             Alert.alert('Cannot Challenge', eligibility?.error || 'Not eligible');
@@ -44,22 +78,19 @@ export default function ChallengeScreen({ route, navigation }: any) {
         }
         setLoading(true);
         try {
-            const { error } = await supabase.from('challenges').insert({
-                challenger_id: currentProfile.id,
+            // Re-validated server-side; venue and time are negotiated from the Inbox
+            const { data: created, error } = await ChallengeService.create({
                 challenged_id: target.id,
                 game_type: gameType,
                 games_to_win: gamesToWin,
-                status: 'pending',
-                deadline: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toISOString(),
-                venue: 'TBD',
-                proposed_time: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString()
+                ...(handicapRace && {
+                    challenger_race: handicapRace.challengerRace,
+                    challenged_race: handicapRace.challengedRace,
+                }),
             });
             if (error) throw error;
-            if (target.expo_push_token) {
-                await sendPushNotification(target.expo_push_token, 'New Challenge!',
-                    `${currentProfile.full_name} challenged you to race to ${gamesToWin} in ${gameType}!`,
-                    { type: 'CHALLENGE_RECEIVED' });
-            }
+            // Best effort: the challenge shows in their Inbox either way
+            if (created) await requestPushFanout('new_challenge', created.id);
             Alert.alert('Challenge Sent!', `${target.full_name} has 2 weeks to respond.`,
                 [{ text: 'OK', onPress: () => navigation.goBack() }]);
         } catch (error: any) {
@@ -77,12 +108,12 @@ export default function ChallengeScreen({ route, navigation }: any) {
             <View style={styles.header}>
                 <Text style={styles.headerLabel}>CHALLENGE</Text>
                 <Text style={styles.targetName}>{target.full_name}</Text>
-                <Text style={styles.targetInfo}>Rank #{target.ladder_rank} | Fargo {target.fargo_rating}</Text>
+                <Text style={styles.targetInfo}>{gameType.toUpperCase()} Rank #{targetRank ?? target.ladder_rank} | Fargo {target.fargo_rating}</Text>
             </View>
             {eligibility && !eligibility.eligible && (
                 <View style={styles.warning}>
                     <AlertCircle size={18} color="#ff9800" />
-                    <Text style={styles.warningText}>{eligibility.error}</Text>
+                    <Text style={styles.warningText}>{eligibility.reasons.length > 0 ? eligibility.reasons.map((r) => r.message).join('\n') : eligibility.error}</Text>
                 </View>
             )}
             <View style={styles.section}>
@@ -104,6 +135,14 @@ export default function ChallengeScreen({ route, navigation }: any) {
                     <ChevronRight size={18} color="#87a96b" />
                     <Text style={styles.sectionTitle}>Race To</Text>
                 </View>
+                <View style={[styles.options, styles.raceModes]}>
+                    {[false, true].map((h) => (
+                        <TouchableOpacity key={String(h)} style={[styles.opt, handicap === h && styles.optActive]}
+                            onPress={() => setHandicap(h)}>
+                            <Text style={[styles.optText, handicap === h && styles.optTextActive]}>{h ? 'HANDICAP' : 'EVEN'}</Text>
+                        </TouchableOpacity>
+                    ))}
+                </View>
                 <View style={styles.raceRow}>
                     <TouchableOpacity onPress={() => setGamesToWin(Math.max(3, gamesToWin - 1))} style={styles.stepBtn}>
                         <Text style={styles.stepText}>-</Text>
@@ -113,6 +152,16 @@ export default function ChallengeScreen({ route, navigation }: any) {
                         <Text style={styles.stepText}>+</Text>
                     </TouchableOpacity>
                 </View>
+                {handicapRace && (
+                    <Text style={styles.handicapText}>
+                        You race to {handicapRace.challengerRace} | {target.full_name} races to {handicapRace.challengedRace}
+                    </Text>
+                )}
+                {currentProfile && !handicapRace && (
+                    <Text style={styles.oddsText}>
+                        You win {Math.round(gameWinProbability(currentProfile.fargo_rating, target.fargo_rating) * 100)}% of games at current Fargo ratings
+                    </Text>
+                )}
             </View>
             <View style={styles.info}>
                 <Calendar size={14} color="#87a96b" />
@@ -148,6 +197,9 @@ const styles = StyleSheet.create({
     stepBtn: { width: 50, height: 50, borderRadius: 25, backgroundColor: 'rgba(135,169,107,0.2)', justifyContent: 'center', alignItems: 'center' },
     stepText: { color: '#87a96b', fontSize: 24 },
     raceNum: { color: '#fff', fontSize: 42, fontWeight: 'bold', marginHorizontal: 30 },
+    raceModes: { marginBottom: 14 },
+    handicapText: { color: '#87a96b', fontSize: 13, fontWeight: '600', textAlign: 'center', marginTop: 12 },
+    oddsText: { color: '#666', fontSize: 12, textAlign: 'center', marginTop: 12 },
     info: { flexDirection: 'row', alignItems: 'center', padding: 14, backgroundColor: 'rgba(135,169,107,0.1)', borderRadius: 10, marginBottom: 25 },
     infoText: { color: '#aaa', fontSize: 13, marginLeft: 10, flex: 1 },
     submitBtn: { backgroundColor: '#87a96b', padding: 16, borderRadius: 10, alignItems: 'center', marginBottom: 30 },
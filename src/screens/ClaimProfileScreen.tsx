@@ -1,14 +1,31 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { View, Text, StyleSheet, TextInput, TouchableOpacity, FlatList, ActivityIndicator, Alert, Keyboard } from 'react-native';
 import { supabase } from '../lib/supabase';
-import { Profile } from '../types';
-import { UserCheck, Search, ChevronRight, UserPlus } from 'lucide-react-native';
+import { ProfileService } from '../lib/services';
+import { ClaimRequest, Profile } from '../types';
+import { UserCheck, Search, ChevronRight, UserPlus, Clock, KeyRound, Phone } from 'lucide-react-native';
 
 export default function ClaimProfileScreen() {
     const [search, setSearch] = useState('');
     const [profiles, setProfiles] = useState<Profile[]>([]);
     const [loading, setLoading] = useState(false);
     const [claiming, setClaiming] = useState<string | null>(null);
+    const [selected, setSelected] = useState<Profile | null>(null);
+    const [code, setCode] = useState('');
+    const [phone, setPhone] = useState('');
+    const [request, setRequest] = useState<ClaimRequest | null>(null);
+
+    async function loadRequest() {
+        const { data: { user } } = await supabase.auth.getUser();
+        if (!user) return;
+        const { data } = await ProfileService.getLatestClaimRequest(user.id, { forceRefresh: true });
+        setRequest(data ?? null);
+    }
+
+    useEffect(() => { loadRequest(); }, []);
+
+    const pending = request?.status === 'pending' ? request : null;
+    const target = selected ?? pending?.profile ?? null;
 
     async function searchProfiles() {
         const query = search.trim();
@@ -31,24 +48,50 @@ export default function ClaimProfileScreen() {
         }
     }
 
-    async function claimProfile(profile: Profile) {
-        Alert.alert('Claim Profile', `Are you ${profile.full_name}?\n\nRank #${profile.ladder_rank} | Fargo ${profile.fargo_rating}`, [
-            { text: 'Cancel', style: 'cancel' },
-            { text: 'Yes, Claim It', onPress: async () => {
-                setClaiming(profile.id);
-                try {
-                    const { data: { user } } = await supabase.auth.getUser();
-                    if (!user) throw new Error('Not authenticated');
-                    const { error } = await supabase.from('profiles').update({ owner_id: user.id }).eq('id', profile.id);
-                    if (error) throw error;
-                    Alert.alert('Welcome Back!', `${profile.full_name}, your profile has been linked.`);
-                } catch (error: any) {
-                    Alert.alert('Error', error.message);
-                } finally {
-                    setClaiming(null);
-                }
-            }}
-        ]);
+    function selectProfile(profile: Profile) {
+        setSelected(profile);
+        setCode('');
+        setPhone('');
+    }
+
+    // A league code approves the claim on the spot; anything else waits for a
+    // league officer, who sees whether the phone number matched
+    async function claimProfile(profile: Profile, verify: boolean) {
+        if (verify && !code.trim() && !phone.trim()) {
+            Alert.alert('Verify', 'Enter the code from a league officer or the phone number on your profile.');
+            return;
+        }
+        Keyboard.dismiss();
+        setClaiming(profile.id);
+        try {
+            const { data, error } = await ProfileService.claim(profile.id, verify ? { code, phone } : {});
+            if (error) throw error;
+            setRequest(data);
+            setSelected(null);
+            if (data?.status === 'approved') {
+                Alert.alert('Welcome Back!', `${profile.full_name}, your profile has been linked.`);
+            } else if (data?.phone_matched && !code.trim()) {
+                Alert.alert('Request Sent', 'Your phone number matches. A league officer will approve your claim shortly.');
+            } else if (verify) {
+                Alert.alert('Not Verified', "That didn't match our records. Your claim is waiting for a league officer to approve it.");
+            } else {
+                Alert.alert('Request Sent', `A league officer will confirm you are ${profile.full_name}.`);
+            }
+        } catch (error: any) {
+            Alert.alert('Error', error.message);
+        } finally {
+            setClaiming(null);
+        }
+    }
+
+    async function cancelRequest() {
+        if (!pending) return;
+        const { data, error } = await ProfileService.cancelClaim(pending.id);
+        if (error) {
+            Alert.alert('Error', error.message);
+            return;
+        }
+        setRequest(data);
     }
 
     async function createNewProfile() {
@@ -78,34 +121,83 @@ export default function ClaimProfileScreen() {
                 <Text style={styles.title}>Claim Your Profile</Text>
             </View>
             <Text style={styles.desc}>Search for your name to link your existing Fargo rating and rank. Or create a new profile if you're new to the league.</Text>
-            <View style={styles.searchRow}>
-                <TextInput style={styles.input} placeholder="Search your name..." placeholderTextColor="#666"
-                    value={search} onChangeText={setSearch} onSubmitEditing={searchProfiles} returnKeyType="search" />
-                <TouchableOpacity style={styles.searchBtn} onPress={searchProfiles} accessibilityLabel="Search">
-                    <Search size={20} color="#000" />
-                </TouchableOpacity>
-            </View>
-            {loading ? <ActivityIndicator color="#87a96b" style={{ marginTop: 40 }} /> : (
-                <FlatList data={profiles} keyExtractor={(item) => item.id} contentContainerStyle={styles.list}
-                    renderItem={({ item }) => (
-                        <TouchableOpacity style={styles.profileCard} onPress={() => claimProfile(item)} accessibilityLabel={`Claim ${item.full_name}`}>
-                            <View style={{ flex: 1 }}>
-                                <Text style={styles.profileName}>{item.full_name}</Text>
-                                <Text style={styles.profileInfo}>Rank #{item.ladder_rank} | Fargo {item.fargo_rating}</Text>
-                            </View>
-                            {claiming === item.id ? <ActivityIndicator color="#87a96b" size="small" /> : <ChevronRight color="#87a96b" size={20} />}
-                        </TouchableOpacity>
+            {request?.status === 'rejected' && !target && (
+                <View style={styles.notice}>
+                    <Text style={styles.noticeText}>
+                        Your claim for {request.profile?.full_name ?? 'that profile'} was not approved.
+                        {request.decision_reason ? ` ${request.decision_reason}` : ''}
+                    </Text>
+                </View>
+            )}
+            {target ? (
+                <View style={styles.verifyCard}>
+                    <Text style={styles.profileName}>{target.full_name}</Text>
+                    <Text style={styles.profileInfo}>Rank #{target.ladder_rank} | Fargo {target.fargo_rating}</Text>
+                    {pending?.profile_id === target.id && (
+                        <View style={styles.pendingRow}>
+                            <Clock size={14} color="#ff9800" />
+                            <Text style={styles.pendingText}>Waiting for a league officer to approve</Text>
+                        </View>
                     )}
-                    ListEmptyComponent={search.length > 0 ? (
-                        <View style={styles.empty}>
-                            <Text style={styles.emptyText}>No unclaimed profiles found</Text>
-                            <TouchableOpacity style={styles.newBtn} onPress={createNewProfile}>
-                                <UserPlus size={18} color="#000" />
-                                <Text style={styles.newBtnText}>Create New Player Profile</Text>
+                    <Text style={styles.verifyHint}>Enter the code from a league officer to claim it now, or the phone number the league has for you to speed up an officer's approval.</Text>
+                    <View style={styles.verifyRow}>
+                        <KeyRound size={18} color="#666" />
+                        <TextInput style={styles.verifyInput} placeholder="League code" placeholderTextColor="#666"
+                            value={code} onChangeText={setCode} autoCapitalize="characters" autoCorrect={false} />
+                    </View>
+                    <View style={styles.verifyRow}>
+                        <Phone size={18} color="#666" />
+                        <TextInput style={styles.verifyInput} placeholder="Phone number" placeholderTextColor="#666"
+                            value={phone} onChangeText={setPhone} keyboardType="phone-pad" />
+                    </View>
+                    {claiming === target.id ? <ActivityIndicator color="#87a96b" style={{ marginTop: 16 }} /> : (
+                        <>
+                            <TouchableOpacity style={styles.claimBtn} onPress={() => claimProfile(target, true)}>
+                                <Text style={styles.claimBtnText}>Verify & Claim</Text>
                             </TouchableOpacity>
-                        </View>
-                    ) : null}
-                />
+                            {pending?.profile_id !== target.id && (
+                                <TouchableOpacity style={styles.linkBtn} onPress={() => claimProfile(target, false)}>
+                                    <Text style={styles.linkText}>Ask an officer to approve instead</Text>
+                                </TouchableOpacity>
+                            )}
+                        </>
+                    )}
+                    <TouchableOpacity style={styles.linkBtn} onPress={() => (selected ? setSelected(null) : cancelRequest())}>
+                        <Text style={[styles.linkText, { color: '#888' }]}>{selected ? 'Back to search' : 'Cancel claim request'}</Text>
+                    </TouchableOpacity>
+                </View>
+            ) : (
+                <>
+                    <View style={styles.searchRow}>
+                        <TextInput style={styles.input} placeholder="Search your name..." placeholderTextColor="#666"
+                            value={search} onChangeText={setSearch} onSubmitEditing={searchProfiles} returnKeyType="search" />
+                        <TouchableOpacity style={styles.searchBtn} onPress={searchProfiles} accessibilityLabel="Search">
+                            <Search size={20} color="#000" />
+                        </TouchableOpacity>
+                    </View>
+                    {loading ? <ActivityIndicator color="#87a96b" style={{ marginTop: 40 }} /> : (
+                        <FlatList data={profiles} keyExtractor={(item) => item.id} contentContainerStyle={styles.list}
+                            renderItem={({ item }) => (
+                                <TouchableOpacity style={styles.profileCard} onPress={() => selectProfile(item)} accessibilityLabel={`Claim ${item.full_name}`}>
+                                    <View style={{ flex: 1 }}>
+                                        <Text style={styles.profileName}>{item.full_name}</Text>
+                                        <Text style={styles.profileInfo}>Rank #{item.ladder_rank} | Fargo {item.fargo_rating}</Text>
+                                    </View>
+                                    <ChevronRight color="#87a96b" size={20} />
+                                </TouchableOpacity>
+                            )}
+                            ListEmptyComponent={search.length > 0 ? (
+                                <View style={styles.empty}>
+                                    <Text style={styles.emptyText}>No unclaimed profiles found</Text>
+                                    <TouchableOpacity style={styles.newBtn} onPress={createNewProfile}>
+                                        <UserPlus size={18} color="#000" />
+                                        <Text style={styles.newBtnText}>Create New Player Profile</Text>
+                                    </TouchableOpacity>
+                                </View>
+                            ) : null}
+                        />
+                    )}
+                </>
             )}
         </View>
     );
@@ -127,4 +219,16 @@ const styles = StyleSheet.create({
     emptyText: { color: '#666', marginBottom: 20, fontSize: 14 },
     newBtn: { backgroundColor: '#87a96b', flexDirection: 'row', paddingVertical: 14, paddingHorizontal: 24, borderRadius: 25, alignItems: 'center' },
     newBtnText: { color: '#000', fontWeight: 'bold', marginLeft: 8, fontSize: 14 },
+    notice: { backgroundColor: 'rgba(244,67,54,0.1)', borderRadius: 10, padding: 12, marginBottom: 16 },
+    noticeText: { color: '#f44336', fontSize: 13, lineHeight: 18 },
+    verifyCard: { padding: 18, backgroundColor: 'rgba(255,255,255,0.05)', borderRadius: 12, borderWidth: 1, borderColor: 'rgba(135,169,107,0.4)' },
+    pendingRow: { flexDirection: 'row', alignItems: 'center', marginTop: 12 },
+    pendingText: { color: '#ff9800', fontSize: 13, marginLeft: 6 },
+    verifyHint: { color: '#888', fontSize: 13, lineHeight: 18, marginTop: 14, marginBottom: 10 },
+    verifyRow: { flexDirection: 'row', alignItems: 'center', backgroundColor: 'rgba(255,255,255,0.08)', borderRadius: 10, paddingHorizontal: 12, marginBottom: 10 },
+    verifyInput: { flex: 1, padding: 12, color: '#fff', fontSize: 15 },
+    claimBtn: { backgroundColor: '#87a96b', paddingVertical: 14, borderRadius: 25, alignItems: 'center', marginTop: 6 },
+    claimBtnText: { color: '#000', fontWeight: 'bold', fontSize: 14 },
+    linkBtn: { alignItems: 'center', paddingVertical: 12 },
+    linkText: { color: '#87a96b', fontSize: 13, fontWeight: '600' },
 });
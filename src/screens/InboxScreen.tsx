@@ -1,15 +1,27 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { View, Text, FlatList, StyleSheet, TouchableOpacity, RefreshControl, Platform, Alert } from 'react-native';
 import { supabase } from '../lib/supabase';
-import { Challenge } from '../types';
-import { Bell, Clock, MapPin, Check, X } from 'lucide-react-native';
+import { Challenge, ChallengeProposal } from '../types';
+import { Bell, Clock, MapPin, Check, X, MessageSquare, ChevronRight } from 'lucide-react-native';
 import { SkeletonCard } from '../components/SkeletonLoader';
+import { NegotiationPanel } from '../components/NegotiationPanel';
+import { ChallengeService } from '../lib/services';
+import { requestPushFanout } from '../lib/notifications';
+import { useNotificationStore } from '../store/useNotificationStore';
+import { formatRace, getResultConfirmationState, getResultAutoConfirmTime, getNegotiationTurn, getPlayerOwingResponse } from '../lib/logic';
 
-export default function InboxScreen({ navigation }: any) {
+export default function InboxScreen({ navigation, route }: any) {
     const [challenges, setChallenges] = useState<any[]>([]);
     const [loading, setLoading] = useState(true);
     const [refreshing, setRefreshing] = useState(false);
     const [currentUserId, setCurrentUserId] = useState<string | null>(null);
+    const [expandedId, setExpandedId] = useState<string | null>(null);
+    const [proposals, setProposals] = useState<ChallengeProposal[]>([]);
+    const [negotiating, setNegotiating] = useState(false);
+    const unreadCount = useNotificationStore((state) => state.unreadCount);
+    const listRef = useRef<FlatList>(null);
+    // Set when opened from a notification
+    const focusedId: string | undefined = route?.params?.challengeId;
 
     async function fetchChallenges(isRefresh = false) {
         if (isRefresh) {
@@ -70,29 +82,80 @@ export default function InboxScreen({ navigation }: any) {
         };
     }, []);
 
-    async function respondToChallenge(challenge: Challenge, status: 'negotiating' | 'forfeited', venue?: string, time?: string) {
+    useEffect(() => {
+        const index = challenges.findIndex((c) => c.id === focusedId);
+        if (index >= 0) listRef.current?.scrollToIndex({ index, animated: true });
+    }, [focusedId, challenges]);
+
+    async function declineChallenge(challenge: Challenge) {
         try {
-            const { error } = await supabase
-                .from('challenges')
-                .update({
-                    status,
-                    venue: venue || challenge.venue,
-                    proposed_time: time || challenge.proposed_time,
-                    updated_at: new Date().toISOString()
-                })
-                .eq('id', challenge.id);
+            const { error } = await ChallengeService.decline(challenge.id);
 
             if (error) throw error;
-            Alert.alert('Success', `Challenge ${status === 'negotiating' ? 'accepted' : 'declined'}.`);
-            if (status === 'negotiating') {
-                navigation.navigate('Scoreboard', { challenge: { ...challenge, status: 'negotiating' } });
-            }
+            Alert.alert('Success', 'Challenge declined.');
+            fetchChallenges();
+        } catch (error: any) {
+            Alert.alert('Error', error.message);
+        }
+    }
+
+    async function toggleNegotiation(challenge: Challenge) {
+        if (expandedId === challenge.id) {
+            setExpandedId(null);
+            return;
+        }
+        setExpandedId(challenge.id);
+        setProposals([]);
+        const { data, error } = await ChallengeService.getProposals(challenge.id, { forceRefresh: true });
+        if (error) {
+            Alert.alert('Error', error.message);
+            return;
+        }
+        setProposals(data || []);
+    }
+
+    async function runNegotiation(challengeId: string, action: () => Promise<{ error: Error | null }>, successMessage: string) {
+        setNegotiating(true);
+        try {
+            const { error } = await action();
+            if (error) throw error;
+            Alert.alert('Success', successMessage);
+            const { data } = await ChallengeService.getProposals(challengeId, { forceRefresh: true });
+            setProposals(data || []);
             fetchChallenges();
         } catch (error: any) {
             Alert.alert('Error', error.message);
+        } finally {
+            setNegotiating(false);
         }
     }
 
+    async function confirmResult(challenge: Challenge) {
+        const { error } = await ChallengeService.confirmResult(challenge.id);
+        if (error) {
+            Alert.alert('Error', error.message);
+            return;
+        }
+        Alert.alert('Result Confirmed', 'The match is final and the ladder has been updated.');
+        fetchChallenges();
+    }
+
+    function disputeResult(challenge: Challenge) {
+        Alert.alert('Dispute Result?', 'A league officer will review this match before the ladder changes.', [
+            { text: 'Cancel', style: 'cancel' },
+            {
+                text: 'Dispute', style: 'destructive', onPress: async () => {
+                    const { error } = await ChallengeService.disputeResult(challenge.id);
+                    if (error) {
+                        Alert.alert('Error', error.message);
+                        return;
+                    }
+                    fetchChallenges();
+                }
+            }
+        ]);
+    }
+
     const renderSkeletons = () => (
         <View>
             {[1, 2, 3, 4].map((i) => (
@@ -104,30 +167,34 @@ export default function InboxScreen({ navigation }: any) {
     const renderItem = ({ item }: { item: any }) => {
         const isChallenger = item.challenger_id === currentUserId;
         const canRespond = item.status === 'pending' && item.challenged_id === currentUserId;
+        const resultState = getResultConfirmationState(item, currentUserId);
+        const negotiationTurn = getNegotiationTurn(item, currentUserId);
+        const isExpanded = expandedId === item.id;
 
         const deadline = new Date(item.deadline);
         const now = new Date();
         const daysLeft = Math.ceil((deadline.getTime() - now.getTime()) / (1000 * 60 * 60 * 24));
         const expirationText = daysLeft > 0 ? `${daysLeft}d left` : 'Expiring soon';
+        const mustRespond = getPlayerOwingResponse(item) === currentUserId;
 
         return (
-            <View style={styles.card}>
+            <View style={[styles.card, item.id === focusedId && styles.cardFocused]}>
                 <View style={styles.cardHeader}>
                     <Text style={styles.challengerText}>
                         {isChallenger ? `You challenged ${item.challenged?.full_name}` : `${item.challenger?.full_name} challenged you`}
                     </Text>
                     <View style={[styles.statusBadge, { backgroundColor: getStatusColor(item.status) }]}>
                         <Text style={styles.statusText}>
-                            {item.status === 'pending' ? expirationText.toUpperCase() : item.status.toUpperCase()}
+                            {item.status === 'pending' || mustRespond ? expirationText.toUpperCase() : item.status.toUpperCase()}
                         </Text>
                     </View>
                 </View>
 
                 <View style={styles.details}>
-                    <Text style={styles.detailText}>{item.game_type} | Race to {item.games_to_win}</Text>
+                    <Text style={styles.detailText}>{item.game_type} | {formatRace(item)}</Text>
                     <View style={styles.detailRow}>
                         <Clock size={14} color="#888" />
-                        <Text style={styles.detailText}> {new Date(item.proposed_time).toLocaleString()}</Text>
+                        <Text style={styles.detailText}> {item.proposed_time ? new Date(item.proposed_time).toLocaleString() : 'TBD'}</Text>
                     </View>
                     <View style={styles.detailRow}>
                         <MapPin size={14} color="#888" />
@@ -135,25 +202,96 @@ export default function InboxScreen({ navigation }: any) {
                     </View>
                 </View>
 
-                {canRespond && (
+                {mustRespond && (
+                    <Text style={styles.deadlineWarning}>
+                        Respond by {deadline.toLocaleDateString()} or forfeit this challenge.
+                    </Text>
+                )}
+
+                {resultState !== 'none' && (
+                    <View style={styles.resultBox}>
+                        <Text style={styles.resultText}>Reported score: {item.challenger_score} - {item.challenged_score}</Text>
+                        <Text style={styles.resultSubtext}>
+                            {resultState === 'disputed'
+                                ? 'Disputed - awaiting league officer review'
+                                : resultState === 'awaiting_opponent'
+                                    ? `Waiting for opponent. Auto-confirms ${getResultAutoConfirmTime(item.reported_at).toLocaleString()}`
+                                    : `Confirm or dispute by ${getResultAutoConfirmTime(item.reported_at).toLocaleString()}`}
+                        </Text>
+                    </View>
+                )}
+
+                {resultState === 'needs_my_confirmation' && (
                     <View style={styles.actions}>
                         <TouchableOpacity
                             style={[styles.actionBtn, styles.acceptBtn]}
-                            onPress={() => respondToChallenge(item, 'negotiating', 'Eagles 4040', new Date(Date.now() + 86400000).toISOString())}
-                            accessibilityLabel="Accept challenge"
+                            onPress={() => confirmResult(item)}
+                            accessibilityLabel="Confirm result"
                         >
                             <Check size={20} color="#000" />
-                            <Text style={styles.acceptBtnText}>Accept</Text>
+                            <Text style={styles.acceptBtnText}>Confirm</Text>
                         </TouchableOpacity>
                         <TouchableOpacity
                             style={[styles.actionBtn, styles.declineBtn]}
-                            onPress={() => respondToChallenge(item, 'forfeited')}
-                            accessibilityLabel="Decline challenge"
+                            onPress={() => disputeResult(item)}
+                            accessibilityLabel="Dispute result"
                         >
                             <X size={20} color="#ff5252" />
                         </TouchableOpacity>
                     </View>
                 )}
+
+                {isExpanded && (
+                    <NegotiationPanel
+                        proposals={proposals}
+                        currentProfileId={currentUserId}
+                        turn={negotiationTurn}
+                        busy={negotiating}
+                        onPropose={(venues, slots) => runNegotiation(item.id, () => ChallengeService.proposeTerms(item.id, venues, slots), 'Proposal sent.')}
+                        onAccept={(proposal, venue, slot) => runNegotiation(item.id, async () => {
+                            const result = await ChallengeService.acceptProposal(proposal.id, venue, slot);
+                            if (!result.error) requestPushFanout('challenge_accepted', item.id);
+                            return result;
+                        }, 'Match scheduled!')}
+                    />
+                )}
+
+                {(item.status === 'scheduled' || item.status === 'live') && resultState === 'none' && (
+                    <View style={styles.actions}>
+                        <TouchableOpacity
+                            style={[styles.actionBtn, styles.acceptBtn]}
+                            onPress={() => navigation.navigate('Scoreboard', { challenge: item })}
+                            accessibilityLabel="Open scoreboard"
+                        >
+                            <Check size={20} color="#000" />
+                            <Text style={styles.acceptBtnText}>Open Scoreboard</Text>
+                        </TouchableOpacity>
+                    </View>
+                )}
+
+                {negotiationTurn !== 'closed' && (
+                    <View style={styles.actions}>
+                        <TouchableOpacity
+                            style={[styles.actionBtn, styles.acceptBtn]}
+                            onPress={() => toggleNegotiation(item)}
+                            accessibilityLabel="Negotiate venue and time"
+                        >
+                            <MessageSquare size={20} color="#000" />
+                            <Text style={styles.acceptBtnText}>
+                                {isExpanded ? 'Hide' : negotiationTurn === 'mine' ? (item.status === 'pending' ? 'Propose Terms' : 'Respond') : 'View Terms'}
+                            </Text>
+                        </TouchableOpacity>
+                        {canRespond && (
+                            <TouchableOpacity
+                                style={[styles.actionBtn, styles.declineBtn]}
+                                onPress={() => declineChallenge(item)}
+                                accessibilityLabel="Decline challenge"
+                            >
+                                <X size={20} color="#ff5252" />
+                            </TouchableOpacity>
+                        )}
+                    </View>
+                )}
             </View>
         );
     };
@@ -174,9 +312,24 @@ export default function InboxScreen({ navigation }: any) {
             <View style={styles.header}>
                 <Bell size={32} color="#87a96b" />
                 <Text style={styles.title}>INBOX</Text>
+                <TouchableOpacity
+                    style={styles.notificationsBtn}
+                    onPress={() => navigation.navigate('Notifications')}
+                    accessibilityLabel="Open notifications"
+                >
+                    <Text style={styles.notificationsText}>NOTIFICATIONS</Text>
+                    {unreadCount > 0 && (
+                        <View style={styles.unreadBadge}>
+                            <Text style={styles.unreadText}>{unreadCount}</Text>
+                        </View>
+                    )}
+                    <ChevronRight size={16} color="#87a96b" />
+                </TouchableOpacity>
             </View>
 
             <FlatList
+                ref={listRef}
+                onScrollToIndexFailed={() => {}}
                 data={loading ? [] : challenges}
                 renderItem={renderItem}
                 ListEmptyComponent={loading ? renderSkeletons : renderEmpty}
@@ -201,6 +354,7 @@ function getStatusColor(status: string) {
         case 'scheduled': return '#4caf50';
         case 'live': return '#f44336';
         case 'completed': return '#87a96b';
+        case 'disputed': return '#e91e63';
         default: return '#666';
     }
 }
@@ -222,6 +376,32 @@ const styles = StyleSheet.create({
         fontWeight: 'bold',
         color: '#fff',
         marginLeft: 15,
+        flex: 1,
+    },
+    notificationsBtn: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    notificationsText: {
+        color: '#87a96b',
+        fontSize: 11,
+        fontWeight: 'bold',
+        letterSpacing: 1,
+    },
+    unreadBadge: {
+        backgroundColor: '#f44336',
+        borderRadius: 9,
+        minWidth: 18,
+        height: 18,
+        paddingHorizontal: 5,
+        justifyContent: 'center',
+        alignItems: 'center',
+        marginLeft: 6,
+    },
+    unreadText: {
+        color: '#fff',
+        fontSize: 11,
+        fontWeight: 'bold',
     },
     listContent: {
         padding: 15,
@@ -235,6 +415,9 @@ const styles = StyleSheet.create({
         borderWidth: 1,
         borderColor: 'rgba(255, 255, 255, 0.1)',
     },
+    cardFocused: {
+        borderColor: '#87a96b',
+    },
     cardHeader: {
         flexDirection: 'row',
         justifyContent: 'space-between',
@@ -270,6 +453,27 @@ const styles = StyleSheet.create({
         color: '#aaa',
         fontSize: 14,
     },
+    deadlineWarning: {
+        color: '#ff9800',
+        fontSize: 12,
+        marginBottom: 15,
+    },
+    resultBox: {
+        padding: 12,
+        borderRadius: 10,
+        backgroundColor: 'rgba(135, 169, 107, 0.1)',
+        marginBottom: 15,
+    },
+    resultText: {
+        color: '#fff',
+        fontSize: 14,
+        fontWeight: 'bold',
+    },
+    resultSubtext: {
+        color: '#888',
+        fontSize: 12,
+        marginTop: 4,
+    },
     actions: {
         flexDirection: 'row',
     },
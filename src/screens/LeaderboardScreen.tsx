@@ -1,11 +1,12 @@
 import React, { useEffect, useState } from 'react';
-import { View, Text, FlatList, StyleSheet, TouchableOpacity, RefreshControl, Alert } from 'react-native';
+import { View, Text, FlatList, StyleSheet, TouchableOpacity, RefreshControl, Alert, ScrollView } from 'react-native';
 import { supabase } from '../lib/supabase';
 import { useGuestStore } from '../store/useGuestStore';
-import { Profile, GameType } from '../types';
-import { Trophy, Swords, TrendingUp, AlertCircle } from 'lucide-react-native';
+import { Profile, GameType, LadderRuleConfig, Season } from '../types';
+import { Trophy, Swords, TrendingUp, TrendingDown, AlertCircle, Users } from 'lucide-react-native';
 import { SkeletonRankingItem } from '../components/SkeletonLoader';
-import { checkChallengeEligibility } from '../lib/logic';
+import { checkChallengeEligibility, getBiggestMovers, RankMover } from '../lib/logic';
+import { ChallengeService, ProfileService, SeasonService } from '../lib/services';
 
 interface PlayerWithStats extends Profile {
     wins: number;
@@ -21,6 +22,11 @@ export default function LeaderboardScreen({ navigation }: any) {
     const [activeMatches, setActiveMatches] = useState<string[]>([]);
     const [currentUserProfile, setCurrentUserProfile] = useState<Profile | null>(null);
     const [fetchError, setFetchError] = useState<string | null>(null);
+    const [ladderRules, setLadderRules] = useState<LadderRuleConfig | undefined>(undefined);
+    const [seasons, setSeasons] = useState<Season[]>([]);
+    // null follows the active season's live ladder
+    const [selectedSeasonId, setSelectedSeasonId] = useState<string | null>(null);
+    const [movers, setMovers] = useState<RankMover[]>([]);
 
     const isGuest = useGuestStore((state) => state.isGuest);
 
@@ -45,19 +51,60 @@ export default function LeaderboardScreen({ navigation }: any) {
                 }
             }
 
-            // Fetch all players ordered by rank
-            const { data: profilesData, error: profilesError } = await supabase
-                .from('profiles')
-                .select('*')
-                .order('ladder_rank', { ascending: true });
+            // Active league/season rules for the challenge buttons
+            const { data: rules } = await ChallengeService.getLadderRules();
+            if (rules) {
+                setLadderRules(rules);
+            }
+
+            const { data: seasonsData } = await SeasonService.getAll();
+            setSeasons(seasonsData || []);
+
+            const selectedSeason = (seasonsData || []).find(s => s.id === selectedSeasonId);
+            if (selectedSeason?.status === 'completed') {
+                // Archived season: show its frozen end-of-season standings
+                const { data: standings, error: standingsError } = await SeasonService.getStandings(selectedSeason.id, gameType);
+
+                if (standingsError) throw standingsError;
+
+                setPlayers((standings || []).filter(s => s.profile).map(s => {
+                    const played = s.wins + s.losses;
+                    return {
+                        ...s.profile!,
+                        ladder_rank: s.rank,
+                        points: s.points,
+                        fargo_rating: s.fargo_rating ?? s.profile!.fargo_rating,
+                        wins: s.wins,
+                        losses: s.losses,
+                        winRate: played > 0 ? Math.round((s.wins / played) * 100) : 0,
+                    };
+                }));
+                setActiveMatches([]);
+                setMovers([]);
+                return;
+            }
+
+            const activeSeason = (seasonsData || []).find(s => s.status === 'active');
+
+            // Fetch all players ordered by rank on the selected discipline's ladder
+            const { data: profilesData, error: profilesError } = await ProfileService.getByLadderRank(gameType, { forceRefresh: true });
 
             if (profilesError) throw profilesError;
 
-            // Fetch all completed challenges to calculate win rates
-            const { data: challengesData, error: challengesError } = await supabase
+            // Fetch this season's decided challenges (forfeits included, as in
+            // archived standings) to calculate win rates
+            let challengesQuery = supabase
                 .from('challenges')
                 .select('challenger_id, challenged_id, winner_id')
-                .eq('status', 'completed');
+                .in('status', ['completed', 'forfeited'])
+                .not('winner_id', 'is', null)
+                .eq('game_type', gameType);
+
+            if (activeSeason) {
+                challengesQuery = challengesQuery.eq('season_id', activeSeason.id);
+            }
+
+            const { data: challengesData, error: challengesError } = await challengesQuery;
 
             if (challengesError) throw challengesError;
 
@@ -82,6 +129,11 @@ export default function LeaderboardScreen({ navigation }: any) {
 
             setPlayers(playersWithStats);
 
+            // Net rank movement over the last 7 days
+            const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+            const { data: rankChanges } = await ProfileService.getRecentRankChanges(gameType, weekAgo, { forceRefresh: true });
+            setMovers(getBiggestMovers(rankChanges || [], 3));
+
             // Fetch active matches
             const { data: liveMatches } = await supabase
                 .from('challenges')
@@ -121,20 +173,31 @@ export default function LeaderboardScreen({ navigation }: any) {
                 { event: '*', table: 'challenges' },
                 () => fetchLeaderboard()
             )
+            .on(
+                'postgres_changes' as any,
+                { event: '*', table: 'ladder_positions' },
+                () => fetchLeaderboard()
+            )
             .subscribe();
 
         return () => {
             supabase.removeChannel(channel);
         };
-    }, []);
+    }, [gameType, selectedSeasonId]);
+
+    const isArchive = seasons.find(s => s.id === selectedSeasonId)?.status === 'completed';
+
+    // Current user's rank on the selected discipline's ladder
+    const myRank = players.find(p => p.id === currentUserProfile?.id)?.ladder_rank;
 
     const canChallenge = (targetRank: number): boolean => {
-        if (!currentUserProfile) return false;
+        if (!currentUserProfile || !myRank || isArchive) return false;
 
         const eligibility = checkChallengeEligibility(
-            currentUserProfile.ladder_rank,
+            myRank,
             targetRank,
-            currentUserProfile.cooldown_until || null
+            currentUserProfile.cooldown_until || null,
+            ladderRules
         );
 
         return eligibility.eligible;
@@ -145,6 +208,22 @@ export default function LeaderboardScreen({ navigation }: any) {
             <View style={styles.mainHeader}>
                 <TrendingUp color="#87a96b" size={32} />
                 <Text style={styles.title}>LEADERBOARD</Text>
+                <View style={styles.headerActions}>
+                    <TouchableOpacity
+                        style={styles.headerButton}
+                        onPress={() => navigation.navigate('Teams')}
+                        accessibilityLabel="Team league"
+                    >
+                        <Users color="#87a96b" size={18} />
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                        style={[styles.headerButton, styles.headerButtonGold]}
+                        onPress={() => navigation.navigate('Tournaments')}
+                        accessibilityLabel="Tournaments"
+                    >
+                        <Trophy color="#ffd700" size={18} />
+                    </TouchableOpacity>
+                </View>
             </View>
 
             <View style={styles.statsBar}>
@@ -157,12 +236,12 @@ export default function LeaderboardScreen({ navigation }: any) {
                     <Text style={styles.statValue}>{activeMatches.length / 2}</Text>
                     <Text style={styles.statLabel}>Live Matches</Text>
                 </View>
-                {currentUserProfile && (
+                {currentUserProfile && myRank && (
                     <>
                         <View style={styles.statDivider} />
                         <View style={styles.statItem}>
-                            <Text style={styles.statValueHighlight}>#{currentUserProfile.ladder_rank}</Text>
-                            <Text style={styles.statLabel}>Your Rank</Text>
+                            <Text style={styles.statValueHighlight}>#{myRank}</Text>
+                            <Text style={styles.statLabel}>{isArchive ? 'Final Rank' : 'Your Rank'}</Text>
                         </View>
                     </>
                 )}
@@ -183,6 +262,52 @@ export default function LeaderboardScreen({ navigation }: any) {
                 ))}
             </View>
 
+            {seasons.length > 1 && (
+                <ScrollView
+                    horizontal
+                    showsHorizontalScrollIndicator={false}
+                    contentContainerStyle={styles.seasonRow}
+                >
+                    {seasons.map((season) => {
+                        const selected = season.status === 'active'
+                            ? selectedSeasonId === null || selectedSeasonId === season.id
+                            : selectedSeasonId === season.id;
+                        return (
+                            <TouchableOpacity
+                                key={season.id}
+                                style={[styles.seasonChip, selected && styles.seasonChipActive]}
+                                onPress={() => setSelectedSeasonId(season.status === 'active' ? null : season.id)}
+                                accessibilityLabel={`Show season ${season.name}`}
+                            >
+                                <Text style={[styles.seasonChipText, selected && styles.seasonChipTextActive]}>
+                                    {season.name}{season.status === 'active' ? ' (CURRENT)' : ''}
+                                </Text>
+                            </TouchableOpacity>
+                        );
+                    })}
+                </ScrollView>
+            )}
+
+            {movers.length > 0 && (
+                <View style={styles.moversCard}>
+                    <Text style={styles.moversTitle}>BIGGEST MOVERS THIS WEEK</Text>
+                    {movers.map((mover) => (
+                        <View key={mover.profileId} style={styles.moverRow}>
+                            {mover.spots > 0 ? (
+                                <TrendingUp size={14} color="#4caf50" />
+                            ) : (
+                                <TrendingDown size={14} color="#f44336" />
+                            )}
+                            <Text style={styles.moverName} numberOfLines={1}>{mover.fullName}</Text>
+                            <Text style={styles.moverRanks}>#{mover.fromRank} → #{mover.toRank}</Text>
+                            <Text style={[styles.moverSpots, { color: mover.spots > 0 ? '#4caf50' : '#f44336' }]}>
+                                {mover.spots > 0 ? `+${mover.spots}` : mover.spots}
+                            </Text>
+                        </View>
+                    ))}
+                </View>
+            )}
+
             <View style={styles.headerRow}>
                 <Text style={styles.headerCol}>RANK</Text>
                 <Text style={[styles.headerCol, { flex: 1, textAlign: 'left', marginLeft: 15 }]}>PLAYER</Text>
@@ -201,7 +326,7 @@ export default function LeaderboardScreen({ navigation }: any) {
     );
 
     const renderItem = ({ item }: { item: PlayerWithStats }) => {
-        const isPlaying = activeMatches.includes(item.id);
+        const isPlaying = !isArchive && activeMatches.includes(item.id);
         const isCurrentUser = currentUserProfile?.id === item.id;
         const challengeEnabled = !isPlaying && !isCurrentUser && canChallenge(item.ladder_rank);
 
@@ -264,7 +389,7 @@ export default function LeaderboardScreen({ navigation }: any) {
                         styles.challengeButton,
                         !challengeEnabled && styles.disabledButton
                     ]}
-                    onPress={() => challengeEnabled && navigation.navigate('Challenge', { target: item })}
+                    onPress={() => challengeEnabled && navigation.navigate('Challenge', { target: item, gameType })}
                     disabled={!challengeEnabled}
                     accessibilityLabel={`Challenge ${item.full_name}`}
                 >
@@ -325,6 +450,23 @@ const styles = StyleSheet.create({
         color: '#fff',
         marginLeft: 15,
     },
+    headerActions: {
+        flexDirection: 'row',
+        marginLeft: 'auto',
+        gap: 10,
+    },
+    headerButton: {
+        width: 36,
+        height: 36,
+        borderRadius: 18,
+        alignItems: 'center',
+        justifyContent: 'center',
+        borderWidth: 1,
+        borderColor: 'rgba(135, 169, 107, 0.4)',
+    },
+    headerButtonGold: {
+        borderColor: 'rgba(255, 215, 0, 0.4)',
+    },
     statsBar: {
         flexDirection: 'row',
         justifyContent: 'center',
@@ -383,6 +525,67 @@ const styles = StyleSheet.create({
     activeTabText: {
         color: '#000',
     },
+    seasonRow: {
+        paddingHorizontal: 15,
+        paddingTop: 10,
+        gap: 8,
+    },
+    seasonChip: {
+        paddingHorizontal: 14,
+        paddingVertical: 6,
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: 'rgba(255, 255, 255, 0.1)',
+        backgroundColor: 'rgba(255, 255, 255, 0.03)',
+    },
+    seasonChipActive: {
+        borderColor: '#87a96b',
+        backgroundColor: 'rgba(135, 169, 107, 0.2)',
+    },
+    seasonChipText: {
+        color: '#666',
+        fontSize: 12,
+        fontWeight: '600',
+    },
+    seasonChipTextActive: {
+        color: '#87a96b',
+    },
+    moversCard: {
+        marginHorizontal: 15,
+        marginTop: 10,
+        padding: 12,
+        backgroundColor: 'rgba(255, 255, 255, 0.03)',
+        borderRadius: 12,
+    },
+    moversTitle: {
+        color: '#666',
+        fontSize: 10,
+        fontWeight: 'bold',
+        letterSpacing: 1,
+        marginBottom: 6,
+    },
+    moverRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 4,
+    },
+    moverName: {
+        flex: 1,
+        color: '#fff',
+        fontSize: 13,
+        marginLeft: 8,
+    },
+    moverRanks: {
+        color: '#888',
+        fontSize: 12,
+        marginRight: 10,
+    },
+    moverSpots: {
+        width: 30,
+        textAlign: 'right',
+        fontSize: 13,
+        fontWeight: 'bold',
+    },
     headerRow: {
         flexDirection: 'row',
         alignItems: 'center',
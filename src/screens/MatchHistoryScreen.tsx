@@ -10,7 +10,8 @@ import {
 } from 'react-native';
 import { supabase } from '../lib/supabase';
 import { useGuestStore } from '../store/useGuestStore';
-import { Profile, GameType } from '../types';
+import { Profile, GameType, MatchRack, Season } from '../types';
+import { getActiveRacks, getBreakRates, getRackStats, RackStats } from '../lib/logic';
 import { formatRelativeTime, getInitials } from '../lib/utils';
 import {
     History,
@@ -27,6 +28,7 @@ import {
     ArrowLeft
 } from 'lucide-react-native';
 import { SkeletonRankingItem } from '../components/SkeletonLoader';
+import { SeasonService } from '../lib/services';
 
 interface MatchHistoryItem {
     id: string;
@@ -47,6 +49,9 @@ interface MatchHistoryItem {
     };
     userScore: number;
     opponentScore: number;
+    ratingDelta: number | null;
+    // Racks that still count, oldest first; empty for matches scored before the rack log
+    racks: MatchRack[];
 }
 
 interface MatchStats {
@@ -57,6 +62,8 @@ interface MatchStats {
     currentStreak: number;
     streakType: 'win' | 'loss' | 'none';
     bestStreak: number;
+    // Only set when at least one match has a rack log
+    racks: RackStats | null;
 }
 
 type TimeFilter = 'all' | '7days' | '30days' | '90days';
@@ -75,13 +82,17 @@ export default function MatchHistoryScreen({ navigation }: any) {
         winRate: 0,
         currentStreak: 0,
         streakType: 'none',
-        bestStreak: 0
+        bestStreak: 0,
+        racks: null
     });
 
     // Filter states
     const [timeFilter, setTimeFilter] = useState<TimeFilter>('all');
     const [gameFilter, setGameFilter] = useState<GameFilter>('all');
     const [resultFilter, setResultFilter] = useState<ResultFilter>('all');
+    // 'all' or a season id
+    const [seasonFilter, setSeasonFilter] = useState<string>('all');
+    const [seasons, setSeasons] = useState<Season[]>([]);
     const [showFilters, setShowFilters] = useState(false);
 
     const isGuest = useGuestStore((state) => state.isGuest);
@@ -130,7 +141,9 @@ export default function MatchHistoryScreen({ navigation }: any) {
                     created_at,
                     updated_at,
                     challenger:challenger_id(id, full_name, avatar_url, fargo_rating, ladder_rank),
-                    challenged:challenged_id(id, full_name, avatar_url, fargo_rating, ladder_rank)
+                    challenged:challenged_id(id, full_name, avatar_url, fargo_rating, ladder_rank),
+                    rating_history(profile_id, delta),
+                    match_racks(*)
                 `)
                 .or(`challenger_id.eq.${userId},challenged_id.eq.${userId}`)
                 .eq('status', 'completed')
@@ -156,6 +169,11 @@ export default function MatchHistoryScreen({ navigation }: any) {
                 query = query.eq('game_type', gameFilter);
             }
 
+            // Apply season filter
+            if (seasonFilter !== 'all') {
+                query = query.eq('season_id', seasonFilter);
+            }
+
             const { data: matchData, error } = await query.limit(100);
 
             if (error) throw error;
@@ -167,6 +185,7 @@ export default function MatchHistoryScreen({ navigation }: any) {
                 const isWin = match.winner_id === userId;
                 const userScore = isChallenger ? match.challenger_score : match.challenged_score;
                 const opponentScore = isChallenger ? match.challenged_score : match.challenger_score;
+                const ratingChange = (match.rating_history || []).find((r: any) => r.profile_id === userId);
 
                 return {
                     id: match.id,
@@ -186,7 +205,9 @@ export default function MatchHistoryScreen({ navigation }: any) {
                         ladder_rank: opponent?.ladder_rank || 0
                     },
                     userScore: userScore || 0,
-                    opponentScore: opponentScore || 0
+                    opponentScore: opponentScore || 0,
+                    ratingDelta: ratingChange ? ratingChange.delta : null,
+                    racks: getActiveRacks(match.match_racks || [])
                 };
             });
 
@@ -239,6 +260,10 @@ export default function MatchHistoryScreen({ navigation }: any) {
                 }
             }
 
+            // Rack-level stats come from every match that has a rack log
+            const allRacks: MatchRack[] = (matchData || []).flatMap((match: any) => match.match_racks || []);
+            const rackStats = allRacks.some((rack) => !rack.undone_at) ? getRackStats(allRacks, userId) : null;
+
             setStats({
                 totalMatches: allMatchesForStats.length,
                 wins,
@@ -246,7 +271,8 @@ export default function MatchHistoryScreen({ navigation }: any) {
                 winRate,
                 currentStreak,
                 streakType,
-                bestStreak
+                bestStreak,
+                racks: rackStats
             });
 
         } catch (error: any) {
@@ -280,7 +306,11 @@ export default function MatchHistoryScreen({ navigation }: any) {
         if (!loading) {
             fetchMatchHistory();
         }
-    }, [timeFilter, gameFilter, resultFilter]);
+    }, [timeFilter, gameFilter, resultFilter, seasonFilter]);
+
+    useEffect(() => {
+        SeasonService.getAll().then(({ data }) => setSeasons(data || []));
+    }, []);
 
     const getWinRateColor = (rate: number) => {
         if (rate >= 70) return '#4caf50';
@@ -331,6 +361,32 @@ export default function MatchHistoryScreen({ navigation }: any) {
                         </View>
                     </View>
 
+                    {stats.racks && (
+                        <View style={[styles.statsRow, styles.rackStatsRow]}>
+                            <View style={styles.statItem}>
+                                <Text style={styles.statValue}>{stats.racks.racksWon}-{stats.racks.racksLost}</Text>
+                                <Text style={styles.statLabel}>Racks</Text>
+                            </View>
+                            <View style={styles.statDivider} />
+                            <View style={styles.statItem}>
+                                <Text style={styles.statValue}>
+                                    {getBreakRates(stats.racks).wonOnBreak}%
+                                </Text>
+                                <Text style={styles.statLabel}>Break Wins</Text>
+                            </View>
+                            <View style={styles.statDivider} />
+                            <View style={styles.statItem}>
+                                <Text style={styles.statValue}>{getBreakRates(stats.racks).breakAndRun}%</Text>
+                                <Text style={styles.statLabel}>B&R</Text>
+                            </View>
+                            <View style={styles.statDivider} />
+                            <View style={styles.statItem}>
+                                <Text style={[styles.statValue, { color: '#ffd700' }]}>{stats.racks.goldenBreaks}</Text>
+                                <Text style={styles.statLabel}>Golden</Text>
+                            </View>
+                        </View>
+                    )}
+
                     {stats.currentStreak > 1 && (
                         <View style={[
                             styles.streakBadge,
@@ -423,6 +479,35 @@ export default function MatchHistoryScreen({ navigation }: any) {
                         </View>
                     </View>
 
+                    {/* Season Filter */}
+                    {seasons.length > 0 && (
+                        <View style={styles.filterSection}>
+                            <View style={styles.filterHeader}>
+                                <Award size={14} color="#666" />
+                                <Text style={styles.filterLabel}>SEASON</Text>
+                            </View>
+                            <View style={styles.filterOptions}>
+                                {['all', ...seasons.map(s => s.id)].map((filter) => (
+                                    <TouchableOpacity
+                                        key={filter}
+                                        style={[
+                                            styles.filterChip,
+                                            seasonFilter === filter && styles.filterChipActive
+                                        ]}
+                                        onPress={() => setSeasonFilter(filter)}
+                                    >
+                                        <Text style={[
+                                            styles.filterChipText,
+                                            seasonFilter === filter && styles.filterChipTextActive
+                                        ]}>
+                                            {filter === 'all' ? 'All Seasons' : seasons.find(s => s.id === filter)?.name}
+                                        </Text>
+                                    </TouchableOpacity>
+                                ))}
+                            </View>
+                        </View>
+                    )}
+
                     {/* Result Filter */}
                     <View style={styles.filterSection}>
                         <View style={styles.filterHeader}>
@@ -452,13 +537,14 @@ export default function MatchHistoryScreen({ navigation }: any) {
                     </View>
 
                     {/* Clear Filters */}
-                    {(timeFilter !== 'all' || gameFilter !== 'all' || resultFilter !== 'all') && (
+                    {(timeFilter !== 'all' || gameFilter !== 'all' || resultFilter !== 'all' || seasonFilter !== 'all') && (
                         <TouchableOpacity
                             style={styles.clearFilters}
                             onPress={() => {
                                 setTimeFilter('all');
                                 setGameFilter('all');
                                 setResultFilter('all');
+                                setSeasonFilter('all');
                             }}
                         >
                             <X size={14} color="#f44336" />
@@ -469,17 +555,19 @@ export default function MatchHistoryScreen({ navigation }: any) {
             )}
 
             {/* Active Filters Indicator */}
-            {!showFilters && (timeFilter !== 'all' || gameFilter !== 'all' || resultFilter !== 'all') && (
+            {!showFilters && (timeFilter !== 'all' || gameFilter !== 'all' || resultFilter !== 'all' || seasonFilter !== 'all') && (
                 <View style={styles.activeFiltersBar}>
                     <Text style={styles.activeFiltersText}>
                         Filters: {timeFilter !== 'all' ? timeFilter.replace('days', ' days') : ''}
                         {gameFilter !== 'all' ? ` • ${gameFilter}` : ''}
                         {resultFilter !== 'all' ? ` • ${resultFilter}` : ''}
+                        {seasonFilter !== 'all' ? ` • ${seasons.find(s => s.id === seasonFilter)?.name ?? 'season'}` : ''}
                     </Text>
                     <TouchableOpacity onPress={() => {
                         setTimeFilter('all');
                         setGameFilter('all');
                         setResultFilter('all');
+                        setSeasonFilter('all');
                     }}>
                         <X size={16} color="#666" />
                     </TouchableOpacity>
@@ -592,6 +680,21 @@ export default function MatchHistoryScreen({ navigation }: any) {
                     </View>
                 </View>
 
+                {item.racks.length > 0 && (
+                    <View style={styles.rackStrip}>
+                        {item.racks.map((rack) => {
+                            const won = rack.winner_id !== item.opponent.id;
+                            return (
+                                <View key={rack.id} style={[styles.rackDot, won ? styles.rackDotWon : styles.rackDotLost]}>
+                                    {(rack.break_and_run || rack.golden_break) && (
+                                        <Text style={styles.rackDotText}>{rack.golden_break ? 'G' : 'R'}</Text>
+                                    )}
+                                </View>
+                            );
+                        })}
+                    </View>
+                )}
+
                 <View style={styles.matchFooter}>
                     <View style={styles.matchMeta}>
                         <Clock size={12} color="#555" />
@@ -599,6 +702,14 @@ export default function MatchHistoryScreen({ navigation }: any) {
                             Race to {item.games_to_win}
                         </Text>
                     </View>
+                    {item.ratingDelta !== null && (
+                        <Text style={[
+                            styles.ratingDelta,
+                            item.ratingDelta < 0 ? styles.lossText : styles.winRatingText
+                        ]}>
+                            Fargo {item.ratingDelta > 0 ? `+${item.ratingDelta}` : item.ratingDelta}
+                        </Text>
+                    )}
                 </View>
             </View>
         );
@@ -708,6 +819,12 @@ const styles = StyleSheet.create({
         textTransform: 'uppercase',
         letterSpacing: 1,
     },
+    rackStatsRow: {
+        marginTop: 15,
+        paddingTop: 15,
+        borderTopWidth: 1,
+        borderTopColor: 'rgba(255, 255, 255, 0.05)',
+    },
     statDivider: {
         width: 1,
         height: 40,
@@ -971,6 +1088,32 @@ const styles = StyleSheet.create({
         letterSpacing: 1,
         marginTop: 4,
     },
+    rackStrip: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        paddingHorizontal: 16,
+        paddingBottom: 12,
+    },
+    rackDot: {
+        width: 14,
+        height: 14,
+        borderRadius: 7,
+        marginRight: 4,
+        marginTop: 4,
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    rackDotWon: {
+        backgroundColor: '#87a96b',
+    },
+    rackDotLost: {
+        backgroundColor: '#444',
+    },
+    rackDotText: {
+        color: '#000',
+        fontSize: 8,
+        fontWeight: 'bold',
+    },
     matchFooter: {
         flexDirection: 'row',
         alignItems: 'center',
@@ -988,6 +1131,13 @@ const styles = StyleSheet.create({
         fontSize: 11,
         marginLeft: 6,
     },
+    ratingDelta: {
+        fontSize: 11,
+        fontWeight: 'bold',
+    },
+    winRatingText: {
+        color: '#4caf50',
+    },
     // Empty State
     emptyState: {
         flex: 1,
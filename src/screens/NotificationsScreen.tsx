@@ -0,0 +1,148 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, FlatList, StyleSheet, TouchableOpacity, RefreshControl, Alert } from 'react-native';
+import { supabase } from '../lib/supabase';
+import { AppNotification } from '../types';
+import { ArrowLeft, Bell, CheckCheck, ChevronRight } from 'lucide-react-native';
+import { SkeletonCard } from '../components/SkeletonLoader';
+import { NotificationService } from '../lib/services';
+import { getNotificationLink } from '../lib/logic';
+import { formatRelativeTime } from '../lib/utils';
+import { useNotificationStore } from '../store/useNotificationStore';
+
+export default function NotificationsScreen({ navigation }: any) {
+    const [notifications, setNotifications] = useState<AppNotification[]>([]);
+    const [loading, setLoading] = useState(true);
+    const [refreshing, setRefreshing] = useState(false);
+    const unreadCount = useNotificationStore((state) => state.unreadCount);
+    const markRead = useNotificationStore((state) => state.markRead);
+
+    async function fetchNotifications(isRefresh = false) {
+        if (isRefresh) setRefreshing(true);
+        try {
+            const { data: { user } } = await supabase.auth.getUser();
+            if (!user) return;
+            const { data: profile } = await supabase.from('profiles').select('id').eq('owner_id', user.id).single();
+            if (!profile) return;
+
+            const { data, error } = await NotificationService.getRecent(profile.id, 50, { forceRefresh: true });
+            if (error) throw error;
+            setNotifications(data || []);
+        } catch (error: any) {
+            console.error('Error fetching notifications:', error.message);
+            Alert.alert('Error', 'Failed to load notifications. Pull down to refresh.');
+        } finally {
+            setLoading(false);
+            setRefreshing(false);
+        }
+    }
+
+    useEffect(() => {
+        fetchNotifications();
+        const channel = supabase.channel('notification-center')
+            .on('postgres_changes' as any, { event: 'INSERT', table: 'notifications' }, () => fetchNotifications())
+            .subscribe();
+        return () => { supabase.removeChannel(channel); };
+    }, []);
+
+    // Shown as read straight away; the server catches up in the background
+    const showRead = (ids: string[] | null) => {
+        const readAt = new Date().toISOString();
+        setNotifications((current) => current.map((n) => (!n.read_at && (!ids || ids.includes(n.id)) ? { ...n, read_at: readAt } : n)));
+    };
+
+    const markAllRead = async () => {
+        showRead(null);
+        const error = await markRead();
+        if (error) {
+            Alert.alert('Error', error.message);
+            fetchNotifications();
+        }
+    };
+
+    const openNotification = (notification: AppNotification) => {
+        if (!notification.read_at) {
+            showRead([notification.id]);
+            markRead([notification.id]);
+        }
+        const link = getNotificationLink(notification);
+        if (!link) return;
+        if (link.tab === 'Inbox') {
+            navigation.navigate('InboxMain', { challengeId: link.challengeId });
+        } else if (link.tab === 'Feed') {
+            navigation.navigate('Feed', { activityId: link.activityId });
+        } else if (link.tab === 'Profile') {
+            navigation.navigate('Profile', { screen: 'PlayerProfile', params: { profileId: link.profileId } });
+        } else {
+            navigation.navigate(link.tab);
+        }
+    };
+
+    const renderItem = ({ item }: { item: AppNotification }) => {
+        const hasLink = getNotificationLink(item) !== null;
+        return (
+            <TouchableOpacity style={[styles.item, !item.read_at && styles.itemUnread]} onPress={() => openNotification(item)}>
+                <View style={[styles.dot, !item.read_at && styles.dotUnread]} />
+                <View style={styles.itemText}>
+                    <Text style={styles.itemTitle}>{item.title}</Text>
+                    {!!item.body && <Text style={styles.itemBody}>{item.body}</Text>}
+                    <Text style={styles.itemTime}>{formatRelativeTime(item.created_at)}</Text>
+                </View>
+                {hasLink && <ChevronRight size={18} color="#444" />}
+            </TouchableOpacity>
+        );
+    };
+
+    const renderEmpty = () => (
+        <View style={styles.emptyContainer}>
+            <Bell size={48} color="#333" />
+            <Text style={styles.emptyText}>No notifications yet</Text>
+            <Text style={styles.emptySubtext}>Challenges, live matches and comments show up here.</Text>
+        </View>
+    );
+
+    return (
+        <View style={styles.container}>
+            <View style={styles.header}>
+                <TouchableOpacity onPress={() => navigation.goBack()} accessibilityLabel="Back">
+                    <ArrowLeft color="#fff" size={24} />
+                </TouchableOpacity>
+                <Text style={styles.title}>NOTIFICATIONS</Text>
+                {unreadCount > 0 && (
+                    <TouchableOpacity style={styles.markAllBtn} onPress={markAllRead} accessibilityLabel="Mark all read">
+                        <CheckCheck size={16} color="#87a96b" />
+                        <Text style={styles.markAllText}>MARK ALL READ</Text>
+                    </TouchableOpacity>
+                )}
+            </View>
+
+            <FlatList
+                data={loading ? [] : notifications}
+                renderItem={renderItem}
+                ListEmptyComponent={loading ? <View>{[1, 2, 3].map((i) => <SkeletonCard key={i} />)}</View> : renderEmpty}
+                keyExtractor={(item) => item.id}
+                contentContainerStyle={styles.listContent}
+                refreshControl={<RefreshControl refreshing={refreshing} onRefresh={() => fetchNotifications(true)} tintColor="#87a96b" />}
+            />
+        </View>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: { flex: 1, backgroundColor: '#0a0a0a' },
+    header: { flexDirection: 'row', alignItems: 'center', padding: 20, paddingTop: 60, backgroundColor: 'rgba(255, 255, 255, 0.05)' },
+    title: { fontSize: 20, fontWeight: 'bold', color: '#fff', marginLeft: 15, flex: 1 },
+    markAllBtn: { flexDirection: 'row', alignItems: 'center' },
+    markAllText: { color: '#87a96b', fontSize: 11, fontWeight: 'bold', letterSpacing: 1, marginLeft: 6 },
+    listContent: { padding: 15, flexGrow: 1 },
+    item: { flexDirection: 'row', alignItems: 'center', backgroundColor: 'rgba(255, 255, 255, 0.03)', borderRadius: 12, padding: 16, marginBottom: 10, borderWidth: 1, borderColor: 'rgba(255, 255, 255, 0.05)' },
+    itemUnread: { backgroundColor: 'rgba(135, 169, 107, 0.08)', borderColor: 'rgba(135, 169, 107, 0.3)' },
+    dot: { width: 8, height: 8, borderRadius: 4, marginRight: 12, backgroundColor: 'transparent' },
+    dotUnread: { backgroundColor: '#87a96b' },
+    itemText: { flex: 1, marginRight: 8 },
+    itemTitle: { color: '#fff', fontSize: 15, fontWeight: 'bold' },
+    itemBody: { color: '#aaa', fontSize: 13, marginTop: 4, lineHeight: 18 },
+    itemTime: { color: '#666', fontSize: 11, marginTop: 6 },
+    emptyContainer: { flex: 1, justifyContent: 'center', alignItems: 'center', paddingTop: 100 },
+    emptyText: { color: '#666', fontSize: 18, marginTop: 16 },
+    emptySubtext: { color: '#444', fontSize: 14, marginTop: 4, textAlign: 'center' },
+});
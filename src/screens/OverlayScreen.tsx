@@ -0,0 +1,98 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { supabase } from '../lib/supabase';
+import { isNewerLiveScore } from '../lib/logic';
+import { ChallengeService } from '../lib/services';
+import { LiveScore, MatchOverlay } from '../types';
+
+// Browser-source overlay for streams (e.g. OBS), opened from a match's share
+// link on the web build. No login: the token only unlocks this match's overlay.
+export default function OverlayScreen({ token }: { token: string }) {
+    const [overlay, setOverlay] = useState<MatchOverlay | null>(null);
+    const [error, setError] = useState<string | null>(null);
+    const overlayRef = useRef<MatchOverlay | null>(null);
+
+    const show = (next: MatchOverlay) => {
+        overlayRef.current = next;
+        setOverlay(next);
+    };
+
+    useEffect(() => {
+        let channel: ReturnType<typeof supabase.channel> | null = null;
+
+        ChallengeService.getOverlay(token).then(({ data, error: loadError }) => {
+            if (loadError || !data) {
+                setError(loadError?.message || 'This overlay link is not valid.');
+                return;
+            }
+            show(data);
+            channel = supabase.channel(`overlay:${data.challenge_id}`)
+                .on('postgres_changes' as any, { event: '*', table: 'live_scores', filter: `challenge_id=eq.${data.challenge_id}` }, (payload: any) => {
+                    const score = payload.new as LiveScore;
+                    const current = overlayRef.current;
+                    if (!current || !isNewerLiveScore(current, score)) return;
+                    show({
+                        ...current,
+                        challenger_score: score.challenger_score,
+                        challenged_score: score.challenged_score,
+                        version: score.version,
+                    });
+                })
+                .subscribe();
+        });
+
+        return () => { if (channel) supabase.removeChannel(channel); };
+    }, [token]);
+
+    if (error) {
+        return <View style={styles.container}><Text style={styles.errorText}>{error}</Text></View>;
+    }
+    if (!overlay) {
+        return <View style={styles.container} />;
+    }
+
+    const handicapped = overlay.challenger_race !== overlay.challenged_race;
+    const race = handicapped
+        ? `RACE ${overlay.challenger_race}-${overlay.challenged_race}`
+        : `RACE TO ${overlay.challenger_race}`;
+
+    return (
+        <View style={styles.container}>
+            <View style={styles.bar}>
+                <View style={[styles.player, styles.playerLeft]}>
+                    {overlay.challenger_rank !== null && <Text style={styles.rank}>#{overlay.challenger_rank}</Text>}
+                    <Text style={styles.name} numberOfLines={1}>{overlay.challenger_name.toUpperCase()}</Text>
+                </View>
+                <View style={styles.scoreBox}>
+                    <Text style={styles.score}>{overlay.challenger_score}</Text>
+                    <View style={styles.middle}>
+                        <Text style={styles.gameType}>{overlay.game_type.toUpperCase()}</Text>
+                        <Text style={styles.race}>{race}</Text>
+                    </View>
+                    <Text style={styles.score}>{overlay.challenged_score}</Text>
+                </View>
+                <View style={[styles.player, styles.playerRight]}>
+                    <Text style={styles.name} numberOfLines={1}>{overlay.challenged_name.toUpperCase()}</Text>
+                    {overlay.challenged_rank !== null && <Text style={styles.rank}>#{overlay.challenged_rank}</Text>}
+                </View>
+            </View>
+        </View>
+    );
+}
+
+const styles = StyleSheet.create({
+    // Transparent so the stream shows through in the browser source
+    container: { flex: 1, backgroundColor: 'transparent', justifyContent: 'flex-end', padding: 24 },
+    errorText: { color: '#f44336', fontSize: 16, textAlign: 'center', marginBottom: 40 },
+    bar: { flexDirection: 'row', alignItems: 'center', alignSelf: 'center', backgroundColor: 'rgba(10,10,10,0.85)', borderRadius: 12, borderWidth: 1, borderColor: 'rgba(135,169,107,0.5)', overflow: 'hidden' },
+    player: { flexDirection: 'row', alignItems: 'center', width: 260, paddingHorizontal: 18, paddingVertical: 12 },
+    playerLeft: { justifyContent: 'flex-end' },
+    playerRight: { justifyContent: 'flex-start' },
+    rank: { color: '#87a96b', fontSize: 16, fontWeight: 'bold', marginHorizontal: 8 },
+    name: { color: '#fff', fontSize: 20, fontWeight: 'bold', letterSpacing: 1, flexShrink: 1 },
+    scoreBox: { flexDirection: 'row', alignItems: 'center', backgroundColor: '#87a96b', paddingHorizontal: 14, paddingVertical: 6 },
+    score: { color: '#000', fontSize: 32, fontWeight: 'bold', minWidth: 44, textAlign: 'center' },
+    middle: { alignItems: 'center', marginHorizontal: 10 },
+    gameType: { color: '#000', fontSize: 10, fontWeight: 'bold', letterSpacing: 1 },
+    race: { color: 'rgba(0,0,0,0.7)', fontSize: 10, fontWeight: 'bold', letterSpacing: 1 },
+});
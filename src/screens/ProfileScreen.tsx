@@ -1,16 +1,64 @@
 import React, { useEffect, useState } from 'react';
-import { View, Text, StyleSheet, TouchableOpacity, Image, ScrollView, Alert, ActivityIndicator, RefreshControl } from 'react-native';
+import { View, Text, StyleSheet, TouchableOpacity, Image, ScrollView, Alert, ActivityIndicator, RefreshControl, Switch, TextInput } from 'react-native';
 import { supabase } from '../lib/supabase';
 import { useGuestStore } from '../store/useGuestStore';
-import { Profile } from '../types';
-import { formatCooldownRemaining, getInitials } from '../lib/utils';
-import { LogOut, Settings, Award, Phone, Clock, Trophy, Target, Eye, UserPlus, History, ChevronRight } from 'lucide-react-native';
+import { NotificationCategory, NotificationPreferences, PlayerBreakStats, Profile, RankHistoryEntry, RatingHistoryEntry } from '../types';
+import { getBreakRates, getClockTimeIn, isInQuietHours, parseClockTime } from '../lib/logic';
+import { AdminService, ProfileService } from '../lib/services';
+import { RankChart } from '../components/RankChart';
+import { formatCooldownRemaining, formatRelativeTime, getInitials } from '../lib/utils';
+import { LogOut, Settings, Award, Phone, Clock, Trophy, Target, Eye, UserPlus, History, ChevronRight, Shield, ArrowLeft } from 'lucide-react-native';
 
-export default function ProfileScreen({ navigation }: any) {
+function formatDelta(delta: number) {
+    return delta > 0 ? `+${delta}` : `${delta}`;
+}
+
+const NOTIFICATION_CATEGORY_LABELS: Record<NotificationCategory, string> = {
+    challenge_received: 'Challenges received',
+    challenge_accepted: 'Challenges accepted',
+    match_live: 'Matches going live',
+    rank_change: 'Rank changes',
+    comments: 'Comments on my activity',
+    reminders: 'Match reminders',
+};
+
+type NotificationSettings = Omit<NotificationPreferences, 'profile_id' | 'updated_at'>;
+
+function deviceTimezone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+// What players get until they change anything: every push, any time
+function defaultNotificationSettings(): NotificationSettings {
+    return {
+        challenge_received: true,
+        challenge_accepted: true,
+        match_live: true,
+        rank_change: true,
+        comments: true,
+        reminders: true,
+        quiet_hours_start: null,
+        quiet_hours_end: null,
+        timezone: deviceTimezone(),
+    };
+}
+
+export default function ProfileScreen({ navigation, route }: any) {
+    // Set when showing another player, e.g. from a notification; the
+    // account sections only apply to the player's own profile
+    const viewedId: string | undefined = route?.params?.profileId;
     const [profile, setProfile] = useState<Profile | null>(null);
     const [loading, setLoading] = useState(true);
     const [refreshing, setRefreshing] = useState(false);
     const [stats, setStats] = useState({ wins: 0, losses: 0, challenges: 0 });
+    const [ratingHistory, setRatingHistory] = useState<RatingHistoryEntry[]>([]);
+    const [rankHistory, setRankHistory] = useState<RankHistoryEntry[]>([]);
+    const [breakStats, setBreakStats] = useState<PlayerBreakStats | null>(null);
+    const [isOfficer, setIsOfficer] = useState(false);
+    const [notifications, setNotifications] = useState<NotificationSettings>(defaultNotificationSettings);
+    const [quietInput, setQuietInput] = useState({ start: '22:00', end: '07:00' });
+    const [notificationsDirty, setNotificationsDirty] = useState(false);
+    const [savingNotifications, setSavingNotifications] = useState(false);
 
     const isGuest = useGuestStore((state) => state.isGuest);
     const clearGuest = useGuestStore((state) => state.clearGuest);
@@ -25,7 +73,9 @@ export default function ProfileScreen({ navigation }: any) {
         try {
             const { data: { user } } = await supabase.auth.getUser();
             if (!user) throw new Error('Not logged in');
-            const { data, error } = await supabase.from('profiles').select('*').eq('owner_id', user.id).single();
+            const { data, error } = viewedId
+                ? await supabase.from('profiles').select('*').eq('id', viewedId).single()
+                : await supabase.from('profiles').select('*').eq('owner_id', user.id).single();
             if (error) throw error;
             setProfile(data);
             // Fetch match stats
@@ -37,6 +87,24 @@ export default function ProfileScreen({ navigation }: any) {
                     const losses = challenges.length - wins;
                     setStats({ wins, losses, challenges: challenges.length });
                 }
+                const { data: history } = await ProfileService.getRatingHistory(data.id, 5, { forceRefresh: isRefresh });
+                setRatingHistory(history || []);
+                const { data: ranks } = await ProfileService.getRankHistory(data.id, '8-ball', 30, { forceRefresh: isRefresh });
+                setRankHistory(ranks || []);
+                const { data: breaks } = await ProfileService.getBreakStats(data.id, { forceRefresh: isRefresh });
+                setBreakStats(breaks);
+                if (viewedId) return;
+                const { data: officer } = await AdminService.isOfficer({ forceRefresh: isRefresh });
+                setIsOfficer(Boolean(officer));
+                const { data: prefs } = await ProfileService.getNotificationPreferences(data.id, { forceRefresh: isRefresh });
+                if (prefs) {
+                    const { profile_id, updated_at, ...settings } = prefs;
+                    setNotifications(settings);
+                    if (prefs.quiet_hours_start && prefs.quiet_hours_end) {
+                        setQuietInput({ start: prefs.quiet_hours_start.slice(0, 5), end: prefs.quiet_hours_end.slice(0, 5) });
+                    }
+                }
+                setNotificationsDirty(false);
             }
         } catch (error: any) {
             console.error('Error:', error.message);
@@ -46,7 +114,36 @@ export default function ProfileScreen({ navigation }: any) {
         }
     }
 
-    useEffect(() => { fetchProfile(); }, [isGuest]);
+    useEffect(() => { fetchProfile(); }, [isGuest, viewedId]);
+
+    const changeNotifications = (changes: Partial<NotificationSettings>) => {
+        setNotifications((current) => ({ ...current, ...changes }));
+        setNotificationsDirty(true);
+    };
+
+    const saveNotifications = async () => {
+        // Quiet hours follow the phone's timezone as of the last save
+        let settings = { ...notifications, timezone: deviceTimezone() };
+        if (notifications.quiet_hours_start !== null) {
+            const start = parseClockTime(quietInput.start);
+            const end = parseClockTime(quietInput.end);
+            if (!start || !end) {
+                Alert.alert('Check Quiet Hours', 'Enter times like 22:00 or 10pm.');
+                return;
+            }
+            settings = { ...settings, quiet_hours_start: start, quiet_hours_end: end };
+        }
+        setSavingNotifications(true);
+        const { data, error } = await ProfileService.saveNotificationPreferences(settings);
+        setSavingNotifications(false);
+        if (error || !data) {
+            Alert.alert('Error', error?.message || 'Could not save your notification settings.');
+            return;
+        }
+        const { profile_id, updated_at, ...saved } = data;
+        setNotifications(saved);
+        setNotificationsDirty(false);
+    };
 
     const handleLogout = () => {
         if (isGuest) {
@@ -92,10 +189,22 @@ export default function ProfileScreen({ navigation }: any) {
         return <View style={styles.loadingContainer}><Text style={styles.errorText}>Profile not found</Text></View>;
     }
     const hasCooldown = profile.cooldown_until && new Date(profile.cooldown_until) > new Date();
+    const breakRates = breakStats && breakStats.breaks > 0 ? getBreakRates({
+        breaks: breakStats.breaks,
+        racksWonOnBreak: breakStats.racks_won_on_break,
+        breakAndRuns: breakStats.break_and_runs,
+    }) : null;
+    const quietHoursOn = notifications.quiet_hours_start !== null;
+    const quietNow = isInQuietHours(notifications.quiet_hours_start, notifications.quiet_hours_end, getClockTimeIn(new Date(), notifications.timezone));
 
     return (
         <ScrollView style={styles.container} refreshControl={<RefreshControl refreshing={refreshing} onRefresh={() => fetchProfile(true)} tintColor="#87a96b" />}>
             <View style={styles.header}>
+                {viewedId && (
+                    <TouchableOpacity style={styles.backBtn} onPress={() => navigation.goBack()} accessibilityLabel="Back">
+                        <ArrowLeft color="#fff" size={24} />
+                    </TouchableOpacity>
+                )}
                 <View style={styles.avatarWrap}>
                     {profile.avatar_url ? <Image source={{ uri: profile.avatar_url }} style={styles.avatar} /> : (
                         <View style={[styles.avatar, styles.placeholderAvatar]}>
@@ -127,6 +236,11 @@ export default function ProfileScreen({ navigation }: any) {
                     <Award size={20} color="#87a96b" />
                     <Text style={styles.statNum}>{profile.fargo_rating}</Text>
                     <Text style={styles.statLabel}>Fargo</Text>
+                    {ratingHistory.length > 0 && (
+                        <Text style={[styles.ratingDelta, ratingHistory[0].delta < 0 && styles.ratingDeltaDown]}>
+                            {formatDelta(ratingHistory[0].delta)}
+                        </Text>
+                    )}
                 </View>
             </View>
             <View style={styles.pointsCard}>
@@ -134,31 +248,145 @@ export default function ProfileScreen({ navigation }: any) {
                 <Text style={styles.pointsLabel}>ENGAGEMENT POINTS</Text>
                 <Text style={styles.pointsSub}>+2 Challenge | +1 Play | +3 Win</Text>
             </View>
-            <View style={styles.section}>
-                <TouchableOpacity
-                    style={styles.menuItem}
-                    onPress={() => navigation.navigate('MatchHistory')}
-                >
-                    <History size={18} color="#87a96b" />
-                    <Text style={styles.menuText}>Match History</Text>
-                    <View style={styles.menuChevron}>
-                        <Text style={styles.menuBadge}>{stats.challenges}</Text>
-                        <ChevronRight size={18} color="#444" />
+            {breakStats && breakRates && (
+                <View style={styles.section}>
+                    <Text style={styles.sectionTitle}>BREAK STATS</Text>
+                    <View style={styles.breakRow}>
+                        <View style={styles.breakStat}>
+                            <Text style={styles.breakValue}>{breakStats.breaks}</Text>
+                            <Text style={styles.statLabel}>Breaks</Text>
+                        </View>
+                        <View style={styles.breakStat}>
+                            <Text style={styles.breakValue}>{breakRates.wonOnBreak}%</Text>
+                            <Text style={styles.statLabel}>Won on Break</Text>
+                        </View>
+                        <View style={styles.breakStat}>
+                            <Text style={styles.breakValue}>{breakRates.breakAndRun}%</Text>
+                            <Text style={styles.statLabel}>Break & Run</Text>
+                        </View>
+                        <View style={styles.breakStat}>
+                            <Text style={[styles.breakValue, { color: '#ffd700' }]}>{breakStats.golden_breaks}</Text>
+                            <Text style={styles.statLabel}>Golden</Text>
+                        </View>
                     </View>
-                </TouchableOpacity>
-                <View style={styles.menuItem}>
-                    <Phone size={18} color="#87a96b" />
-                    <Text style={styles.menuText}>{profile.phone || 'No phone linked'}</Text>
                 </View>
-                <TouchableOpacity style={styles.menuItem}>
-                    <Settings size={18} color="#666" />
-                    <Text style={[styles.menuText, { color: '#666' }]}>Account Settings</Text>
+            )}
+            {rankHistory.length > 1 && (
+                <View style={styles.section}>
+                    <Text style={styles.sectionTitle}>RANK HISTORY · 8-BALL</Text>
+                    <View style={styles.rankChart}>
+                        <RankChart history={rankHistory} />
+                    </View>
+                </View>
+            )}
+            {ratingHistory.length > 0 && (
+                <View style={styles.section}>
+                    <Text style={styles.sectionTitle}>RATING HISTORY</Text>
+                    {ratingHistory.map((entry) => (
+                        <View key={entry.id} style={styles.ratingRow}>
+                            <Text style={styles.ratingTime}>{formatRelativeTime(entry.created_at)}</Text>
+                            <Text style={styles.ratingChange}>{entry.rating_before} → {entry.rating_after}</Text>
+                            <Text style={[styles.ratingDelta, entry.delta < 0 && styles.ratingDeltaDown]}>{formatDelta(entry.delta)}</Text>
+                        </View>
+                    ))}
+                </View>
+            )}
+            {!viewedId && (
+                <>
+                <View style={styles.section}>
+                    <Text style={styles.sectionTitle}>NOTIFICATIONS</Text>
+                    {(Object.keys(NOTIFICATION_CATEGORY_LABELS) as NotificationCategory[]).map((category) => (
+                        <View key={category} style={styles.settingRow}>
+                            <Text style={styles.settingLabel}>{NOTIFICATION_CATEGORY_LABELS[category]}</Text>
+                            <Switch
+                                value={notifications[category]}
+                                onValueChange={(value) => changeNotifications({ [category]: value })}
+                                trackColor={{ false: '#333', true: '#87a96b' }}
+                            />
+                        </View>
+                    ))}
+                    <View style={styles.settingRow}>
+                        <View style={styles.settingText}>
+                            <Text style={styles.settingLabel}>Quiet hours</Text>
+                            <Text style={styles.settingHint}>
+                                {quietNow ? 'On right now · ' : ''}{notifications.timezone}
+                            </Text>
+                        </View>
+                        <Switch
+                            value={quietHoursOn}
+                            onValueChange={(value) => changeNotifications(value
+                                ? { quiet_hours_start: quietInput.start, quiet_hours_end: quietInput.end }
+                                : { quiet_hours_start: null, quiet_hours_end: null })}
+                            trackColor={{ false: '#333', true: '#87a96b' }}
+                        />
+                    </View>
+                    {quietHoursOn && (
+                        <View style={styles.quietRow}>
+                            <Text style={styles.settingHint}>FROM</Text>
+                            <TextInput
+                                style={styles.timeInput}
+                                value={quietInput.start}
+                                onChangeText={(start) => { setQuietInput({ ...quietInput, start }); setNotificationsDirty(true); }}
+                                placeholder="22:00"
+                                placeholderTextColor="#444"
+                            />
+                            <Text style={styles.settingHint}>UNTIL</Text>
+                            <TextInput
+                                style={styles.timeInput}
+                                value={quietInput.end}
+                                onChangeText={(end) => { setQuietInput({ ...quietInput, end }); setNotificationsDirty(true); }}
+                                placeholder="07:00"
+                                placeholderTextColor="#444"
+                            />
+                        </View>
+                    )}
+                    {notificationsDirty && (
+                        <TouchableOpacity style={styles.saveBtn} onPress={saveNotifications} disabled={savingNotifications}>
+                            {savingNotifications
+                                ? <ActivityIndicator size="small" color="#000" />
+                                : <Text style={styles.saveText}>SAVE NOTIFICATIONS</Text>}
+                        </TouchableOpacity>
+                    )}
+                </View>
+                <View style={styles.section}>
+                    <TouchableOpacity
+                        style={styles.menuItem}
+                        onPress={() => navigation.navigate('MatchHistory')}
+                    >
+                        <History size={18} color="#87a96b" />
+                        <Text style={styles.menuText}>Match History</Text>
+                        <View style={styles.menuChevron}>
+                            <Text style={styles.menuBadge}>{stats.challenges}</Text>
+                            <ChevronRight size={18} color="#444" />
+                        </View>
+                    </TouchableOpacity>
+                    {isOfficer && (
+                        <TouchableOpacity
+                            style={styles.menuItem}
+                            onPress={() => navigation.navigate('AdminConsole')}
+                        >
+                            <Shield size={18} color="#87a96b" />
+                            <Text style={styles.menuText}>Admin Console</Text>
+                            <View style={styles.menuChevron}>
+                                <ChevronRight size={18} color="#444" />
+                            </View>
+                        </TouchableOpacity>
+                    )}
+                    <View style={styles.menuItem}>
+                        <Phone size={18} color="#87a96b" />
+                        <Text style={styles.menuText}>{profile.phone || 'No phone linked'}</Text>
+                    </View>
+                    <TouchableOpacity style={styles.menuItem}>
+                        <Settings size={18} color="#666" />
+                        <Text style={[styles.menuText, { color: '#666' }]}>Account Settings</Text>
+                    </TouchableOpacity>
+                </View>
+                <TouchableOpacity style={styles.logoutBtn} onPress={handleLogout}>
+                    <LogOut size={18} color="#ff5252" />
+                    <Text style={styles.logoutText}>Sign Out</Text>
                 </TouchableOpacity>
-            </View>
-            <TouchableOpacity style={styles.logoutBtn} onPress={handleLogout}>
-                <LogOut size={18} color="#ff5252" />
-                <Text style={styles.logoutText}>Sign Out</Text>
-            </TouchableOpacity>
+                </>
+            )}
         </ScrollView>
     );
 }
@@ -168,6 +396,7 @@ const styles = StyleSheet.create({
     loadingContainer: { flex: 1, backgroundColor: '#0a0a0a', justifyContent: 'center', alignItems: 'center' },
     errorText: { color: '#666', fontSize: 16 },
     header: { paddingTop: 70, paddingBottom: 30, alignItems: 'center', backgroundColor: 'rgba(255,255,255,0.03)' },
+    backBtn: { position: 'absolute', top: 60, left: 20 },
     avatarWrap: { width: 110, height: 110, borderRadius: 55, borderWidth: 3, borderColor: '#87a96b', padding: 3, marginBottom: 16 },
     avatar: { width: '100%', height: '100%', borderRadius: 52 },
     placeholderAvatar: { backgroundColor: '#1a1a1a', justifyContent: 'center', alignItems: 'center' },
@@ -180,11 +409,29 @@ const styles = StyleSheet.create({
     statBox: { alignItems: 'center', backgroundColor: 'rgba(255,255,255,0.03)', paddingVertical: 16, paddingHorizontal: 24, borderRadius: 12 },
     statNum: { color: '#fff', fontSize: 28, fontWeight: 'bold', marginTop: 8 },
     statLabel: { color: '#666', fontSize: 11, marginTop: 2 },
+    breakRow: { flexDirection: 'row', justifyContent: 'space-between' },
+    breakStat: { alignItems: 'center', flex: 1 },
+    breakValue: { color: '#fff', fontSize: 20, fontWeight: 'bold' },
     pointsCard: { margin: 20, marginTop: 0, backgroundColor: 'rgba(135,169,107,0.1)', borderRadius: 16, padding: 20, alignItems: 'center', borderWidth: 1, borderColor: 'rgba(135,169,107,0.2)' },
     pointsValue: { color: '#fff', fontSize: 42, fontWeight: 'bold' },
     pointsLabel: { color: '#87a96b', fontSize: 11, fontWeight: 'bold', marginTop: 4, letterSpacing: 1 },
     pointsSub: { color: '#666', fontSize: 10, marginTop: 6 },
     section: { paddingHorizontal: 20 },
+    sectionTitle: { color: '#666', fontSize: 11, fontWeight: 'bold', letterSpacing: 2, marginBottom: 4 },
+    rankChart: { marginTop: 8, marginBottom: 20 },
+    ratingRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 10, borderBottomWidth: 1, borderBottomColor: 'rgba(255,255,255,0.05)' },
+    ratingTime: { color: '#666', fontSize: 12, flex: 1 },
+    ratingChange: { color: '#fff', fontSize: 14, marginRight: 12 },
+    ratingDelta: { color: '#4caf50', fontSize: 12, fontWeight: 'bold', marginTop: 2 },
+    ratingDeltaDown: { color: '#f44336' },
+    settingRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 10, borderBottomWidth: 1, borderBottomColor: 'rgba(255,255,255,0.05)' },
+    settingText: { flex: 1 },
+    settingLabel: { color: '#fff', fontSize: 15, flex: 1 },
+    settingHint: { color: '#666', fontSize: 11, marginTop: 2, letterSpacing: 1 },
+    quietRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 12, gap: 10 },
+    timeInput: { color: '#fff', fontSize: 15, backgroundColor: 'rgba(255,255,255,0.05)', borderRadius: 8, paddingHorizontal: 12, paddingVertical: 8, minWidth: 80, textAlign: 'center' },
+    saveBtn: { backgroundColor: '#87a96b', borderRadius: 12, paddingVertical: 14, alignItems: 'center', marginTop: 12, marginBottom: 20 },
+    saveText: { color: '#000', fontSize: 13, fontWeight: 'bold', letterSpacing: 1 },
     menuItem: { flexDirection: 'row', alignItems: 'center', paddingVertical: 16, borderBottomWidth: 1, borderBottomColor: 'rgba(255,255,255,0.05)' },
     menuText: { color: '#fff', fontSize: 15, marginLeft: 14, flex: 1 },
     menuChevron: { flexDirection: 'row', alignItems: 'center' },
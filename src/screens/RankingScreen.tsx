@@ -4,6 +4,7 @@ import { supabase } from '../lib/supabase';
 import { Profile, GameType } from '../types';
 import { Trophy, Swords, Star } from 'lucide-react-native';
 import { SkeletonRankingItem } from '../components/SkeletonLoader';
+import { ProfileService } from '../lib/services';
 
 export default function RankingScreen({ navigation }: any) {
     const [rankings, setRankings] = useState<Profile[]>([]);
@@ -21,10 +22,8 @@ export default function RankingScreen({ navigation }: any) {
         }
         
         try {
-            const { data, error } = await supabase
-                .from('profiles')
-                .select('*')
-                .order('ladder_rank', { ascending: true });
+            // Ranks for the selected discipline's ladder
+            const { data, error } = await ProfileService.getByLadderRank(gameType, { forceRefresh: true });
 
             if (error) throw error;
             setRankings(data || []);
@@ -64,6 +63,11 @@ export default function RankingScreen({ navigation }: any) {
                 { event: '*', table: 'profiles' },
                 () => fetchRankings()
             )
+            .on(
+                'postgres_changes' as any,
+                { event: '*', table: 'ladder_positions' },
+                () => fetchRankings()
+            )
             .on(
                 'postgres_changes' as any,
                 { event: '*', table: 'challenges' },
@@ -74,7 +78,7 @@ export default function RankingScreen({ navigation }: any) {
         return () => {
             supabase.removeChannel(channel);
         };
-    }, []);
+    }, [gameType]);
 
     const renderHeader = () => (
         <View>
@@ -98,7 +102,7 @@ export default function RankingScreen({ navigation }: any) {
                         </View>
                         <TouchableOpacity 
                             style={styles.spotlightAction}
-                            onPress={() => navigation.navigate('Challenge', { target: spotlightPlayer })}
+                            onPress={() => navigation.navigate('Challenge', { target: spotlightPlayer, gameType })}
                             accessibilityLabel={`Challenge ${spotlightPlayer.full_name}`}
                         >
                             <Swords color="#000" size={20} />
@@ -138,7 +142,7 @@ export default function RankingScreen({ navigation }: any) {
         return (
             <TouchableOpacity
                 style={[styles.rankingItem, isPlaying && styles.playingItem]}
-                onPress={() => !isPlaying && navigation.navigate('Challenge', { target: item })}
+                onPress={() => !isPlaying && navigation.navigate('Challenge', { target: item, gameType })}
                 disabled={isPlaying}
                 accessibilityLabel={`${item.full_name}, Rank ${item.ladder_rank}`}
             >
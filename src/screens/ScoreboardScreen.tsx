@@ -1,22 +1,77 @@
-import React, { useState, useEffect } from 'react';
-import { View, Text, StyleSheet, TouchableOpacity, Alert, Platform, Vibration, ActivityIndicator } from 'react-native';
+import React, { useState, useEffect, useRef } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Alert, Platform, Vibration, ActivityIndicator, ScrollView, Share, TextInput } from 'react-native';
 import * as Haptics from 'expo-haptics';
 import { supabase } from '../lib/supabase';
-import { sendPushNotification } from '../lib/notifications';
-import { RotateCcw, Share2, Trophy, Radio } from 'lucide-react-native';
+import { requestPushFanout } from '../lib/notifications';
+import { buildOverlayUrl, canReportResult, determineMatchResult, formatRace, getActiveRacks, getBreakFormat, getNextBreaker, getRaceTargets, isNewerLiveScore, RESULT_CONFIRMATION_WINDOW_HOURS } from '../lib/logic';
+import { ChallengeService } from '../lib/services';
+import { ENV } from '../lib/config';
+import { parseStreamUrl, STREAM_PROVIDER_LABELS } from '../lib/streams';
+import { BreakFormat, LiveScore, MatchRack } from '../types';
+import { RotateCcw, Share2, Trophy, Radio, Undo2 } from 'lucide-react-native';
+
+const BREAK_FORMAT_LABELS: Record<BreakFormat, string> = {
+    winner_breaks: 'WINNER BREAKS',
+    alternate: 'ALTERNATE BREAK',
+};
+
+type BreakRules = { break_format: BreakFormat | null; lag_winner_id: string | null };
 
 export default function ScoreboardScreen({ route, navigation }: any) {
     const { challenge } = route.params as { challenge: any };
-    const [score1, setScore1] = useState(0);
-    const [score2, setScore2] = useState(0);
+    const [racks, setRacks] = useState<MatchRack[]>([]);
+    const [liveScore, setLiveScore] = useState<LiveScore | null>(null);
+    const liveScoreRef = useRef<LiveScore | null>(null);
+    const [rules, setRules] = useState<BreakRules>({
+        break_format: challenge.break_format ?? null,
+        lag_winner_id: challenge.lag_winner_id ?? null,
+    });
+    // Set when the scorekeeper taps a name to say someone else is breaking
+    const [breakerOverride, setBreakerOverride] = useState<string | null>(null);
+    const [breakAndRun, setBreakAndRun] = useState(false);
+    const [goldenBreak, setGoldenBreak] = useState(false);
+    const [busy, setBusy] = useState(false);
     const [loading, setLoading] = useState(false);
-    const [isLive, setIsLive] = useState(false);
+    const [isLive, setIsLive] = useState(challenge.status === 'live');
+    const [showGoLive, setShowGoLive] = useState(false);
+    const [streamInput, setStreamInput] = useState('');
+    const race = getRaceTargets(challenge);
+    const handicapped = race.challenger !== race.challenged;
+
+    const applyLiveScore = (score: LiveScore | null) => {
+        if (!score || !isNewerLiveScore(liveScoreRef.current, score)) return false;
+        liveScoreRef.current = score;
+        setLiveScore(score);
+        return true;
+    };
+
+    const loadRacks = async () => {
+        const { data } = await ChallengeService.getRacks(challenge.id, { forceRefresh: true });
+        if (!data) return;
+        setRacks(data);
+        setBreakerOverride(null);
+    };
+
+    // The score and rack log are kept server-side, so a late joiner or a
+    // restarted phone picks the match up where it is
+    const loadMatchState = async () => {
+        const [{ data }, { data: latest }] = await Promise.all([
+            ChallengeService.getLiveScore(challenge.id),
+            ChallengeService.getById(challenge.id, { forceRefresh: true }),
+        ]);
+        applyLiveScore(data);
+        if (latest) setRules({ break_format: latest.break_format ?? null, lag_winner_id: latest.lag_winner_id ?? null });
+        await loadRacks();
+    };
 
     useEffect(() => {
+        loadMatchState();
         const channel = supabase.channel(`match:${challenge.id}`)
-            .on('broadcast', { event: 'score-update' }, (payload: any) => {
-                setScore1(payload.payload.score1);
-                setScore2(payload.payload.score2);
+            .on('postgres_changes' as any, { event: '*', table: 'live_scores', filter: `challenge_id=eq.${challenge.id}` }, (payload: any) => {
+                if (applyLiveScore(payload.new as LiveScore)) loadRacks();
+            })
+            .on('postgres_changes' as any, { event: 'UPDATE', table: 'challenges', filter: `id=eq.${challenge.id}` }, (payload: any) => {
+                setRules({ break_format: payload.new.break_format ?? null, lag_winner_id: payload.new.lag_winner_id ?? null });
             })
             .subscribe();
         return () => { supabase.removeChannel(channel); };
@@ -26,139 +81,286 @@ export default function ScoreboardScreen({ route, navigation }: any) {
         try { Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium); } catch {}
     };
 
-    const updateScore = async (player: 1 | 2, delta: number) => {
+    // Every change carries the version on screen; if another scorekeeper got
+    // there first the server refuses it and we catch up to their score
+    const runRackChange = async (change: (expectedVersion: number) => Promise<{ data: LiveScore | null; error: Error | null }>) => {
+        setBusy(true);
+        const { data, error } = await change(liveScoreRef.current?.version ?? 0);
+        setBreakAndRun(false);
+        setGoldenBreak(false);
+        if (error) {
+            await loadMatchState();
+            setBusy(false);
+            Alert.alert('Score Not Saved', error.message);
+            return;
+        }
+        applyLiveScore(data);
+        await loadRacks();
+        setBusy(false);
+    };
+
+    const updateRules = async (next: BreakRules) => {
+        setBusy(true);
+        const { data, error } = await ChallengeService.setBreakRules(challenge.id, next);
+        setBusy(false);
+        if (error) {
+            Alert.alert('Error', error.message);
+            return;
+        }
+        if (data) setRules({ break_format: data.break_format ?? null, lag_winner_id: data.lag_winner_id ?? null });
+    };
+
+    const recordRack = (winnerId: string) => {
         triggerHaptic();
-        const newScore1 = player === 1 ? Math.max(0, score1 + delta) : score1;
-        const newScore2 = player === 2 ? Math.max(0, score2 + delta) : score2;
-        setScore1(newScore1);
-        setScore2(newScore2);
-        try {
-            await supabase.channel(`match:${challenge.id}`).send({
-                type: 'broadcast', event: 'score-update',
-                payload: { score1: newScore1, score2: newScore2 },
-            });
-        } catch (err) { console.error('Broadcast error:', err); }
+        const fromBreak = winnerId === breakerId;
+        runRackChange((version) => ChallengeService.recordRack(challenge.id, {
+            winner_id: winnerId,
+            breaker_id: breakerId,
+            break_and_run: fromBreak && breakAndRun,
+            golden_break: fromBreak && goldenBreak,
+        }, version));
+    };
+
+    const undoRack = () => {
+        triggerHaptic();
+        runRackChange((version) => ChallengeService.undoLastRack(challenge.id, version));
     };
 
     const resetScores = () => {
-        Alert.alert('Reset Scores?', 'This will set both scores to 0.', [
+        Alert.alert('Reset Scores?', 'Every rack will be undone. They stay in the match log.', [
             { text: 'Cancel', style: 'cancel' },
-            { text: 'Reset', style: 'destructive', onPress: () => { setScore1(0); setScore2(0); triggerHaptic(); }}
+            { text: 'Reset', style: 'destructive', onPress: () => { triggerHaptic(); runRackChange((version) => ChallengeService.resetRacks(challenge.id, version)); }}
         ]);
     };
 
+    const activeRacks = getActiveRacks(racks);
+    const breakFormat = getBreakFormat({ game_type: challenge.game_type, break_format: rules.break_format });
+    const breakerId = breakerOverride ?? getNextBreaker({ ...challenge, ...rules }, racks);
+    const score1 = liveScore?.challenger_score ?? 0;
+    const score2 = liveScore?.challenged_score ?? 0;
+
     const finalizeMatch = async () => {
-        const raceTarget = challenge.games_to_win;
-        if (score1 < raceTarget && score2 < raceTarget) {
-            Alert.alert('Match Not Complete', `Someone needs to reach ${raceTarget} games to win.`);
+        if (!canReportResult(challenge)) {
+            Alert.alert('Not Accepted Yet', 'Results can only be reported once the challenge has been accepted.');
+            return;
+        }
+        const result = determineMatchResult(race, score1, score2);
+        if (!result.complete) {
+            Alert.alert('Match Not Complete', result.error || 'Match is not complete.');
             return;
         }
         setLoading(true);
         try {
-            const isChallengerWinner = score1 >= raceTarget;
-            const winnerId = isChallengerWinner ? challenge.challenger_id : challenge.challenged_id;
-            const loserId = isChallengerWinner ? challenge.challenged_id : challenge.challenger_id;
-            const winnerName = isChallengerWinner ? (challenge.challenger?.full_name || 'Challenger') : (challenge.challenged?.full_name || 'Opponent');
-
-            if (Platform.OS !== 'web') { Vibration.vibrate([0, 500, 200, 500]); }
+            const winnerName = result.winner === 'challenger' ? (challenge.challenger?.full_name || 'Challenger') : (challenge.challenged?.full_name || 'Opponent');
 
-            const { error: challengeError } = await supabase.from('challenges')
-                .update({ status: 'completed', challenger_score: score1, challenged_score: score2, winner_id: winnerId, updated_at: new Date().toISOString() })
-                .eq('id', challenge.id);
-            if (challengeError) throw challengeError;
+            // The opponent confirms or disputes; the ladder only moves once confirmed
+            const { error } = await ChallengeService.submitResult(challenge.id, score1, score2);
+            if (error) throw error;
 
-            // Update rankings
-            try {
-                await supabase.rpc('update_rankings_on_win', { match_winner_id: winnerId, match_loser_id: loserId });
-            } catch (rankErr) { console.error('Rank update error:', rankErr); }
-
-            // Log activity
-            await supabase.from('activities').insert({
-                user_id: winnerId, action_type: 'MATCH_COMPLETED',
-                metadata: { challenger_name: challenge.challenger?.full_name, challenged_name: challenge.challenged?.full_name, 
-                    final_score: `${score1} - ${score2}`, winner_name: winnerName, game_type: challenge.game_type }
-            });
-
-            // Apply 24h cooldown to loser
-            const cooldownTime = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
-            await supabase.from('profiles').update({ cooldown_until: cooldownTime }).eq('id', loserId);
+            if (Platform.OS !== 'web') { Vibration.vibrate([0, 500, 200, 500]); }
 
-            Alert.alert('Match Complete!', `${winnerName} wins ${score1}-${score2}!`, [
+            Alert.alert('Result Submitted!', `${winnerName} wins ${score1}-${score2}. Your opponent has ${RESULT_CONFIRMATION_WINDOW_HOURS} hours to confirm or dispute before it is confirmed automatically.`, [
                 { text: 'Back to Rankings', onPress: () => navigation.navigate('Rankings') }
             ]);
         } catch (error: any) {
-            Alert.alert('Error', error.message || 'Failed to finalize match');
+            Alert.alert('Error', error.message || 'Failed to submit result');
         } finally {
             setLoading(false);
         }
     };
 
     const goLive = async () => {
-        setIsLive(true);
+        // The stream link is optional; a match can be live without one
+        const parsed = streamInput.trim() ? parseStreamUrl(streamInput) : null;
+        if (parsed?.error) {
+            Alert.alert('Check the Stream Link', parsed.error);
+            return;
+        }
+        setBusy(true);
         try {
-            await supabase.from('challenges').update({ status: 'live' }).eq('id', challenge.id);
-            const { data: profiles } = await supabase.from('profiles').select('expo_push_token').not('expo_push_token', 'is', null);
-            if (profiles) {
-                const p1 = challenge.challenger?.full_name || 'Player 1';
-                const p2 = challenge.challenged?.full_name || 'Player 2';
-                profiles.forEach(p => {
-                    if (p.expo_push_token) {
-                        sendPushNotification(p.expo_push_token, 'Match LIVE!', `${p1} vs ${p2} is now live!`, { type: 'LIVE_MATCH' });
-                    }
-                });
-            }
+            const { error } = await ChallengeService.goLive(challenge.id, parsed?.link ?? null);
+            if (error) throw error;
+            setIsLive(true);
+            setShowGoLive(false);
+            // Sent server-side to everyone else; a failed announcement doesn't stop the match
+            requestPushFanout('live_match', challenge.id);
             Alert.alert('You are LIVE!', 'Other players can now see this match is happening.');
         } catch (err: any) {
             Alert.alert('Error', err.message);
-            setIsLive(false);
+        } finally {
+            setBusy(false);
         }
     };
 
-    const raceTarget = challenge.games_to_win;
-    const matchComplete = score1 >= raceTarget || score2 >= raceTarget;
+    const endStream = () => {
+        Alert.alert('End Stream?', 'The match leaves the Live Arena. The score is kept so you can still finish it.', [
+            { text: 'Cancel', style: 'cancel' },
+            {
+                text: 'End Stream',
+                style: 'destructive',
+                onPress: async () => {
+                    setBusy(true);
+                    const { error } = await ChallengeService.endStream(challenge.id);
+                    setBusy(false);
+                    if (error) {
+                        Alert.alert('Error', error.message);
+                        return;
+                    }
+                    setIsLive(false);
+                    setStreamInput('');
+                },
+            },
+        ]);
+    };
+
+    const streamPreview = streamInput.trim() ? parseStreamUrl(streamInput) : null;
+
+    // Share link for a stream overlay (browser source) of this match
+    const shareOverlay = async () => {
+        const { data: token, error } = await ChallengeService.getShareToken(challenge.id);
+        if (error || !token) {
+            Alert.alert('Error', error?.message || 'Could not create an overlay link');
+            return;
+        }
+        const baseUrl = ENV.WEB_URL || (Platform.OS === 'web' ? window.location.origin : '');
+        if (!baseUrl) {
+            Alert.alert('Overlay Unavailable', 'The web app address is not configured.');
+            return;
+        }
+        const url = buildOverlayUrl(baseUrl, token);
+        try {
+            await Share.share({ message: `Stream overlay (add as a browser source): ${url}`, url });
+        } catch (err: any) {
+            Alert.alert('Error', err.message);
+        }
+    };
+
+    const matchComplete = score1 >= race.challenger || score2 >= race.challenged;
     const p1Name = challenge.challenger?.full_name || 'Player 1';
     const p2Name = challenge.challenged?.full_name || 'Player 2';
 
+    const renderPlayer = (playerId: string, name: string, target: number, score: number, label: string) => (
+        <View style={styles.playerSection}>
+            <TouchableOpacity onPress={() => setBreakerOverride(playerId)} disabled={busy} accessibilityLabel={`${name} breaks`}>
+                <Text style={styles.playerName}>{name}</Text>
+            </TouchableOpacity>
+            {breakerId === playerId && <Text style={styles.breakBadge}>BREAK</Text>}
+            {handicapped && <Text style={styles.raceLabel}>RACE TO {target}</Text>}
+            <View style={styles.scoreRow}>
+                <Text style={[styles.scoreValue, score >= target && styles.winnerScore]}>{score}</Text>
+                <TouchableOpacity style={styles.scoreBtn} onPress={() => recordRack(playerId)} disabled={busy || matchComplete} accessibilityLabel={`Rack to ${label}`}>
+                    <Text style={styles.btnText}>+</Text>
+                </TouchableOpacity>
+            </View>
+        </View>
+    );
+
     return (
         <View style={styles.container}>
             <View style={styles.header}>
-                <Text style={styles.matchTitle}>{challenge.game_type.toUpperCase()} | RACE TO {raceTarget}</Text>
-                <TouchableOpacity onPress={goLive} style={[styles.liveBtn, isLive && styles.liveBtnActive]} disabled={isLive}>
+                <Text style={styles.matchTitle}>{challenge.game_type.toUpperCase()} | {formatRace(challenge).toUpperCase()}</Text>
+                <TouchableOpacity
+                    onPress={isLive ? endStream : () => setShowGoLive(!showGoLive)}
+                    style={[styles.liveBtn, isLive && styles.liveBtnActive]}
+                    disabled={busy}
+                    accessibilityLabel={isLive ? 'End stream' : 'Go live'}
+                >
                     <Radio size={14} color={isLive ? '#fff' : '#f44336'} />
-                    <Text style={[styles.liveBtnText, isLive && styles.liveBtnTextActive]}>{isLive ? 'LIVE' : 'GO LIVE'}</Text>
+                    <Text style={[styles.liveBtnText, isLive && styles.liveBtnTextActive]}>{isLive ? 'LIVE • END' : 'GO LIVE'}</Text>
                 </TouchableOpacity>
-            </View>
-            <View style={styles.scoreboard}>
-                <View style={styles.playerSection}>
-                    <Text style={styles.playerName}>{p1Name}</Text>
-                    <View style={styles.scoreRow}>
-                        <TouchableOpacity style={styles.scoreBtn} onPress={() => updateScore(1, -1)} accessibilityLabel="Subtract point player 1">
-                            <Text style={styles.btnText}>-</Text>
-                        </TouchableOpacity>
-                        <Text style={[styles.scoreValue, score1 >= raceTarget && styles.winnerScore]}>{score1}</Text>
-                        <TouchableOpacity style={styles.scoreBtn} onPress={() => updateScore(1, 1)} accessibilityLabel="Add point player 1">
-                            <Text style={styles.btnText}>+</Text>
+                {showGoLive && !isLive && (
+                    <View style={styles.goLivePanel}>
+                        <TextInput
+                            style={styles.streamInput}
+                            value={streamInput}
+                            onChangeText={setStreamInput}
+                            placeholder="YouTube, Facebook, Twitch or .m3u8 link (optional)"
+                            placeholderTextColor="#555"
+                            autoCapitalize="none"
+                            autoCorrect={false}
+                            keyboardType="url"
+                        />
+                        {streamPreview && (
+                            <Text style={[styles.streamHint, streamPreview.error && styles.streamHintError]}>
+                                {streamPreview.link ? `${STREAM_PROVIDER_LABELS[streamPreview.link.provider]} stream` : streamPreview.error}
+                            </Text>
+                        )}
+                        <TouchableOpacity style={styles.goLiveConfirm} onPress={goLive} disabled={busy}>
+                            <Text style={styles.goLiveConfirmText}>{streamInput.trim() ? 'GO LIVE WITH STREAM' : 'GO LIVE WITHOUT STREAM'}</Text>
                         </TouchableOpacity>
                     </View>
-                </View>
-                <View style={styles.divider}><Text style={styles.vsText}>VS</Text></View>
-                <View style={styles.playerSection}>
-                    <Text style={styles.playerName}>{p2Name}</Text>
-                    <View style={styles.scoreRow}>
-                        <TouchableOpacity style={styles.scoreBtn} onPress={() => updateScore(2, -1)} accessibilityLabel="Subtract point player 2">
-                            <Text style={styles.btnText}>-</Text>
-                        </TouchableOpacity>
-                        <Text style={[styles.scoreValue, score2 >= raceTarget && styles.winnerScore]}>{score2}</Text>
-                        <TouchableOpacity style={styles.scoreBtn} onPress={() => updateScore(2, 1)} accessibilityLabel="Add point player 2">
-                            <Text style={styles.btnText}>+</Text>
-                        </TouchableOpacity>
+                )}
+                <Text style={styles.breakInfo}>
+                    {BREAK_FORMAT_LABELS[breakFormat]}
+                    {breakerId ? ` • ${breakerId === challenge.challenger_id ? p1Name : p2Name} TO BREAK`.toUpperCase() : ' • LAG FOR THE BREAK'}
+                </Text>
+            </View>
+            {activeRacks.length === 0 && (
+                <View style={styles.rulesCard}>
+                    <View style={styles.rulesRow}>
+                        {(Object.keys(BREAK_FORMAT_LABELS) as BreakFormat[]).map((format) => (
+                            <TouchableOpacity
+                                key={format}
+                                style={[styles.flagChip, breakFormat === format && styles.flagChipActive]}
+                                onPress={() => updateRules({ ...rules, break_format: format })}
+                                disabled={busy}
+                            >
+                                <Text style={[styles.flagText, breakFormat === format && styles.flagTextActive]}>{BREAK_FORMAT_LABELS[format]}</Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+                    <View style={styles.rulesRow}>
+                        <Text style={styles.rulesLabel}>LAG WON BY</Text>
+                        {[{ id: challenge.challenger_id, name: p1Name }, { id: challenge.challenged_id, name: p2Name }].map((player) => (
+                            <TouchableOpacity
+                                key={player.id}
+                                style={[styles.flagChip, rules.lag_winner_id === player.id && styles.flagChipActive]}
+                                onPress={() => updateRules({ ...rules, lag_winner_id: player.id })}
+                                disabled={busy}
+                            >
+                                <Text style={[styles.flagText, rules.lag_winner_id === player.id && styles.flagTextActive]} numberOfLines={1}>
+                                    {player.name.toUpperCase()}
+                                </Text>
+                            </TouchableOpacity>
+                        ))}
                     </View>
                 </View>
+            )}
+            <View style={styles.scoreboard}>
+                {renderPlayer(challenge.challenger_id, p1Name, race.challenger, score1, 'player 1')}
+                <View style={styles.divider}><Text style={styles.vsText}>VS</Text></View>
+                {renderPlayer(challenge.challenged_id, p2Name, race.challenged, score2, 'player 2')}
+            </View>
+            <View style={styles.flagRow}>
+                <TouchableOpacity
+                    style={[styles.flagChip, breakAndRun && styles.flagChipActive]}
+                    onPress={() => { setBreakAndRun(!breakAndRun); setGoldenBreak(false); }}
+                    disabled={!breakerId}
+                >
+                    <Text style={[styles.flagText, breakAndRun && styles.flagTextActive]}>BREAK & RUN</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                    style={[styles.flagChip, goldenBreak && styles.flagChipActive]}
+                    onPress={() => { setGoldenBreak(!goldenBreak); setBreakAndRun(false); }}
+                    disabled={!breakerId}
+                >
+                    <Text style={[styles.flagText, goldenBreak && styles.flagTextActive]}>GOLDEN BREAK</Text>
+                </TouchableOpacity>
             </View>
+            <ScrollView horizontal style={styles.rackLog} contentContainerStyle={styles.rackLogContent} showsHorizontalScrollIndicator={false}>
+                {activeRacks.map((rack) => (
+                    <View key={rack.id} style={[styles.rackDot, rack.winner_id === challenge.challenger_id ? styles.rackDotP1 : styles.rackDotP2]}>
+                        <Text style={styles.rackDotText}>{rack.break_and_run ? 'BR' : rack.golden_break ? 'GB' : rack.rack_number}</Text>
+                    </View>
+                ))}
+            </ScrollView>
             <View style={styles.footer}>
-                <TouchableOpacity style={styles.footerBtn} onPress={resetScores}>
+                <TouchableOpacity style={styles.footerBtn} onPress={resetScores} disabled={busy || activeRacks.length === 0}>
                     <RotateCcw size={22} color="#666" />
                 </TouchableOpacity>
+                <TouchableOpacity style={styles.footerBtn} onPress={undoRack} disabled={busy || activeRacks.length === 0} accessibilityLabel="Undo last rack">
+                    <Undo2 size={22} color="#666" />
+                </TouchableOpacity>
                 <TouchableOpacity style={[styles.finishBtn, !matchComplete && styles.finishBtnDisabled]} onPress={finalizeMatch} disabled={loading || !matchComplete}>
                     {loading ? <ActivityIndicator color="#000" /> : (
                         <>
@@ -167,7 +369,7 @@ export default function ScoreboardScreen({ route, navigation }: any) {
                         </>
                     )}
                 </TouchableOpacity>
-                <TouchableOpacity style={styles.footerBtn}>
+                <TouchableOpacity style={styles.footerBtn} onPress={shareOverlay} accessibilityLabel="Share stream overlay">
                     <Share2 size={22} color="#666" />
                 </TouchableOpacity>
             </View>
@@ -186,6 +388,8 @@ const styles = StyleSheet.create({
     scoreboard: { flex: 1, justifyContent: 'space-around', paddingVertical: 30 },
     playerSection: { alignItems: 'center' },
     playerName: { color: '#888', fontSize: 18, fontWeight: '300', marginBottom: 15, textTransform: 'uppercase', letterSpacing: 1 },
+    breakBadge: { color: '#ffd700', fontSize: 10, fontWeight: 'bold', letterSpacing: 2, marginTop: -10, marginBottom: 10 },
+    raceLabel: { color: '#87a96b', fontSize: 11, fontWeight: 'bold', letterSpacing: 2, marginTop: -10, marginBottom: 15 },
     scoreRow: { flexDirection: 'row', alignItems: 'center' },
     scoreValue: { color: '#fff', fontSize: 100, fontWeight: 'bold', minWidth: 140, textAlign: 'center' },
     winnerScore: { color: '#87a96b' },
@@ -193,6 +397,27 @@ const styles = StyleSheet.create({
     btnText: { color: '#fff', fontSize: 28, fontWeight: '300' },
     divider: { alignItems: 'center', paddingVertical: 10 },
     vsText: { color: '#333', fontSize: 14, fontWeight: 'bold' },
+    goLivePanel: { marginTop: 12, width: '85%', alignItems: 'center' },
+    streamInput: { width: '100%', padding: 10, borderRadius: 10, backgroundColor: 'rgba(0,0,0,0.4)', color: '#fff', fontSize: 13 },
+    streamHint: { color: '#87a96b', fontSize: 11, marginTop: 6 },
+    streamHintError: { color: '#f44336' },
+    goLiveConfirm: { marginTop: 8, backgroundColor: '#f44336', paddingHorizontal: 16, paddingVertical: 8, borderRadius: 16 },
+    goLiveConfirmText: { color: '#fff', fontSize: 11, fontWeight: 'bold', letterSpacing: 1 },
+    breakInfo: { color: '#888', fontSize: 10, fontWeight: 'bold', letterSpacing: 1, marginTop: 10 },
+    rulesCard: { marginHorizontal: 20, marginTop: 15, padding: 12, borderRadius: 12, backgroundColor: 'rgba(255,255,255,0.05)' },
+    rulesRow: { flexDirection: 'row', alignItems: 'center', justifyContent: 'center', marginVertical: 4 },
+    rulesLabel: { color: '#666', fontSize: 10, fontWeight: 'bold', letterSpacing: 1, marginRight: 5 },
+    flagRow: { flexDirection: 'row', justifyContent: 'center' },
+    flagChip: { paddingHorizontal: 12, paddingVertical: 6, borderRadius: 14, borderWidth: 1, borderColor: 'rgba(255,255,255,0.15)', marginHorizontal: 5 },
+    flagChipActive: { backgroundColor: '#ffd700', borderColor: '#ffd700' },
+    flagText: { color: '#888', fontSize: 10, fontWeight: 'bold', letterSpacing: 1 },
+    flagTextActive: { color: '#000' },
+    rackLog: { flexGrow: 0, marginTop: 15 },
+    rackLogContent: { paddingHorizontal: 25 },
+    rackDot: { width: 26, height: 26, borderRadius: 13, justifyContent: 'center', alignItems: 'center', marginRight: 6 },
+    rackDotP1: { backgroundColor: '#87a96b' },
+    rackDotP2: { backgroundColor: '#555' },
+    rackDotText: { color: '#000', fontSize: 9, fontWeight: 'bold' },
     footer: { flexDirection: 'row', padding: 25, paddingBottom: 45, justifyContent: 'space-between', alignItems: 'center' },
     footerBtn: { padding: 12 },
     finishBtn: { backgroundColor: '#87a96b', flexDirection: 'row', alignItems: 'center', paddingVertical: 14, paddingHorizontal: 28, borderRadius: 25 },
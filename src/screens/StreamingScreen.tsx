@@ -3,6 +3,9 @@ import { View, Text, StyleSheet, TouchableOpacity, FlatList, Linking, Alert, Ref
 import { Video, Play, ExternalLink, Radio } from 'lucide-react-native';
 import { supabase } from '../lib/supabase';
 import { SkeletonCard } from '../components/SkeletonLoader';
+import { formatRace } from '../lib/logic';
+import { STREAM_PROVIDER_LABELS } from '../lib/streams';
+import { StreamProvider } from '../types';
 
 export default function StreamingScreen() {
     const [streams, setStreams] = useState<any[]>([]);
@@ -14,7 +17,7 @@ export default function StreamingScreen() {
         else setLoading(true);
         try {
             const { data, error } = await supabase.from('challenges')
-                .select('*, challenger:challenger_id(full_name), challenged:challenged_id(full_name)')
+                .select('*, challenger:challenger_id(full_name), challenged:challenged_id(full_name), live_score:live_scores(challenger_score, challenged_score, version)')
                 .eq('status', 'live');
             if (error) throw error;
             setStreams(data || []);
@@ -31,6 +34,7 @@ export default function StreamingScreen() {
         fetchStreams();
         const channel = supabase.channel('arena-updates')
             .on('postgres_changes' as any, { event: '*', table: 'challenges' }, () => fetchStreams())
+            .on('postgres_changes' as any, { event: '*', table: 'live_scores' }, () => fetchStreams())
             .subscribe();
         return () => { supabase.removeChannel(channel); };
     }, []);
@@ -44,17 +48,23 @@ export default function StreamingScreen() {
         <View style={styles.card}>
             <View style={styles.cardTop}>
                 <View style={styles.liveBadge}><Radio size={12} color="#fff" /><Text style={styles.liveText}>LIVE</Text></View>
-                <Text style={styles.gameInfo}>{item.game_type?.toUpperCase()} | Race to {item.games_to_win}</Text>
+                <Text style={styles.gameInfo}>{item.game_type?.toUpperCase()} | {formatRace(item)}</Text>
             </View>
             <View style={styles.matchup}>
                 <Text style={styles.player}>{item.challenger?.full_name || 'Player 1'}</Text>
-                <Text style={styles.vs}>VS</Text>
+                {item.live_score ? (
+                    <Text style={styles.score}>{item.live_score.challenger_score} - {item.live_score.challenged_score}</Text>
+                ) : (
+                    <Text style={styles.vs}>VS</Text>
+                )}
                 <Text style={styles.player}>{item.challenged?.full_name || 'Player 2'}</Text>
             </View>
             {item.stream_url && (
                 <TouchableOpacity style={styles.watchBtn} onPress={() => openStream(item.stream_url)} accessibilityLabel="Watch stream">
                     <Play size={18} color="#000" fill="#000" />
-                    <Text style={styles.watchText}>WATCH STREAM</Text>
+                    <Text style={styles.watchText}>
+                        {item.stream_provider && item.stream_provider !== 'hls' ? `WATCH ON ${STREAM_PROVIDER_LABELS[item.stream_provider as StreamProvider].toUpperCase()}` : 'WATCH STREAM'}
+                    </Text>
                     <ExternalLink size={14} color="#000" />
                 </TouchableOpacity>
             )}
@@ -102,6 +112,7 @@ const styles = StyleSheet.create({
     matchup: { flexDirection: 'row', alignItems: 'center', justifyContent: 'center', marginBottom: 18 },
     player: { color: '#fff', fontSize: 16, fontWeight: 'bold', flex: 1, textAlign: 'center' },
     vs: { color: '#87a96b', fontSize: 13, fontWeight: 'bold', marginHorizontal: 15 },
+    score: { color: '#87a96b', fontSize: 22, fontWeight: 'bold', marginHorizontal: 15 },
     watchBtn: { backgroundColor: '#87a96b', flexDirection: 'row', alignItems: 'center', justifyContent: 'center', padding: 14, borderRadius: 10 },
     watchText: { color: '#000', fontWeight: 'bold', fontSize: 13, marginHorizontal: 8 },
     emptyBox: { flex: 1, justifyContent: 'center', alignItems: 'center', paddingVertical: 100 },
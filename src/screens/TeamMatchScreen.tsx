@@ -0,0 +1,432 @@
+import React, { useEffect, useState } from 'react';
+import {
+    View,
+    Text,
+    ScrollView,
+    StyleSheet,
+    TouchableOpacity,
+    Alert,
+    ActivityIndicator,
+    RefreshControl
+} from 'react-native';
+import { supabase } from '../lib/supabase';
+import { Challenge, Profile, Team, TeamMatch } from '../types';
+import { AdminService, ProfileService, TeamService } from '../lib/services';
+import { ArrowLeft, Radio } from 'lucide-react-native';
+import { TEAM_MATCH_STATUS_COLORS } from './TeamsScreen';
+
+export default function TeamMatchScreen({ route, navigation }: any) {
+    const { teamMatchId } = route.params;
+    const [match, setMatch] = useState<TeamMatch | null>(null);
+    const [homeTeam, setHomeTeam] = useState<Team | null>(null);
+    const [awayTeam, setAwayTeam] = useState<Team | null>(null);
+    const [myProfile, setMyProfile] = useState<Profile | null>(null);
+    const [isOfficer, setIsOfficer] = useState(false);
+    const [refreshing, setRefreshing] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const [homePlayerId, setHomePlayerId] = useState<string | null>(null);
+    const [awayPlayerId, setAwayPlayerId] = useState<string | null>(null);
+
+    async function load(isRefresh = false) {
+        if (isRefresh) setRefreshing(true);
+        try {
+            const [m, officer] = await Promise.all([
+                TeamService.getMatch(teamMatchId, { forceRefresh: true }),
+                AdminService.isOfficer({ forceRefresh: isRefresh }),
+            ]);
+            setMatch(m.data);
+            setIsOfficer(Boolean(officer.data));
+
+            if (m.data) {
+                const [home, away] = await Promise.all([
+                    TeamService.getById(m.data.home_team_id, { forceRefresh: isRefresh }),
+                    TeamService.getById(m.data.away_team_id, { forceRefresh: isRefresh }),
+                ]);
+                setHomeTeam(home.data);
+                setAwayTeam(away.data);
+            }
+
+            const { data: { user } } = await supabase.auth.getUser();
+            if (user) {
+                const { data: profile } = await ProfileService.getByOwnerId(user.id);
+                setMyProfile(profile);
+            }
+        } catch (error: any) {
+            console.error('Error loading team match:', error.message);
+        } finally {
+            setRefreshing(false);
+        }
+    }
+
+    useEffect(() => {
+        load();
+
+        // Team score moves as each individual game is confirmed
+        const channel = supabase
+            .channel(`team-match:${teamMatchId}`)
+            .on(
+                'postgres_changes' as any,
+                { event: '*', table: 'team_matches', filter: `id=eq.${teamMatchId}` },
+                () => load()
+            )
+            .on(
+                'postgres_changes' as any,
+                { event: '*', table: 'challenges', filter: `team_match_id=eq.${teamMatchId}` },
+                () => load()
+            )
+            .subscribe();
+
+        return () => {
+            supabase.removeChannel(channel);
+        };
+    }, [teamMatchId]);
+
+    async function handleAddGame() {
+        if (!homePlayerId || !awayPlayerId) {
+            Alert.alert('Pick Players', 'Choose one player from each team.');
+            return;
+        }
+        setBusy(true);
+        const { error } = await TeamService.addGame(teamMatchId, homePlayerId, awayPlayerId);
+        setBusy(false);
+        if (error) {
+            Alert.alert('Error', error.message);
+            return;
+        }
+        setHomePlayerId(null);
+        setAwayPlayerId(null);
+        load();
+    }
+
+    function handleCancel() {
+        Alert.alert('Cancel Team Match', 'Unplayed games will be voided.', [
+            { text: 'Keep', style: 'cancel' },
+            {
+                text: 'Cancel Match',
+                style: 'destructive',
+                onPress: async () => {
+                    setBusy(true);
+                    const { error } = await TeamService.cancelMatch(teamMatchId);
+                    setBusy(false);
+                    if (error) {
+                        Alert.alert('Error', error.message);
+                        return;
+                    }
+                    load();
+                },
+            },
+        ]);
+    }
+
+    function openGame(game: Challenge) {
+        const mine = !!myProfile && (game.challenger_id === myProfile.id || game.challenged_id === myProfile.id);
+        if (mine && (game.status === 'scheduled' || game.status === 'live')) {
+            navigation.navigate('Scoreboard', { challenge: game });
+        }
+    }
+
+    if (!match) {
+        return (
+            <View style={styles.centered}>
+                <ActivityIndicator color="#87a96b" />
+            </View>
+        );
+    }
+
+    const games = [...(match.games || [])]
+        .filter((g) => g.status !== 'voided')
+        .sort((a, b) => a.created_at.localeCompare(b.created_at));
+    const isCaptain = !!myProfile && (homeTeam?.captain_id === myProfile.id || awayTeam?.captain_id === myProfile.id);
+    const open = match.status === 'scheduled' || match.status === 'in_progress';
+    const canSetLineup = open && (isCaptain || isOfficer) && games.length < match.games_planned;
+
+    const renderPicker = (team: Team | null, selected: string | null, onSelect: (id: string) => void) => (
+        <View style={styles.chipRow}>
+            {(team?.members || []).map((member) => (
+                <TouchableOpacity
+                    key={member.profile_id}
+                    style={[styles.chip, selected === member.profile_id && styles.chipActive]}
+                    onPress={() => onSelect(member.profile_id)}
+                >
+                    <Text style={[styles.chipText, selected === member.profile_id && styles.chipTextActive]}>
+                        {member.profile?.full_name ?? 'Unknown'}
+                    </Text>
+                </TouchableOpacity>
+            ))}
+        </View>
+    );
+
+    const renderGame = (game: Challenge, index: number) => {
+        const decided = (game.status === 'completed' || game.status === 'forfeited') && game.winner_id;
+        const homeWon = decided && game.winner_id === game.challenger_id;
+        const awayWon = decided && game.winner_id === game.challenged_id;
+        return (
+            <TouchableOpacity key={game.id} style={styles.gameRow} onPress={() => openGame(game)}>
+                <Text style={styles.gameNumber}>{index + 1}</Text>
+                <Text style={[styles.gamePlayer, homeWon && styles.gameWinner]} numberOfLines={1}>
+                    {game.challenger?.full_name ?? 'Unknown'}
+                </Text>
+                <View style={styles.gameScore}>
+                    {game.status === 'live' && <Radio color="#f44336" size={12} />}
+                    <Text style={styles.gameScoreText}>
+                        {game.challenger_score ?? 0} - {game.challenged_score ?? 0}
+                    </Text>
+                </View>
+                <Text style={[styles.gamePlayer, styles.gamePlayerAway, awayWon && styles.gameWinner]} numberOfLines={1}>
+                    {game.challenged?.full_name ?? 'Unknown'}
+                </Text>
+            </TouchableOpacity>
+        );
+    };
+
+    return (
+        <ScrollView
+            style={styles.container}
+            contentContainerStyle={styles.content}
+            refreshControl={<RefreshControl refreshing={refreshing} onRefresh={() => load(true)} tintColor="#87a96b" />}
+        >
+            <View style={styles.mainHeader}>
+                <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+                    <ArrowLeft color="#fff" size={24} />
+                </TouchableOpacity>
+                <Text style={styles.title}>TEAM MATCH</Text>
+            </View>
+
+            <View style={styles.scoreCard}>
+                <View style={styles.scoreRow}>
+                    <Text style={[styles.teamName, match.winner_team_id === match.home_team_id && styles.gameWinner]} numberOfLines={2}>
+                        {match.home_team?.name ?? 'Home'}
+                    </Text>
+                    <Text style={styles.teamScore}>{match.home_points} - {match.away_points}</Text>
+                    <Text style={[styles.teamName, styles.teamNameAway, match.winner_team_id === match.away_team_id && styles.gameWinner]} numberOfLines={2}>
+                        {match.away_team?.name ?? 'Away'}
+                    </Text>
+                </View>
+                <Text style={[styles.statusBadge, { color: TEAM_MATCH_STATUS_COLORS[match.status] }]}>
+                    {match.status === 'completed' && !match.winner_team_id ? 'DRAW' : match.status.replace('_', ' ').toUpperCase()}
+                </Text>
+                <Text style={styles.scoreMeta}>
+                    {match.game_type.toUpperCase()} • {games.length}/{match.games_planned} games set • Race to {match.games_to_win}
+                    {match.venue ? ` • ${match.venue}` : ''}
+                </Text>
+            </View>
+
+            <Text style={styles.sectionTitle}>GAMES</Text>
+            {games.length > 0
+                ? games.map(renderGame)
+                : <Text style={styles.emptyText}>No games set yet.</Text>}
+
+            {canSetLineup && (
+                <View style={styles.card}>
+                    <Text style={styles.label}>{(homeTeam?.name ?? 'HOME').toUpperCase()}</Text>
+                    {renderPicker(homeTeam, homePlayerId, setHomePlayerId)}
+                    <Text style={styles.label}>{(awayTeam?.name ?? 'AWAY').toUpperCase()}</Text>
+                    {renderPicker(awayTeam, awayPlayerId, setAwayPlayerId)}
+                    <TouchableOpacity style={[styles.primaryButton, styles.addButton]} disabled={busy} onPress={handleAddGame}>
+                        <Text style={styles.primaryButtonText}>{busy ? 'SAVING...' : `SET GAME ${games.length + 1}`}</Text>
+                    </TouchableOpacity>
+                </View>
+            )}
+
+            {isOfficer && open && (
+                <TouchableOpacity style={[styles.dangerButton, styles.cancelButton]} disabled={busy} onPress={handleCancel}>
+                    <Text style={styles.dangerButtonText}>CANCEL TEAM MATCH</Text>
+                </TouchableOpacity>
+            )}
+        </ScrollView>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#0a0a0a',
+    },
+    content: {
+        paddingBottom: 100,
+    },
+    centered: {
+        flex: 1,
+        backgroundColor: '#0a0a0a',
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    mainHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        padding: 20,
+        paddingTop: 60,
+        backgroundColor: 'rgba(255, 255, 255, 0.03)',
+    },
+    backButton: {
+        marginRight: 15,
+        padding: 4,
+    },
+    title: {
+        fontSize: 22,
+        fontWeight: 'bold',
+        color: '#fff',
+    },
+    scoreCard: {
+        margin: 15,
+        padding: 18,
+        borderRadius: 12,
+        backgroundColor: 'rgba(255, 255, 255, 0.05)',
+        borderWidth: 1,
+        borderColor: 'rgba(255, 255, 255, 0.1)',
+        alignItems: 'center',
+    },
+    scoreRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    teamName: {
+        flex: 1,
+        color: '#fff',
+        fontSize: 16,
+        fontWeight: 'bold',
+    },
+    teamNameAway: {
+        textAlign: 'right',
+    },
+    teamScore: {
+        color: '#fff',
+        fontSize: 32,
+        fontWeight: 'bold',
+        marginHorizontal: 16,
+    },
+    statusBadge: {
+        fontSize: 11,
+        fontWeight: 'bold',
+        letterSpacing: 1,
+        marginTop: 10,
+    },
+    scoreMeta: {
+        color: '#888',
+        fontSize: 12,
+        marginTop: 4,
+        textAlign: 'center',
+    },
+    sectionTitle: {
+        color: '#888',
+        fontSize: 12,
+        fontWeight: 'bold',
+        letterSpacing: 1,
+        marginHorizontal: 15,
+        marginTop: 10,
+        marginBottom: 6,
+    },
+    gameRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginHorizontal: 15,
+        paddingVertical: 12,
+        borderBottomWidth: 1,
+        borderBottomColor: 'rgba(255, 255, 255, 0.05)',
+    },
+    gameNumber: {
+        width: 22,
+        color: '#666',
+        fontWeight: 'bold',
+    },
+    gamePlayer: {
+        flex: 1,
+        color: '#ccc',
+        fontSize: 14,
+    },
+    gamePlayerAway: {
+        textAlign: 'right',
+    },
+    gameWinner: {
+        color: '#87a96b',
+        fontWeight: 'bold',
+    },
+    gameScore: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 4,
+        marginHorizontal: 10,
+    },
+    gameScoreText: {
+        color: '#fff',
+        fontWeight: 'bold',
+    },
+    card: {
+        marginHorizontal: 15,
+        marginTop: 20,
+        padding: 14,
+        borderRadius: 12,
+        backgroundColor: 'rgba(255, 255, 255, 0.05)',
+        borderWidth: 1,
+        borderColor: 'rgba(255, 255, 255, 0.1)',
+    },
+    label: {
+        color: '#666',
+        fontSize: 11,
+        fontWeight: 'bold',
+        letterSpacing: 1,
+        marginTop: 6,
+        marginBottom: 8,
+    },
+    chipRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 8,
+        marginBottom: 8,
+    },
+    chip: {
+        paddingHorizontal: 14,
+        paddingVertical: 6,
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: 'rgba(255, 255, 255, 0.1)',
+    },
+    chipActive: {
+        borderColor: '#87a96b',
+        backgroundColor: 'rgba(135, 169, 107, 0.2)',
+    },
+    chipText: {
+        color: '#666',
+        fontSize: 12,
+        fontWeight: '600',
+    },
+    chipTextActive: {
+        color: '#87a96b',
+    },
+    primaryButton: {
+        backgroundColor: '#87a96b',
+        paddingVertical: 12,
+        borderRadius: 10,
+        alignItems: 'center',
+    },
+    addButton: {
+        marginTop: 10,
+    },
+    primaryButtonText: {
+        color: '#000',
+        fontWeight: 'bold',
+        fontSize: 12,
+        letterSpacing: 1,
+    },
+    dangerButton: {
+        paddingVertical: 14,
+        borderRadius: 10,
+        alignItems: 'center',
+        backgroundColor: 'rgba(244, 67, 54, 0.15)',
+    },
+    dangerButtonText: {
+        color: '#f44336',
+        fontWeight: 'bold',
+        fontSize: 13,
+        letterSpacing: 1,
+    },
+    cancelButton: {
+        marginHorizontal: 15,
+        marginTop: 30,
+    },
+    emptyText: {
+        color: '#666',
+        textAlign: 'center',
+        marginTop: 20,
+    },
+});
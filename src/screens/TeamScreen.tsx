@@ -0,0 +1,391 @@
+import React, { useEffect, useState } from 'react';
+import {
+    View,
+    Text,
+    ScrollView,
+    StyleSheet,
+    TouchableOpacity,
+    TextInput,
+    Alert,
+    ActivityIndicator,
+    RefreshControl
+} from 'react-native';
+import { supabase } from '../lib/supabase';
+import { Profile, Team, TeamMatch } from '../types';
+import { AdminService, ProfileService, TeamService } from '../lib/services';
+import { ArrowLeft, Crown, UserPlus, X } from 'lucide-react-native';
+import { TEAM_MATCH_STATUS_COLORS } from './TeamsScreen';
+
+export default function TeamScreen({ route, navigation }: any) {
+    const { teamId } = route.params;
+    const [team, setTeam] = useState<Team | null>(null);
+    const [matches, setMatches] = useState<TeamMatch[]>([]);
+    const [teams, setTeams] = useState<Team[]>([]);
+    const [players, setPlayers] = useState<Profile[]>([]);
+    const [myProfile, setMyProfile] = useState<Profile | null>(null);
+    const [isOfficer, setIsOfficer] = useState(false);
+    const [refreshing, setRefreshing] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const [adding, setAdding] = useState(false);
+    const [search, setSearch] = useState('');
+
+    async function load(isRefresh = false) {
+        if (isRefresh) setRefreshing(true);
+        try {
+            const [t, allTeams, matchList, officer] = await Promise.all([
+                TeamService.getById(teamId, { forceRefresh: true }),
+                TeamService.getAll({ forceRefresh: isRefresh }),
+                TeamService.getMatches({ forceRefresh: isRefresh }),
+                AdminService.isOfficer({ forceRefresh: isRefresh }),
+            ]);
+            setTeam(t.data);
+            setTeams(allTeams.data || []);
+            setMatches((matchList.data || []).filter((m) => m.home_team_id === teamId || m.away_team_id === teamId));
+            setIsOfficer(Boolean(officer.data));
+
+            const { data: { user } } = await supabase.auth.getUser();
+            if (user) {
+                const { data: profile } = await ProfileService.getByOwnerId(user.id);
+                setMyProfile(profile);
+            }
+        } catch (error: any) {
+            console.error('Error loading team:', error.message);
+        } finally {
+            setRefreshing(false);
+        }
+    }
+
+    useEffect(() => { load(); }, [teamId]);
+
+    async function startAdding() {
+        setAdding(true);
+        if (players.length === 0) {
+            const { data } = await ProfileService.getAll();
+            setPlayers(data || []);
+        }
+    }
+
+    async function runRoster(action: () => Promise<{ success: boolean; error: Error | null }>) {
+        setBusy(true);
+        const { error } = await action();
+        setBusy(false);
+        if (error) {
+            Alert.alert('Error', error.message);
+            return;
+        }
+        load(true);
+    }
+
+    async function handleInvite(player: Profile) {
+        setBusy(true);
+        const { error } = await TeamService.invite(teamId, player.id);
+        setBusy(false);
+        if (error) {
+            Alert.alert('Error', error.message);
+            return;
+        }
+        Alert.alert('Invite Sent', `${player.full_name} joins the roster once they accept.`);
+        load(true);
+    }
+
+    function handleRemove(player: Profile) {
+        Alert.alert('Remove Player', `Take ${player.full_name} off the roster?`, [
+            { text: 'Cancel', style: 'cancel' },
+            { text: 'Remove', style: 'destructive', onPress: () => runRoster(() => TeamService.removeMember(teamId, player.id)) },
+        ]);
+    }
+
+    function handleMakeCaptain(player: Profile) {
+        Alert.alert('Change Captain', `Make ${player.full_name} the captain?`, [
+            { text: 'Cancel', style: 'cancel' },
+            {
+                text: 'Confirm',
+                onPress: async () => {
+                    setBusy(true);
+                    const { error } = await TeamService.setCaptain(teamId, player.id);
+                    setBusy(false);
+                    if (error) {
+                        Alert.alert('Error', error.message);
+                        return;
+                    }
+                    load(true);
+                },
+            },
+        ]);
+    }
+
+    if (!team) {
+        return (
+            <View style={styles.centered}>
+                <ActivityIndicator color="#87a96b" />
+            </View>
+        );
+    }
+
+    const canManage = isOfficer || (!!myProfile && team.captain_id === myProfile.id);
+    const roster = [...(team.members || [])].sort((a, b) =>
+        Number(b.profile_id === team.captain_id) - Number(a.profile_id === team.captain_id)
+        || (a.profile?.full_name ?? '').localeCompare(b.profile?.full_name ?? ''));
+    const rosteredIds = new Set(teams.flatMap((t) => (t.members || []).map((m) => m.profile_id)));
+    const invitedIds = new Set((team.invites || []).map((i) => i.profile_id));
+    const freeAgents = players
+        .filter((p) => !rosteredIds.has(p.id) && !invitedIds.has(p.id))
+        .filter((p) => p.full_name.toLowerCase().includes(search.trim().toLowerCase()))
+        .slice(0, 8);
+
+    return (
+        <ScrollView
+            style={styles.container}
+            contentContainerStyle={styles.content}
+            keyboardShouldPersistTaps="handled"
+            refreshControl={<RefreshControl refreshing={refreshing} onRefresh={() => load(true)} tintColor="#87a96b" />}
+        >
+            <View style={styles.mainHeader}>
+                <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+                    <ArrowLeft color="#fff" size={24} />
+                </TouchableOpacity>
+                <Text style={styles.title} numberOfLines={1}>{team.name.toUpperCase()}</Text>
+                {canManage && !adding && (
+                    <TouchableOpacity style={styles.headerButton} onPress={startAdding} accessibilityLabel="Add player">
+                        <UserPlus color="#87a96b" size={22} />
+                    </TouchableOpacity>
+                )}
+            </View>
+
+            {adding && (
+                <View style={styles.card}>
+                    <TextInput
+                        style={styles.input}
+                        value={search}
+                        onChangeText={setSearch}
+                        placeholder="Search players without a team"
+                        placeholderTextColor="#555"
+                    />
+                    {freeAgents.map((p) => (
+                        <TouchableOpacity
+                            key={p.id}
+                            style={styles.choiceRow}
+                            disabled={busy}
+                            onPress={() => isOfficer
+                                ? runRoster(() => TeamService.addMember(teamId, p.id))
+                                : handleInvite(p)}
+                        >
+                            <Text style={styles.choiceText}>{p.full_name}</Text>
+                            <Text style={styles.rosterMeta}>Fargo {p.fargo_rating}</Text>
+                        </TouchableOpacity>
+                    ))}
+                    <TouchableOpacity style={styles.doneButton} onPress={() => { setAdding(false); setSearch(''); }}>
+                        <Text style={styles.linkText}>Done</Text>
+                    </TouchableOpacity>
+                </View>
+            )}
+
+            <Text style={styles.sectionTitle}>ROSTER ({roster.length})</Text>
+            {roster.map((member) => {
+                const isCaptain = member.profile_id === team.captain_id;
+                return (
+                    <View key={member.profile_id} style={styles.rosterRow}>
+                        {isCaptain && <Crown color="#ffd700" size={16} style={styles.rosterIcon} />}
+                        <View style={styles.rosterInfo}>
+                            <Text style={styles.rosterName}>{member.profile?.full_name ?? 'Unknown'}</Text>
+                            <Text style={styles.rosterMeta}>
+                                {isCaptain ? 'Captain • ' : ''}Fargo {member.profile?.fargo_rating ?? '-'}
+                            </Text>
+                        </View>
+                        {isOfficer && !isCaptain && member.profile && (
+                            <TouchableOpacity style={styles.rosterAction} disabled={busy} onPress={() => handleMakeCaptain(member.profile!)}>
+                                <Crown color="#666" size={18} />
+                            </TouchableOpacity>
+                        )}
+                        {canManage && !isCaptain && member.profile && (
+                            <TouchableOpacity style={styles.rosterAction} disabled={busy} onPress={() => handleRemove(member.profile!)}>
+                                <X color="#f44336" size={18} />
+                            </TouchableOpacity>
+                        )}
+                    </View>
+                );
+            })}
+
+            {canManage && (team.invites || []).length > 0 && (
+                <>
+                    <Text style={styles.sectionTitle}>INVITED</Text>
+                    {(team.invites || []).map((invite) => (
+                        <View key={invite.profile_id} style={styles.rosterRow}>
+                            <View style={styles.rosterInfo}>
+                                <Text style={styles.rosterName}>{invite.profile?.full_name ?? 'Unknown'}</Text>
+                                <Text style={styles.rosterMeta}>Waiting to accept</Text>
+                            </View>
+                            <TouchableOpacity
+                                style={styles.rosterAction}
+                                disabled={busy}
+                                onPress={() => runRoster(() => TeamService.declineInvite(teamId, invite.profile_id))}
+                                accessibilityLabel="Withdraw invite"
+                            >
+                                <X color="#f44336" size={18} />
+                            </TouchableOpacity>
+                        </View>
+                    ))}
+                </>
+            )}
+
+            <Text style={styles.sectionTitle}>MATCHES</Text>
+            {matches.length > 0 ? matches.map((match) => {
+                const home = match.home_team_id === teamId;
+                const opponent = home ? match.away_team?.name : match.home_team?.name;
+                return (
+                    <TouchableOpacity
+                        key={match.id}
+                        style={styles.card}
+                        onPress={() => navigation.navigate('TeamMatch', { teamMatchId: match.id })}
+                    >
+                        <View style={styles.matchRow}>
+                            <Text style={styles.matchOpponent} numberOfLines={1}>{home ? 'vs' : '@'} {opponent ?? 'Unknown'}</Text>
+                            <Text style={styles.matchScore}>
+                                {home ? match.home_points : match.away_points} - {home ? match.away_points : match.home_points}
+                            </Text>
+                        </View>
+                        <Text style={[styles.statusBadge, { color: TEAM_MATCH_STATUS_COLORS[match.status] }]}>
+                            {match.status.replace('_', ' ').toUpperCase()}
+                        </Text>
+                    </TouchableOpacity>
+                );
+            }) : (
+                <Text style={styles.emptyText}>No team matches yet.</Text>
+            )}
+        </ScrollView>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#0a0a0a',
+    },
+    content: {
+        paddingBottom: 100,
+    },
+    centered: {
+        flex: 1,
+        backgroundColor: '#0a0a0a',
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    mainHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        padding: 20,
+        paddingTop: 60,
+        backgroundColor: 'rgba(255, 255, 255, 0.03)',
+    },
+    backButton: {
+        marginRight: 15,
+        padding: 4,
+    },
+    title: {
+        flex: 1,
+        fontSize: 22,
+        fontWeight: 'bold',
+        color: '#fff',
+    },
+    headerButton: {
+        padding: 4,
+    },
+    sectionTitle: {
+        color: '#888',
+        fontSize: 12,
+        fontWeight: 'bold',
+        letterSpacing: 1,
+        marginHorizontal: 15,
+        marginTop: 24,
+        marginBottom: 6,
+    },
+    card: {
+        marginHorizontal: 15,
+        marginTop: 10,
+        padding: 14,
+        borderRadius: 12,
+        backgroundColor: 'rgba(255, 255, 255, 0.05)',
+        borderWidth: 1,
+        borderColor: 'rgba(255, 255, 255, 0.1)',
+    },
+    input: {
+        padding: 12,
+        borderRadius: 10,
+        backgroundColor: 'rgba(0, 0, 0, 0.4)',
+        color: '#fff',
+    },
+    choiceRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        paddingVertical: 10,
+        borderBottomWidth: 1,
+        borderBottomColor: 'rgba(255, 255, 255, 0.05)',
+    },
+    choiceText: {
+        color: '#ccc',
+        fontSize: 14,
+    },
+    doneButton: {
+        alignItems: 'center',
+        paddingTop: 12,
+    },
+    linkText: {
+        color: '#87a96b',
+        fontWeight: '600',
+    },
+    rosterRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginHorizontal: 15,
+        paddingVertical: 12,
+        borderBottomWidth: 1,
+        borderBottomColor: 'rgba(255, 255, 255, 0.05)',
+    },
+    rosterIcon: {
+        marginRight: 8,
+    },
+    rosterInfo: {
+        flex: 1,
+    },
+    rosterName: {
+        color: '#fff',
+        fontSize: 15,
+        fontWeight: '600',
+    },
+    rosterMeta: {
+        color: '#888',
+        fontSize: 12,
+        marginTop: 2,
+    },
+    rosterAction: {
+        padding: 6,
+        marginLeft: 6,
+    },
+    matchRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    matchOpponent: {
+        flex: 1,
+        color: '#fff',
+        fontSize: 15,
+        fontWeight: 'bold',
+    },
+    matchScore: {
+        color: '#87a96b',
+        fontSize: 18,
+        fontWeight: 'bold',
+    },
+    statusBadge: {
+        fontSize: 10,
+        fontWeight: 'bold',
+        letterSpacing: 1,
+        marginTop: 6,
+    },
+    emptyText: {
+        color: '#666',
+        textAlign: 'center',
+        marginTop: 20,
+    },
+});
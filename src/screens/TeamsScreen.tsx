@@ -0,0 +1,588 @@
+import React, { useEffect, useState } from 'react';
+import {
+    View,
+    Text,
+    ScrollView,
+    StyleSheet,
+    TouchableOpacity,
+    TextInput,
+    Alert,
+    RefreshControl
+} from 'react-native';
+import { supabase } from '../lib/supabase';
+import { GameType, Profile, Team, TeamMatch, TeamMatchStatus } from '../types';
+import { AdminService, ProfileService, TeamService } from '../lib/services';
+import { getTeamStandings } from '../lib/logic';
+import { ArrowLeft, Users, Plus, CalendarPlus } from 'lucide-react-native';
+
+export const TEAM_MATCH_STATUS_COLORS: Record<TeamMatchStatus, string> = {
+    scheduled: '#64b5f6',
+    in_progress: '#f44336',
+    completed: '#87a96b',
+    cancelled: '#666',
+};
+
+type Form = 'team' | 'match' | null;
+
+export default function TeamsScreen({ navigation }: any) {
+    const [teams, setTeams] = useState<Team[]>([]);
+    const [matches, setMatches] = useState<TeamMatch[]>([]);
+    const [players, setPlayers] = useState<Profile[]>([]);
+    const [myProfile, setMyProfile] = useState<Profile | null>(null);
+    const [isOfficer, setIsOfficer] = useState(false);
+    const [refreshing, setRefreshing] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const [form, setForm] = useState<Form>(null);
+
+    const [teamName, setTeamName] = useState('');
+    const [captainSearch, setCaptainSearch] = useState('');
+    const [captain, setCaptain] = useState<Profile | null>(null);
+
+    const [homeTeamId, setHomeTeamId] = useState<string | null>(null);
+    const [awayTeamId, setAwayTeamId] = useState<string | null>(null);
+    const [gameType, setGameType] = useState<GameType>('8-ball');
+    const [gamesToWin, setGamesToWin] = useState(3);
+    const [gamesPlanned, setGamesPlanned] = useState(5);
+
+    async function load(isRefresh = false) {
+        if (isRefresh) setRefreshing(true);
+        try {
+            const [teamList, matchList, officer] = await Promise.all([
+                TeamService.getAll({ forceRefresh: isRefresh }),
+                TeamService.getMatches({ forceRefresh: isRefresh }),
+                AdminService.isOfficer({ forceRefresh: isRefresh }),
+            ]);
+            setTeams(teamList.data || []);
+            setMatches(matchList.data || []);
+            setIsOfficer(Boolean(officer.data));
+
+            const { data: { user } } = await supabase.auth.getUser();
+            if (user) {
+                const { data: profile } = await ProfileService.getByOwnerId(user.id);
+                setMyProfile(profile);
+            }
+        } catch (error: any) {
+            console.error('Error loading teams:', error.message);
+        } finally {
+            setRefreshing(false);
+        }
+    }
+
+    useEffect(() => {
+        load();
+
+        const channel = supabase
+            .channel('team-league')
+            .on(
+                'postgres_changes' as any,
+                { event: '*', table: 'team_matches' },
+                () => load()
+            )
+            .subscribe();
+
+        return () => {
+            supabase.removeChannel(channel);
+        };
+    }, []);
+
+    async function openTeamForm() {
+        setForm('team');
+        if (players.length === 0) {
+            const { data } = await ProfileService.getAll();
+            setPlayers(data || []);
+        }
+    }
+
+    function openMatchForm() {
+        setForm('match');
+        setHomeTeamId(isOfficer ? null : myTeams[0]?.id ?? null);
+        setAwayTeamId(null);
+    }
+
+    async function handleCreateTeam() {
+        if (!teamName.trim() || !captain) {
+            Alert.alert('Missing Details', 'Give the team a name and pick a captain.');
+            return;
+        }
+        setBusy(true);
+        const { data, error } = await TeamService.create(teamName.trim(), captain.id);
+        setBusy(false);
+        if (error || !data) {
+            Alert.alert('Error', error?.message ?? 'Could not create the team.');
+            return;
+        }
+        setTeamName('');
+        setCaptain(null);
+        setCaptainSearch('');
+        setForm(null);
+        load(true);
+        navigation.navigate('Team', { teamId: data.id });
+    }
+
+    async function respondToInvite(teamId: string, accept: boolean) {
+        if (!myProfile) return;
+        setBusy(true);
+        const { error } = accept
+            ? await TeamService.acceptInvite(teamId)
+            : await TeamService.declineInvite(teamId, myProfile.id);
+        setBusy(false);
+        if (error) {
+            Alert.alert('Error', error.message);
+            return;
+        }
+        load(true);
+        if (accept) navigation.navigate('Team', { teamId });
+    }
+
+    async function handleScheduleMatch() {
+        if (!homeTeamId || !awayTeamId) {
+            Alert.alert('Pick Teams', 'Choose a home and an away team.');
+            return;
+        }
+        setBusy(true);
+        const { data, error } = await TeamService.scheduleMatch({
+            home_team_id: homeTeamId,
+            away_team_id: awayTeamId,
+            game_type: gameType,
+            games_to_win: gamesToWin,
+            games_planned: gamesPlanned,
+        });
+        setBusy(false);
+        if (error || !data) {
+            Alert.alert('Error', error?.message ?? 'Could not schedule the match.');
+            return;
+        }
+        setForm(null);
+        load(true);
+        navigation.navigate('TeamMatch', { teamMatchId: data.id });
+    }
+
+    const nameOfTeam = (teamId: string) => teams.find((t) => t.id === teamId)?.name ?? 'Unknown';
+    const myTeams = teams.filter((t) => t.captain_id && t.captain_id === myProfile?.id);
+    const canSchedule = isOfficer || myTeams.length > 0;
+    const invitingTeams = teams.filter((t) => (t.invites || []).some((i) => i.profile_id === myProfile?.id));
+    const homeChoices = isOfficer ? teams : myTeams;
+    const rosteredIds = new Set(teams.flatMap((t) => (t.members || []).map((m) => m.profile_id)));
+    const captainChoices = players
+        .filter((p) => !rosteredIds.has(p.id))
+        .filter((p) => p.full_name.toLowerCase().includes(captainSearch.trim().toLowerCase()))
+        .slice(0, 6);
+
+    const standings = getTeamStandings(teams.map((t) => t.id), matches);
+
+    const renderMatch = (match: TeamMatch) => (
+        <TouchableOpacity
+            key={match.id}
+            style={styles.card}
+            onPress={() => navigation.navigate('TeamMatch', { teamMatchId: match.id })}
+        >
+            <View style={styles.cardRow}>
+                <Text style={styles.matchTeam} numberOfLines={1}>{match.home_team?.name ?? nameOfTeam(match.home_team_id)}</Text>
+                <Text style={styles.matchScore}>{match.home_points} - {match.away_points}</Text>
+                <Text style={[styles.matchTeam, styles.matchTeamAway]} numberOfLines={1}>{match.away_team?.name ?? nameOfTeam(match.away_team_id)}</Text>
+            </View>
+            <View style={styles.cardRow}>
+                <Text style={styles.cardMeta}>
+                    {match.game_type.toUpperCase()} • {match.games_planned} games • Race to {match.games_to_win}
+                    {match.scheduled_at ? ` • ${new Date(match.scheduled_at).toLocaleDateString()}` : ''}
+                </Text>
+                <Text style={[styles.statusBadge, { color: TEAM_MATCH_STATUS_COLORS[match.status] }]}>
+                    {match.status.replace('_', ' ').toUpperCase()}
+                </Text>
+            </View>
+        </TouchableOpacity>
+    );
+
+    return (
+        <ScrollView
+            style={styles.container}
+            contentContainerStyle={styles.content}
+            keyboardShouldPersistTaps="handled"
+            refreshControl={<RefreshControl refreshing={refreshing} onRefresh={() => load(true)} tintColor="#87a96b" />}
+        >
+            <View style={styles.mainHeader}>
+                <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+                    <ArrowLeft color="#fff" size={24} />
+                </TouchableOpacity>
+                <Users color="#87a96b" size={28} />
+                <Text style={styles.title}>TEAM LEAGUE</Text>
+                <View style={styles.headerActions}>
+                    {canSchedule && teams.length > 1 && (
+                        <TouchableOpacity style={styles.headerButton} onPress={openMatchForm} accessibilityLabel="Schedule team match">
+                            <CalendarPlus color="#87a96b" size={22} />
+                        </TouchableOpacity>
+                    )}
+                    {isOfficer && (
+                        <TouchableOpacity style={styles.headerButton} onPress={openTeamForm} accessibilityLabel="New team">
+                            <Plus color="#87a96b" size={24} />
+                        </TouchableOpacity>
+                    )}
+                </View>
+            </View>
+
+            {form === 'team' && (
+                <View style={styles.card}>
+                    <TextInput
+                        style={styles.input}
+                        value={teamName}
+                        onChangeText={setTeamName}
+                        placeholder="Team name"
+                        placeholderTextColor="#555"
+                    />
+                    <Text style={styles.label}>CAPTAIN</Text>
+                    {captain ? (
+                        <View style={styles.pickedRow}>
+                            <Text style={styles.pickedText}>{captain.full_name}</Text>
+                            <TouchableOpacity onPress={() => setCaptain(null)}>
+                                <Text style={styles.linkText}>Change</Text>
+                            </TouchableOpacity>
+                        </View>
+                    ) : (
+                        <>
+                            <TextInput
+                                style={styles.input}
+                                value={captainSearch}
+                                onChangeText={setCaptainSearch}
+                                placeholder="Search players without a team"
+                                placeholderTextColor="#555"
+                            />
+                            {captainChoices.map((p) => (
+                                <TouchableOpacity key={p.id} style={styles.choiceRow} onPress={() => setCaptain(p)}>
+                                    <Text style={styles.choiceText}>{p.full_name}</Text>
+                                </TouchableOpacity>
+                            ))}
+                        </>
+                    )}
+                    <View style={styles.buttonRow}>
+                        <TouchableOpacity style={[styles.secondaryButton, styles.inlineButton]} onPress={() => setForm(null)}>
+                            <Text style={styles.secondaryButtonText}>CANCEL</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity style={[styles.primaryButton, styles.inlineButton]} disabled={busy} onPress={handleCreateTeam}>
+                            <Text style={styles.primaryButtonText}>{busy ? 'CREATING...' : 'CREATE TEAM'}</Text>
+                        </TouchableOpacity>
+                    </View>
+                </View>
+            )}
+
+            {form === 'match' && (
+                <View style={styles.card}>
+                    <Text style={styles.label}>HOME</Text>
+                    <View style={styles.chipRow}>
+                        {homeChoices.map((t) => (
+                            <TouchableOpacity key={t.id} style={[styles.chip, homeTeamId === t.id && styles.chipActive]} onPress={() => setHomeTeamId(t.id)}>
+                                <Text style={[styles.chipText, homeTeamId === t.id && styles.chipTextActive]}>{t.name}</Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+                    <Text style={styles.label}>AWAY</Text>
+                    <View style={styles.chipRow}>
+                        {teams.filter((t) => t.id !== homeTeamId).map((t) => (
+                            <TouchableOpacity key={t.id} style={[styles.chip, awayTeamId === t.id && styles.chipActive]} onPress={() => setAwayTeamId(t.id)}>
+                                <Text style={[styles.chipText, awayTeamId === t.id && styles.chipTextActive]}>{t.name}</Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+                    <Text style={styles.label}>GAME</Text>
+                    <View style={styles.chipRow}>
+                        {(['8-ball', '9-ball', '10-ball'] as GameType[]).map((t) => (
+                            <TouchableOpacity key={t} style={[styles.chip, gameType === t && styles.chipActive]} onPress={() => setGameType(t)}>
+                                <Text style={[styles.chipText, gameType === t && styles.chipTextActive]}>{t.toUpperCase()}</Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+                    <Text style={styles.label}>RACE TO (EACH GAME)</Text>
+                    <View style={styles.chipRow}>
+                        {[2, 3, 4, 5].map((n) => (
+                            <TouchableOpacity key={n} style={[styles.chip, gamesToWin === n && styles.chipActive]} onPress={() => setGamesToWin(n)}>
+                                <Text style={[styles.chipText, gamesToWin === n && styles.chipTextActive]}>{n}</Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+                    <Text style={styles.label}>INDIVIDUAL GAMES</Text>
+                    <View style={styles.chipRow}>
+                        {[3, 4, 5, 6, 8].map((n) => (
+                            <TouchableOpacity key={n} style={[styles.chip, gamesPlanned === n && styles.chipActive]} onPress={() => setGamesPlanned(n)}>
+                                <Text style={[styles.chipText, gamesPlanned === n && styles.chipTextActive]}>{n}</Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+                    <View style={styles.buttonRow}>
+                        <TouchableOpacity style={[styles.secondaryButton, styles.inlineButton]} onPress={() => setForm(null)}>
+                            <Text style={styles.secondaryButtonText}>CANCEL</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity style={[styles.primaryButton, styles.inlineButton]} disabled={busy} onPress={handleScheduleMatch}>
+                            <Text style={styles.primaryButtonText}>{busy ? 'SAVING...' : 'SCHEDULE'}</Text>
+                        </TouchableOpacity>
+                    </View>
+                </View>
+            )}
+
+            {invitingTeams.length > 0 && (
+                <>
+                    <Text style={styles.sectionTitle}>TEAM INVITES</Text>
+                    {invitingTeams.map((t) => (
+                        <View key={t.id} style={styles.card}>
+                            <Text style={styles.pickedText}>{t.name}</Text>
+                            <Text style={styles.cardMeta}>Captain: {t.captain?.full_name ?? 'None'}</Text>
+                            <View style={styles.buttonRow}>
+                                <TouchableOpacity style={[styles.secondaryButton, styles.inlineButton]} disabled={busy} onPress={() => respondToInvite(t.id, false)}>
+                                    <Text style={styles.secondaryButtonText}>DECLINE</Text>
+                                </TouchableOpacity>
+                                <TouchableOpacity style={[styles.primaryButton, styles.inlineButton]} disabled={busy} onPress={() => respondToInvite(t.id, true)}>
+                                    <Text style={styles.primaryButtonText}>JOIN</Text>
+                                </TouchableOpacity>
+                            </View>
+                        </View>
+                    ))}
+                </>
+            )}
+
+            <Text style={styles.sectionTitle}>STANDINGS</Text>
+            {standings.length > 0 ? (
+                <View style={styles.table}>
+                    <View style={styles.tableRow}>
+                        <Text style={[styles.tableHead, styles.tableRank]}>#</Text>
+                        <Text style={[styles.tableHead, styles.tableTeam]}>TEAM</Text>
+                        <Text style={styles.tableHead}>W-L-D</Text>
+                        <Text style={styles.tableHead}>GAMES</Text>
+                    </View>
+                    {standings.map((row, i) => (
+                        <TouchableOpacity key={row.teamId} style={styles.tableRow} onPress={() => navigation.navigate('Team', { teamId: row.teamId })}>
+                            <Text style={[styles.tableCell, styles.tableRank]}>{i + 1}</Text>
+                            <Text style={[styles.tableCell, styles.tableTeam]} numberOfLines={1}>{nameOfTeam(row.teamId)}</Text>
+                            <Text style={styles.tableCell}>{row.wins}-{row.losses}-{row.draws}</Text>
+                            <Text style={styles.tableCell}>{row.gamesWon}-{row.gamesLost}</Text>
+                        </TouchableOpacity>
+                    ))}
+                </View>
+            ) : (
+                <Text style={styles.emptyText}>No teams yet.</Text>
+            )}
+
+            <Text style={styles.sectionTitle}>TEAM MATCHES</Text>
+            {matches.length > 0
+                ? matches.map(renderMatch)
+                : <Text style={styles.emptyText}>No team matches scheduled.</Text>}
+        </ScrollView>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#0a0a0a',
+    },
+    content: {
+        paddingBottom: 100,
+    },
+    mainHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        padding: 20,
+        paddingTop: 60,
+        backgroundColor: 'rgba(255, 255, 255, 0.03)',
+    },
+    backButton: {
+        marginRight: 15,
+        padding: 4,
+    },
+    title: {
+        fontSize: 22,
+        fontWeight: 'bold',
+        color: '#fff',
+        marginLeft: 12,
+    },
+    headerActions: {
+        flexDirection: 'row',
+        marginLeft: 'auto',
+        gap: 12,
+    },
+    headerButton: {
+        padding: 4,
+    },
+    sectionTitle: {
+        color: '#888',
+        fontSize: 12,
+        fontWeight: 'bold',
+        letterSpacing: 1,
+        marginHorizontal: 15,
+        marginTop: 24,
+        marginBottom: 6,
+    },
+    table: {
+        marginHorizontal: 15,
+        borderRadius: 12,
+        backgroundColor: 'rgba(255, 255, 255, 0.03)',
+    },
+    tableRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingHorizontal: 12,
+        paddingVertical: 10,
+        borderBottomWidth: 1,
+        borderBottomColor: 'rgba(255, 255, 255, 0.05)',
+    },
+    tableHead: {
+        width: 60,
+        color: '#666',
+        fontSize: 10,
+        fontWeight: 'bold',
+        letterSpacing: 1,
+        textAlign: 'right',
+    },
+    tableCell: {
+        width: 60,
+        color: '#ccc',
+        fontSize: 13,
+        textAlign: 'right',
+    },
+    tableRank: {
+        width: 28,
+        textAlign: 'left',
+        color: '#87a96b',
+    },
+    tableTeam: {
+        flex: 1,
+        textAlign: 'left',
+    },
+    card: {
+        marginHorizontal: 15,
+        marginTop: 10,
+        padding: 14,
+        borderRadius: 12,
+        backgroundColor: 'rgba(255, 255, 255, 0.05)',
+        borderWidth: 1,
+        borderColor: 'rgba(255, 255, 255, 0.1)',
+    },
+    cardRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    cardMeta: {
+        flex: 1,
+        color: '#888',
+        fontSize: 12,
+        marginTop: 6,
+    },
+    matchTeam: {
+        flex: 1,
+        color: '#fff',
+        fontSize: 15,
+        fontWeight: 'bold',
+    },
+    matchTeamAway: {
+        textAlign: 'right',
+    },
+    matchScore: {
+        color: '#87a96b',
+        fontSize: 18,
+        fontWeight: 'bold',
+        marginHorizontal: 12,
+    },
+    statusBadge: {
+        fontSize: 10,
+        fontWeight: 'bold',
+        letterSpacing: 1,
+        marginTop: 6,
+        marginLeft: 8,
+    },
+    input: {
+        padding: 12,
+        borderRadius: 10,
+        backgroundColor: 'rgba(0, 0, 0, 0.4)',
+        color: '#fff',
+    },
+    label: {
+        color: '#666',
+        fontSize: 11,
+        fontWeight: 'bold',
+        letterSpacing: 1,
+        marginTop: 14,
+        marginBottom: 8,
+    },
+    pickedRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+    },
+    pickedText: {
+        color: '#fff',
+        fontSize: 15,
+        fontWeight: '600',
+    },
+    linkText: {
+        color: '#87a96b',
+        fontWeight: '600',
+    },
+    choiceRow: {
+        paddingVertical: 10,
+        borderBottomWidth: 1,
+        borderBottomColor: 'rgba(255, 255, 255, 0.05)',
+    },
+    choiceText: {
+        color: '#ccc',
+        fontSize: 14,
+    },
+    chipRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 8,
+    },
+    chip: {
+        paddingHorizontal: 14,
+        paddingVertical: 6,
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: 'rgba(255, 255, 255, 0.1)',
+    },
+    chipActive: {
+        borderColor: '#87a96b',
+        backgroundColor: 'rgba(135, 169, 107, 0.2)',
+    },
+    chipText: {
+        color: '#666',
+        fontSize: 12,
+        fontWeight: '600',
+    },
+    chipTextActive: {
+        color: '#87a96b',
+    },
+    buttonRow: {
+        flexDirection: 'row',
+        gap: 10,
+        marginTop: 18,
+    },
+    inlineButton: {
+        flex: 1,
+    },
+    primaryButton: {
+        backgroundColor: '#87a96b',
+        paddingVertical: 12,
+        borderRadius: 10,
+        alignItems: 'center',
+    },
+    primaryButtonText: {
+        color: '#000',
+        fontWeight: 'bold',
+        fontSize: 12,
+        letterSpacing: 1,
+    },
+    secondaryButton: {
+        paddingVertical: 12,
+        borderRadius: 10,
+        alignItems: 'center',
+        borderWidth: 1,
+        borderColor: 'rgba(135, 169, 107, 0.5)',
+    },
+    secondaryButtonText: {
+        color: '#87a96b',
+        fontWeight: 'bold',
+        fontSize: 12,
+        letterSpacing: 1,
+    },
+    emptyText: {
+        color: '#666',
+        textAlign: 'center',
+        marginTop: 20,
+    },
+});
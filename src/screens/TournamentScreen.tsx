@@ -0,0 +1,445 @@
+import React, { useEffect, useState } from 'react';
+import {
+    View,
+    Text,
+    ScrollView,
+    StyleSheet,
+    TouchableOpacity,
+    Alert,
+    ActivityIndicator,
+    RefreshControl
+} from 'react-native';
+import { supabase } from '../lib/supabase';
+import { Profile, Tournament, TournamentEntrant, TournamentMatch } from '../types';
+import { AdminService, ProfileService, TournamentService } from '../lib/services';
+import { getRoundRobinStandings, MIN_ENTRANTS } from '../lib/tournament';
+import { Bracket } from '../components';
+import { ArrowLeft, Trophy, Users } from 'lucide-react-native';
+import { FORMAT_LABELS, STATUS_COLORS } from './TournamentsScreen';
+
+export default function TournamentScreen({ route, navigation }: any) {
+    const { tournamentId } = route.params;
+    const [tournament, setTournament] = useState<Tournament | null>(null);
+    const [entrants, setEntrants] = useState<TournamentEntrant[]>([]);
+    const [matches, setMatches] = useState<TournamentMatch[]>([]);
+    const [myProfile, setMyProfile] = useState<Profile | null>(null);
+    const [isOfficer, setIsOfficer] = useState(false);
+    const [refreshing, setRefreshing] = useState(false);
+    const [busy, setBusy] = useState(false);
+
+    async function load(isRefresh = false) {
+        if (isRefresh) setRefreshing(true);
+        try {
+            const options = { forceRefresh: true };
+            const [t, e, m, officer] = await Promise.all([
+                TournamentService.getById(tournamentId, options),
+                TournamentService.getEntrants(tournamentId, options),
+                TournamentService.getMatches(tournamentId, options),
+                AdminService.isOfficer({ forceRefresh: isRefresh }),
+            ]);
+            setTournament(t.data);
+            setEntrants(e.data || []);
+            setMatches(m.data || []);
+            setIsOfficer(Boolean(officer.data));
+
+            const { data: { user } } = await supabase.auth.getUser();
+            if (user) {
+                const { data: profile } = await ProfileService.getByOwnerId(user.id);
+                setMyProfile(profile);
+            }
+        } catch (error: any) {
+            console.error('Error loading tournament:', error.message);
+        } finally {
+            setRefreshing(false);
+        }
+    }
+
+    useEffect(() => {
+        load();
+
+        // Brackets advance server-side as matches finish
+        const channel = supabase
+            .channel(`tournament:${tournamentId}`)
+            .on(
+                'postgres_changes' as any,
+                { event: '*', table: 'tournament_matches', filter: `tournament_id=eq.${tournamentId}` },
+                () => load()
+            )
+            .on(
+                'postgres_changes' as any,
+                { event: '*', table: 'tournaments', filter: `id=eq.${tournamentId}` },
+                () => load()
+            )
+            .subscribe();
+
+        return () => {
+            supabase.removeChannel(channel);
+        };
+    }, [tournamentId]);
+
+    async function runEntry(action: () => Promise<{ success: boolean; error: Error | null }>) {
+        setBusy(true);
+        const { error } = await action();
+        setBusy(false);
+        if (error) {
+            Alert.alert('Error', error.message);
+            return;
+        }
+        load();
+    }
+
+    function handleStart() {
+        if (!tournament) return;
+        Alert.alert(
+            'Start Tournament',
+            `Seed ${entrants.length} players and draw the bracket? Entries close once it starts.`,
+            [
+                { text: 'Cancel', style: 'cancel' },
+                {
+                    text: 'Start',
+                    onPress: async () => {
+                        setBusy(true);
+                        const { error } = await TournamentService.start(tournament, entrants.length);
+                        setBusy(false);
+                        if (error) {
+                            Alert.alert('Error', error.message);
+                            return;
+                        }
+                        load();
+                    },
+                },
+            ]
+        );
+    }
+
+    function handleCancel() {
+        Alert.alert('Cancel Tournament', 'Unplayed bracket matches will be voided.', [
+            { text: 'Keep', style: 'cancel' },
+            {
+                text: 'Cancel Tournament',
+                style: 'destructive',
+                onPress: async () => {
+                    setBusy(true);
+                    const { error } = await TournamentService.cancel(tournamentId);
+                    setBusy(false);
+                    if (error) {
+                        Alert.alert('Error', error.message);
+                        return;
+                    }
+                    load();
+                },
+            },
+        ]);
+    }
+
+    function handleMatchPress(match: TournamentMatch) {
+        const mine = !!myProfile && (match.player1_id === myProfile.id || match.player2_id === myProfile.id);
+        const playable = match.challenge && (match.challenge.status === 'scheduled' || match.challenge.status === 'live');
+        if (mine && playable) {
+            navigation.navigate('Scoreboard', { challenge: match.challenge });
+        }
+    }
+
+    if (!tournament) {
+        return (
+            <View style={styles.centered}>
+                <ActivityIndicator color="#87a96b" />
+            </View>
+        );
+    }
+
+    const entered = !!myProfile && entrants.some((e) => e.profile_id === myProfile.id);
+    const isRoundRobin = tournament.format === 'round_robin';
+
+    // Challenger is always the bracket match's player 1
+    const standings = isRoundRobin && tournament.status !== 'registration'
+        ? getRoundRobinStandings(
+            entrants.map((e) => e.profile_id),
+            matches.map((m) => ({
+                player1_id: m.player1_id,
+                player2_id: m.player2_id,
+                winner_id: m.winner_id,
+                player1_score: m.challenge?.challenger_score ?? null,
+                player2_score: m.challenge?.challenged_score ?? null,
+            }))
+        )
+        : [];
+    const nameOf = (profileId: string) => entrants.find((e) => e.profile_id === profileId)?.profile?.full_name ?? 'Unknown';
+
+    return (
+        <ScrollView
+            style={styles.container}
+            contentContainerStyle={styles.content}
+            refreshControl={<RefreshControl refreshing={refreshing} onRefresh={() => load(true)} tintColor="#87a96b" />}
+        >
+            <View style={styles.mainHeader}>
+                <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+                    <ArrowLeft color="#fff" size={24} />
+                </TouchableOpacity>
+                <Text style={styles.title} numberOfLines={1}>{tournament.name.toUpperCase()}</Text>
+            </View>
+
+            <View style={styles.infoCard}>
+                <Text style={[styles.statusBadge, { color: STATUS_COLORS[tournament.status] }]}>
+                    {tournament.status.replace('_', ' ').toUpperCase()}
+                </Text>
+                <Text style={styles.infoText}>
+                    {FORMAT_LABELS[tournament.format]} • {tournament.game_type.toUpperCase()} • Race to {tournament.games_to_win}
+                </Text>
+                <Text style={styles.infoMeta}>
+                    Seeded by {tournament.seed_by === 'fargo_rating' ? 'Fargo rating' : 'ladder rank'}
+                    {tournament.starts_at ? ` • Starts ${new Date(tournament.starts_at).toLocaleString()}` : ''}
+                </Text>
+                {tournament.winner && (
+                    <View style={styles.winnerRow}>
+                        <Trophy color="#ffd700" size={18} />
+                        <Text style={styles.winnerText}>{tournament.winner.full_name}</Text>
+                    </View>
+                )}
+            </View>
+
+            {tournament.status === 'registration' && (
+                <View style={styles.actions}>
+                    {myProfile && (
+                        entered ? (
+                            <TouchableOpacity
+                                style={styles.secondaryButton}
+                                disabled={busy}
+                                onPress={() => runEntry(() => TournamentService.withdraw(tournamentId))}
+                            >
+                                <Text style={styles.secondaryButtonText}>WITHDRAW</Text>
+                            </TouchableOpacity>
+                        ) : (
+                            <TouchableOpacity
+                                style={styles.primaryButton}
+                                disabled={busy}
+                                onPress={() => runEntry(() => TournamentService.enter(tournamentId))}
+                            >
+                                <Text style={styles.primaryButtonText}>ENTER TOURNAMENT</Text>
+                            </TouchableOpacity>
+                        )
+                    )}
+                    {isOfficer && (
+                        <TouchableOpacity
+                            style={[styles.primaryButton, entrants.length < MIN_ENTRANTS[tournament.format] && styles.buttonDisabled]}
+                            disabled={busy || entrants.length < MIN_ENTRANTS[tournament.format]}
+                            onPress={handleStart}
+                        >
+                            <Text style={styles.primaryButtonText}>START & DRAW BRACKET</Text>
+                        </TouchableOpacity>
+                    )}
+                </View>
+            )}
+
+            {tournament.status === 'registration' ? (
+                <>
+                    <View style={styles.sectionHeader}>
+                        <Users color="#888" size={16} />
+                        <Text style={styles.sectionTitle}>ENTRANTS ({entrants.length})</Text>
+                    </View>
+                    {entrants.length > 0 ? entrants.map((entrant) => (
+                        <View key={entrant.profile_id} style={styles.entrantRow}>
+                            <Text style={styles.entrantName}>{entrant.profile?.full_name ?? 'Unknown'}</Text>
+                            <Text style={styles.entrantMeta}>Fargo {entrant.profile?.fargo_rating ?? '-'}</Text>
+                        </View>
+                    )) : (
+                        <Text style={styles.emptyText}>No entrants yet.</Text>
+                    )}
+                </>
+            ) : (
+                <>
+                    {standings.length > 0 && (
+                        <>
+                            <Text style={[styles.sectionTitle, styles.sectionSpacing]}>STANDINGS</Text>
+                            {standings.map((row, i) => (
+                                <View key={row.profileId} style={styles.entrantRow}>
+                                    <Text style={styles.standingRank}>{i + 1}</Text>
+                                    <Text style={styles.entrantName}>{nameOf(row.profileId)}</Text>
+                                    <Text style={styles.entrantMeta}>
+                                        {row.wins}-{row.losses} ({row.gameDifference > 0 ? '+' : ''}{row.gameDifference})
+                                    </Text>
+                                </View>
+                            ))}
+                        </>
+                    )}
+
+                    <Text style={[styles.sectionTitle, styles.sectionSpacing]}>{isRoundRobin ? 'MATCHES' : 'BRACKET'}</Text>
+                    <View style={styles.bracket}>
+                        <Bracket matches={matches} profileId={myProfile?.id} onMatchPress={handleMatchPress} />
+                    </View>
+                </>
+            )}
+
+            {isOfficer && (tournament.status === 'registration' || tournament.status === 'in_progress') && (
+                <TouchableOpacity style={[styles.dangerButton, styles.cancelButton]} disabled={busy} onPress={handleCancel}>
+                    <Text style={styles.dangerButtonText}>CANCEL TOURNAMENT</Text>
+                </TouchableOpacity>
+            )}
+        </ScrollView>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#0a0a0a',
+    },
+    content: {
+        paddingBottom: 100,
+    },
+    centered: {
+        flex: 1,
+        backgroundColor: '#0a0a0a',
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    mainHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        padding: 20,
+        paddingTop: 60,
+        backgroundColor: 'rgba(255, 255, 255, 0.03)',
+    },
+    backButton: {
+        marginRight: 15,
+        padding: 4,
+    },
+    title: {
+        flex: 1,
+        fontSize: 22,
+        fontWeight: 'bold',
+        color: '#fff',
+    },
+    infoCard: {
+        margin: 15,
+        padding: 15,
+        borderRadius: 12,
+        backgroundColor: 'rgba(255, 255, 255, 0.05)',
+        borderWidth: 1,
+        borderColor: 'rgba(255, 255, 255, 0.1)',
+    },
+    statusBadge: {
+        fontSize: 11,
+        fontWeight: 'bold',
+        letterSpacing: 1,
+    },
+    infoText: {
+        color: '#fff',
+        fontSize: 15,
+        fontWeight: '600',
+        marginTop: 6,
+    },
+    infoMeta: {
+        color: '#888',
+        fontSize: 12,
+        marginTop: 4,
+    },
+    winnerRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginTop: 10,
+        gap: 8,
+    },
+    winnerText: {
+        color: '#ffd700',
+        fontSize: 16,
+        fontWeight: 'bold',
+    },
+    actions: {
+        marginHorizontal: 15,
+        gap: 10,
+    },
+    sectionHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 6,
+        marginHorizontal: 15,
+        marginTop: 20,
+        marginBottom: 8,
+    },
+    sectionTitle: {
+        color: '#888',
+        fontSize: 12,
+        fontWeight: 'bold',
+        letterSpacing: 1,
+    },
+    sectionSpacing: {
+        marginHorizontal: 15,
+        marginTop: 20,
+        marginBottom: 10,
+    },
+    entrantRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginHorizontal: 15,
+        paddingVertical: 10,
+        borderBottomWidth: 1,
+        borderBottomColor: 'rgba(255, 255, 255, 0.05)',
+    },
+    entrantName: {
+        flex: 1,
+        color: '#fff',
+        fontSize: 14,
+    },
+    entrantMeta: {
+        color: '#888',
+        fontSize: 12,
+    },
+    standingRank: {
+        color: '#87a96b',
+        fontWeight: 'bold',
+        width: 28,
+    },
+    bracket: {
+        paddingLeft: 15,
+    },
+    primaryButton: {
+        backgroundColor: '#87a96b',
+        paddingVertical: 14,
+        borderRadius: 10,
+        alignItems: 'center',
+    },
+    buttonDisabled: {
+        opacity: 0.4,
+    },
+    primaryButtonText: {
+        color: '#000',
+        fontWeight: 'bold',
+        fontSize: 13,
+        letterSpacing: 1,
+    },
+    secondaryButton: {
+        paddingVertical: 14,
+        borderRadius: 10,
+        alignItems: 'center',
+        borderWidth: 1,
+        borderColor: 'rgba(135, 169, 107, 0.5)',
+    },
+    secondaryButtonText: {
+        color: '#87a96b',
+        fontWeight: 'bold',
+        fontSize: 13,
+        letterSpacing: 1,
+    },
+    dangerButton: {
+        paddingVertical: 14,
+        borderRadius: 10,
+        alignItems: 'center',
+        backgroundColor: 'rgba(244, 67, 54, 0.15)',
+    },
+    dangerButtonText: {
+        color: '#f44336',
+        fontWeight: 'bold',
+        fontSize: 13,
+        letterSpacing: 1,
+    },
+    cancelButton: {
+        marginHorizontal: 15,
+        marginTop: 30,
+    },
+    emptyText: {
+        color: '#666',
+        textAlign: 'center',
+        marginTop: 20,
+    },
+});
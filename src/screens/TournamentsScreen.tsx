@@ -0,0 +1,348 @@
+import React, { useEffect, useState } from 'react';
+import {
+    View,
+    Text,
+    ScrollView,
+    StyleSheet,
+    TouchableOpacity,
+    TextInput,
+    Alert,
+    RefreshControl
+} from 'react-native';
+import { GameType, Tournament, TournamentFormat, TournamentSeedBy, TournamentStatus } from '../types';
+import { AdminService, TournamentService } from '../lib/services';
+import { formatRelativeTime } from '../lib/utils';
+import { ArrowLeft, Trophy, Plus } from 'lucide-react-native';
+
+export const FORMAT_LABELS: Record<TournamentFormat, string> = {
+    single_elimination: 'Single Elimination',
+    double_elimination: 'Double Elimination',
+    round_robin: 'Round Robin',
+};
+
+const SEED_LABELS: Record<TournamentSeedBy, string> = {
+    ladder_rank: 'Ladder Rank',
+    fargo_rating: 'Fargo Rating',
+};
+
+export const STATUS_COLORS: Record<TournamentStatus, string> = {
+    registration: '#64b5f6',
+    in_progress: '#f44336',
+    completed: '#87a96b',
+    cancelled: '#666',
+};
+
+export default function TournamentsScreen({ navigation }: any) {
+    const [tournaments, setTournaments] = useState<Tournament[]>([]);
+    const [refreshing, setRefreshing] = useState(false);
+    const [isOfficer, setIsOfficer] = useState(false);
+
+    const [creating, setCreating] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const [name, setName] = useState('');
+    const [format, setFormat] = useState<TournamentFormat>('single_elimination');
+    const [gameType, setGameType] = useState<GameType>('8-ball');
+    const [seedBy, setSeedBy] = useState<TournamentSeedBy>('ladder_rank');
+    const [gamesToWin, setGamesToWin] = useState(5);
+
+    async function load(isRefresh = false) {
+        if (isRefresh) setRefreshing(true);
+        try {
+            const [list, officer] = await Promise.all([
+                TournamentService.getAll({ forceRefresh: isRefresh }),
+                AdminService.isOfficer({ forceRefresh: isRefresh }),
+            ]);
+            setTournaments(list.data || []);
+            setIsOfficer(Boolean(officer.data));
+        } catch (error: any) {
+            console.error('Error loading tournaments:', error.message);
+        } finally {
+            setRefreshing(false);
+        }
+    }
+
+    useEffect(() => { load(); }, []);
+
+    async function handleCreate() {
+        if (!name.trim()) {
+            Alert.alert('Name Needed', 'Give the tournament a name.');
+            return;
+        }
+        setBusy(true);
+        const { data, error } = await TournamentService.create({
+            name: name.trim(),
+            format,
+            game_type: gameType,
+            seed_by: seedBy,
+            games_to_win: gamesToWin,
+        });
+        setBusy(false);
+        if (error || !data) {
+            Alert.alert('Error', error?.message ?? 'Could not create the tournament.');
+            return;
+        }
+        setName('');
+        setCreating(false);
+        load();
+        navigation.navigate('Tournament', { tournamentId: data.id });
+    }
+
+    const renderTournament = (tournament: Tournament) => (
+        <TouchableOpacity
+            key={tournament.id}
+            style={styles.card}
+            onPress={() => navigation.navigate('Tournament', { tournamentId: tournament.id })}
+        >
+            <View style={styles.cardRow}>
+                <Text style={styles.cardTitle} numberOfLines={1}>{tournament.name}</Text>
+                <Text style={[styles.statusBadge, { color: STATUS_COLORS[tournament.status] }]}>
+                    {tournament.status.replace('_', ' ').toUpperCase()}
+                </Text>
+            </View>
+            <Text style={styles.cardMeta}>
+                {FORMAT_LABELS[tournament.format]} • {tournament.game_type.toUpperCase()} • Race to {tournament.games_to_win}
+            </Text>
+            {tournament.winner ? (
+                <View style={styles.winnerRow}>
+                    <Trophy color="#ffd700" size={14} />
+                    <Text style={styles.winnerText}>{tournament.winner.full_name}</Text>
+                </View>
+            ) : (
+                <Text style={styles.cardMeta}>
+                    {tournament.starts_at ? `Starts ${new Date(tournament.starts_at).toLocaleDateString()}` : `Created ${formatRelativeTime(tournament.created_at)}`}
+                </Text>
+            )}
+        </TouchableOpacity>
+    );
+
+    return (
+        <ScrollView
+            style={styles.container}
+            contentContainerStyle={styles.content}
+            keyboardShouldPersistTaps="handled"
+            refreshControl={<RefreshControl refreshing={refreshing} onRefresh={() => load(true)} tintColor="#87a96b" />}
+        >
+            <View style={styles.mainHeader}>
+                <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+                    <ArrowLeft color="#fff" size={24} />
+                </TouchableOpacity>
+                <Trophy color="#87a96b" size={28} />
+                <Text style={styles.title}>TOURNAMENTS</Text>
+                {isOfficer && !creating && (
+                    <TouchableOpacity style={styles.addButton} onPress={() => setCreating(true)} accessibilityLabel="New tournament">
+                        <Plus color="#87a96b" size={24} />
+                    </TouchableOpacity>
+                )}
+            </View>
+
+            {creating && (
+                <View style={styles.card}>
+                    <TextInput
+                        style={styles.input}
+                        value={name}
+                        onChangeText={setName}
+                        placeholder="Tournament name"
+                        placeholderTextColor="#555"
+                    />
+
+                    <Text style={styles.label}>FORMAT</Text>
+                    <View style={styles.chipRow}>
+                        {(Object.keys(FORMAT_LABELS) as TournamentFormat[]).map((f) => (
+                            <TouchableOpacity key={f} style={[styles.chip, format === f && styles.chipActive]} onPress={() => setFormat(f)}>
+                                <Text style={[styles.chipText, format === f && styles.chipTextActive]}>{FORMAT_LABELS[f]}</Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+
+                    <Text style={styles.label}>GAME</Text>
+                    <View style={styles.chipRow}>
+                        {(['8-ball', '9-ball', '10-ball'] as GameType[]).map((t) => (
+                            <TouchableOpacity key={t} style={[styles.chip, gameType === t && styles.chipActive]} onPress={() => setGameType(t)}>
+                                <Text style={[styles.chipText, gameType === t && styles.chipTextActive]}>{t.toUpperCase()}</Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+
+                    <Text style={styles.label}>SEED BY</Text>
+                    <View style={styles.chipRow}>
+                        {(Object.keys(SEED_LABELS) as TournamentSeedBy[]).map((s) => (
+                            <TouchableOpacity key={s} style={[styles.chip, seedBy === s && styles.chipActive]} onPress={() => setSeedBy(s)}>
+                                <Text style={[styles.chipText, seedBy === s && styles.chipTextActive]}>{SEED_LABELS[s]}</Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+
+                    <Text style={styles.label}>RACE TO</Text>
+                    <View style={styles.chipRow}>
+                        {[3, 5, 7, 9].map((n) => (
+                            <TouchableOpacity key={n} style={[styles.chip, gamesToWin === n && styles.chipActive]} onPress={() => setGamesToWin(n)}>
+                                <Text style={[styles.chipText, gamesToWin === n && styles.chipTextActive]}>{n}</Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+
+                    <View style={styles.buttonRow}>
+                        <TouchableOpacity style={[styles.secondaryButton, styles.inlineButton]} onPress={() => setCreating(false)}>
+                            <Text style={styles.secondaryButtonText}>CANCEL</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity style={[styles.primaryButton, styles.inlineButton]} disabled={busy} onPress={handleCreate}>
+                            <Text style={styles.primaryButtonText}>{busy ? 'CREATING...' : 'CREATE'}</Text>
+                        </TouchableOpacity>
+                    </View>
+                </View>
+            )}
+
+            {tournaments.length > 0
+                ? tournaments.map(renderTournament)
+                : <Text style={styles.emptyText}>No tournaments yet.</Text>}
+        </ScrollView>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#0a0a0a',
+    },
+    content: {
+        paddingBottom: 100,
+    },
+    mainHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        padding: 20,
+        paddingTop: 60,
+        backgroundColor: 'rgba(255, 255, 255, 0.03)',
+    },
+    backButton: {
+        marginRight: 15,
+        padding: 4,
+    },
+    title: {
+        fontSize: 22,
+        fontWeight: 'bold',
+        color: '#fff',
+        marginLeft: 12,
+    },
+    addButton: {
+        marginLeft: 'auto',
+        padding: 4,
+    },
+    card: {
+        marginHorizontal: 15,
+        marginTop: 10,
+        padding: 14,
+        borderRadius: 12,
+        backgroundColor: 'rgba(255, 255, 255, 0.05)',
+        borderWidth: 1,
+        borderColor: 'rgba(255, 255, 255, 0.1)',
+    },
+    cardRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    cardTitle: {
+        flex: 1,
+        color: '#fff',
+        fontSize: 16,
+        fontWeight: 'bold',
+    },
+    cardMeta: {
+        color: '#888',
+        fontSize: 12,
+        marginTop: 4,
+    },
+    statusBadge: {
+        fontSize: 10,
+        fontWeight: 'bold',
+        letterSpacing: 1,
+        marginLeft: 8,
+    },
+    winnerRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginTop: 6,
+        gap: 6,
+    },
+    winnerText: {
+        color: '#ffd700',
+        fontSize: 13,
+        fontWeight: '600',
+    },
+    input: {
+        padding: 12,
+        borderRadius: 10,
+        backgroundColor: 'rgba(0, 0, 0, 0.4)',
+        color: '#fff',
+    },
+    label: {
+        color: '#666',
+        fontSize: 11,
+        fontWeight: 'bold',
+        letterSpacing: 1,
+        marginTop: 14,
+        marginBottom: 8,
+    },
+    chipRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 8,
+    },
+    chip: {
+        paddingHorizontal: 14,
+        paddingVertical: 6,
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: 'rgba(255, 255, 255, 0.1)',
+    },
+    chipActive: {
+        borderColor: '#87a96b',
+        backgroundColor: 'rgba(135, 169, 107, 0.2)',
+    },
+    chipText: {
+        color: '#666',
+        fontSize: 12,
+        fontWeight: '600',
+    },
+    chipTextActive: {
+        color: '#87a96b',
+    },
+    buttonRow: {
+        flexDirection: 'row',
+        gap: 10,
+        marginTop: 18,
+    },
+    inlineButton: {
+        flex: 1,
+    },
+    primaryButton: {
+        backgroundColor: '#87a96b',
+        paddingVertical: 12,
+        borderRadius: 10,
+        alignItems: 'center',
+    },
+    primaryButtonText: {
+        color: '#000',
+        fontWeight: 'bold',
+        fontSize: 12,
+        letterSpacing: 1,
+    },
+    secondaryButton: {
+        paddingVertical: 12,
+        borderRadius: 10,
+        alignItems: 'center',
+        borderWidth: 1,
+        borderColor: 'rgba(135, 169, 107, 0.5)',
+    },
+    secondaryButtonText: {
+        color: '#87a96b',
+        fontWeight: 'bold',
+        fontSize: 12,
+        letterSpacing: 1,
+    },
+    emptyText: {
+        color: '#666',
+        textAlign: 'center',
+        marginTop: 40,
+    },
+});
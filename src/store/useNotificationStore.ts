@@ -1,27 +1,29 @@
 import { create } from 'zustand';
-import { supabase } from '../lib/supabase';
+import { NotificationService } from '../lib/services';
 
+// Unread badge for the Inbox tab; the notifications themselves are stored
+// server-side (see NotificationService)
 interface NotificationState {
     unreadCount: number;
-    fetchUnreadCount: (userId: string) => Promise<void>;
+    fetchUnreadCount: () => Promise<void>;
     setUnreadCount: (count: number) => void;
+    markRead: (ids?: string[]) => Promise<Error | null>;
 }
 
-export const useNotificationStore = create<NotificationState>((set) => ({
+export const useNotificationStore = create<NotificationState>((set, get) => ({
     unreadCount: 0,
-    fetchUnreadCount: async (userId: string) => {
-        try {
-            const { count, error } = await supabase
-                .from('challenges')
-                .select('*', { count: 'exact', head: true })
-                .eq('challenged_id', userId)
-                .eq('status', 'pending');
-
-            if (error) throw error;
-            set({ unreadCount: count || 0 });
-        } catch (error) {
+    fetchUnreadCount: async () => {
+        const { data, error } = await NotificationService.getUnreadCount();
+        if (error) {
             console.error('Error fetching unread count:', error);
+            return;
         }
+        set({ unreadCount: data || 0 });
     },
     setUnreadCount: (count: number) => set({ unreadCount: count }),
+    markRead: async (ids?: string[]) => {
+        const { error } = await NotificationService.markRead(ids);
+        if (!error) await get().fetchUnreadCount();
+        return error;
+    },
 }));
@@ -1,6 +1,8 @@
 // Game Types
 export type GameType = '8-ball' | '9-ball' | '10-ball';
-export type ChallengeStatus = 'pending' | 'negotiating' | 'scheduled' | 'live' | 'completed' | 'forfeited';
+export type ChallengeStatus = 'pending' | 'negotiating' | 'scheduled' | 'live' | 'completed' | 'forfeited' | 'disputed' | 'voided';
+export type BreakFormat = 'winner_breaks' | 'alternate';
+export type StreamProvider = 'youtube' | 'facebook' | 'twitch' | 'hls';
 
 // User Profile
 export interface Profile {
@@ -9,11 +11,12 @@ export interface Profile {
   phone?: string;
   avatar_url?: string;
   fargo_rating: number;
+  // Games rated so far; low robustness means the rating still moves quickly
+  fargo_robustness?: number;
   points: number;
   cooldown_until?: string | null;
   ladder_rank: number;
   owner_id?: string;
-  expo_push_token?: string;
   created_at: string;
   updated_at: string;
 }
@@ -25,6 +28,9 @@ export interface Challenge {
   challenged_id: string;
   game_type: GameType;
   games_to_win: number;
+  // Handicapped race targets; null for an even race to games_to_win
+  challenger_race?: number | null;
+  challenged_race?: number | null;
   venue?: string;
   proposed_time?: string;
   status: ChallengeStatus;
@@ -32,6 +38,27 @@ export interface Challenge {
   challenger_score?: number;
   challenged_score?: number;
   winner_id?: string;
+  // Result reporting (awaiting opponent confirmation)
+  reported_by?: string | null;
+  reported_at?: string | null;
+  dispute_reason?: string | null;
+  // Negotiation
+  last_proposed_by?: string | null;
+  // Season the challenge was issued in
+  season_id?: string | null;
+  // Set for tournament bracket matches, which don't move the ladder
+  tournament_id?: string | null;
+  // Set for individual games in a team match (challenger is the home player)
+  team_match_id?: string | null;
+  // Null means the discipline's default break format
+  break_format?: BreakFormat | null;
+  // Who won the lag and took the first break
+  lag_winner_id?: string | null;
+  // Set while the match is live and streaming (see lib/streams)
+  stream_url?: string | null;
+  stream_embed_url?: string | null;
+  stream_provider?: StreamProvider | null;
+  live_started_at?: string | null;
   created_at: string;
   updated_at: string;
   // Joined data
@@ -39,6 +66,408 @@ export interface Challenge {
   challenged?: Profile;
 }
 
+// One rack of a match, recorded from the scoreboard
+export interface MatchRack {
+  id: string;
+  challenge_id: string;
+  rack_number: number;
+  winner_id: string | null;
+  breaker_id: string | null;
+  break_and_run: boolean;
+  golden_break: boolean;
+  recorded_by: string | null;
+  created_at: string;
+  // Set when the rack was undone; undone racks no longer count
+  undone_at: string | null;
+  undone_by: string | null;
+}
+
+// Career break stats from completed matches (player_break_stats view)
+export interface PlayerBreakStats {
+  profile_id: string;
+  breaks: number;
+  racks_won_on_break: number;
+  break_and_runs: number;
+  golden_breaks: number;
+}
+
+// Push categories a player can switch off (notification_preferences columns)
+export type NotificationCategory =
+  | 'challenge_received'
+  | 'challenge_accepted'
+  | 'match_live'
+  | 'rank_change'
+  | 'comments'
+  | 'reminders';
+
+export interface NotificationPreferences extends Record<NotificationCategory, boolean> {
+  profile_id: string;
+  // 'HH:MM:SS' in the player's timezone; both null when quiet hours are off
+  quiet_hours_start: string | null;
+  quiet_hours_end: string | null;
+  // IANA name, e.g. 'America/Denver'
+  timezone: string;
+  updated_at: string;
+}
+
+// Entry in the in-app notification center; links to whichever of the
+// challenge, feed activity or profile is set
+export interface AppNotification {
+  id: string;
+  profile_id: string;
+  // Push data type, e.g. 'CHALLENGE_RECEIVED', 'LIVE_MATCH', 'COMMENT', 'RANK_CHANGE'
+  type: string;
+  title: string;
+  body: string;
+  challenge_id: string | null;
+  activity_id: string | null;
+  link_profile_id: string | null;
+  read_at: string | null;
+  created_at: string;
+}
+
+// Current score of a match being played, kept in step with its rack log
+export interface LiveScore {
+  challenge_id: string;
+  challenger_score: number;
+  challenged_score: number;
+  // Bumped on every change; stale updates are rejected
+  version: number;
+  updated_by: string | null;
+  updated_at: string;
+}
+
+// What the stream overlay page shows, looked up by share token
+export interface MatchOverlay {
+  challenge_id: string;
+  game_type: GameType;
+  status: ChallengeStatus;
+  challenger_name: string;
+  challenged_name: string;
+  // Ranks on the ladder for the match's game type
+  challenger_rank: number | null;
+  challenged_rank: number | null;
+  challenger_race: number;
+  challenged_race: number;
+  challenger_score: number;
+  challenged_score: number;
+  version: number;
+}
+
+// Negotiation thread entry for a challenge
+export type ProposalAction = 'propose' | 'counter' | 'accept';
+
+export interface ChallengeProposal {
+  id: string;
+  challenge_id: string;
+  proposed_by: string;
+  action: ProposalAction;
+  venues: string[];
+  time_slots: string[];
+  created_at: string;
+  // Joined data
+  proposer?: Pick<Profile, 'full_name'>;
+}
+
+// Fargo rating change from one completed match
+export interface RatingHistoryEntry {
+  id: string;
+  profile_id: string;
+  challenge_id: string;
+  rating_before: number;
+  rating_after: number;
+  delta: number;
+  games_played: number;
+  created_at: string;
+}
+
+// Ladder rank change and what caused it
+export type RankChangeCause = 'joined' | 'match' | 'forfeit' | 'decay' | 'season' | 'admin';
+
+export interface RankHistoryEntry {
+  id: string;
+  profile_id: string;
+  game_type: GameType;
+  // null when the player first joined the ladder
+  rank_before: number | null;
+  rank_after: number;
+  cause: RankChangeCause;
+  challenge_id?: string | null;
+  created_at: string;
+  // Joined data
+  profile?: Pick<Profile, 'id' | 'full_name' | 'avatar_url'>;
+}
+
+// Ladder rules (configured per league/season)
+export interface LadderRuleConfig {
+  // Max spots between challenger and target
+  spot_range: number;
+  // Rank #1 may challenge anyone regardless of spot_range
+  top_rank_challenges_anyone: boolean;
+  // Block challenges while cooldown_until is in the future
+  enforce_cooldown: boolean;
+  // Max open (pending/negotiating/scheduled/live) challenges per player, null = unlimited
+  max_open_challenges: number | null;
+  // Days before the same two players may meet again, null = no limit
+  rematch_days: number | null;
+  // Days without an accepted or played match before a player decays, null = off
+  inactivity_days: number | null;
+  // Spots lost per missed inactivity or defense period
+  inactivity_drop: number;
+  // Top N of each ladder must defend their spot, null = off
+  defense_top_n: number | null;
+  // Days allowed between defenses for the top N
+  defense_days: number;
+}
+
+// Why a player's rank moved outside of a challenge result
+export type RankChangeReason = 'inactive' | 'defense';
+
+export interface LadderRuleSet {
+  id: string;
+  league: string;
+  season: string;
+  rules: Partial<LadderRuleConfig>;
+  is_active: boolean;
+  created_at: string;
+}
+
+// Season
+export type SeasonStatus = 'upcoming' | 'active' | 'completed';
+export type SeasonRankPolicy = 'carry_over' | 'reseed_by_fargo';
+export type SeasonPointsPolicy = 'carry_over' | 'reset';
+
+export interface Season {
+  id: string;
+  league: string;
+  name: string;
+  starts_at: string;
+  ends_at: string;
+  status: SeasonStatus;
+  // Applied to ranks and points when the season is closed
+  rank_policy: SeasonRankPolicy;
+  points_policy: SeasonPointsPolicy;
+  closed_at?: string | null;
+  created_at: string;
+}
+
+// Frozen end-of-season ladder position
+export interface SeasonStanding {
+  season_id: string;
+  profile_id: string;
+  game_type: GameType;
+  rank: number;
+  points: number;
+  wins: number;
+  losses: number;
+  fargo_rating?: number | null;
+  // Joined data
+  profile?: Profile;
+}
+
+// Tournaments
+export type TournamentFormat = 'single_elimination' | 'double_elimination' | 'round_robin';
+export type TournamentSeedBy = 'ladder_rank' | 'fargo_rating';
+export type TournamentStatus = 'registration' | 'in_progress' | 'completed' | 'cancelled';
+export type BracketSide = 'winners' | 'losers' | 'final' | 'round_robin';
+
+export interface Tournament {
+  id: string;
+  name: string;
+  format: TournamentFormat;
+  game_type: GameType;
+  seed_by: TournamentSeedBy;
+  games_to_win: number;
+  status: TournamentStatus;
+  starts_at: string | null;
+  created_by: string | null;
+  winner_id: string | null;
+  created_at: string;
+  updated_at: string;
+  // Joined data
+  winner?: Pick<Profile, 'id' | 'full_name'>;
+}
+
+export interface TournamentEntrant {
+  tournament_id: string;
+  profile_id: string;
+  // Set when the tournament starts
+  seed: number | null;
+  created_at: string;
+  // Joined data
+  profile?: Profile;
+}
+
+// 'waiting' for players, 'ready' once its challenge exists, 'bye' when a
+// player advanced without playing
+export type TournamentMatchStatus = 'waiting' | 'ready' | 'completed' | 'bye';
+
+export interface TournamentMatch {
+  id: string;
+  tournament_id: string;
+  match_key: string;
+  bracket: BracketSide;
+  round: number;
+  position: number;
+  player1_id: string | null;
+  player2_id: string | null;
+  player1_bye: boolean;
+  player2_bye: boolean;
+  winner_next_key: string | null;
+  winner_next_slot: number | null;
+  loser_next_key: string | null;
+  loser_next_slot: number | null;
+  challenge_id: string | null;
+  winner_id: string | null;
+  status: TournamentMatchStatus;
+  // Joined data
+  player1?: Pick<Profile, 'id' | 'full_name'>;
+  player2?: Pick<Profile, 'id' | 'full_name'>;
+  challenge?: Challenge;
+}
+
+// Team league
+export interface Team {
+  id: string;
+  name: string;
+  captain_id: string | null;
+  created_at: string;
+  updated_at: string;
+  // Joined data
+  captain?: Pick<Profile, 'id' | 'full_name'>;
+  members?: TeamMember[];
+  invites?: TeamInvite[];
+}
+
+// A player is on at most one team
+export interface TeamMember {
+  team_id: string;
+  profile_id: string;
+  created_at: string;
+  // Joined data
+  profile?: Profile;
+}
+
+// A captain's invite, waiting on the player to accept
+export interface TeamInvite {
+  team_id: string;
+  profile_id: string;
+  invited_by: string | null;
+  created_at: string;
+  // Joined data
+  profile?: Pick<Profile, 'id' | 'full_name'>;
+}
+
+export type TeamMatchStatus = 'scheduled' | 'in_progress' | 'completed' | 'cancelled';
+
+export interface TeamMatch {
+  id: string;
+  home_team_id: string;
+  away_team_id: string;
+  game_type: GameType;
+  // Race for each individual game
+  games_to_win: number;
+  // Individual games that make up the team match
+  games_planned: number;
+  venue: string | null;
+  scheduled_at: string | null;
+  status: TeamMatchStatus;
+  // Individual games won by each side
+  home_points: number;
+  away_points: number;
+  // null until completed, and for a draw
+  winner_team_id: string | null;
+  created_by: string | null;
+  created_at: string;
+  updated_at: string;
+  // Joined data
+  home_team?: Pick<Team, 'id' | 'name' | 'captain_id'>;
+  away_team?: Pick<Team, 'id' | 'name' | 'captain_id'>;
+  games?: Challenge[];
+}
+
+// League officer action, recorded by every admin_* RPC
+export type AdminActionType =
+  | 'set_rank'
+  | 'void_match'
+  | 'resolve_dispute'
+  | 'overturn_result'
+  | 'correct_score'
+  | 'record_result'
+  | 'clear_cooldown'
+  | 'merge_profiles'
+  | 'release_claim'
+  | 'issue_claim_code'
+  | 'approve_claim'
+  | 'reject_claim';
+
+export interface AdminAction {
+  id: string;
+  officer_id: string | null;
+  action: AdminActionType;
+  target_profile_id?: string | null;
+  target_challenge_id?: string | null;
+  reason: string;
+  // Before/after values for the change
+  details: Record<string, any>;
+  created_at: string;
+  // Joined data
+  officer?: Pick<Profile, 'id' | 'full_name'>;
+  target_profile?: Pick<Profile, 'id' | 'full_name'>;
+}
+
+// Request to link a signed-in account to a pre-loaded profile
+export type ClaimStatus = 'pending' | 'approved' | 'rejected' | 'cancelled';
+
+// 'admin' while the request waits for an officer
+export type ClaimMethod = 'league_code' | 'admin';
+
+export interface ClaimRequest {
+  id: string;
+  profile_id: string;
+  user_id: string;
+  status: ClaimStatus;
+  method: ClaimMethod;
+  // The claimant gave the phone number on the profile; an officer still decides
+  phone_matched: boolean;
+  failed_attempts: number;
+  decided_by: string | null;
+  decision_reason: string | null;
+  decided_at: string | null;
+  created_at: string;
+  updated_at: string;
+  // Joined data
+  profile?: Profile;
+}
+
+// How a claimant proves who they are; omit both to wait for an officer
+export interface ClaimVerification {
+  code?: string;
+  phone?: string;
+}
+
+// Append-only record of every change to profiles, challenges and ladder positions
+export type AuditSource = 'client' | 'scheduler' | 'admin';
+
+export type AuditTable = 'profiles' | 'challenges' | 'ladder_positions';
+
+export interface AuditEntry {
+  id: number;
+  table_name: AuditTable;
+  // profiles.id, challenges.id, or ladder_positions.profile_id
+  row_id: string;
+  // Set for ladder_positions entries
+  game_type: GameType | null;
+  operation: 'INSERT' | 'UPDATE' | 'DELETE';
+  changed_columns: string[];
+  old_values: Record<string, any> | null;
+  new_values: Record<string, any> | null;
+  actor_id: string | null;
+  actor_user_id: string | null;
+  source: AuditSource;
+  created_at: string;
+}
+
 // Activity
 export interface Activity {
   id: string;
@@ -74,4 +503,10 @@ export type RootStackParamList = {
   Scoreboard: { challenge: Challenge };
   ProfileMain: undefined;
   MatchHistory: undefined;
+  AdminConsole: undefined;
+  Tournaments: undefined;
+  Tournament: { tournamentId: string };
+  Teams: undefined;
+  Team: { teamId: string };
+  TeamMatch: { teamMatchId: string };
 };
@@ -0,0 +1,209 @@
+// Expo push delivery for the send-push function: batching, pacing, retries,
+// receipts and spotting dead tokens. No imports, so the same file runs
+// under Deno and in the app's jest tests (against a local stand-in for the
+// Expo endpoint).
+
+export const EXPO_PUSH_URL = "https://exp.host/--/api/v2/push/send"
+export const EXPO_RECEIPTS_URL = "https://exp.host/--/api/v2/push/getReceipts"
+
+// Expo's limits per request
+export const MAX_MESSAGES_PER_REQUEST = 100
+export const MAX_RECEIPT_IDS_PER_REQUEST = 1000
+
+// Spacing between requests keeps us well under Expo's 600 notifications/second
+export const DEFAULT_MIN_INTERVAL_MS = 200
+export const DEFAULT_MAX_RETRIES = 2
+
+export type FanoutKind = "new_challenge" | "challenge_accepted" | "live_match" | "comment"
+
+export interface PushMessage {
+  to: string
+  title: string
+  body: string
+  data?: Record<string, unknown>
+  sound?: "default"
+}
+
+export interface PushTicket {
+  token: string
+  ticketId: string | null
+  error: string | null
+}
+
+export interface ExpoPushOptions {
+  endpoint?: string
+  receiptsEndpoint?: string
+  // Needed when enhanced push security is on for the Expo project
+  accessToken?: string
+  minIntervalMs?: number
+  maxRetries?: number
+  fetchImpl?: typeof fetch
+  sleep?: (ms: number) => Promise<void>
+}
+
+// What plan_push_fanout() returns: the challenge fields, or the comment
+// fields for a comment
+export interface FanoutContext {
+  challenge_id?: string
+  challenger_name?: string
+  challenged_name?: string
+  accepted_by_name?: string
+  game_type?: string
+  games_to_win?: number
+  activity_id?: string
+  commenter_name?: string
+  comment?: string
+}
+
+const defaultSleep = (ms: number) => new Promise<void>((resolve) => setTimeout(resolve, ms))
+
+export function chunk<T>(items: T[], size: number): T[][] {
+  const chunks: T[][] = []
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size))
+  }
+  return chunks
+}
+
+export function isExpoPushToken(token: string): boolean {
+  return /^Expo(nent)?PushToken\[[^\]]+\]$/.test(token)
+}
+
+export function buildFanoutMessage(kind: FanoutKind, context: FanoutContext): Omit<PushMessage, "to"> {
+  if (kind === "new_challenge") {
+    return {
+      title: "New Challenge!",
+      body: `${context.challenger_name} challenged you to race to ${context.games_to_win} in ${context.game_type}!`,
+      data: { type: "CHALLENGE_RECEIVED", challenge_id: context.challenge_id },
+      sound: "default",
+    }
+  }
+  if (kind === "challenge_accepted") {
+    return {
+      title: "Challenge Accepted!",
+      body: `${context.accepted_by_name} agreed on a time and place. Your ${context.game_type} match is scheduled.`,
+      data: { type: "CHALLENGE_ACCEPTED", challenge_id: context.challenge_id },
+      sound: "default",
+    }
+  }
+  if (kind === "comment") {
+    return {
+      title: `${context.commenter_name} commented`,
+      body: context.comment ?? "",
+      data: { type: "COMMENT", activity_id: context.activity_id },
+      sound: "default",
+    }
+  }
+  return {
+    title: "Match LIVE!",
+    body: `${context.challenger_name} vs ${context.challenged_name} is now live!`,
+    data: { type: "LIVE_MATCH", challenge_id: context.challenge_id },
+    sound: "default",
+  }
+}
+
+// POSTs JSON, retrying rate-limited (429) and server (5xx) responses with backoff
+async function postJson(url: string, payload: unknown, options: ExpoPushOptions): Promise<any> {
+  const fetchImpl = options.fetchImpl ?? fetch
+  const sleep = options.sleep ?? defaultSleep
+  const maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES
+  const headers: Record<string, string> = {
+    Accept: "application/json",
+    "Content-Type": "application/json",
+  }
+  if (options.accessToken) headers.Authorization = `Bearer ${options.accessToken}`
+
+  for (let attempt = 0; ; attempt++) {
+    const response = await fetchImpl(url, { method: "POST", headers, body: JSON.stringify(payload) })
+    if (response.ok) return response.json()
+
+    const retryable = response.status === 429 || response.status >= 500
+    if (!retryable || attempt >= maxRetries) {
+      throw new Error(`Expo push request failed with ${response.status}`)
+    }
+    await sleep((options.minIntervalMs ?? DEFAULT_MIN_INTERVAL_MS) * 2 ** (attempt + 1))
+  }
+}
+
+// Sends in batches of 100, one request at a time. Tokens Expo no longer
+// recognises (or that were never Expo tokens) come back in invalidTokens so
+// the caller can clear them.
+export async function sendPushMessages(
+  messages: PushMessage[],
+  options: ExpoPushOptions = {}
+): Promise<{ tickets: PushTicket[]; invalidTokens: string[] }> {
+  const sleep = options.sleep ?? defaultSleep
+  const tickets: PushTicket[] = []
+  const invalidTokens = new Set<string>()
+
+  // One message per device, even if a token is listed twice
+  const seen = new Set<string>()
+  const deliverable: PushMessage[] = []
+  for (const message of messages) {
+    if (seen.has(message.to)) continue
+    seen.add(message.to)
+    if (isExpoPushToken(message.to)) deliverable.push(message)
+    else invalidTokens.add(message.to)
+  }
+
+  const batches = chunk(deliverable, MAX_MESSAGES_PER_REQUEST)
+  for (let i = 0; i < batches.length; i++) {
+    if (i > 0) await sleep(options.minIntervalMs ?? DEFAULT_MIN_INTERVAL_MS)
+    const batch = batches[i]
+
+    let results: any[]
+    try {
+      results = (await postJson(options.endpoint ?? EXPO_PUSH_URL, batch, options)).data ?? []
+    } catch (error) {
+      for (const message of batch) {
+        tickets.push({ token: message.to, ticketId: null, error: (error as Error).message })
+      }
+      continue
+    }
+
+    // Tickets come back in the same order as the messages
+    batch.forEach((message, index) => {
+      const result = results[index]
+      if (result?.status === "ok") {
+        tickets.push({ token: message.to, ticketId: result.id, error: null })
+        return
+      }
+      const error = result?.details?.error ?? result?.message ?? "Missing ticket"
+      if (error === "DeviceNotRegistered") invalidTokens.add(message.to)
+      tickets.push({ token: message.to, ticketId: null, error })
+    })
+  }
+
+  return { tickets, invalidTokens: [...invalidTokens] }
+}
+
+// Looks up receipts for earlier tickets. Receipts that aren't ready yet are
+// left out of `checked` so they can be asked for again later.
+export async function fetchReceipts(
+  tickets: { ticketId: string; token: string }[],
+  options: ExpoPushOptions = {}
+): Promise<{ checked: string[]; invalidTokens: string[]; errors: { ticketId: string; error: string }[] }> {
+  const sleep = options.sleep ?? defaultSleep
+  const tokenByTicket = new Map(tickets.map((ticket) => [ticket.ticketId, ticket.token]))
+  const checked: string[] = []
+  const invalidTokens = new Set<string>()
+  const errors: { ticketId: string; error: string }[] = []
+
+  const batches = chunk([...tokenByTicket.keys()], MAX_RECEIPT_IDS_PER_REQUEST)
+  for (let i = 0; i < batches.length; i++) {
+    if (i > 0) await sleep(options.minIntervalMs ?? DEFAULT_MIN_INTERVAL_MS)
+    const receipts = (await postJson(options.receiptsEndpoint ?? EXPO_RECEIPTS_URL, { ids: batches[i] }, options)).data ?? {}
+
+    for (const ticketId of batches[i]) {
+      const receipt = receipts[ticketId]
+      if (!receipt) continue
+      checked.push(ticketId)
+      if (receipt.status === "ok") continue
+      const error = receipt.details?.error ?? receipt.message ?? "Unknown error"
+      errors.push({ ticketId, error })
+      if (error === "DeviceNotRegistered") invalidTokens.add(tokenByTicket.get(ticketId)!)
+    }
+  }
+
+  return { checked, invalidTokens: [...invalidTokens], errors }
+}
@@ -0,0 +1,139 @@
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2"
+import {
+  buildFanoutMessage,
+  fetchReceipts,
+  sendPushMessages,
+  EXPO_PUSH_URL,
+  EXPO_RECEIPTS_URL,
+  ExpoPushOptions,
+  PushMessage,
+} from "../_shared/expoPush.ts"
+
+// Sends push notifications on behalf of the app and the scheduler.
+//   new_challenge / challenge_accepted / live_match / comment
+//                    { target_id }                                   signed-in players
+//   direct           { profile_ids, category, title, body, data }    service role only
+//   check_receipts   {}                                              service role only
+// Players' notification preferences and quiet hours are applied in the
+// database when recipients are looked up. Each send is also stored in the
+// in-app notification center, linked through data.challenge_id,
+// data.activity_id or data.profile_id.
+// EXPO_PUSH_URL / EXPO_RECEIPTS_URL can point at a local stand-in for testing.
+
+const supabaseUrl = Deno.env.get("SUPABASE_URL")!
+const serviceRoleKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!
+const admin = createClient(supabaseUrl, serviceRoleKey)
+
+const expoOptions: ExpoPushOptions = {
+  endpoint: Deno.env.get("EXPO_PUSH_URL") ?? EXPO_PUSH_URL,
+  receiptsEndpoint: Deno.env.get("EXPO_RECEIPTS_URL") ?? EXPO_RECEIPTS_URL,
+  accessToken: Deno.env.get("EXPO_ACCESS_TOKEN") ?? undefined,
+}
+
+interface Recipient {
+  profile_id: string
+  token: string
+}
+
+const json = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } })
+
+async function deliver(recipients: Recipient[], message: Omit<PushMessage, "to">) {
+  const profileByToken = new Map(recipients.map((r) => [r.token, r.profile_id]))
+  const { tickets, invalidTokens } = await sendPushMessages(
+    recipients.map((r) => ({ ...message, to: r.token })),
+    expoOptions,
+  )
+
+  // Keep tickets for the receipt check and clear tokens Expo rejected outright
+  const { error } = await admin.rpc("record_push_results", {
+    p_tickets: tickets
+      .filter((t) => t.ticketId)
+      .map((t) => ({ ticket_id: t.ticketId, profile_id: profileByToken.get(t.token), token: t.token })),
+    p_invalid_tokens: invalidTokens,
+  })
+  if (error) throw new Error(error.message)
+
+  return { sent: tickets.filter((t) => t.ticketId).length, failed: tickets.filter((t) => !t.ticketId).length }
+}
+
+async function storeNotifications(profileIds: string[], category: string, message: Omit<PushMessage, "to">) {
+  const data = message.data ?? {}
+  const { error } = await admin.rpc("create_notifications", {
+    p_profile_ids: profileIds,
+    p_category: category,
+    p_type: data.type ?? "GENERAL",
+    p_title: message.title,
+    p_body: message.body,
+    p_challenge_id: data.challenge_id ?? null,
+    p_activity_id: data.activity_id ?? null,
+    p_link_profile_id: data.profile_id ?? null,
+  })
+  if (error) throw new Error(error.message)
+}
+
+async function checkReceipts() {
+  const { data: pending, error } = await admin.rpc("get_pending_push_tickets")
+  if (error) throw new Error(error.message)
+  if (!pending?.length) return { checked: 0, pruned: 0 }
+
+  const { checked, invalidTokens } = await fetchReceipts(
+    pending.map((t: { ticket_id: string; token: string }) => ({ ticketId: t.ticket_id, token: t.token })),
+    expoOptions,
+  )
+  const { error: recordError } = await admin.rpc("record_push_results", {
+    p_checked_ticket_ids: checked,
+    p_invalid_tokens: invalidTokens,
+  })
+  if (recordError) throw new Error(recordError.message)
+
+  return { checked: checked.length, pruned: invalidTokens.length }
+}
+
+serve(async (req) => {
+  const jwt = (req.headers.get("Authorization") ?? "").replace(/^Bearer /, "")
+  const isServiceRole = jwt === serviceRoleKey
+
+  try {
+    const { kind, target_id, profile_ids, category, title, body, data } = await req.json()
+
+    if (kind === "new_challenge" || kind === "challenge_accepted" || kind === "live_match" || kind === "comment") {
+      const { data: auth } = await admin.auth.getUser(jwt)
+      if (!auth?.user) return json({ error: "Not signed in" }, 401)
+
+      // Permission, duplicate and rate limit checks happen in the database
+      const { data: plan, error } = await admin.rpc("plan_push_fanout", {
+        p_owner_id: auth.user.id,
+        p_kind: kind,
+        p_target_id: target_id,
+      })
+      if (error) return json({ error: error.message }, 400)
+
+      const message = buildFanoutMessage(kind, plan)
+      if (plan.audience.length) await storeNotifications(plan.audience, plan.category, message)
+      return json(await deliver(plan.recipients, message))
+    }
+
+    if (!isServiceRole) return json({ error: "Not allowed" }, 403)
+
+    if (kind === "direct") {
+      const { data: recipients, error } = await admin.rpc("get_push_recipients", {
+        p_profile_ids: profile_ids ?? [],
+        p_category: category,
+      })
+      if (error) return json({ error: error.message }, 400)
+      const message = { title, body, data: data ?? {}, sound: "default" as const }
+      await storeNotifications(profile_ids ?? [], category, message)
+      return json(await deliver(recipients ?? [], message))
+    }
+
+    if (kind === "check_receipts") {
+      return json(await checkReceipts())
+    }
+
+    return json({ error: "Unknown notification type" }, 400)
+  } catch (error) {
+    return json({ error: error.message }, 500)
+  }
+})
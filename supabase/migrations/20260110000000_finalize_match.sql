@@ -0,0 +1,128 @@
+-- Server-authoritative match finalization
+-- Records the final score, rank movement, loser cooldown and activity in a
+-- single transaction so a dropped connection can no longer leave the ladder
+-- half-updated.
+
+CREATE OR REPLACE FUNCTION public.finalize_match(
+    p_challenge_id uuid,
+    p_challenger_score integer,
+    p_challenged_score integer
+)
+RETURNS public.challenges AS $$
+DECLARE
+    match public.challenges;
+    v_winner_id uuid;
+    v_loser_id uuid;
+    challenger_name text;
+    challenged_name text;
+BEGIN
+    -- Lock the challenge row so concurrent finalizations serialize here
+    SELECT * INTO match FROM public.challenges WHERE id = p_challenge_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Challenge not found.';
+    END IF;
+
+    IF match.status = 'completed' THEN
+        RAISE EXCEPTION 'This match has already been finalized.';
+    END IF;
+
+    IF match.status = 'forfeited' THEN
+        RAISE EXCEPTION 'This challenge was forfeited and cannot be finalized.';
+    END IF;
+
+    IF p_challenger_score < 0 OR p_challenged_score < 0 THEN
+        RAISE EXCEPTION 'Scores cannot be negative.';
+    END IF;
+
+    IF p_challenger_score >= match.games_to_win AND p_challenged_score >= match.games_to_win THEN
+        RAISE EXCEPTION 'Only one player can reach % games.', match.games_to_win;
+    END IF;
+
+    IF p_challenger_score < match.games_to_win AND p_challenged_score < match.games_to_win THEN
+        RAISE EXCEPTION 'Someone needs to reach % games to win.', match.games_to_win;
+    END IF;
+
+    IF p_challenger_score >= match.games_to_win THEN
+        v_winner_id := match.challenger_id;
+        v_loser_id := match.challenged_id;
+    ELSE
+        v_winner_id := match.challenged_id;
+        v_loser_id := match.challenger_id;
+    END IF;
+
+    SELECT full_name INTO challenger_name FROM public.profiles WHERE id = match.challenger_id;
+    SELECT full_name INTO challenged_name FROM public.profiles WHERE id = match.challenged_id;
+
+    -- 1. Rank movement
+    PERFORM public.update_rankings_on_win(v_winner_id, v_loser_id);
+
+    -- 2. 24h cooldown for the loser
+    UPDATE public.profiles
+    SET cooldown_until = now() + interval '24 hours'
+    WHERE id = v_loser_id;
+
+    -- 3. Activity feed entry
+    INSERT INTO public.activities (user_id, action_type, metadata)
+    VALUES (
+        v_winner_id,
+        'MATCH_COMPLETED',
+        jsonb_build_object(
+            'challenge_id', match.id,
+            'challenger_name', challenger_name,
+            'challenged_name', challenged_name,
+            'final_score', p_challenger_score || ' - ' || p_challenged_score,
+            'winner_name', CASE WHEN v_winner_id = match.challenger_id THEN challenger_name ELSE challenged_name END,
+            'game_type', match.game_type
+        )
+    );
+
+    -- 4. Close out the challenge
+    UPDATE public.challenges
+    SET status = 'completed',
+        challenger_score = p_challenger_score,
+        challenged_score = p_challenged_score,
+        winner_id = v_winner_id,
+        updated_at = now()
+    WHERE id = p_challenge_id
+    RETURNING * INTO match;
+
+    RETURN match;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Internal only: players go through submit_match_result below
+REVOKE EXECUTE ON FUNCTION public.finalize_match(uuid, integer, integer) FROM PUBLIC, anon, authenticated;
+
+-- Lets one of the two players record the result of their accepted match
+CREATE OR REPLACE FUNCTION public.submit_match_result(
+    p_challenge_id uuid,
+    p_challenger_score integer,
+    p_challenged_score integer
+)
+RETURNS public.challenges AS $$
+DECLARE
+    match public.challenges;
+    caller_id uuid;
+BEGIN
+    SELECT id INTO caller_id FROM public.profiles WHERE owner_id = auth.uid() LIMIT 1;
+
+    SELECT * INTO match FROM public.challenges WHERE id = p_challenge_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Challenge not found.';
+    END IF;
+
+    IF caller_id IS NULL OR caller_id NOT IN (match.challenger_id, match.challenged_id) THEN
+        RAISE EXCEPTION 'Only the players in this match can report its result.';
+    END IF;
+
+    IF match.status NOT IN ('scheduled', 'live') THEN
+        RAISE EXCEPTION 'Only accepted matches can be finalized.';
+    END IF;
+
+    RETURN public.finalize_match(p_challenge_id, p_challenger_score, p_challenged_score);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.submit_match_result(uuid, integer, integer) TO authenticated;
@@ -0,0 +1,181 @@
+-- Two-party match result confirmation
+-- One player reports the final score, the opponent confirms or disputes it.
+-- Confirmed (or timed-out) reports are finalized through finalize_match;
+-- disputed reports wait for a league officer.
+
+ALTER TYPE public.challenge_status ADD VALUE IF NOT EXISTS 'disputed';
+
+ALTER TABLE public.challenges
+    ADD COLUMN IF NOT EXISTS reported_by uuid REFERENCES public.profiles(id),
+    ADD COLUMN IF NOT EXISTS reported_at timestamp with time zone,
+    ADD COLUMN IF NOT EXISTS dispute_reason text;
+
+-- Results can only be finalized via confirmation, timeout or an officer
+REVOKE EXECUTE ON FUNCTION public.finalize_match(uuid, integer, integer) FROM PUBLIC, anon, authenticated;
+
+-- Profile owned by the calling user
+CREATE OR REPLACE FUNCTION public.current_profile_id()
+RETURNS uuid AS $$
+    SELECT id FROM public.profiles WHERE owner_id = auth.uid() LIMIT 1;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.submit_match_result(
+    p_challenge_id uuid,
+    p_challenger_score integer,
+    p_challenged_score integer
+)
+RETURNS public.challenges AS $$
+DECLARE
+    match public.challenges;
+    caller_id uuid := public.current_profile_id();
+BEGIN
+    SELECT * INTO match FROM public.challenges WHERE id = p_challenge_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Challenge not found.';
+    END IF;
+
+    IF caller_id IS NULL OR caller_id NOT IN (match.challenger_id, match.challenged_id) THEN
+        RAISE EXCEPTION 'Only the players in this match can report its result.';
+    END IF;
+
+    IF match.status IN ('completed', 'forfeited') THEN
+        RAISE EXCEPTION 'This match has already been finalized.';
+    END IF;
+
+    IF match.status = 'disputed' THEN
+        RAISE EXCEPTION 'This result is under review by a league officer.';
+    END IF;
+
+    IF match.status NOT IN ('scheduled', 'live') THEN
+        RAISE EXCEPTION 'Only accepted matches can be reported.';
+    END IF;
+
+    IF match.reported_by IS NOT NULL AND match.reported_by <> caller_id THEN
+        RAISE EXCEPTION 'Your opponent already reported a result. Confirm or dispute it instead.';
+    END IF;
+
+    IF p_challenger_score < 0 OR p_challenged_score < 0 THEN
+        RAISE EXCEPTION 'Scores cannot be negative.';
+    END IF;
+
+    IF p_challenger_score >= match.games_to_win AND p_challenged_score >= match.games_to_win THEN
+        RAISE EXCEPTION 'Only one player can reach % games.', match.games_to_win;
+    END IF;
+
+    IF p_challenger_score < match.games_to_win AND p_challenged_score < match.games_to_win THEN
+        RAISE EXCEPTION 'Someone needs to reach % games to win.', match.games_to_win;
+    END IF;
+
+    UPDATE public.challenges
+    SET challenger_score = p_challenger_score,
+        challenged_score = p_challenged_score,
+        reported_by = caller_id,
+        reported_at = now(),
+        updated_at = now()
+    WHERE id = p_challenge_id
+    RETURNING * INTO match;
+
+    RETURN match;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.confirm_match_result(p_challenge_id uuid)
+RETURNS public.challenges AS $$
+DECLARE
+    match public.challenges;
+    caller_id uuid := public.current_profile_id();
+BEGIN
+    SELECT * INTO match FROM public.challenges WHERE id = p_challenge_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Challenge not found.';
+    END IF;
+
+    IF match.reported_by IS NULL OR match.status NOT IN ('scheduled', 'live') THEN
+        RAISE EXCEPTION 'There is no reported result to confirm.';
+    END IF;
+
+    IF caller_id IS NULL
+        OR caller_id NOT IN (match.challenger_id, match.challenged_id)
+        OR caller_id = match.reported_by THEN
+        RAISE EXCEPTION 'Only the opponent of the reporting player can confirm this result.';
+    END IF;
+
+    RETURN public.finalize_match(p_challenge_id, match.challenger_score, match.challenged_score);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.dispute_match_result(p_challenge_id uuid, p_reason text DEFAULT NULL)
+RETURNS public.challenges AS $$
+DECLARE
+    match public.challenges;
+    caller_id uuid := public.current_profile_id();
+BEGIN
+    SELECT * INTO match FROM public.challenges WHERE id = p_challenge_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Challenge not found.';
+    END IF;
+
+    IF match.reported_by IS NULL OR match.status NOT IN ('scheduled', 'live') THEN
+        RAISE EXCEPTION 'There is no reported result to dispute.';
+    END IF;
+
+    IF caller_id IS NULL
+        OR caller_id NOT IN (match.challenger_id, match.challenged_id)
+        OR caller_id = match.reported_by THEN
+        RAISE EXCEPTION 'Only the opponent of the reporting player can dispute this result.';
+    END IF;
+
+    UPDATE public.challenges
+    SET status = 'disputed',
+        dispute_reason = p_reason,
+        updated_at = now()
+    WHERE id = p_challenge_id
+    RETURNING * INTO match;
+
+    INSERT INTO public.activities (user_id, action_type, metadata)
+    VALUES (
+        caller_id,
+        'MATCH_DISPUTED',
+        jsonb_build_object(
+            'challenge_id', match.id,
+            'reported_score', match.challenger_score || ' - ' || match.challenged_score,
+            'reason', p_reason
+        )
+    );
+
+    RETURN match;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Finalizes reports the opponent ignored on accepted matches. Run by the
+-- scheduler with the service role key; returns the number of matches
+-- finalized.
+CREATE OR REPLACE FUNCTION public.auto_confirm_match_results(p_window interval DEFAULT interval '24 hours')
+RETURNS integer AS $$
+DECLARE
+    match public.challenges;
+    confirmed integer := 0;
+BEGIN
+    FOR match IN
+        SELECT * FROM public.challenges
+        WHERE reported_by IS NOT NULL
+          AND reported_at < now() - p_window
+          AND status IN ('scheduled', 'live')
+        FOR UPDATE SKIP LOCKED
+    LOOP
+        PERFORM public.finalize_match(match.id, match.challenger_score, match.challenged_score);
+        confirmed := confirmed + 1;
+    END LOOP;
+
+    RETURN confirmed;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.auto_confirm_match_results(interval) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.submit_match_result(uuid, integer, integer) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.confirm_match_result(uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.dispute_match_result(uuid, text) TO authenticated;
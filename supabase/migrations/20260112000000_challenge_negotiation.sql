@@ -0,0 +1,180 @@
+-- Venue/time negotiation thread
+-- Replaces the single `proposal` blob from the legacy server with a full
+-- history of proposals, counter-proposals and the final acceptance.
+
+CREATE TABLE IF NOT EXISTS public.challenge_proposals (
+    id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+    challenge_id uuid REFERENCES public.challenges(id) ON DELETE CASCADE NOT NULL,
+    proposed_by uuid REFERENCES public.profiles(id) NOT NULL,
+    action text NOT NULL CHECK (action IN ('propose', 'counter', 'accept')),
+    venues text[] NOT NULL DEFAULT '{}',
+    time_slots timestamp with time zone[] NOT NULL DEFAULT '{}',
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS challenge_proposals_challenge_idx
+    ON public.challenge_proposals (challenge_id, created_at);
+
+ALTER TABLE public.challenges
+    ADD COLUMN IF NOT EXISTS last_proposed_by uuid REFERENCES public.profiles(id);
+
+ALTER TABLE public.challenge_proposals ENABLE ROW LEVEL SECURITY;
+
+-- Read-only for clients; writes go through the functions below
+DROP POLICY IF EXISTS "Proposals are viewable by everyone" ON public.challenge_proposals;
+CREATE POLICY "Proposals are viewable by everyone" ON public.challenge_proposals FOR SELECT USING (true);
+
+CREATE OR REPLACE FUNCTION public.propose_challenge_terms(
+    p_challenge_id uuid,
+    p_venues text[],
+    p_time_slots timestamp with time zone[]
+)
+RETURNS public.challenges AS $$
+DECLARE
+    match public.challenges;
+    caller_id uuid := public.current_profile_id();
+    proposal_action text;
+BEGIN
+    SELECT * INTO match FROM public.challenges WHERE id = p_challenge_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Challenge not found.';
+    END IF;
+
+    IF caller_id IS NULL OR caller_id NOT IN (match.challenger_id, match.challenged_id) THEN
+        RAISE EXCEPTION 'Only the players in this challenge can negotiate it.';
+    END IF;
+
+    IF match.status NOT IN ('pending', 'negotiating') THEN
+        RAISE EXCEPTION 'This challenge is no longer open for negotiation.';
+    END IF;
+
+    IF match.last_proposed_by = caller_id THEN
+        RAISE EXCEPTION 'Wait for your opponent to respond to your last proposal.';
+    END IF;
+
+    IF coalesce(array_length(p_venues, 1), 0) = 0 THEN
+        RAISE EXCEPTION 'Pick at least one venue.';
+    END IF;
+
+    IF coalesce(array_length(p_time_slots, 1), 0) = 0 THEN
+        RAISE EXCEPTION 'Pick at least one time slot.';
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM unnest(p_time_slots) AS slot WHERE slot <= now()) THEN
+        RAISE EXCEPTION 'Proposed times must be in the future.';
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM public.challenge_proposals WHERE challenge_id = p_challenge_id) THEN
+        proposal_action := 'counter';
+    ELSE
+        proposal_action := 'propose';
+    END IF;
+
+    INSERT INTO public.challenge_proposals (challenge_id, proposed_by, action, venues, time_slots)
+    VALUES (p_challenge_id, caller_id, proposal_action, p_venues, p_time_slots);
+
+    UPDATE public.challenges
+    SET status = 'negotiating',
+        last_proposed_by = caller_id,
+        updated_at = now()
+    WHERE id = p_challenge_id
+    RETURNING * INTO match;
+
+    RETURN match;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.accept_challenge_proposal(
+    p_proposal_id uuid,
+    p_venue text,
+    p_time timestamp with time zone
+)
+RETURNS public.challenges AS $$
+DECLARE
+    proposal public.challenge_proposals;
+    match public.challenges;
+    caller_id uuid := public.current_profile_id();
+BEGIN
+    SELECT * INTO proposal FROM public.challenge_proposals WHERE id = p_proposal_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Proposal not found.';
+    END IF;
+
+    SELECT * INTO match FROM public.challenges WHERE id = proposal.challenge_id FOR UPDATE;
+
+    IF caller_id IS NULL
+        OR caller_id NOT IN (match.challenger_id, match.challenged_id)
+        OR caller_id = proposal.proposed_by THEN
+        RAISE EXCEPTION 'Only the opponent of the proposing player can accept these terms.';
+    END IF;
+
+    IF match.status <> 'negotiating' THEN
+        RAISE EXCEPTION 'This challenge is no longer open for negotiation.';
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM public.challenge_proposals
+        WHERE challenge_id = proposal.challenge_id AND created_at > proposal.created_at
+    ) THEN
+        RAISE EXCEPTION 'These terms have been superseded by a newer proposal.';
+    END IF;
+
+    IF NOT (p_venue = ANY(proposal.venues)) OR NOT (p_time = ANY(proposal.time_slots)) THEN
+        RAISE EXCEPTION 'Pick one of the proposed venues and time slots.';
+    END IF;
+
+    IF p_time <= now() THEN
+        RAISE EXCEPTION 'That time slot has already passed. Send a counter-proposal instead.';
+    END IF;
+
+    INSERT INTO public.challenge_proposals (challenge_id, proposed_by, action, venues, time_slots)
+    VALUES (match.id, caller_id, 'accept', ARRAY[p_venue], ARRAY[p_time]);
+
+    UPDATE public.challenges
+    SET status = 'scheduled',
+        venue = p_venue,
+        proposed_time = p_time,
+        updated_at = now()
+    WHERE id = match.id
+    RETURNING * INTO match;
+
+    RETURN match;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Either player can back out while the terms are still being worked out
+CREATE OR REPLACE FUNCTION public.decline_challenge(p_challenge_id uuid)
+RETURNS public.challenges AS $$
+DECLARE
+    match public.challenges;
+    caller_id uuid := public.current_profile_id();
+BEGIN
+    SELECT * INTO match FROM public.challenges WHERE id = p_challenge_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Challenge not found.';
+    END IF;
+
+    IF caller_id IS NULL OR caller_id NOT IN (match.challenger_id, match.challenged_id) THEN
+        RAISE EXCEPTION 'Only the players in this challenge can decline it.';
+    END IF;
+
+    IF match.status NOT IN ('pending', 'negotiating') THEN
+        RAISE EXCEPTION 'This challenge is no longer open for negotiation.';
+    END IF;
+
+    UPDATE public.challenges
+    SET status = 'forfeited',
+        updated_at = now()
+    WHERE id = p_challenge_id
+    RETURNING * INTO match;
+
+    RETURN match;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.propose_challenge_terms(uuid, text[], timestamp with time zone[]) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.accept_challenge_proposal(uuid, text, timestamp with time zone) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.decline_challenge(uuid) TO authenticated;
@@ -0,0 +1,54 @@
+-- Challenge response deadline enforcement
+-- Challenges still pending/negotiating after their 2-week deadline are
+-- forfeited by whichever player owed the next response. The challenged
+-- player responds first, then turns alternate with each proposal.
+-- Run by the scheduler with the service role key.
+
+CREATE OR REPLACE FUNCTION public.enforce_challenge_deadlines()
+RETURNS TABLE (expired_challenge_id uuid, winner uuid, loser uuid) AS $$
+DECLARE
+    match public.challenges;
+BEGIN
+    FOR match IN
+        SELECT * FROM public.challenges
+        WHERE status IN ('pending', 'negotiating')
+          AND deadline IS NOT NULL
+          AND deadline < now()
+        FOR UPDATE SKIP LOCKED
+    LOOP
+        IF match.last_proposed_by IS NULL OR match.last_proposed_by = match.challenger_id THEN
+            loser := match.challenged_id;
+            winner := match.challenger_id;
+        ELSE
+            loser := match.challenger_id;
+            winner := match.challenged_id;
+        END IF;
+
+        -- Same ladder movement as a played match
+        PERFORM public.update_rankings_on_win(winner, loser);
+
+        UPDATE public.challenges
+        SET status = 'forfeited',
+            winner_id = winner,
+            updated_at = now()
+        WHERE id = match.id;
+
+        INSERT INTO public.activities (user_id, action_type, metadata)
+        VALUES (
+            winner,
+            'CHALLENGE_FORFEITED',
+            jsonb_build_object(
+                'challenge_id', match.id,
+                'forfeited_by', loser,
+                'reason', 'deadline',
+                'game_type', match.game_type
+            )
+        );
+
+        expired_challenge_id := match.id;
+        RETURN NEXT;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.enforce_challenge_deadlines() FROM PUBLIC, anon, authenticated;
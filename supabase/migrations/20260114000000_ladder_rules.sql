@@ -0,0 +1,129 @@
+-- Configurable ladder rules
+-- Each league/season stores its challenge rules as jsonb; keys missing from a
+-- rule set fall back to the classic defaults (+/-5 spots, #1 challenges
+-- anyone, 24h cooldown). The same rules are evaluated client-side in
+-- src/lib/ladderRules.ts, so keep the messages below in sync.
+
+CREATE TABLE IF NOT EXISTS public.ladder_rule_sets (
+    id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+    league text NOT NULL DEFAULT 'top-of-the-capital',
+    season text NOT NULL,
+    rules jsonb NOT NULL DEFAULT '{}'::jsonb,
+    is_active boolean NOT NULL DEFAULT false,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    UNIQUE (league, season)
+);
+
+-- Only one active rule set per league
+CREATE UNIQUE INDEX IF NOT EXISTS ladder_rule_sets_active_idx
+    ON public.ladder_rule_sets (league) WHERE is_active;
+
+ALTER TABLE public.ladder_rule_sets ENABLE ROW LEVEL SECURITY;
+
+-- Read-only for clients; league admins edit rule sets with the service role
+DROP POLICY IF EXISTS "Ladder rules are viewable by everyone" ON public.ladder_rule_sets;
+CREATE POLICY "Ladder rules are viewable by everyone" ON public.ladder_rule_sets FOR SELECT USING (true);
+
+INSERT INTO public.ladder_rule_sets (league, season, rules, is_active)
+VALUES ('top-of-the-capital', '2026', '{}'::jsonb, true)
+ON CONFLICT (league, season) DO NOTHING;
+
+CREATE OR REPLACE FUNCTION public.get_ladder_rules(p_league text DEFAULT 'top-of-the-capital')
+RETURNS jsonb AS $$
+    SELECT jsonb_build_object(
+        'spot_range', 5,
+        'top_rank_challenges_anyone', true,
+        'enforce_cooldown', true,
+        'max_open_challenges', null,
+        'rematch_days', null
+    ) || COALESCE(
+        (SELECT rules FROM public.ladder_rule_sets WHERE league = p_league AND is_active),
+        '{}'::jsonb
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.check_challenge_eligibility(
+    p_challenger_id uuid,
+    p_challenged_id uuid,
+    p_league text DEFAULT 'top-of-the-capital'
+)
+RETURNS jsonb AS $$
+DECLARE
+    config jsonb := public.get_ladder_rules(p_league);
+    challenger public.profiles;
+    target public.profiles;
+    spot_range integer := (config->>'spot_range')::integer;
+    max_open integer := (config->>'max_open_challenges')::integer;
+    rematch_days integer := (config->>'rematch_days')::integer;
+    open_count integer;
+    last_match_at timestamp with time zone;
+    reasons jsonb := '[]'::jsonb;
+BEGIN
+    SELECT * INTO challenger FROM public.profiles WHERE id = p_challenger_id;
+    SELECT * INTO target FROM public.profiles WHERE id = p_challenged_id;
+
+    IF challenger.id IS NULL OR target.id IS NULL THEN
+        RAISE EXCEPTION 'Player not found.';
+    END IF;
+
+    -- 1. Cooldown
+    IF (config->>'enforce_cooldown')::boolean
+        AND challenger.cooldown_until IS NOT NULL
+        AND challenger.cooldown_until > now() THEN
+        reasons := reasons || jsonb_build_object(
+            'code', 'COOLDOWN',
+            'message', 'You are on a 24-hour cooldown after your last loss.'
+        );
+    END IF;
+
+    -- 2. Spot range (#1 may challenge anyone)
+    IF NOT ((config->>'top_rank_challenges_anyone')::boolean AND challenger.ladder_rank = 1)
+        AND abs(challenger.ladder_rank - target.ladder_rank) > spot_range THEN
+        reasons := reasons || jsonb_build_object(
+            'code', 'SPOT_RANGE',
+            'message', format('You can only challenge players within %s spots of your current rank.', spot_range)
+        );
+    END IF;
+
+    -- 3. Open challenge limit
+    IF max_open IS NOT NULL THEN
+        SELECT count(*) INTO open_count
+        FROM public.challenges
+        WHERE (challenger_id = p_challenger_id OR challenged_id = p_challenger_id)
+          AND status IN ('pending', 'negotiating', 'scheduled', 'live');
+
+        IF open_count >= max_open THEN
+            reasons := reasons || jsonb_build_object(
+                'code', 'OPEN_CHALLENGE_LIMIT',
+                'message', format('You already have %s open challenge%s. Finish one before issuing another.',
+                    max_open, CASE WHEN max_open = 1 THEN '' ELSE 's' END)
+            );
+        END IF;
+    END IF;
+
+    -- 4. No rematch within N days
+    IF rematch_days IS NOT NULL THEN
+        SELECT max(updated_at) INTO last_match_at
+        FROM public.challenges
+        WHERE ((challenger_id = p_challenger_id AND challenged_id = p_challenged_id)
+            OR (challenger_id = p_challenged_id AND challenged_id = p_challenger_id))
+          AND status IN ('completed', 'forfeited');
+
+        IF last_match_at IS NOT NULL AND last_match_at + make_interval(days => rematch_days) > now() THEN
+            reasons := reasons || jsonb_build_object(
+                'code', 'REMATCH_TOO_SOON',
+                'message', format('You played this opponent recently. Rematches are allowed after %s days.', rematch_days)
+            );
+        END IF;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'eligible', jsonb_array_length(reasons) = 0,
+        'error', reasons->0->>'message',
+        'reasons', reasons
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.get_ladder_rules(text) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.check_challenge_eligibility(uuid, uuid, text) TO authenticated;
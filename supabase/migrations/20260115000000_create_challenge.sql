@@ -0,0 +1,61 @@
+-- Server-validated challenge creation
+-- Clients used to insert into challenges directly after a client-only
+-- eligibility check, so a modified client could skip the ladder rules.
+-- Challenges are now created only through create_challenge(), which re-runs
+-- check_challenge_eligibility() and rejects duplicate open challenges.
+
+DROP POLICY IF EXISTS "Authenticated users can create challenges" ON public.challenges;
+
+CREATE OR REPLACE FUNCTION public.create_challenge(
+    p_challenged_id uuid,
+    p_game_type game_type,
+    p_games_to_win integer
+)
+RETURNS public.challenges AS $$
+DECLARE
+    caller_id uuid := public.current_profile_id();
+    eligibility jsonb;
+    match public.challenges;
+BEGIN
+    IF caller_id IS NULL THEN
+        RAISE EXCEPTION 'Claim your profile before issuing challenges.';
+    END IF;
+
+    IF caller_id = p_challenged_id THEN
+        RAISE EXCEPTION 'You cannot challenge yourself.';
+    END IF;
+
+    IF p_games_to_win < 3 OR p_games_to_win > 13 THEN
+        RAISE EXCEPTION 'Race must be between 3 and 13 games.';
+    END IF;
+
+    -- Lock both players (in a stable order) so concurrent challenges serialize
+    PERFORM 1 FROM public.profiles
+    WHERE id IN (caller_id, p_challenged_id)
+    ORDER BY id
+    FOR UPDATE;
+
+    IF EXISTS (
+        SELECT 1 FROM public.challenges
+        WHERE ((challenger_id = caller_id AND challenged_id = p_challenged_id)
+            OR (challenger_id = p_challenged_id AND challenged_id = caller_id))
+          AND status IN ('pending', 'negotiating', 'scheduled', 'live', 'disputed')
+    ) THEN
+        RAISE EXCEPTION 'You already have an open challenge with this player.';
+    END IF;
+
+    -- Ranks, cooldown and the active season's rules
+    eligibility := public.check_challenge_eligibility(caller_id, p_challenged_id);
+    IF NOT (eligibility->>'eligible')::boolean THEN
+        RAISE EXCEPTION '%', eligibility->>'error';
+    END IF;
+
+    INSERT INTO public.challenges (challenger_id, challenged_id, game_type, games_to_win, status, deadline)
+    VALUES (caller_id, p_challenged_id, p_game_type, p_games_to_win, 'pending', now() + interval '14 days')
+    RETURNING * INTO match;
+
+    RETURN match;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.create_challenge(uuid, game_type, integer) TO authenticated;
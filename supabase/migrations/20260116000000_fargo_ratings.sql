@@ -0,0 +1,145 @@
+-- Fargo-style ratings from match results
+-- fargo_rating used to be a static import. Every completed match now moves
+-- both players' ratings based on games won versus games expected, weighted by
+-- robustness (games played) so new players settle quickly. Each change is
+-- recorded in rating_history. The formula is mirrored in src/lib/rating.ts.
+
+ALTER TABLE public.profiles
+    ADD COLUMN IF NOT EXISTS fargo_robustness integer NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS public.rating_history (
+    id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+    profile_id uuid REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+    challenge_id uuid REFERENCES public.challenges(id) ON DELETE CASCADE NOT NULL,
+    rating_before integer NOT NULL,
+    rating_after integer NOT NULL,
+    delta integer NOT NULL,
+    games_played integer NOT NULL,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    UNIQUE (profile_id, challenge_id)
+);
+
+CREATE INDEX IF NOT EXISTS rating_history_profile_idx
+    ON public.rating_history (profile_id, created_at);
+
+ALTER TABLE public.rating_history ENABLE ROW LEVEL SECURITY;
+
+-- Read-only for clients; rows are written by apply_match_ratings()
+DROP POLICY IF EXISTS "Rating history is viewable by everyone" ON public.rating_history;
+CREATE POLICY "Rating history is viewable by everyone" ON public.rating_history FOR SELECT USING (true);
+
+CREATE OR REPLACE FUNCTION public.apply_match_ratings(p_challenge_id uuid)
+RETURNS void AS $$
+DECLARE
+    match public.challenges;
+    challenger public.profiles;
+    challenged public.profiles;
+    games integer;
+    surprise numeric;
+    challenger_delta integer;
+    challenged_delta integer;
+BEGIN
+    SELECT * INTO match FROM public.challenges WHERE id = p_challenge_id;
+
+    IF NOT FOUND OR match.status <> 'completed' THEN
+        RETURN;
+    END IF;
+
+    -- Already rated
+    IF EXISTS (SELECT 1 FROM public.rating_history WHERE challenge_id = p_challenge_id) THEN
+        RETURN;
+    END IF;
+
+    games := COALESCE(match.challenger_score, 0) + COALESCE(match.challenged_score, 0);
+    IF games <= 0 THEN
+        RETURN;
+    END IF;
+
+    SELECT * INTO challenger FROM public.profiles WHERE id = match.challenger_id FOR UPDATE;
+    SELECT * INTO challenged FROM public.profiles WHERE id = match.challenged_id FOR UPDATE;
+
+    -- Games won above what the rating gap predicted (100 points = 2:1 odds)
+    surprise := match.challenger_score
+        - games / (1 + power(2, (challenged.fargo_rating - challenger.fargo_rating) / 100.0));
+
+    -- Weight 8 for brand-new players easing to 2 once established at 200 games
+    challenger_delta := floor(
+        (2 + 6 * greatest(0, 1 - challenger.fargo_robustness / 200.0)) * surprise + 0.5
+    );
+    challenged_delta := floor(
+        -(2 + 6 * greatest(0, 1 - challenged.fargo_robustness / 200.0)) * surprise + 0.5
+    );
+
+    UPDATE public.profiles
+    SET fargo_rating = fargo_rating + challenger_delta,
+        fargo_robustness = fargo_robustness + games
+    WHERE id = challenger.id;
+
+    UPDATE public.profiles
+    SET fargo_rating = fargo_rating + challenged_delta,
+        fargo_robustness = fargo_robustness + games
+    WHERE id = challenged.id;
+
+    -- Stamped with the match time so replays keep the original order
+    INSERT INTO public.rating_history (profile_id, challenge_id, rating_before, rating_after, delta, games_played, created_at)
+    VALUES
+        (challenger.id, match.id, challenger.fargo_rating, challenger.fargo_rating + challenger_delta, challenger_delta, games, match.updated_at),
+        (challenged.id, match.id, challenged.fargo_rating, challenged.fargo_rating + challenged_delta, challenged_delta, games, match.updated_at);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Rate matches in the same transaction that completes them (finalize_match)
+CREATE OR REPLACE FUNCTION public.rate_completed_match()
+RETURNS trigger AS $$
+BEGIN
+    PERFORM public.apply_match_ratings(NEW.id);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS challenges_rate_completed ON public.challenges;
+CREATE TRIGGER challenges_rate_completed
+    AFTER UPDATE OF status ON public.challenges
+    FOR EACH ROW
+    WHEN (NEW.status = 'completed' AND OLD.status IS DISTINCT FROM 'completed')
+    EXECUTE FUNCTION public.rate_completed_match();
+
+-- Rebuild every rating from the imported baseline by replaying completed
+-- matches in order. Use after changing the formula or correcting old scores.
+CREATE OR REPLACE FUNCTION public.recompute_fargo_ratings()
+RETURNS integer AS $$
+DECLARE
+    match_id uuid;
+    rated integer := 0;
+BEGIN
+    -- Baseline is the rating before each player's first rated match
+    UPDATE public.profiles p
+    SET fargo_rating = first_entry.rating_before
+    FROM (
+        SELECT DISTINCT ON (profile_id) profile_id, rating_before
+        FROM public.rating_history
+        ORDER BY profile_id, created_at
+    ) AS first_entry
+    WHERE p.id = first_entry.profile_id;
+
+    UPDATE public.profiles SET fargo_robustness = 0;
+    DELETE FROM public.rating_history;
+
+    FOR match_id IN
+        SELECT id FROM public.challenges
+        WHERE status = 'completed'
+        ORDER BY updated_at
+    LOOP
+        PERFORM public.apply_match_ratings(match_id);
+        rated := rated + 1;
+    END LOOP;
+
+    RETURN rated;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.apply_match_ratings(uuid) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.recompute_fargo_ratings() FROM PUBLIC, anon, authenticated;
+
+-- Rate matches completed before this migration
+SELECT public.recompute_fargo_ratings();
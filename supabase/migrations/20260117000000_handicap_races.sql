@@ -0,0 +1,340 @@
+-- Handicapped races
+-- A challenge may carry a separate race target per player (e.g. 7 vs 5),
+-- suggested from the Fargo rating gap. Even races leave both columns NULL and
+-- keep using games_to_win; handicapped races store the longer race there.
+-- create_challenge checks a handicap against the same race chart, so nobody
+-- can spot themselves more games than the rating gap allows.
+
+ALTER TABLE public.challenges
+    ADD COLUMN IF NOT EXISTS challenger_race integer CHECK (challenger_race > 0),
+    ADD COLUMN IF NOT EXISTS challenged_race integer CHECK (challenged_race > 0);
+
+-- Validates a final score against each player's race and returns the winner.
+-- Mirrors determineMatchResult() in src/lib/logic.ts.
+CREATE OR REPLACE FUNCTION public.match_winner(
+    match public.challenges,
+    p_challenger_score integer,
+    p_challenged_score integer
+)
+RETURNS uuid AS $$
+DECLARE
+    challenger_race integer := COALESCE(match.challenger_race, match.games_to_win);
+    challenged_race integer := COALESCE(match.challenged_race, match.games_to_win);
+BEGIN
+    IF p_challenger_score < 0 OR p_challenged_score < 0 THEN
+        RAISE EXCEPTION 'Scores cannot be negative.';
+    END IF;
+
+    IF p_challenger_score >= challenger_race AND p_challenged_score >= challenged_race THEN
+        IF challenger_race = challenged_race THEN
+            RAISE EXCEPTION 'Only one player can reach % games.', challenger_race;
+        END IF;
+        RAISE EXCEPTION 'Only one player can finish their race.';
+    END IF;
+
+    IF p_challenger_score < challenger_race AND p_challenged_score < challenged_race THEN
+        IF challenger_race = challenged_race THEN
+            RAISE EXCEPTION 'Someone needs to reach % games to win.', challenger_race;
+        END IF;
+        RAISE EXCEPTION 'Someone needs to finish their race (%-%) to win.', challenger_race, challenged_race;
+    END IF;
+
+    IF p_challenger_score >= challenger_race THEN
+        RETURN match.challenger_id;
+    END IF;
+    RETURN match.challenged_id;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE SET search_path = public;
+
+-- Chance of winning p_race games before the opponent wins p_opponent_race.
+-- Mirrors matchWinProbability() in src/lib/rating.ts.
+CREATE OR REPLACE FUNCTION public.match_win_probability(
+    p_game_prob double precision,
+    p_race integer,
+    p_opponent_race integer
+)
+RETURNS double precision AS $$
+DECLARE
+    total double precision := 0;
+    ways double precision := 1;
+BEGIN
+    FOR losses IN 0 .. p_opponent_race - 1 LOOP
+        IF losses > 0 THEN
+            ways := ways * (p_race - 1 + losses) / losses;
+        END IF;
+        total := total + ways * power(p_game_prob, p_race) * power(1 - p_game_prob, losses);
+    END LOOP;
+    RETURN total;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE SET search_path = public;
+
+-- The weaker player's race from the race chart, with the stronger player
+-- going to p_long_race. Mirrors suggestHandicapRace() in src/lib/rating.ts.
+CREATE OR REPLACE FUNCTION public.handicap_short_race(
+    p_strong_rating double precision,
+    p_weak_rating double precision,
+    p_long_race integer
+)
+RETURNS integer AS $$
+DECLARE
+    strong_prob double precision := 1 / (1 + power(2::double precision, (p_weak_rating - p_strong_rating) / 100));
+    short_race integer := p_long_race;
+    best_gap double precision := abs(public.match_win_probability(strong_prob, p_long_race, p_long_race) - 0.5);
+    gap double precision;
+BEGIN
+    FOR race IN REVERSE p_long_race - 1 .. 1 LOOP
+        gap := abs(public.match_win_probability(strong_prob, p_long_race, race) - 0.5);
+        EXIT WHEN gap >= best_gap;
+        short_race := race;
+        best_gap := gap;
+    END LOOP;
+    RETURN short_race;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE SET search_path = public;
+
+-- Raises unless a handicapped race favours the lower-rated player by no more
+-- than the race chart allows. The higher-rated player always goes to
+-- p_games_to_win; a smaller spot than the chart's is fine.
+CREATE OR REPLACE FUNCTION public.check_handicap_race(
+    p_challenger_id uuid,
+    p_challenged_id uuid,
+    p_games_to_win integer,
+    p_challenger_race integer,
+    p_challenged_race integer
+)
+RETURNS void AS $$
+DECLARE
+    challenger_rating integer;
+    challenged_rating integer;
+    chart_short_race integer;
+BEGIN
+    SELECT fargo_rating INTO challenger_rating FROM public.profiles WHERE id = p_challenger_id;
+    SELECT fargo_rating INTO challenged_rating FROM public.profiles WHERE id = p_challenged_id;
+
+    IF challenger_rating IS NULL OR challenged_rating IS NULL THEN
+        RAISE EXCEPTION 'Both players need a Fargo rating for a handicapped race.';
+    END IF;
+
+    chart_short_race := public.handicap_short_race(
+        greatest(challenger_rating, challenged_rating),
+        least(challenger_rating, challenged_rating),
+        p_games_to_win
+    );
+
+    IF challenger_rating >= challenged_rating THEN
+        IF p_challenger_race <> p_games_to_win OR p_challenged_race < chart_short_race THEN
+            RAISE EXCEPTION 'The race chart allows at most %-% for these ratings.', p_games_to_win, chart_short_race;
+        END IF;
+    ELSIF p_challenged_race <> p_games_to_win OR p_challenger_race < chart_short_race THEN
+        RAISE EXCEPTION 'The race chart allows at most %-% for these ratings.', chart_short_race, p_games_to_win;
+    END IF;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.finalize_match(
+    p_challenge_id uuid,
+    p_challenger_score integer,
+    p_challenged_score integer
+)
+RETURNS public.challenges AS $$
+DECLARE
+    match public.challenges;
+    v_winner_id uuid;
+    v_loser_id uuid;
+    challenger_name text;
+    challenged_name text;
+BEGIN
+    -- Lock the challenge row so concurrent finalizations serialize here
+    SELECT * INTO match FROM public.challenges WHERE id = p_challenge_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Challenge not found.';
+    END IF;
+
+    IF match.status = 'completed' THEN
+        RAISE EXCEPTION 'This match has already been finalized.';
+    END IF;
+
+    IF match.status = 'forfeited' THEN
+        RAISE EXCEPTION 'This challenge was forfeited and cannot be finalized.';
+    END IF;
+
+    v_winner_id := public.match_winner(match, p_challenger_score, p_challenged_score);
+    IF v_winner_id = match.challenger_id THEN
+        v_loser_id := match.challenged_id;
+    ELSE
+        v_loser_id := match.challenger_id;
+    END IF;
+
+    SELECT full_name INTO challenger_name FROM public.profiles WHERE id = match.challenger_id;
+    SELECT full_name INTO challenged_name FROM public.profiles WHERE id = match.challenged_id;
+
+    -- 1. Rank movement
+    PERFORM public.update_rankings_on_win(v_winner_id, v_loser_id);
+
+    -- 2. 24h cooldown for the loser
+    UPDATE public.profiles
+    SET cooldown_until = now() + interval '24 hours'
+    WHERE id = v_loser_id;
+
+    -- 3. Activity feed entry
+    INSERT INTO public.activities (user_id, action_type, metadata)
+    VALUES (
+        v_winner_id,
+        'MATCH_COMPLETED',
+        jsonb_build_object(
+            'challenge_id', match.id,
+            'challenger_name', challenger_name,
+            'challenged_name', challenged_name,
+            'final_score', p_challenger_score || ' - ' || p_challenged_score,
+            'winner_name', CASE WHEN v_winner_id = match.challenger_id THEN challenger_name ELSE challenged_name END,
+            'game_type', match.game_type
+        )
+    );
+
+    -- 4. Close out the challenge
+    UPDATE public.challenges
+    SET status = 'completed',
+        challenger_score = p_challenger_score,
+        challenged_score = p_challenged_score,
+        winner_id = v_winner_id,
+        updated_at = now()
+    WHERE id = p_challenge_id
+    RETURNING * INTO match;
+
+    RETURN match;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.submit_match_result(
+    p_challenge_id uuid,
+    p_challenger_score integer,
+    p_challenged_score integer
+)
+RETURNS public.challenges AS $$
+DECLARE
+    match public.challenges;
+    caller_id uuid := public.current_profile_id();
+BEGIN
+    SELECT * INTO match FROM public.challenges WHERE id = p_challenge_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Challenge not found.';
+    END IF;
+
+    IF caller_id IS NULL OR caller_id NOT IN (match.challenger_id, match.challenged_id) THEN
+        RAISE EXCEPTION 'Only the players in this match can report its result.';
+    END IF;
+
+    IF match.status IN ('completed', 'forfeited') THEN
+        RAISE EXCEPTION 'This match has already been finalized.';
+    END IF;
+
+    IF match.status = 'disputed' THEN
+        RAISE EXCEPTION 'This result is under review by a league officer.';
+    END IF;
+
+    IF match.status NOT IN ('scheduled', 'live') THEN
+        RAISE EXCEPTION 'Only accepted matches can be reported.';
+    END IF;
+
+    IF match.reported_by IS NOT NULL AND match.reported_by <> caller_id THEN
+        RAISE EXCEPTION 'Your opponent already reported a result. Confirm or dispute it instead.';
+    END IF;
+
+    -- Raises if the score does not finish exactly one player's race
+    PERFORM public.match_winner(match, p_challenger_score, p_challenged_score);
+
+    UPDATE public.challenges
+    SET challenger_score = p_challenger_score,
+        challenged_score = p_challenged_score,
+        reported_by = caller_id,
+        reported_at = now(),
+        updated_at = now()
+    WHERE id = p_challenge_id
+    RETURNING * INTO match;
+
+    RETURN match;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- create_challenge gains optional per-player races
+DROP FUNCTION IF EXISTS public.create_challenge(uuid, game_type, integer);
+
+CREATE OR REPLACE FUNCTION public.create_challenge(
+    p_challenged_id uuid,
+    p_game_type game_type,
+    p_games_to_win integer,
+    p_challenger_race integer DEFAULT NULL,
+    p_challenged_race integer DEFAULT NULL
+)
+RETURNS public.challenges AS $$
+DECLARE
+    caller_id uuid := public.current_profile_id();
+    eligibility jsonb;
+    match public.challenges;
+BEGIN
+    IF caller_id IS NULL THEN
+        RAISE EXCEPTION 'Claim your profile before issuing challenges.';
+    END IF;
+
+    IF caller_id = p_challenged_id THEN
+        RAISE EXCEPTION 'You cannot challenge yourself.';
+    END IF;
+
+    IF p_games_to_win < 3 OR p_games_to_win > 13 THEN
+        RAISE EXCEPTION 'Race must be between 3 and 13 games.';
+    END IF;
+
+    IF (p_challenger_race IS NULL) <> (p_challenged_race IS NULL) THEN
+        RAISE EXCEPTION 'A handicapped race needs a target for both players.';
+    END IF;
+
+    IF p_challenger_race IS NOT NULL AND (
+        p_challenger_race < 1 OR p_challenged_race < 1
+        OR greatest(p_challenger_race, p_challenged_race) <> p_games_to_win
+    ) THEN
+        RAISE EXCEPTION 'Handicapped races must be between 1 and % games.', p_games_to_win;
+    END IF;
+
+    IF p_challenger_race IS NOT NULL THEN
+        PERFORM public.check_handicap_race(caller_id, p_challenged_id, p_games_to_win, p_challenger_race, p_challenged_race);
+    END IF;
+
+    -- Lock both players (in a stable order) so concurrent challenges serialize
+    PERFORM 1 FROM public.profiles
+    WHERE id IN (caller_id, p_challenged_id)
+    ORDER BY id
+    FOR UPDATE;
+
+    IF EXISTS (
+        SELECT 1 FROM public.challenges
+        WHERE ((challenger_id = caller_id AND challenged_id = p_challenged_id)
+            OR (challenger_id = p_challenged_id AND challenged_id = caller_id))
+          AND status IN ('pending', 'negotiating', 'scheduled', 'live', 'disputed')
+    ) THEN
+        RAISE EXCEPTION 'You already have an open challenge with this player.';
+    END IF;
+
+    -- Ranks, cooldown and the active season's rules
+    eligibility := public.check_challenge_eligibility(caller_id, p_challenged_id);
+    IF NOT (eligibility->>'eligible')::boolean THEN
+        RAISE EXCEPTION '%', eligibility->>'error';
+    END IF;
+
+    INSERT INTO public.challenges (
+        challenger_id, challenged_id, game_type, games_to_win,
+        challenger_race, challenged_race, status, deadline
+    )
+    VALUES (
+        caller_id, p_challenged_id, p_game_type, p_games_to_win,
+        p_challenger_race, p_challenged_race, 'pending', now() + interval '14 days'
+    )
+    RETURNING * INTO match;
+
+    RETURN match;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.create_challenge(uuid, game_type, integer, integer, integer) TO authenticated;
+REVOKE EXECUTE ON FUNCTION public.check_handicap_race(uuid, uuid, integer, integer, integer) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,391 @@
+-- Separate ladders per discipline
+-- Each player now holds a rank on the 8-ball, 9-ball and 10-ball ladders.
+-- Challenges only move (and are only checked against) the ladder for their
+-- game_type. profiles.ladder_rank is kept in sync with the 8-ball ladder for
+-- screens that show a single headline rank.
+
+CREATE TABLE IF NOT EXISTS public.ladder_positions (
+    profile_id uuid REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+    game_type game_type NOT NULL,
+    rank integer NOT NULL CHECK (rank > 0),
+    updated_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    PRIMARY KEY (profile_id, game_type),
+    -- Deferred so rank shifts can pass through duplicate ranks mid-statement
+    CONSTRAINT ladder_positions_rank_key UNIQUE (game_type, rank) DEFERRABLE INITIALLY DEFERRED
+);
+
+ALTER TABLE public.ladder_positions ENABLE ROW LEVEL SECURITY;
+
+-- Read-only for clients; ranks move through update_rankings_on_win()
+DROP POLICY IF EXISTS "Ladder positions are viewable by everyone" ON public.ladder_positions;
+CREATE POLICY "Ladder positions are viewable by everyone" ON public.ladder_positions FOR SELECT USING (true);
+
+-- Every ladder starts from the current single ladder
+INSERT INTO public.ladder_positions (profile_id, game_type, rank)
+SELECT p.id, gt.game_type, row_number() OVER (PARTITION BY gt.game_type ORDER BY p.ladder_rank, p.created_at)
+FROM public.profiles p
+CROSS JOIN unnest(enum_range(NULL::game_type)) AS gt(game_type)
+WHERE p.ladder_rank IS NOT NULL
+ON CONFLICT (profile_id, game_type) DO NOTHING;
+
+-- New players join the bottom of every ladder
+CREATE OR REPLACE FUNCTION public.add_to_ladders()
+RETURNS trigger AS $$
+BEGIN
+    INSERT INTO public.ladder_positions (profile_id, game_type, rank)
+    SELECT NEW.id, gt.game_type,
+        COALESCE((SELECT max(rank) FROM public.ladder_positions lp WHERE lp.game_type = gt.game_type), 0) + 1
+    FROM unnest(enum_range(NULL::game_type)) AS gt(game_type)
+    ON CONFLICT (profile_id, game_type) DO NOTHING;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS profiles_add_to_ladders ON public.profiles;
+CREATE TRIGGER profiles_add_to_ladders
+    AFTER INSERT ON public.profiles
+    FOR EACH ROW
+    EXECUTE FUNCTION public.add_to_ladders();
+
+-- Winner below the loser takes the loser's spot; everyone in between drops one
+DROP FUNCTION IF EXISTS public.update_rankings_on_win(uuid, uuid);
+
+CREATE OR REPLACE FUNCTION public.update_rankings_on_win(
+    match_winner_id uuid,
+    match_loser_id uuid,
+    p_game_type game_type
+)
+RETURNS void AS $$
+DECLARE
+    winner_rank integer;
+    loser_rank integer;
+BEGIN
+    SELECT rank INTO winner_rank FROM public.ladder_positions
+    WHERE profile_id = match_winner_id AND game_type = p_game_type FOR UPDATE;
+    SELECT rank INTO loser_rank FROM public.ladder_positions
+    WHERE profile_id = match_loser_id AND game_type = p_game_type FOR UPDATE;
+
+    IF winner_rank IS NULL OR loser_rank IS NULL OR winner_rank < loser_rank THEN
+        RETURN;
+    END IF;
+
+    UPDATE public.ladder_positions
+    SET rank = CASE WHEN profile_id = match_winner_id THEN loser_rank ELSE rank + 1 END,
+        updated_at = now()
+    WHERE game_type = p_game_type
+      AND rank >= loser_rank
+      AND rank <= winner_rank;
+
+    IF p_game_type = '8-ball' THEN
+        UPDATE public.profiles p
+        SET ladder_rank = lp.rank
+        FROM public.ladder_positions lp
+        WHERE lp.profile_id = p.id
+          AND lp.game_type = '8-ball'
+          AND lp.rank BETWEEN loser_rank AND winner_rank;
+    END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.update_rankings_on_win(uuid, uuid, game_type) FROM PUBLIC, anon, authenticated;
+
+CREATE OR REPLACE FUNCTION public.finalize_match(
+    p_challenge_id uuid,
+    p_challenger_score integer,
+    p_challenged_score integer
+)
+RETURNS public.challenges AS $$
+DECLARE
+    match public.challenges;
+    v_winner_id uuid;
+    v_loser_id uuid;
+    challenger_name text;
+    challenged_name text;
+BEGIN
+    -- Lock the challenge row so concurrent finalizations serialize here
+    SELECT * INTO match FROM public.challenges WHERE id = p_challenge_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Challenge not found.';
+    END IF;
+
+    IF match.status = 'completed' THEN
+        RAISE EXCEPTION 'This match has already been finalized.';
+    END IF;
+
+    IF match.status = 'forfeited' THEN
+        RAISE EXCEPTION 'This challenge was forfeited and cannot be finalized.';
+    END IF;
+
+    v_winner_id := public.match_winner(match, p_challenger_score, p_challenged_score);
+    IF v_winner_id = match.challenger_id THEN
+        v_loser_id := match.challenged_id;
+    ELSE
+        v_loser_id := match.challenger_id;
+    END IF;
+
+    SELECT full_name INTO challenger_name FROM public.profiles WHERE id = match.challenger_id;
+    SELECT full_name INTO challenged_name FROM public.profiles WHERE id = match.challenged_id;
+
+    -- 1. Rank movement on this discipline's ladder
+    PERFORM public.update_rankings_on_win(v_winner_id, v_loser_id, match.game_type);
+
+    -- 2. 24h cooldown for the loser
+    UPDATE public.profiles
+    SET cooldown_until = now() + interval '24 hours'
+    WHERE id = v_loser_id;
+
+    -- 3. Activity feed entry
+    INSERT INTO public.activities (user_id, action_type, metadata)
+    VALUES (
+        v_winner_id,
+        'MATCH_COMPLETED',
+        jsonb_build_object(
+            'challenge_id', match.id,
+            'challenger_name', challenger_name,
+            'challenged_name', challenged_name,
+            'final_score', p_challenger_score || ' - ' || p_challenged_score,
+            'winner_name', CASE WHEN v_winner_id = match.challenger_id THEN challenger_name ELSE challenged_name END,
+            'game_type', match.game_type
+        )
+    );
+
+    -- 4. Close out the challenge
+    UPDATE public.challenges
+    SET status = 'completed',
+        challenger_score = p_challenger_score,
+        challenged_score = p_challenged_score,
+        winner_id = v_winner_id,
+        updated_at = now()
+    WHERE id = p_challenge_id
+    RETURNING * INTO match;
+
+    RETURN match;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.enforce_challenge_deadlines()
+RETURNS TABLE (expired_challenge_id uuid, winner uuid, loser uuid) AS $$
+DECLARE
+    match public.challenges;
+BEGIN
+    FOR match IN
+        SELECT * FROM public.challenges
+        WHERE status IN ('pending', 'negotiating')
+          AND deadline IS NOT NULL
+          AND deadline < now()
+        FOR UPDATE SKIP LOCKED
+    LOOP
+        IF match.last_proposed_by IS NULL OR match.last_proposed_by = match.challenger_id THEN
+            loser := match.challenged_id;
+            winner := match.challenger_id;
+        ELSE
+            loser := match.challenger_id;
+            winner := match.challenged_id;
+        END IF;
+
+        -- Same ladder movement as a played match
+        PERFORM public.update_rankings_on_win(winner, loser, match.game_type);
+
+        UPDATE public.challenges
+        SET status = 'forfeited',
+            winner_id = winner,
+            updated_at = now()
+        WHERE id = match.id;
+
+        INSERT INTO public.activities (user_id, action_type, metadata)
+        VALUES (
+            winner,
+            'CHALLENGE_FORFEITED',
+            jsonb_build_object(
+                'challenge_id', match.id,
+                'forfeited_by', loser,
+                'reason', 'deadline',
+                'game_type', match.game_type
+            )
+        );
+
+        expired_challenge_id := match.id;
+        RETURN NEXT;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.enforce_challenge_deadlines() FROM PUBLIC, anon, authenticated;
+
+-- Eligibility is checked against the challenge's discipline ladder
+DROP FUNCTION IF EXISTS public.check_challenge_eligibility(uuid, uuid, text);
+
+CREATE OR REPLACE FUNCTION public.check_challenge_eligibility(
+    p_challenger_id uuid,
+    p_challenged_id uuid,
+    p_game_type game_type DEFAULT '8-ball',
+    p_league text DEFAULT 'top-of-the-capital'
+)
+RETURNS jsonb AS $$
+DECLARE
+    config jsonb := public.get_ladder_rules(p_league);
+    challenger public.profiles;
+    target public.profiles;
+    challenger_rank integer;
+    target_rank integer;
+    spot_range integer := (config->>'spot_range')::integer;
+    max_open integer := (config->>'max_open_challenges')::integer;
+    rematch_days integer := (config->>'rematch_days')::integer;
+    open_count integer;
+    last_match_at timestamp with time zone;
+    reasons jsonb := '[]'::jsonb;
+BEGIN
+    SELECT * INTO challenger FROM public.profiles WHERE id = p_challenger_id;
+    SELECT * INTO target FROM public.profiles WHERE id = p_challenged_id;
+
+    IF challenger.id IS NULL OR target.id IS NULL THEN
+        RAISE EXCEPTION 'Player not found.';
+    END IF;
+
+    SELECT rank INTO challenger_rank FROM public.ladder_positions
+    WHERE profile_id = p_challenger_id AND game_type = p_game_type;
+    SELECT rank INTO target_rank FROM public.ladder_positions
+    WHERE profile_id = p_challenged_id AND game_type = p_game_type;
+
+    IF challenger_rank IS NULL OR target_rank IS NULL THEN
+        RAISE EXCEPTION 'Both players need a spot on the % ladder.', p_game_type;
+    END IF;
+
+    -- 1. Cooldown
+    IF (config->>'enforce_cooldown')::boolean
+        AND challenger.cooldown_until IS NOT NULL
+        AND challenger.cooldown_until > now() THEN
+        reasons := reasons || jsonb_build_object(
+            'code', 'COOLDOWN',
+            'message', 'You are on a 24-hour cooldown after your last loss.'
+        );
+    END IF;
+
+    -- 2. Spot range (#1 may challenge anyone)
+    IF NOT ((config->>'top_rank_challenges_anyone')::boolean AND challenger_rank = 1)
+        AND abs(challenger_rank - target_rank) > spot_range THEN
+        reasons := reasons || jsonb_build_object(
+            'code', 'SPOT_RANGE',
+            'message', format('You can only challenge players within %s spots of your current rank.', spot_range)
+        );
+    END IF;
+
+    -- 3. Open challenge limit
+    IF max_open IS NOT NULL THEN
+        SELECT count(*) INTO open_count
+        FROM public.challenges
+        WHERE (challenger_id = p_challenger_id OR challenged_id = p_challenger_id)
+          AND status IN ('pending', 'negotiating', 'scheduled', 'live');
+
+        IF open_count >= max_open THEN
+            reasons := reasons || jsonb_build_object(
+                'code', 'OPEN_CHALLENGE_LIMIT',
+                'message', format('You already have %s open challenge%s. Finish one before issuing another.',
+                    max_open, CASE WHEN max_open = 1 THEN '' ELSE 's' END)
+            );
+        END IF;
+    END IF;
+
+    -- 4. No rematch within N days
+    IF rematch_days IS NOT NULL THEN
+        SELECT max(updated_at) INTO last_match_at
+        FROM public.challenges
+        WHERE ((challenger_id = p_challenger_id AND challenged_id = p_challenged_id)
+            OR (challenger_id = p_challenged_id AND challenged_id = p_challenger_id))
+          AND status IN ('completed', 'forfeited');
+
+        IF last_match_at IS NOT NULL AND last_match_at + make_interval(days => rematch_days) > now() THEN
+            reasons := reasons || jsonb_build_object(
+                'code', 'REMATCH_TOO_SOON',
+                'message', format('You played this opponent recently. Rematches are allowed after %s days.', rematch_days)
+            );
+        END IF;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'eligible', jsonb_array_length(reasons) = 0,
+        'error', reasons->0->>'message',
+        'reasons', reasons
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.check_challenge_eligibility(uuid, uuid, game_type, text) TO authenticated;
+
+CREATE OR REPLACE FUNCTION public.create_challenge(
+    p_challenged_id uuid,
+    p_game_type game_type,
+    p_games_to_win integer,
+    p_challenger_race integer DEFAULT NULL,
+    p_challenged_race integer DEFAULT NULL
+)
+RETURNS public.challenges AS $$
+DECLARE
+    caller_id uuid := public.current_profile_id();
+    eligibility jsonb;
+    match public.challenges;
+BEGIN
+    IF caller_id IS NULL THEN
+        RAISE EXCEPTION 'Claim your profile before issuing challenges.';
+    END IF;
+
+    IF caller_id = p_challenged_id THEN
+        RAISE EXCEPTION 'You cannot challenge yourself.';
+    END IF;
+
+    IF p_games_to_win < 3 OR p_games_to_win > 13 THEN
+        RAISE EXCEPTION 'Race must be between 3 and 13 games.';
+    END IF;
+
+    IF (p_challenger_race IS NULL) <> (p_challenged_race IS NULL) THEN
+        RAISE EXCEPTION 'A handicapped race needs a target for both players.';
+    END IF;
+
+    IF p_challenger_race IS NOT NULL AND (
+        p_challenger_race < 1 OR p_challenged_race < 1
+        OR greatest(p_challenger_race, p_challenged_race) <> p_games_to_win
+    ) THEN
+        RAISE EXCEPTION 'Handicapped races must be between 1 and % games.', p_games_to_win;
+    END IF;
+
+    IF p_challenger_race IS NOT NULL THEN
+        PERFORM public.check_handicap_race(caller_id, p_challenged_id, p_games_to_win, p_challenger_race, p_challenged_race);
+    END IF;
+
+    -- Lock both players (in a stable order) so concurrent challenges serialize
+    PERFORM 1 FROM public.profiles
+    WHERE id IN (caller_id, p_challenged_id)
+    ORDER BY id
+    FOR UPDATE;
+
+    IF EXISTS (
+        SELECT 1 FROM public.challenges
+        WHERE ((challenger_id = caller_id AND challenged_id = p_challenged_id)
+            OR (challenger_id = p_challenged_id AND challenged_id = caller_id))
+          AND status IN ('pending', 'negotiating', 'scheduled', 'live', 'disputed')
+    ) THEN
+        RAISE EXCEPTION 'You already have an open challenge with this player.';
+    END IF;
+
+    -- Ranks on this discipline's ladder, cooldown and the active season's rules
+    eligibility := public.check_challenge_eligibility(caller_id, p_challenged_id, p_game_type);
+    IF NOT (eligibility->>'eligible')::boolean THEN
+        RAISE EXCEPTION '%', eligibility->>'error';
+    END IF;
+
+    INSERT INTO public.challenges (
+        challenger_id, challenged_id, game_type, games_to_win,
+        challenger_race, challenged_race, status, deadline
+    )
+    VALUES (
+        caller_id, p_challenged_id, p_game_type, p_games_to_win,
+        p_challenger_race, p_challenged_race, 'pending', now() + interval '14 days'
+    )
+    RETURNING * INTO match;
+
+    RETURN match;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.create_challenge(uuid, game_type, integer, integer, integer) TO authenticated;
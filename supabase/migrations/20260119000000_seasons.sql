@@ -0,0 +1,177 @@
+-- Seasons
+-- Time-boxed competition. Every challenge belongs to the season it was
+-- issued in. Closing a season freezes each ladder into season_standings, then
+-- applies the season's reset/carry-over policies before the next one starts.
+
+CREATE TABLE IF NOT EXISTS public.seasons (
+    id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+    league text NOT NULL DEFAULT 'top-of-the-capital',
+    name text NOT NULL,
+    starts_at timestamp with time zone NOT NULL,
+    ends_at timestamp with time zone NOT NULL,
+    status text NOT NULL DEFAULT 'upcoming' CHECK (status IN ('upcoming', 'active', 'completed')),
+    -- carry_over keeps every ladder as-is; reseed_by_fargo re-sorts each ladder by rating
+    rank_policy text NOT NULL DEFAULT 'carry_over' CHECK (rank_policy IN ('carry_over', 'reseed_by_fargo')),
+    -- reset zeroes engagement points; carry_over keeps them
+    points_policy text NOT NULL DEFAULT 'reset' CHECK (points_policy IN ('carry_over', 'reset')),
+    closed_at timestamp with time zone,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    CHECK (ends_at > starts_at)
+);
+
+-- Only one active season per league
+CREATE UNIQUE INDEX IF NOT EXISTS seasons_active_idx
+    ON public.seasons (league) WHERE status = 'active';
+
+CREATE TABLE IF NOT EXISTS public.season_standings (
+    season_id uuid REFERENCES public.seasons(id) ON DELETE CASCADE NOT NULL,
+    profile_id uuid REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+    game_type game_type NOT NULL,
+    rank integer NOT NULL,
+    points integer NOT NULL DEFAULT 0,
+    wins integer NOT NULL DEFAULT 0,
+    losses integer NOT NULL DEFAULT 0,
+    fargo_rating integer,
+    PRIMARY KEY (season_id, profile_id, game_type)
+);
+
+ALTER TABLE public.seasons ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.season_standings ENABLE ROW LEVEL SECURITY;
+
+-- Read-only for clients; seasons are closed with close_season()
+DROP POLICY IF EXISTS "Seasons are viewable by everyone" ON public.seasons;
+CREATE POLICY "Seasons are viewable by everyone" ON public.seasons FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Season standings are viewable by everyone" ON public.season_standings;
+CREATE POLICY "Season standings are viewable by everyone" ON public.season_standings FOR SELECT USING (true);
+
+-- First season covers everything played so far
+INSERT INTO public.seasons (name, starts_at, ends_at, status)
+SELECT '2026',
+    COALESCE((SELECT min(created_at) FROM public.challenges), now()),
+    timestamp with time zone '2027-01-01 00:00:00+00',
+    'active'
+WHERE NOT EXISTS (SELECT 1 FROM public.seasons);
+
+ALTER TABLE public.challenges
+    ADD COLUMN IF NOT EXISTS season_id uuid REFERENCES public.seasons(id);
+
+CREATE INDEX IF NOT EXISTS challenges_season_idx ON public.challenges (season_id);
+
+UPDATE public.challenges
+SET season_id = (SELECT id FROM public.seasons WHERE status = 'active' LIMIT 1)
+WHERE season_id IS NULL;
+
+-- Active season for a league
+CREATE OR REPLACE FUNCTION public.current_season_id(p_league text DEFAULT 'top-of-the-capital')
+RETURNS uuid AS $$
+    SELECT id FROM public.seasons WHERE league = p_league AND status = 'active' LIMIT 1;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- New challenges are stamped with the active season
+CREATE OR REPLACE FUNCTION public.set_challenge_season()
+RETURNS trigger AS $$
+BEGIN
+    IF NEW.season_id IS NULL THEN
+        NEW.season_id := public.current_season_id();
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS challenges_set_season ON public.challenges;
+CREATE TRIGGER challenges_set_season
+    BEFORE INSERT ON public.challenges
+    FOR EACH ROW
+    EXECUTE FUNCTION public.set_challenge_season();
+
+-- Archives the active season and opens the next one with the same policies.
+-- Run by a league officer with the service role key; returns the new season.
+CREATE OR REPLACE FUNCTION public.close_season(
+    p_season_id uuid,
+    p_next_name text,
+    p_next_ends_at timestamp with time zone
+)
+RETURNS public.seasons AS $$
+DECLARE
+    season public.seasons;
+    next_season public.seasons;
+BEGIN
+    SELECT * INTO season FROM public.seasons WHERE id = p_season_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Season not found.';
+    END IF;
+
+    IF season.status <> 'active' THEN
+        RAISE EXCEPTION 'Only the active season can be closed.';
+    END IF;
+
+    IF p_next_ends_at <= now() THEN
+        RAISE EXCEPTION 'The next season must end in the future.';
+    END IF;
+
+    -- 1. Freeze every ladder with this season's record. Forfeits count like
+    -- played matches, as they do for ladder movement and the live leaderboard.
+    INSERT INTO public.season_standings (season_id, profile_id, game_type, rank, points, wins, losses, fargo_rating)
+    SELECT season.id, lp.profile_id, lp.game_type, lp.rank, p.points,
+        (SELECT count(*) FROM public.challenges c
+         WHERE c.season_id = season.id AND c.status IN ('completed', 'forfeited') AND c.game_type = lp.game_type
+           AND c.winner_id = lp.profile_id),
+        (SELECT count(*) FROM public.challenges c
+         WHERE c.season_id = season.id AND c.status IN ('completed', 'forfeited') AND c.game_type = lp.game_type
+           AND lp.profile_id IN (c.challenger_id, c.challenged_id)
+           AND c.winner_id <> lp.profile_id),
+        p.fargo_rating
+    FROM public.ladder_positions lp
+    JOIN public.profiles p ON p.id = lp.profile_id;
+
+    -- 2. Points policy
+    IF season.points_policy = 'reset' THEN
+        UPDATE public.profiles SET points = 0 WHERE points <> 0;
+    END IF;
+
+    -- 3. Rank policy
+    IF season.rank_policy = 'reseed_by_fargo' THEN
+        UPDATE public.ladder_positions lp
+        SET rank = reseeded.new_rank,
+            updated_at = now()
+        FROM (
+            SELECT l.profile_id, l.game_type,
+                row_number() OVER (PARTITION BY l.game_type ORDER BY p.fargo_rating DESC, l.rank) AS new_rank
+            FROM public.ladder_positions l
+            JOIN public.profiles p ON p.id = l.profile_id
+        ) AS reseeded
+        WHERE lp.profile_id = reseeded.profile_id
+          AND lp.game_type = reseeded.game_type;
+
+        UPDATE public.profiles p
+        SET ladder_rank = lp.rank
+        FROM public.ladder_positions lp
+        WHERE lp.profile_id = p.id AND lp.game_type = '8-ball';
+    END IF;
+
+    -- 4. Archive and roll over
+    UPDATE public.seasons
+    SET status = 'completed',
+        closed_at = now()
+    WHERE id = season.id;
+
+    INSERT INTO public.seasons (league, name, starts_at, ends_at, status, rank_policy, points_policy)
+    VALUES (season.league, p_next_name, now(), p_next_ends_at, 'active', season.rank_policy, season.points_policy)
+    RETURNING * INTO next_season;
+
+    INSERT INTO public.activities (user_id, action_type, metadata)
+    SELECT s.profile_id, 'SEASON_COMPLETED', jsonb_build_object(
+        'season_id', season.id,
+        'season_name', season.name,
+        'game_type', s.game_type
+    )
+    FROM public.season_standings s
+    WHERE s.season_id = season.id AND s.rank = 1;
+
+    RETURN next_season;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.close_season(uuid, text, timestamp with time zone) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,145 @@
+-- Ladder inactivity decay and rank-defense obligations
+-- Configured per league through ladder_rule_sets.rules (both off by default):
+--   inactivity_days  players with no accepted or played match on a ladder in
+--                    this many days drop inactivity_drop spots (null = off)
+--   defense_top_n    the top N of each ladder must defend their spot as the
+--                    challenged player every defense_days days (null = off)
+-- apply_inactivity_decay() is run daily by the scheduler with the service role key.
+
+ALTER TABLE public.ladder_positions
+    ADD COLUMN IF NOT EXISTS decayed_at timestamp with time zone;
+
+CREATE OR REPLACE FUNCTION public.get_ladder_rules(p_league text DEFAULT 'top-of-the-capital')
+RETURNS jsonb AS $$
+    SELECT jsonb_build_object(
+        'spot_range', 5,
+        'top_rank_challenges_anyone', true,
+        'enforce_cooldown', true,
+        'max_open_challenges', null,
+        'rematch_days', null,
+        'inactivity_days', null,
+        'inactivity_drop', 3,
+        'defense_top_n', null,
+        'defense_days', 14
+    ) || COALESCE(
+        (SELECT rules FROM public.ladder_rule_sets WHERE league = p_league AND is_active),
+        '{}'::jsonb
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Drops every inactive or undefended player inactivity_drop spots, once per
+-- missed period. Returns one row per player that dropped, plus a 'moved_up'
+-- row for each spot a player below climbed past them.
+CREATE OR REPLACE FUNCTION public.apply_inactivity_decay(p_league text DEFAULT 'top-of-the-capital')
+RETURNS TABLE (player_id uuid, ladder game_type, previous_rank integer, new_rank integer, reason text) AS $$
+DECLARE
+    config jsonb := public.get_ladder_rules(p_league);
+    inactivity_days integer := (config->>'inactivity_days')::integer;
+    inactivity_drop integer := COALESCE((config->>'inactivity_drop')::integer, 0);
+    defense_top_n integer := (config->>'defense_top_n')::integer;
+    defense_days integer := COALESCE((config->>'defense_days')::integer, 0);
+    candidate record;
+    current_rank integer;
+    start_rank integer;
+    below_id uuid;
+BEGIN
+    IF inactivity_drop < 1 OR (inactivity_days IS NULL AND defense_top_n IS NULL) THEN
+        RETURN;
+    END IF;
+
+    FOR candidate IN
+        SELECT lp.profile_id, lp.game_type,
+            CASE
+                WHEN inactivity_days IS NOT NULL
+                    AND greatest(p.created_at, lp.decayed_at, activity.last_active_at) < now() - make_interval(days => inactivity_days)
+                THEN 'inactive'
+                ELSE 'defense'
+            END AS decay_reason
+        FROM public.ladder_positions lp
+        JOIN public.profiles p ON p.id = lp.profile_id
+        -- Last accepted or played match on this ladder
+        CROSS JOIN LATERAL (
+            SELECT max(c.updated_at) AS last_active_at
+            FROM public.challenges c
+            WHERE lp.profile_id IN (c.challenger_id, c.challenged_id)
+              AND c.game_type = lp.game_type
+              AND c.status IN ('scheduled', 'live', 'completed', 'disputed')
+        ) AS activity
+        -- Last completed defense, and whether one is already underway
+        CROSS JOIN LATERAL (
+            SELECT max(c.updated_at) FILTER (WHERE c.status = 'completed') AS last_defended_at,
+                count(*) FILTER (WHERE c.status IN ('pending', 'negotiating', 'scheduled', 'live', 'disputed')) > 0 AS defense_pending
+            FROM public.challenges c
+            WHERE c.challenged_id = lp.profile_id
+              AND c.game_type = lp.game_type
+        ) AS defense
+        WHERE (
+            inactivity_days IS NOT NULL
+            AND greatest(p.created_at, lp.decayed_at, activity.last_active_at) < now() - make_interval(days => inactivity_days)
+        ) OR (
+            defense_top_n IS NOT NULL
+            AND lp.rank <= defense_top_n
+            AND NOT defense.defense_pending
+            -- The clock restarts whenever the player's rank moves
+            AND greatest(lp.updated_at, lp.decayed_at, defense.last_defended_at) < now() - make_interval(days => defense_days)
+        )
+        ORDER BY lp.game_type, lp.rank
+    LOOP
+        -- Ranks shift as earlier candidates drop, so read the current one
+        SELECT rank INTO current_rank FROM public.ladder_positions
+        WHERE profile_id = candidate.profile_id AND game_type = candidate.game_type;
+
+        start_rank := current_rank;
+        ladder := candidate.game_type;
+
+        -- One spot at a time: the player below takes the spot exactly as if
+        -- they had won a match against the inactive player
+        FOR step IN 1..inactivity_drop LOOP
+            SELECT profile_id INTO below_id FROM public.ladder_positions
+            WHERE game_type = candidate.game_type AND rank = current_rank + 1;
+
+            EXIT WHEN below_id IS NULL;
+
+            PERFORM public.update_rankings_on_win(below_id, candidate.profile_id, candidate.game_type);
+
+            -- The player below moves up a spot, so they hear about it too
+            player_id := below_id;
+            previous_rank := current_rank + 1;
+            new_rank := current_rank;
+            reason := 'moved_up';
+            RETURN NEXT;
+
+            current_rank := current_rank + 1;
+        END LOOP;
+
+        UPDATE public.ladder_positions
+        SET decayed_at = now()
+        WHERE profile_id = candidate.profile_id AND game_type = candidate.game_type;
+
+        -- Already at the bottom of the ladder
+        CONTINUE WHEN current_rank = start_rank;
+
+        player_id := candidate.profile_id;
+        previous_rank := start_rank;
+        new_rank := current_rank;
+        reason := candidate.decay_reason;
+
+        -- Same shape as ActivityService.recordRankChange()
+        INSERT INTO public.activities (user_id, action_type, metadata)
+        VALUES (
+            candidate.profile_id,
+            'RANK_CHANGE',
+            jsonb_build_object(
+                'previous_rank', previous_rank,
+                'new_rank', new_rank,
+                'game_type', candidate.game_type,
+                'reason', candidate.decay_reason
+            )
+        );
+
+        RETURN NEXT;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.apply_inactivity_decay(text) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,445 @@
+-- Rank history
+-- Every change to a ladder_positions rank is recorded with its cause, so each
+-- player has a rank-over-time timeline per ladder. Functions that move ranks
+-- set the cause for the current transaction; anything else (a league officer
+-- editing ranks with the service role) is recorded as 'admin'.
+
+CREATE TABLE IF NOT EXISTS public.rank_history (
+    id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+    profile_id uuid REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+    game_type game_type NOT NULL,
+    -- NULL when the player first joins the ladder
+    rank_before integer,
+    rank_after integer NOT NULL,
+    cause text NOT NULL CHECK (cause IN ('joined', 'match', 'forfeit', 'decay', 'season', 'admin')),
+    challenge_id uuid REFERENCES public.challenges(id) ON DELETE SET NULL,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS rank_history_profile_idx ON public.rank_history (profile_id, game_type, created_at);
+CREATE INDEX IF NOT EXISTS rank_history_recent_idx ON public.rank_history (game_type, created_at);
+
+ALTER TABLE public.rank_history ENABLE ROW LEVEL SECURITY;
+
+-- Read-only for clients; written by the ladder_positions trigger
+DROP POLICY IF EXISTS "Rank history is viewable by everyone" ON public.rank_history;
+CREATE POLICY "Rank history is viewable by everyone" ON public.rank_history FOR SELECT USING (true);
+
+-- Starting point for every existing position
+INSERT INTO public.rank_history (profile_id, game_type, rank_before, rank_after, cause, created_at)
+SELECT lp.profile_id, lp.game_type, NULL, lp.rank, 'joined', lp.updated_at
+FROM public.ladder_positions lp
+WHERE NOT EXISTS (
+    SELECT 1 FROM public.rank_history rh
+    WHERE rh.profile_id = lp.profile_id AND rh.game_type = lp.game_type
+);
+
+CREATE OR REPLACE FUNCTION public.log_rank_change()
+RETURNS trigger AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        INSERT INTO public.rank_history (profile_id, game_type, rank_before, rank_after, cause)
+        VALUES (NEW.profile_id, NEW.game_type, NULL, NEW.rank, 'joined');
+    ELSIF NEW.rank IS DISTINCT FROM OLD.rank THEN
+        INSERT INTO public.rank_history (profile_id, game_type, rank_before, rank_after, cause, challenge_id)
+        VALUES (
+            NEW.profile_id,
+            NEW.game_type,
+            OLD.rank,
+            NEW.rank,
+            COALESCE(NULLIF(current_setting('ladder.rank_cause', true), ''), 'admin'),
+            NULLIF(current_setting('ladder.rank_challenge_id', true), '')::uuid
+        );
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS ladder_positions_log_rank ON public.ladder_positions;
+CREATE TRIGGER ladder_positions_log_rank
+    AFTER INSERT OR UPDATE OF rank ON public.ladder_positions
+    FOR EACH ROW
+    EXECUTE FUNCTION public.log_rank_change();
+
+-- update_rankings_on_win records why ranks moved
+DROP FUNCTION IF EXISTS public.update_rankings_on_win(uuid, uuid, game_type);
+
+CREATE OR REPLACE FUNCTION public.update_rankings_on_win(
+    match_winner_id uuid,
+    match_loser_id uuid,
+    p_game_type game_type,
+    p_cause text DEFAULT 'match',
+    p_challenge_id uuid DEFAULT NULL
+)
+RETURNS void AS $$
+DECLARE
+    winner_rank integer;
+    loser_rank integer;
+BEGIN
+    SELECT rank INTO winner_rank FROM public.ladder_positions
+    WHERE profile_id = match_winner_id AND game_type = p_game_type FOR UPDATE;
+    SELECT rank INTO loser_rank FROM public.ladder_positions
+    WHERE profile_id = match_loser_id AND game_type = p_game_type FOR UPDATE;
+
+    IF winner_rank IS NULL OR loser_rank IS NULL OR winner_rank < loser_rank THEN
+        RETURN;
+    END IF;
+
+    -- Read by log_rank_change(); cleared again below
+    PERFORM set_config('ladder.rank_cause', p_cause, true);
+    PERFORM set_config('ladder.rank_challenge_id', COALESCE(p_challenge_id::text, ''), true);
+
+    UPDATE public.ladder_positions
+    SET rank = CASE WHEN profile_id = match_winner_id THEN loser_rank ELSE rank + 1 END,
+        updated_at = now()
+    WHERE game_type = p_game_type
+      AND rank >= loser_rank
+      AND rank <= winner_rank;
+
+    PERFORM set_config('ladder.rank_cause', '', true);
+    PERFORM set_config('ladder.rank_challenge_id', '', true);
+
+    IF p_game_type = '8-ball' THEN
+        UPDATE public.profiles p
+        SET ladder_rank = lp.rank
+        FROM public.ladder_positions lp
+        WHERE lp.profile_id = p.id
+          AND lp.game_type = '8-ball'
+          AND lp.rank BETWEEN loser_rank AND winner_rank;
+    END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.update_rankings_on_win(uuid, uuid, game_type, text, uuid) FROM PUBLIC, anon, authenticated;
+
+-- Callers pass their cause through
+CREATE OR REPLACE FUNCTION public.finalize_match(
+    p_challenge_id uuid,
+    p_challenger_score integer,
+    p_challenged_score integer
+)
+RETURNS public.challenges AS $$
+DECLARE
+    match public.challenges;
+    v_winner_id uuid;
+    v_loser_id uuid;
+    challenger_name text;
+    challenged_name text;
+BEGIN
+    -- Lock the challenge row so concurrent finalizations serialize here
+    SELECT * INTO match FROM public.challenges WHERE id = p_challenge_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Challenge not found.';
+    END IF;
+
+    IF match.status = 'completed' THEN
+        RAISE EXCEPTION 'This match has already been finalized.';
+    END IF;
+
+    IF match.status = 'forfeited' THEN
+        RAISE EXCEPTION 'This challenge was forfeited and cannot be finalized.';
+    END IF;
+
+    v_winner_id := public.match_winner(match, p_challenger_score, p_challenged_score);
+    IF v_winner_id = match.challenger_id THEN
+        v_loser_id := match.challenged_id;
+    ELSE
+        v_loser_id := match.challenger_id;
+    END IF;
+
+    SELECT full_name INTO challenger_name FROM public.profiles WHERE id = match.challenger_id;
+    SELECT full_name INTO challenged_name FROM public.profiles WHERE id = match.challenged_id;
+
+    -- 1. Rank movement on this discipline's ladder
+    PERFORM public.update_rankings_on_win(v_winner_id, v_loser_id, match.game_type, 'match', match.id);
+
+    -- 2. 24h cooldown for the loser
+    UPDATE public.profiles
+    SET cooldown_until = now() + interval '24 hours'
+    WHERE id = v_loser_id;
+
+    -- 3. Activity feed entry
+    INSERT INTO public.activities (user_id, action_type, metadata)
+    VALUES (
+        v_winner_id,
+        'MATCH_COMPLETED',
+        jsonb_build_object(
+            'challenge_id', match.id,
+            'challenger_name', challenger_name,
+            'challenged_name', challenged_name,
+            'final_score', p_challenger_score || ' - ' || p_challenged_score,
+            'winner_name', CASE WHEN v_winner_id = match.challenger_id THEN challenger_name ELSE challenged_name END,
+            'game_type', match.game_type
+        )
+    );
+
+    -- 4. Close out the challenge
+    UPDATE public.challenges
+    SET status = 'completed',
+        challenger_score = p_challenger_score,
+        challenged_score = p_challenged_score,
+        winner_id = v_winner_id,
+        updated_at = now()
+    WHERE id = p_challenge_id
+    RETURNING * INTO match;
+
+    RETURN match;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.enforce_challenge_deadlines()
+RETURNS TABLE (expired_challenge_id uuid, winner uuid, loser uuid) AS $$
+DECLARE
+    match public.challenges;
+BEGIN
+    FOR match IN
+        SELECT * FROM public.challenges
+        WHERE status IN ('pending', 'negotiating')
+          AND deadline IS NOT NULL
+          AND deadline < now()
+        FOR UPDATE SKIP LOCKED
+    LOOP
+        IF match.last_proposed_by IS NULL OR match.last_proposed_by = match.challenger_id THEN
+            loser := match.challenged_id;
+            winner := match.challenger_id;
+        ELSE
+            loser := match.challenger_id;
+            winner := match.challenged_id;
+        END IF;
+
+        -- Same ladder movement as a played match
+        PERFORM public.update_rankings_on_win(winner, loser, match.game_type, 'forfeit', match.id);
+
+        UPDATE public.challenges
+        SET status = 'forfeited',
+            winner_id = winner,
+            updated_at = now()
+        WHERE id = match.id;
+
+        INSERT INTO public.activities (user_id, action_type, metadata)
+        VALUES (
+            winner,
+            'CHALLENGE_FORFEITED',
+            jsonb_build_object(
+                'challenge_id', match.id,
+                'forfeited_by', loser,
+                'reason', 'deadline',
+                'game_type', match.game_type
+            )
+        );
+
+        expired_challenge_id := match.id;
+        RETURN NEXT;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.enforce_challenge_deadlines() FROM PUBLIC, anon, authenticated;
+
+CREATE OR REPLACE FUNCTION public.apply_inactivity_decay(p_league text DEFAULT 'top-of-the-capital')
+RETURNS TABLE (player_id uuid, ladder game_type, previous_rank integer, new_rank integer, reason text) AS $$
+DECLARE
+    config jsonb := public.get_ladder_rules(p_league);
+    inactivity_days integer := (config->>'inactivity_days')::integer;
+    inactivity_drop integer := COALESCE((config->>'inactivity_drop')::integer, 0);
+    defense_top_n integer := (config->>'defense_top_n')::integer;
+    defense_days integer := COALESCE((config->>'defense_days')::integer, 0);
+    candidate record;
+    current_rank integer;
+    start_rank integer;
+    below_id uuid;
+BEGIN
+    IF inactivity_drop < 1 OR (inactivity_days IS NULL AND defense_top_n IS NULL) THEN
+        RETURN;
+    END IF;
+
+    FOR candidate IN
+        SELECT lp.profile_id, lp.game_type,
+            CASE
+                WHEN inactivity_days IS NOT NULL
+                    AND greatest(p.created_at, lp.decayed_at, activity.last_active_at) < now() - make_interval(days => inactivity_days)
+                THEN 'inactive'
+                ELSE 'defense'
+            END AS decay_reason
+        FROM public.ladder_positions lp
+        JOIN public.profiles p ON p.id = lp.profile_id
+        -- Last accepted or played match on this ladder
+        CROSS JOIN LATERAL (
+            SELECT max(c.updated_at) AS last_active_at
+            FROM public.challenges c
+            WHERE lp.profile_id IN (c.challenger_id, c.challenged_id)
+              AND c.game_type = lp.game_type
+              AND c.status IN ('scheduled', 'live', 'completed', 'disputed')
+        ) AS activity
+        -- Last completed defense, and whether one is already underway
+        CROSS JOIN LATERAL (
+            SELECT max(c.updated_at) FILTER (WHERE c.status = 'completed') AS last_defended_at,
+                count(*) FILTER (WHERE c.status IN ('pending', 'negotiating', 'scheduled', 'live', 'disputed')) > 0 AS defense_pending
+            FROM public.challenges c
+            WHERE c.challenged_id = lp.profile_id
+              AND c.game_type = lp.game_type
+        ) AS defense
+        WHERE (
+            inactivity_days IS NOT NULL
+            AND greatest(p.created_at, lp.decayed_at, activity.last_active_at) < now() - make_interval(days => inactivity_days)
+        ) OR (
+            defense_top_n IS NOT NULL
+            AND lp.rank <= defense_top_n
+            AND NOT defense.defense_pending
+            -- The clock restarts whenever the player's rank moves
+            AND greatest(lp.updated_at, lp.decayed_at, defense.last_defended_at) < now() - make_interval(days => defense_days)
+        )
+        ORDER BY lp.game_type, lp.rank
+    LOOP
+        -- Ranks shift as earlier candidates drop, so read the current one
+        SELECT rank INTO current_rank FROM public.ladder_positions
+        WHERE profile_id = candidate.profile_id AND game_type = candidate.game_type;
+
+        start_rank := current_rank;
+        ladder := candidate.game_type;
+
+        -- One spot at a time: the player below takes the spot exactly as if
+        -- they had won a match against the inactive player
+        FOR step IN 1..inactivity_drop LOOP
+            SELECT profile_id INTO below_id FROM public.ladder_positions
+            WHERE game_type = candidate.game_type AND rank = current_rank + 1;
+
+            EXIT WHEN below_id IS NULL;
+
+            PERFORM public.update_rankings_on_win(below_id, candidate.profile_id, candidate.game_type, 'decay');
+
+            -- The player below moves up a spot, so they hear about it too
+            player_id := below_id;
+            previous_rank := current_rank + 1;
+            new_rank := current_rank;
+            reason := 'moved_up';
+            RETURN NEXT;
+
+            current_rank := current_rank + 1;
+        END LOOP;
+
+        UPDATE public.ladder_positions
+        SET decayed_at = now()
+        WHERE profile_id = candidate.profile_id AND game_type = candidate.game_type;
+
+        -- Already at the bottom of the ladder
+        CONTINUE WHEN current_rank = start_rank;
+
+        player_id := candidate.profile_id;
+        previous_rank := start_rank;
+        new_rank := current_rank;
+        reason := candidate.decay_reason;
+
+        -- Same shape as ActivityService.recordRankChange()
+        INSERT INTO public.activities (user_id, action_type, metadata)
+        VALUES (
+            candidate.profile_id,
+            'RANK_CHANGE',
+            jsonb_build_object(
+                'previous_rank', previous_rank,
+                'new_rank', new_rank,
+                'game_type', candidate.game_type,
+                'reason', candidate.decay_reason
+            )
+        );
+
+        RETURN NEXT;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.apply_inactivity_decay(text) FROM PUBLIC, anon, authenticated;
+
+CREATE OR REPLACE FUNCTION public.close_season(
+    p_season_id uuid,
+    p_next_name text,
+    p_next_ends_at timestamp with time zone
+)
+RETURNS public.seasons AS $$
+DECLARE
+    season public.seasons;
+    next_season public.seasons;
+BEGIN
+    SELECT * INTO season FROM public.seasons WHERE id = p_season_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Season not found.';
+    END IF;
+
+    IF season.status <> 'active' THEN
+        RAISE EXCEPTION 'Only the active season can be closed.';
+    END IF;
+
+    IF p_next_ends_at <= now() THEN
+        RAISE EXCEPTION 'The next season must end in the future.';
+    END IF;
+
+    -- 1. Freeze every ladder with this season's record. Forfeits count like
+    -- played matches, as they do for ladder movement and the live leaderboard.
+    INSERT INTO public.season_standings (season_id, profile_id, game_type, rank, points, wins, losses, fargo_rating)
+    SELECT season.id, lp.profile_id, lp.game_type, lp.rank, p.points,
+        (SELECT count(*) FROM public.challenges c
+         WHERE c.season_id = season.id AND c.status IN ('completed', 'forfeited') AND c.game_type = lp.game_type
+           AND c.winner_id = lp.profile_id),
+        (SELECT count(*) FROM public.challenges c
+         WHERE c.season_id = season.id AND c.status IN ('completed', 'forfeited') AND c.game_type = lp.game_type
+           AND lp.profile_id IN (c.challenger_id, c.challenged_id)
+           AND c.winner_id <> lp.profile_id),
+        p.fargo_rating
+    FROM public.ladder_positions lp
+    JOIN public.profiles p ON p.id = lp.profile_id;
+
+    -- 2. Points policy
+    IF season.points_policy = 'reset' THEN
+        UPDATE public.profiles SET points = 0 WHERE points <> 0;
+    END IF;
+
+    -- 3. Rank policy
+    IF season.rank_policy = 'reseed_by_fargo' THEN
+        PERFORM set_config('ladder.rank_cause', 'season', true);
+
+        UPDATE public.ladder_positions lp
+        SET rank = reseeded.new_rank,
+            updated_at = now()
+        FROM (
+            SELECT l.profile_id, l.game_type,
+                row_number() OVER (PARTITION BY l.game_type ORDER BY p.fargo_rating DESC, l.rank) AS new_rank
+            FROM public.ladder_positions l
+            JOIN public.profiles p ON p.id = l.profile_id
+        ) AS reseeded
+        WHERE lp.profile_id = reseeded.profile_id
+          AND lp.game_type = reseeded.game_type;
+
+        UPDATE public.profiles p
+        SET ladder_rank = lp.rank
+        FROM public.ladder_positions lp
+        WHERE lp.profile_id = p.id AND lp.game_type = '8-ball';
+
+        PERFORM set_config('ladder.rank_cause', '', true);
+    END IF;
+
+    -- 4. Archive and roll over
+    UPDATE public.seasons
+    SET status = 'completed',
+        closed_at = now()
+    WHERE id = season.id;
+
+    INSERT INTO public.seasons (league, name, starts_at, ends_at, status, rank_policy, points_policy)
+    VALUES (season.league, p_next_name, now(), p_next_ends_at, 'active', season.rank_policy, season.points_policy)
+    RETURNING * INTO next_season;
+
+    INSERT INTO public.activities (user_id, action_type, metadata)
+    SELECT s.profile_id, 'SEASON_COMPLETED', jsonb_build_object(
+        'season_id', season.id,
+        'season_name', season.name,
+        'game_type', s.game_type
+    )
+    FROM public.season_standings s
+    WHERE s.season_id = season.id AND s.rank = 1;
+
+    RETURN next_season;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.close_season(uuid, text, timestamp with time zone) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,520 @@
+-- League officer tools
+-- Officers are listed in league_officers (granted with the service role key).
+-- Every admin_* RPC checks the caller is an officer, requires a reason, and
+-- records what it did in admin_actions, which it returns to the console.
+
+ALTER TYPE public.challenge_status ADD VALUE IF NOT EXISTS 'voided';
+
+CREATE TABLE IF NOT EXISTS public.league_officers (
+    profile_id uuid REFERENCES public.profiles(id) ON DELETE CASCADE PRIMARY KEY,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS public.admin_actions (
+    id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+    officer_id uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+    action text NOT NULL CHECK (action IN (
+        'set_rank', 'void_match', 'resolve_dispute', 'overturn_result', 'correct_score',
+        'record_result', 'clear_cooldown', 'merge_profiles', 'release_claim'
+    )),
+    target_profile_id uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+    target_challenge_id uuid REFERENCES public.challenges(id) ON DELETE SET NULL,
+    reason text NOT NULL,
+    -- Before/after values for the change
+    details jsonb NOT NULL DEFAULT '{}'::jsonb,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS admin_actions_recent_idx ON public.admin_actions (created_at DESC);
+
+CREATE OR REPLACE FUNCTION public.is_league_officer()
+RETURNS boolean AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM public.league_officers
+        WHERE profile_id = public.current_profile_id()
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.is_league_officer() TO authenticated;
+
+ALTER TABLE public.league_officers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.admin_actions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Officers are viewable by everyone" ON public.league_officers;
+CREATE POLICY "Officers are viewable by everyone" ON public.league_officers FOR SELECT USING (true);
+
+-- Append-only; rows are written by the admin_* functions
+DROP POLICY IF EXISTS "Admin actions are viewable by officers" ON public.admin_actions;
+CREATE POLICY "Admin actions are viewable by officers" ON public.admin_actions FOR SELECT USING (public.is_league_officer());
+
+-- Raises unless the caller is an officer with a reason; returns their profile id
+CREATE OR REPLACE FUNCTION public.require_league_officer(p_reason text)
+RETURNS uuid AS $$
+DECLARE
+    officer_id uuid := public.current_profile_id();
+BEGIN
+    IF officer_id IS NULL OR NOT EXISTS (SELECT 1 FROM public.league_officers WHERE profile_id = officer_id) THEN
+        RAISE EXCEPTION 'Only league officers can do this.';
+    END IF;
+
+    IF p_reason IS NULL OR btrim(p_reason) = '' THEN
+        RAISE EXCEPTION 'Give a reason for this change.';
+    END IF;
+
+    RETURN officer_id;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.log_admin_action(
+    p_officer_id uuid,
+    p_action text,
+    p_reason text,
+    p_details jsonb,
+    p_profile_id uuid DEFAULT NULL,
+    p_challenge_id uuid DEFAULT NULL
+)
+RETURNS public.admin_actions AS $$
+DECLARE
+    entry public.admin_actions;
+BEGIN
+    INSERT INTO public.admin_actions (officer_id, action, target_profile_id, target_challenge_id, reason, details)
+    VALUES (p_officer_id, p_action, p_profile_id, p_challenge_id, btrim(p_reason), p_details)
+    RETURNING * INTO entry;
+    RETURN entry;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Moves a player to a rank on one ladder; everyone in between shifts one
+-- spot to close the gap. Rank changes are logged as 'admin' unless the caller
+-- set another cause.
+CREATE OR REPLACE FUNCTION public.move_ladder_position(
+    p_profile_id uuid,
+    p_game_type game_type,
+    p_rank integer
+)
+RETURNS integer AS $$
+DECLARE
+    current_rank integer;
+    bottom_rank integer;
+BEGIN
+    SELECT rank INTO current_rank FROM public.ladder_positions
+    WHERE profile_id = p_profile_id AND game_type = p_game_type FOR UPDATE;
+
+    IF current_rank IS NULL THEN
+        RAISE EXCEPTION 'Player is not on the % ladder.', p_game_type;
+    END IF;
+
+    SELECT max(rank) INTO bottom_rank FROM public.ladder_positions WHERE game_type = p_game_type;
+
+    IF p_rank < 1 OR p_rank > bottom_rank THEN
+        RAISE EXCEPTION 'Rank must be between 1 and %.', bottom_rank;
+    END IF;
+
+    IF p_rank = current_rank THEN
+        RETURN current_rank;
+    END IF;
+
+    UPDATE public.ladder_positions
+    SET rank = CASE
+            WHEN profile_id = p_profile_id THEN p_rank
+            WHEN p_rank < current_rank THEN rank + 1
+            ELSE rank - 1
+        END,
+        updated_at = now()
+    WHERE game_type = p_game_type
+      AND rank BETWEEN least(p_rank, current_rank) AND greatest(p_rank, current_rank);
+
+    IF p_game_type = '8-ball' THEN
+        UPDATE public.profiles p
+        SET ladder_rank = lp.rank
+        FROM public.ladder_positions lp
+        WHERE lp.profile_id = p.id
+          AND lp.game_type = '8-ball'
+          AND lp.rank BETWEEN least(p_rank, current_rank) AND greatest(p_rank, current_rank);
+    END IF;
+
+    RETURN current_rank;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Undoes what finalize_match did to ratings and ranks. The winner goes back
+-- to their pre-match rank, which is exact unless later matches moved them.
+CREATE OR REPLACE FUNCTION public.revert_match_effects(match public.challenges)
+RETURNS jsonb AS $$
+DECLARE
+    rating record;
+    winner_rank_before integer;
+    winner_rank_now integer;
+    restored_rank integer;
+BEGIN
+    FOR rating IN SELECT * FROM public.rating_history WHERE challenge_id = match.id LOOP
+        UPDATE public.profiles
+        SET fargo_rating = fargo_rating - rating.delta,
+            fargo_robustness = greatest(0, fargo_robustness - rating.games_played)
+        WHERE id = rating.profile_id;
+    END LOOP;
+    DELETE FROM public.rating_history WHERE challenge_id = match.id;
+
+    SELECT rank_before INTO winner_rank_before FROM public.rank_history
+    WHERE challenge_id = match.id AND profile_id = match.winner_id AND rank_before IS NOT NULL
+    ORDER BY created_at
+    LIMIT 1;
+
+    SELECT rank INTO winner_rank_now FROM public.ladder_positions
+    WHERE profile_id = match.winner_id AND game_type = match.game_type;
+
+    restored_rank := winner_rank_now;
+    IF winner_rank_before IS NOT NULL AND winner_rank_now < winner_rank_before THEN
+        restored_rank := least(
+            winner_rank_before,
+            (SELECT max(rank) FROM public.ladder_positions WHERE game_type = match.game_type)
+        );
+        PERFORM set_config('ladder.rank_challenge_id', match.id::text, true);
+        PERFORM public.move_ladder_position(match.winner_id, match.game_type, restored_rank);
+        PERFORM set_config('ladder.rank_challenge_id', '', true);
+    END IF;
+
+    RETURN jsonb_build_object(
+        'winner_id', match.winner_id,
+        'winner_rank_before', winner_rank_now,
+        'winner_rank_after', restored_rank
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.admin_set_rank(
+    p_profile_id uuid,
+    p_game_type game_type,
+    p_rank integer,
+    p_reason text
+)
+RETURNS public.admin_actions AS $$
+DECLARE
+    officer_id uuid := public.require_league_officer(p_reason);
+    previous_rank integer;
+BEGIN
+    previous_rank := public.move_ladder_position(p_profile_id, p_game_type, p_rank);
+
+    RETURN public.log_admin_action(officer_id, 'set_rank', p_reason, jsonb_build_object(
+        'game_type', p_game_type,
+        'rank_before', previous_rank,
+        'rank_after', p_rank
+    ), p_profile_id);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Voiding is final. The pending report is cleared too, so neither the
+-- opponent nor the auto-confirm job can finalize the match afterwards.
+CREATE OR REPLACE FUNCTION public.admin_void_match(p_challenge_id uuid, p_reason text)
+RETURNS public.admin_actions AS $$
+DECLARE
+    officer_id uuid := public.require_league_officer(p_reason);
+    match public.challenges;
+    reverted jsonb := '{}'::jsonb;
+BEGIN
+    SELECT * INTO match FROM public.challenges WHERE id = p_challenge_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Challenge not found.';
+    END IF;
+
+    IF match.status = 'voided' THEN
+        RAISE EXCEPTION 'This match has already been voided.';
+    END IF;
+
+    IF match.status IN ('completed', 'forfeited') THEN
+        reverted := public.revert_match_effects(match);
+    END IF;
+
+    UPDATE public.challenges
+    SET status = 'voided',
+        reported_by = NULL,
+        reported_at = NULL,
+        winner_id = NULL,
+        updated_at = now()
+    WHERE id = p_challenge_id;
+
+    RETURN public.log_admin_action(officer_id, 'void_match', p_reason, jsonb_build_object(
+        'status_before', match.status,
+        'winner_before', match.winner_id,
+        'score_before', match.challenger_score || ' - ' || match.challenged_score,
+        'ranks', reverted
+    ), NULL, p_challenge_id);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Sets the final score of a match. Resolves disputes, reports results on a
+-- player's behalf, or corrects/overturns a completed match (its rank and
+-- rating effects are undone first, then the new result is applied).
+CREATE OR REPLACE FUNCTION public.admin_set_match_result(
+    p_challenge_id uuid,
+    p_challenger_score integer,
+    p_challenged_score integer,
+    p_reason text
+)
+RETURNS public.admin_actions AS $$
+DECLARE
+    officer_id uuid := public.require_league_officer(p_reason);
+    match public.challenges;
+    updated public.challenges;
+    reverted jsonb := '{}'::jsonb;
+    action text;
+BEGIN
+    SELECT * INTO match FROM public.challenges WHERE id = p_challenge_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Challenge not found.';
+    END IF;
+
+    IF match.status IN ('forfeited', 'voided') THEN
+        RAISE EXCEPTION 'This challenge was % and has no result to change.', match.status;
+    END IF;
+
+    -- Raises if the score does not finish exactly one player's race
+    PERFORM public.match_winner(match, p_challenger_score, p_challenged_score);
+
+    IF match.status = 'completed' THEN
+        reverted := public.revert_match_effects(match);
+
+        -- Reopen so finalize_match (and the rating trigger) run again
+        UPDATE public.challenges
+        SET status = 'disputed',
+            winner_id = NULL
+        WHERE id = p_challenge_id;
+    END IF;
+
+    updated := public.finalize_match(p_challenge_id, p_challenger_score, p_challenged_score);
+
+    action := CASE
+        WHEN match.status = 'disputed' THEN 'resolve_dispute'
+        WHEN match.status <> 'completed' THEN 'record_result'
+        WHEN match.winner_id <> updated.winner_id THEN 'overturn_result'
+        ELSE 'correct_score'
+    END;
+
+    RETURN public.log_admin_action(officer_id, action, p_reason, jsonb_build_object(
+        'status_before', match.status,
+        'score_before', match.challenger_score || ' - ' || match.challenged_score,
+        'score_after', p_challenger_score || ' - ' || p_challenged_score,
+        'winner_before', match.winner_id,
+        'winner_after', updated.winner_id,
+        'ranks', reverted
+    ), NULL, p_challenge_id);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.admin_clear_cooldown(p_profile_id uuid, p_reason text)
+RETURNS public.admin_actions AS $$
+DECLARE
+    officer_id uuid := public.require_league_officer(p_reason);
+    previous timestamp with time zone;
+BEGIN
+    SELECT cooldown_until INTO previous FROM public.profiles WHERE id = p_profile_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Player not found.';
+    END IF;
+
+    UPDATE public.profiles SET cooldown_until = NULL WHERE id = p_profile_id;
+
+    RETURN public.log_admin_action(officer_id, 'clear_cooldown', p_reason, jsonb_build_object(
+        'cooldown_until_before', previous
+    ), p_profile_id);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.admin_release_claim(p_profile_id uuid, p_reason text)
+RETURNS public.admin_actions AS $$
+DECLARE
+    officer_id uuid := public.require_league_officer(p_reason);
+    previous_owner uuid;
+BEGIN
+    SELECT owner_id INTO previous_owner FROM public.profiles WHERE id = p_profile_id FOR UPDATE;
+
+    IF previous_owner IS NULL THEN
+        RAISE EXCEPTION 'This profile has not been claimed.';
+    END IF;
+
+    UPDATE public.profiles
+    SET owner_id = NULL,
+        expo_push_token = NULL
+    WHERE id = p_profile_id;
+
+    RETURN public.log_admin_action(officer_id, 'release_claim', p_reason, jsonb_build_object(
+        'owner_before', previous_owner
+    ), p_profile_id);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Points every row that refers to the duplicate profile at the kept one, so
+-- nothing is lost when the duplicate is deleted. Rows the kept profile
+-- already has an equivalent of are folded in or dropped first. Features
+-- that add a reference to profiles extend this.
+CREATE OR REPLACE FUNCTION public.merge_profile_references(p_keep_id uuid, p_duplicate_id uuid)
+RETURNS void AS $$
+BEGIN
+    UPDATE public.challenges SET challenger_id = p_keep_id WHERE challenger_id = p_duplicate_id;
+    UPDATE public.challenges SET challenged_id = p_keep_id WHERE challenged_id = p_duplicate_id;
+    UPDATE public.challenges SET winner_id = p_keep_id WHERE winner_id = p_duplicate_id;
+    UPDATE public.challenges SET reported_by = p_keep_id WHERE reported_by = p_duplicate_id;
+    UPDATE public.challenges SET last_proposed_by = p_keep_id WHERE last_proposed_by = p_duplicate_id;
+    UPDATE public.challenge_proposals SET proposed_by = p_keep_id WHERE proposed_by = p_duplicate_id;
+    UPDATE public.activities SET user_id = p_keep_id WHERE user_id = p_duplicate_id;
+    UPDATE public.comments SET user_id = p_keep_id WHERE user_id = p_duplicate_id;
+
+    DELETE FROM public.cheers c
+    WHERE c.user_id = p_duplicate_id
+      AND EXISTS (SELECT 1 FROM public.cheers k WHERE k.activity_id = c.activity_id AND k.user_id = p_keep_id);
+    UPDATE public.cheers SET user_id = p_keep_id WHERE user_id = p_duplicate_id;
+
+    DELETE FROM public.rating_history r
+    WHERE r.profile_id = p_duplicate_id
+      AND EXISTS (SELECT 1 FROM public.rating_history k WHERE k.challenge_id = r.challenge_id AND k.profile_id = p_keep_id);
+    UPDATE public.rating_history SET profile_id = p_keep_id WHERE profile_id = p_duplicate_id;
+
+    UPDATE public.rank_history SET profile_id = p_keep_id WHERE profile_id = p_duplicate_id;
+
+    -- Archived seasons both played in add up, keeping the better finish
+    UPDATE public.season_standings k
+    SET rank = LEAST(k.rank, d.rank),
+        points = k.points + d.points,
+        wins = k.wins + d.wins,
+        losses = k.losses + d.losses
+    FROM public.season_standings d
+    WHERE k.profile_id = p_keep_id
+      AND d.profile_id = p_duplicate_id
+      AND d.season_id = k.season_id
+      AND d.game_type = k.game_type;
+    DELETE FROM public.season_standings d
+    WHERE d.profile_id = p_duplicate_id
+      AND EXISTS (
+          SELECT 1 FROM public.season_standings k
+          WHERE k.profile_id = p_keep_id AND k.season_id = d.season_id AND k.game_type = d.game_type
+      );
+    UPDATE public.season_standings SET profile_id = p_keep_id WHERE profile_id = p_duplicate_id;
+
+    INSERT INTO public.league_officers (profile_id)
+    SELECT p_keep_id FROM public.league_officers WHERE profile_id = p_duplicate_id
+    ON CONFLICT (profile_id) DO NOTHING;
+
+    UPDATE public.admin_actions SET officer_id = p_keep_id WHERE officer_id = p_duplicate_id;
+    UPDATE public.admin_actions SET target_profile_id = p_keep_id WHERE target_profile_id = p_duplicate_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Folds a duplicate profile into the one being kept: match history, feed
+-- entries and points move over, the kept player takes the better of the two
+-- ranks on each ladder, and the duplicate leaves every ladder.
+CREATE OR REPLACE FUNCTION public.admin_merge_profiles(
+    p_keep_id uuid,
+    p_duplicate_id uuid,
+    p_reason text
+)
+RETURNS public.admin_actions AS $$
+DECLARE
+    officer_id uuid := public.require_league_officer(p_reason);
+    keep public.profiles;
+    duplicate public.profiles;
+    dup_position record;
+    keep_rank integer;
+    ranks jsonb := '{}'::jsonb;
+BEGIN
+    IF p_keep_id = p_duplicate_id THEN
+        RAISE EXCEPTION 'Choose two different profiles to merge.';
+    END IF;
+
+    PERFORM 1 FROM public.profiles
+    WHERE id IN (p_keep_id, p_duplicate_id)
+    ORDER BY id
+    FOR UPDATE;
+
+    SELECT * INTO keep FROM public.profiles WHERE id = p_keep_id;
+    SELECT * INTO duplicate FROM public.profiles WHERE id = p_duplicate_id;
+
+    IF keep.id IS NULL OR duplicate.id IS NULL THEN
+        RAISE EXCEPTION 'Player not found.';
+    END IF;
+
+    IF keep.owner_id IS NOT NULL AND duplicate.owner_id IS NOT NULL AND keep.owner_id <> duplicate.owner_id THEN
+        RAISE EXCEPTION 'Both profiles are claimed by different accounts. Release one claim first.';
+    END IF;
+
+    -- 1. Ladders: keep the better rank, then close the duplicate's gap
+    FOR dup_position IN
+        SELECT * FROM public.ladder_positions WHERE profile_id = p_duplicate_id ORDER BY game_type
+    LOOP
+        SELECT rank INTO keep_rank FROM public.ladder_positions
+        WHERE profile_id = p_keep_id AND game_type = dup_position.game_type;
+
+        ranks := ranks || jsonb_build_object(dup_position.game_type::text, jsonb_build_object(
+            'keep_rank', keep_rank,
+            'duplicate_rank', dup_position.rank
+        ));
+
+        IF keep_rank IS NOT NULL AND dup_position.rank < keep_rank THEN
+            PERFORM public.move_ladder_position(p_keep_id, dup_position.game_type, dup_position.rank);
+        END IF;
+
+        -- The duplicate is now at its old rank or one below it
+        PERFORM public.move_ladder_position(
+            p_duplicate_id,
+            dup_position.game_type,
+            (SELECT max(rank) FROM public.ladder_positions WHERE game_type = dup_position.game_type)
+        );
+        DELETE FROM public.ladder_positions
+        WHERE profile_id = p_duplicate_id AND game_type = dup_position.game_type;
+    END LOOP;
+
+    -- 2. Open challenges between the two would become self-challenges
+    UPDATE public.challenges
+    SET status = 'voided',
+        reported_by = NULL,
+        reported_at = NULL,
+        updated_at = now()
+    WHERE ((challenger_id = p_keep_id AND challenged_id = p_duplicate_id)
+        OR (challenger_id = p_duplicate_id AND challenged_id = p_keep_id))
+      AND status NOT IN ('completed', 'forfeited', 'voided');
+
+    -- 3. History moves to the kept profile
+    PERFORM public.merge_profile_references(p_keep_id, p_duplicate_id);
+
+    -- 4. Profile fields: points add up, the more established rating wins
+    UPDATE public.profiles SET owner_id = NULL, expo_push_token = NULL WHERE id = p_duplicate_id;
+
+    UPDATE public.profiles
+    SET points = keep.points + duplicate.points,
+        fargo_rating = CASE
+            WHEN duplicate.fargo_robustness > keep.fargo_robustness THEN duplicate.fargo_rating
+            ELSE keep.fargo_rating
+        END,
+        fargo_robustness = keep.fargo_robustness + duplicate.fargo_robustness,
+        owner_id = COALESCE(keep.owner_id, duplicate.owner_id),
+        expo_push_token = COALESCE(keep.expo_push_token, duplicate.expo_push_token),
+        phone = COALESCE(keep.phone, duplicate.phone),
+        avatar_url = COALESCE(keep.avatar_url, duplicate.avatar_url)
+    WHERE id = p_keep_id;
+
+    DELETE FROM public.profiles WHERE id = p_duplicate_id;
+
+    RETURN public.log_admin_action(officer_id, 'merge_profiles', p_reason, jsonb_build_object(
+        'duplicate_id', duplicate.id,
+        'duplicate_name', duplicate.full_name,
+        'duplicate_points', duplicate.points,
+        'duplicate_fargo_rating', duplicate.fargo_rating,
+        'ranks', ranks
+    ), p_keep_id);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.require_league_officer(text) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.log_admin_action(uuid, text, text, jsonb, uuid, uuid) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.move_ladder_position(uuid, game_type, integer) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.revert_match_effects(public.challenges) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.merge_profile_references(uuid, uuid) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.admin_set_rank(uuid, game_type, integer, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.admin_void_match(uuid, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.admin_set_match_result(uuid, integer, integer, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.admin_clear_cooldown(uuid, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.admin_release_claim(uuid, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.admin_merge_profiles(uuid, uuid, text) TO authenticated;
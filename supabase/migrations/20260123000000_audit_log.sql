@@ -0,0 +1,198 @@
+-- Audit log
+-- Every insert, update and delete on profiles, challenges and ladder_positions
+-- is recorded with the full row before and after, the columns that changed,
+-- who made the change and from where:
+--   client     a signed-in player (auth.uid() is set)
+--   scheduler  the service role key or a database job with no signed-in user
+--   admin      the admin_* RPCs, or anything run after
+--              SELECT set_config('audit.source', 'admin', true);
+-- Rows can only be added, never changed or removed.
+
+CREATE TABLE IF NOT EXISTS public.audit_log (
+    -- Ordered by id: several changes can share one transaction timestamp
+    id bigint GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+    table_name text NOT NULL CHECK (table_name IN ('profiles', 'challenges', 'ladder_positions')),
+    -- profiles.id, challenges.id, or ladder_positions.profile_id
+    row_id uuid NOT NULL,
+    -- Set for ladder_positions, whose key is (profile_id, game_type)
+    game_type game_type,
+    operation text NOT NULL CHECK (operation IN ('INSERT', 'UPDATE', 'DELETE')),
+    changed_columns text[] NOT NULL DEFAULT '{}',
+    old_values jsonb,
+    new_values jsonb,
+    -- No foreign keys, so entries outlive merged or deleted profiles
+    actor_id uuid,
+    actor_user_id uuid,
+    source text NOT NULL CHECK (source IN ('client', 'scheduler', 'admin')),
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS audit_log_row_idx ON public.audit_log (table_name, row_id, id);
+CREATE INDEX IF NOT EXISTS audit_log_actor_idx ON public.audit_log (actor_id, id);
+CREATE INDEX IF NOT EXISTS audit_log_recent_idx ON public.audit_log (created_at DESC);
+
+ALTER TABLE public.audit_log ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Audit log is viewable by officers" ON public.audit_log;
+CREATE POLICY "Audit log is viewable by officers" ON public.audit_log FOR SELECT USING (public.is_league_officer());
+
+CREATE OR REPLACE FUNCTION public.prevent_audit_log_changes()
+RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'Audit log entries cannot be changed.';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON public.audit_log;
+CREATE TRIGGER audit_log_append_only
+    BEFORE UPDATE OR DELETE ON public.audit_log
+    FOR EACH ROW
+    EXECUTE FUNCTION public.prevent_audit_log_changes();
+
+DROP TRIGGER IF EXISTS audit_log_no_truncate ON public.audit_log;
+CREATE TRIGGER audit_log_no_truncate
+    BEFORE TRUNCATE ON public.audit_log
+    FOR EACH STATEMENT
+    EXECUTE FUNCTION public.prevent_audit_log_changes();
+
+CREATE OR REPLACE FUNCTION public.audit_source()
+RETURNS text AS $$
+    SELECT COALESCE(
+        NULLIF(current_setting('audit.source', true), ''),
+        CASE WHEN auth.uid() IS NULL THEN 'scheduler' ELSE 'client' END
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.record_audit()
+RETURNS trigger AS $$
+DECLARE
+    old_row jsonb := CASE WHEN TG_OP <> 'INSERT' THEN to_jsonb(OLD) END;
+    new_row jsonb := CASE WHEN TG_OP <> 'DELETE' THEN to_jsonb(NEW) END;
+    audited_row jsonb := COALESCE(new_row, old_row);
+    changed text[];
+BEGIN
+    IF TG_OP = 'UPDATE' THEN
+        SELECT COALESCE(array_agg(n.key ORDER BY n.key), '{}') INTO changed
+        FROM jsonb_each(new_row) n
+        WHERE n.key <> 'updated_at'
+          AND n.value IS DISTINCT FROM old_row->n.key;
+
+        -- Touching updated_at alone is not a change
+        IF cardinality(changed) = 0 THEN
+            RETURN NULL;
+        END IF;
+    ELSE
+        SELECT COALESCE(array_agg(k ORDER BY k), '{}') INTO changed
+        FROM jsonb_object_keys(audited_row) k;
+    END IF;
+
+    INSERT INTO public.audit_log (
+        table_name, row_id, game_type, operation, changed_columns,
+        old_values, new_values, actor_id, actor_user_id, source
+    )
+    VALUES (
+        TG_TABLE_NAME,
+        CASE WHEN TG_TABLE_NAME = 'ladder_positions'
+            THEN (audited_row->>'profile_id')::uuid
+            ELSE (audited_row->>'id')::uuid
+        END,
+        CASE WHEN TG_TABLE_NAME = 'ladder_positions'
+            THEN (audited_row->>'game_type')::game_type
+        END,
+        TG_OP,
+        changed,
+        old_row,
+        new_row,
+        public.current_profile_id(),
+        auth.uid(),
+        public.audit_source()
+    );
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS profiles_audit ON public.profiles;
+CREATE TRIGGER profiles_audit
+    AFTER INSERT OR UPDATE OR DELETE ON public.profiles
+    FOR EACH ROW
+    EXECUTE FUNCTION public.record_audit();
+
+DROP TRIGGER IF EXISTS challenges_audit ON public.challenges;
+CREATE TRIGGER challenges_audit
+    AFTER INSERT OR UPDATE OR DELETE ON public.challenges
+    FOR EACH ROW
+    EXECUTE FUNCTION public.record_audit();
+
+DROP TRIGGER IF EXISTS ladder_positions_audit ON public.ladder_positions;
+CREATE TRIGGER ladder_positions_audit
+    AFTER INSERT OR UPDATE OR DELETE ON public.ladder_positions
+    FOR EACH ROW
+    EXECUTE FUNCTION public.record_audit();
+
+-- Officer checks now also mark the rest of the transaction as an admin change
+CREATE OR REPLACE FUNCTION public.require_league_officer(p_reason text)
+RETURNS uuid AS $$
+DECLARE
+    officer_id uuid := public.current_profile_id();
+BEGIN
+    IF officer_id IS NULL OR NOT EXISTS (SELECT 1 FROM public.league_officers WHERE profile_id = officer_id) THEN
+        RAISE EXCEPTION 'Only league officers can do this.';
+    END IF;
+
+    IF p_reason IS NULL OR btrim(p_reason) = '' THEN
+        RAISE EXCEPTION 'Give a reason for this change.';
+    END IF;
+
+    PERFORM set_config('audit.source', 'admin', true);
+
+    RETURN officer_id;
+END;
+$$ LANGUAGE plpgsql VOLATILE SECURITY DEFINER SET search_path = public;
+
+-- A player's rank on one ladder at a point in time, rebuilt from the audit log.
+-- NULL if they were not on that ladder yet.
+CREATE OR REPLACE FUNCTION public.ladder_rank_as_of(
+    p_profile_id uuid,
+    p_game_type game_type,
+    p_at timestamp with time zone
+)
+RETURNS integer AS $$
+DECLARE
+    last_entry public.audit_log;
+BEGIN
+    IF auth.uid() IS NOT NULL AND NOT public.is_league_officer() THEN
+        RAISE EXCEPTION 'Only league officers can do this.';
+    END IF;
+
+    SELECT * INTO last_entry FROM public.audit_log
+    WHERE table_name = 'ladder_positions'
+      AND row_id = p_profile_id
+      AND game_type = p_game_type
+      AND created_at <= p_at
+    ORDER BY id DESC
+    LIMIT 1;
+
+    -- Positions that predate the audit log have no entries before their first
+    -- change, so fall back to the rank that change started from
+    IF last_entry.id IS NULL THEN
+        SELECT * INTO last_entry FROM public.audit_log
+        WHERE table_name = 'ladder_positions'
+          AND row_id = p_profile_id
+          AND game_type = p_game_type
+        ORDER BY id
+        LIMIT 1;
+
+        IF last_entry.id IS NULL THEN
+            RETURN (SELECT rank FROM public.ladder_positions
+                    WHERE profile_id = p_profile_id AND game_type = p_game_type);
+        END IF;
+
+        RETURN (last_entry.old_values->>'rank')::integer;
+    END IF;
+
+    RETURN (last_entry.new_values->>'rank')::integer;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.ladder_rank_as_of(uuid, game_type, timestamp with time zone) TO authenticated;
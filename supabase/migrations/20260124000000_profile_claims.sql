@@ -0,0 +1,314 @@
+-- Verified profile claims
+-- Claiming a pre-loaded profile now goes through a claim request instead of
+-- writing profiles.owner_id directly. A request is approved straight away when
+-- the claimant enters the league-issued code for that profile; otherwise it
+-- waits for a league officer. Phone numbers on profiles are visible to every
+-- player, so a matching phone number is only flagged for the officer and
+-- never approves a claim by itself. When a profile is claimed, any other
+-- pending requests for it are rejected. Every decision is kept on the request
+-- (who decided, how, why and when).
+
+CREATE TABLE IF NOT EXISTS public.claim_codes (
+    profile_id uuid REFERENCES public.profiles(id) ON DELETE CASCADE PRIMARY KEY,
+    code text NOT NULL,
+    issued_by uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    used_at timestamp with time zone
+);
+
+CREATE TABLE IF NOT EXISTS public.claim_requests (
+    id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+    profile_id uuid REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+    user_id uuid REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled')),
+    -- How the claim was decided; 'admin' while it waits for an officer
+    method text NOT NULL DEFAULT 'admin' CHECK (method IN ('league_code', 'admin')),
+    -- The claimant gave the phone number on the profile
+    phone_matched boolean NOT NULL DEFAULT false,
+    failed_attempts integer NOT NULL DEFAULT 0,
+    -- NULL when decided automatically
+    decided_by uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+    decision_reason text,
+    decided_at timestamp with time zone,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    updated_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- One open claim per account at a time
+CREATE UNIQUE INDEX IF NOT EXISTS claim_requests_one_pending_idx
+    ON public.claim_requests (user_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS claim_requests_profile_idx
+    ON public.claim_requests (profile_id) WHERE status = 'pending';
+
+ALTER TABLE public.claim_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.claim_requests ENABLE ROW LEVEL SECURITY;
+
+-- claim_codes has no policies: codes are only read by the functions below
+
+DROP POLICY IF EXISTS "Claim requests are viewable by their claimant and officers" ON public.claim_requests;
+CREATE POLICY "Claim requests are viewable by their claimant and officers" ON public.claim_requests
+    FOR SELECT USING (user_id = auth.uid() OR public.is_league_officer());
+
+ALTER TABLE public.admin_actions DROP CONSTRAINT IF EXISTS admin_actions_action_check;
+ALTER TABLE public.admin_actions ADD CONSTRAINT admin_actions_action_check CHECK (action IN (
+    'set_rank', 'void_match', 'resolve_dispute', 'overturn_result', 'correct_score',
+    'record_result', 'clear_cooldown', 'merge_profiles', 'release_claim',
+    'issue_claim_code', 'approve_claim', 'reject_claim'
+));
+
+-- Players can no longer link themselves to a profile by editing owner_id
+CREATE OR REPLACE FUNCTION public.guard_profile_owner()
+RETURNS trigger AS $$
+BEGIN
+    IF NEW.owner_id IS DISTINCT FROM OLD.owner_id
+        AND public.audit_source() = 'client'
+        AND current_setting('profile_claims.granting', true) IS DISTINCT FROM 'on'
+    THEN
+        RAISE EXCEPTION 'Profiles are claimed through a claim request.';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS profiles_guard_owner ON public.profiles;
+CREATE TRIGGER profiles_guard_owner
+    BEFORE UPDATE OF owner_id ON public.profiles
+    FOR EACH ROW
+    EXECUTE FUNCTION public.guard_profile_owner();
+
+-- Last 10 digits, so "+1 (202) 555-0100" matches "202-555-0100"
+CREATE OR REPLACE FUNCTION public.normalize_phone(p_phone text)
+RETURNS text AS $$
+    SELECT right(regexp_replace(COALESCE(p_phone, ''), '\D', '', 'g'), 10);
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Links the profile to the claimant and rejects every competing request
+CREATE OR REPLACE FUNCTION public.grant_profile_claim(
+    p_request_id uuid,
+    p_method text,
+    p_decided_by uuid,
+    p_reason text
+)
+RETURNS public.claim_requests AS $$
+DECLARE
+    req public.claim_requests;
+BEGIN
+    SELECT * INTO req FROM public.claim_requests WHERE id = p_request_id FOR UPDATE;
+
+    IF req.id IS NULL OR req.status <> 'pending' THEN
+        RAISE EXCEPTION 'This claim request is no longer pending.';
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM public.profiles WHERE owner_id = req.user_id) THEN
+        RAISE EXCEPTION 'That account has already claimed a profile.';
+    END IF;
+
+    PERFORM set_config('profile_claims.granting', 'on', true);
+
+    UPDATE public.profiles
+    SET owner_id = req.user_id
+    WHERE id = req.profile_id AND owner_id IS NULL;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'This profile has already been claimed.';
+    END IF;
+
+    PERFORM set_config('profile_claims.granting', '', true);
+
+    UPDATE public.claim_requests
+    SET status = 'approved',
+        method = p_method,
+        decided_by = p_decided_by,
+        decision_reason = p_reason,
+        decided_at = now(),
+        updated_at = now()
+    WHERE id = req.id
+    RETURNING * INTO req;
+
+    UPDATE public.claim_requests
+    SET status = 'rejected',
+        decided_by = p_decided_by,
+        decision_reason = 'The profile was claimed by another account.',
+        decided_at = now(),
+        updated_at = now()
+    WHERE profile_id = req.profile_id AND status = 'pending';
+
+    UPDATE public.claim_codes SET used_at = now()
+    WHERE profile_id = req.profile_id AND used_at IS NULL;
+
+    RETURN req;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Opens (or retries) the caller's claim on a profile. With a matching code the
+-- claim is approved immediately; otherwise the request stays pending for an
+-- officer, flagged when the phone number matched. Failed attempts are capped
+-- per account and profile, so cancelling and asking again doesn't reset them.
+CREATE OR REPLACE FUNCTION public.request_profile_claim(
+    p_profile_id uuid,
+    p_code text DEFAULT NULL,
+    p_phone text DEFAULT NULL
+)
+RETURNS public.claim_requests AS $$
+DECLARE
+    target public.profiles;
+    req public.claim_requests;
+    code_given boolean := NULLIF(btrim(p_code), '') IS NOT NULL;
+    phone_matches boolean;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Sign in to claim a profile.';
+    END IF;
+
+    IF public.current_profile_id() IS NOT NULL THEN
+        RAISE EXCEPTION 'You have already claimed a profile.';
+    END IF;
+
+    SELECT * INTO target FROM public.profiles WHERE id = p_profile_id;
+
+    IF target.id IS NULL THEN
+        RAISE EXCEPTION 'Profile not found.';
+    END IF;
+
+    IF target.owner_id IS NOT NULL THEN
+        RAISE EXCEPTION 'This profile has already been claimed.';
+    END IF;
+
+    -- Claiming a different profile replaces the caller's open request
+    UPDATE public.claim_requests
+    SET status = 'cancelled',
+        decision_reason = 'Replaced by a claim for another profile.',
+        decided_at = now(),
+        updated_at = now()
+    WHERE user_id = auth.uid() AND status = 'pending' AND profile_id <> p_profile_id;
+
+    SELECT * INTO req FROM public.claim_requests
+    WHERE user_id = auth.uid() AND profile_id = p_profile_id AND status = 'pending'
+    FOR UPDATE;
+
+    IF req.id IS NULL THEN
+        INSERT INTO public.claim_requests (profile_id, user_id)
+        VALUES (p_profile_id, auth.uid())
+        RETURNING * INTO req;
+    END IF;
+
+    IF NOT code_given AND NULLIF(btrim(p_phone), '') IS NULL THEN
+        RETURN req;
+    END IF;
+
+    IF (
+        SELECT sum(failed_attempts) FROM public.claim_requests
+        WHERE user_id = auth.uid() AND profile_id = p_profile_id
+    ) >= 5 THEN
+        RAISE EXCEPTION 'Too many attempts. An officer will review your claim.';
+    END IF;
+
+    IF code_given AND EXISTS (
+        SELECT 1 FROM public.claim_codes
+        WHERE profile_id = p_profile_id
+          AND used_at IS NULL
+          AND upper(code) = upper(btrim(p_code))
+    ) THEN
+        RETURN public.grant_profile_claim(req.id, 'league_code', NULL, 'Matched the league-issued code.');
+    END IF;
+
+    phone_matches := public.normalize_phone(p_phone) <> ''
+        AND public.normalize_phone(p_phone) = public.normalize_phone(target.phone);
+
+    -- A wrong code always counts; a phone number only when it doesn't match
+    UPDATE public.claim_requests
+    SET failed_attempts = failed_attempts + CASE WHEN code_given OR NOT phone_matches THEN 1 ELSE 0 END,
+        phone_matched = phone_matched OR phone_matches,
+        updated_at = now()
+    WHERE id = req.id
+    RETURNING * INTO req;
+
+    RETURN req;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.cancel_profile_claim(p_request_id uuid)
+RETURNS public.claim_requests AS $$
+DECLARE
+    req public.claim_requests;
+BEGIN
+    UPDATE public.claim_requests
+    SET status = 'cancelled',
+        decision_reason = 'Cancelled by the claimant.',
+        decided_at = now(),
+        updated_at = now()
+    WHERE id = p_request_id AND user_id = auth.uid() AND status = 'pending'
+    RETURNING * INTO req;
+
+    IF req.id IS NULL THEN
+        RAISE EXCEPTION 'This claim request is no longer pending.';
+    END IF;
+
+    RETURN req;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- A fresh single-use code for the officer to hand to the player in person
+CREATE OR REPLACE FUNCTION public.admin_issue_claim_code(p_profile_id uuid, p_reason text)
+RETURNS public.admin_actions AS $$
+DECLARE
+    officer_id uuid := public.require_league_officer(p_reason);
+    new_code text := upper(substr(md5(random()::text || clock_timestamp()::text), 1, 8));
+BEGIN
+    IF EXISTS (SELECT 1 FROM public.profiles WHERE id = p_profile_id AND owner_id IS NOT NULL) THEN
+        RAISE EXCEPTION 'This profile has already been claimed.';
+    END IF;
+
+    INSERT INTO public.claim_codes (profile_id, code, issued_by)
+    VALUES (p_profile_id, new_code, officer_id)
+    ON CONFLICT (profile_id) DO UPDATE
+    SET code = EXCLUDED.code,
+        issued_by = EXCLUDED.issued_by,
+        created_at = timezone('utc'::text, now()),
+        used_at = NULL;
+
+    RETURN public.log_admin_action(officer_id, 'issue_claim_code', p_reason, jsonb_build_object(
+        'code', new_code
+    ), p_profile_id);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.admin_decide_claim(p_request_id uuid, p_approve boolean, p_reason text)
+RETURNS public.admin_actions AS $$
+DECLARE
+    officer_id uuid := public.require_league_officer(p_reason);
+    req public.claim_requests;
+BEGIN
+    IF p_approve THEN
+        req := public.grant_profile_claim(p_request_id, 'admin', officer_id, btrim(p_reason));
+    ELSE
+        UPDATE public.claim_requests
+        SET status = 'rejected',
+            decided_by = officer_id,
+            decision_reason = btrim(p_reason),
+            decided_at = now(),
+            updated_at = now()
+        WHERE id = p_request_id AND status = 'pending'
+        RETURNING * INTO req;
+
+        IF req.id IS NULL THEN
+            RAISE EXCEPTION 'This claim request is no longer pending.';
+        END IF;
+    END IF;
+
+    RETURN public.log_admin_action(
+        officer_id,
+        CASE WHEN p_approve THEN 'approve_claim' ELSE 'reject_claim' END,
+        p_reason,
+        jsonb_build_object('claim_request_id', req.id, 'user_id', req.user_id),
+        req.profile_id
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.grant_profile_claim(uuid, text, uuid, text) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.request_profile_claim(uuid, text, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.cancel_profile_claim(uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.admin_issue_claim_code(uuid, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.admin_decide_claim(uuid, boolean, text) TO authenticated;
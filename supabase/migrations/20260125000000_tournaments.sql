@@ -0,0 +1,814 @@
+-- Tournaments
+-- Officers create a tournament and players enter it (officers can also enter
+-- players). start_tournament() seeds the field from the ladder or Fargo
+-- ratings and stores the bracket planned by src/lib/tournament.ts. Each
+-- bracket match becomes a challenge (with tournament_id set) once both of its
+-- players are known, so it is scored and confirmed on the scoreboard like any
+-- other match, but it never moves the ladder. Completing one moves the
+-- winner on (and in double elimination, drops the loser to the losers
+-- bracket) automatically. An officer can still correct a result or void a
+-- match to have it replayed, as long as the matches its players moved on to
+-- haven't started.
+
+CREATE TABLE IF NOT EXISTS public.tournaments (
+    id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+    name text NOT NULL,
+    format text NOT NULL CHECK (format IN ('single_elimination', 'double_elimination', 'round_robin')),
+    game_type game_type NOT NULL DEFAULT '8-ball',
+    seed_by text NOT NULL DEFAULT 'ladder_rank' CHECK (seed_by IN ('ladder_rank', 'fargo_rating')),
+    games_to_win integer NOT NULL DEFAULT 5 CHECK (games_to_win > 0),
+    status text NOT NULL DEFAULT 'registration' CHECK (status IN ('registration', 'in_progress', 'completed', 'cancelled')),
+    starts_at timestamp with time zone,
+    created_by uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+    winner_id uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    updated_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS public.tournament_entrants (
+    tournament_id uuid REFERENCES public.tournaments(id) ON DELETE CASCADE NOT NULL,
+    profile_id uuid REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+    -- Set when the tournament starts
+    seed integer,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    PRIMARY KEY (tournament_id, profile_id)
+);
+
+CREATE TABLE IF NOT EXISTS public.tournament_matches (
+    id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+    tournament_id uuid REFERENCES public.tournaments(id) ON DELETE CASCADE NOT NULL,
+    -- Key from the bracket plan, e.g. 'W2-1' or 'L3-2'
+    match_key text NOT NULL,
+    bracket text NOT NULL CHECK (bracket IN ('winners', 'losers', 'final', 'round_robin')),
+    round integer NOT NULL,
+    position integer NOT NULL,
+    player1_id uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+    player2_id uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+    -- A bye slot is never filled; whoever reaches the match advances
+    player1_bye boolean NOT NULL DEFAULT false,
+    player2_bye boolean NOT NULL DEFAULT false,
+    winner_next_key text,
+    winner_next_slot smallint CHECK (winner_next_slot IN (1, 2)),
+    loser_next_key text,
+    loser_next_slot smallint CHECK (loser_next_slot IN (1, 2)),
+    challenge_id uuid UNIQUE REFERENCES public.challenges(id) ON DELETE SET NULL,
+    winner_id uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+    status text NOT NULL DEFAULT 'waiting' CHECK (status IN ('waiting', 'ready', 'completed', 'bye')),
+    updated_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    UNIQUE (tournament_id, match_key)
+);
+
+ALTER TABLE public.challenges
+    ADD COLUMN IF NOT EXISTS tournament_id uuid REFERENCES public.tournaments(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS challenges_tournament_idx ON public.challenges (tournament_id) WHERE tournament_id IS NOT NULL;
+
+ALTER TABLE public.tournaments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.tournament_entrants ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.tournament_matches ENABLE ROW LEVEL SECURITY;
+
+-- Read-only for clients; written by the functions below
+DROP POLICY IF EXISTS "Tournaments are viewable by everyone" ON public.tournaments;
+CREATE POLICY "Tournaments are viewable by everyone" ON public.tournaments FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Tournament entrants are viewable by everyone" ON public.tournament_entrants;
+CREATE POLICY "Tournament entrants are viewable by everyone" ON public.tournament_entrants FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Tournament matches are viewable by everyone" ON public.tournament_matches;
+CREATE POLICY "Tournament matches are viewable by everyone" ON public.tournament_matches FOR SELECT USING (true);
+
+-- Live bracket view
+DO $$ BEGIN
+    ALTER PUBLICATION supabase_realtime ADD TABLE public.tournaments, public.tournament_matches;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- Tournament matches don't move the ladder or start a cooldown
+CREATE OR REPLACE FUNCTION public.finalize_match(
+    p_challenge_id uuid,
+    p_challenger_score integer,
+    p_challenged_score integer
+)
+RETURNS public.challenges AS $$
+DECLARE
+    match public.challenges;
+    v_winner_id uuid;
+    v_loser_id uuid;
+    challenger_name text;
+    challenged_name text;
+BEGIN
+    -- Lock the challenge row so concurrent finalizations serialize here
+    SELECT * INTO match FROM public.challenges WHERE id = p_challenge_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Challenge not found.';
+    END IF;
+
+    IF match.status = 'completed' THEN
+        RAISE EXCEPTION 'This match has already been finalized.';
+    END IF;
+
+    IF match.status = 'forfeited' THEN
+        RAISE EXCEPTION 'This challenge was forfeited and cannot be finalized.';
+    END IF;
+
+    IF match.status = 'voided' THEN
+        RAISE EXCEPTION 'This match was voided and cannot be finalized.';
+    END IF;
+
+    v_winner_id := public.match_winner(match, p_challenger_score, p_challenged_score);
+    IF v_winner_id = match.challenger_id THEN
+        v_loser_id := match.challenged_id;
+    ELSE
+        v_loser_id := match.challenger_id;
+    END IF;
+
+    SELECT full_name INTO challenger_name FROM public.profiles WHERE id = match.challenger_id;
+    SELECT full_name INTO challenged_name FROM public.profiles WHERE id = match.challenged_id;
+
+    IF match.tournament_id IS NULL THEN
+        -- 1. Rank movement on this discipline's ladder
+        PERFORM public.update_rankings_on_win(v_winner_id, v_loser_id, match.game_type, 'match', match.id);
+
+        -- 2. 24h cooldown for the loser
+        UPDATE public.profiles
+        SET cooldown_until = now() + interval '24 hours'
+        WHERE id = v_loser_id;
+    END IF;
+
+    -- 3. Activity feed entry
+    INSERT INTO public.activities (user_id, action_type, metadata)
+    VALUES (
+        v_winner_id,
+        'MATCH_COMPLETED',
+        jsonb_build_object(
+            'challenge_id', match.id,
+            'challenger_name', challenger_name,
+            'challenged_name', challenged_name,
+            'final_score', p_challenger_score || ' - ' || p_challenged_score,
+            'winner_name', CASE WHEN v_winner_id = match.challenger_id THEN challenger_name ELSE challenged_name END,
+            'game_type', match.game_type,
+            'tournament_id', match.tournament_id
+        )
+    );
+
+    -- 4. Close out the challenge
+    UPDATE public.challenges
+    SET status = 'completed',
+        challenger_score = p_challenger_score,
+        challenged_score = p_challenged_score,
+        winner_id = v_winner_id,
+        updated_at = now()
+    WHERE id = p_challenge_id
+    RETURNING * INTO match;
+
+    RETURN match;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.create_tournament(
+    p_name text,
+    p_format text,
+    p_game_type game_type DEFAULT '8-ball',
+    p_seed_by text DEFAULT 'ladder_rank',
+    p_games_to_win integer DEFAULT 5,
+    p_starts_at timestamp with time zone DEFAULT NULL
+)
+RETURNS public.tournaments AS $$
+DECLARE
+    created public.tournaments;
+BEGIN
+    IF NOT public.is_league_officer() THEN
+        RAISE EXCEPTION 'Only league officers can run tournaments.';
+    END IF;
+
+    IF p_name IS NULL OR btrim(p_name) = '' THEN
+        RAISE EXCEPTION 'Give the tournament a name.';
+    END IF;
+
+    INSERT INTO public.tournaments (name, format, game_type, seed_by, games_to_win, starts_at, created_by)
+    VALUES (btrim(p_name), p_format, p_game_type, p_seed_by, p_games_to_win, p_starts_at, public.current_profile_id())
+    RETURNING * INTO created;
+
+    RETURN created;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Players enter themselves; officers can enter (or withdraw) anyone
+CREATE OR REPLACE FUNCTION public.enter_tournament(p_tournament_id uuid, p_profile_id uuid DEFAULT NULL)
+RETURNS public.tournament_entrants AS $$
+DECLARE
+    entrant_id uuid := COALESCE(p_profile_id, public.current_profile_id());
+    entry public.tournament_entrants;
+BEGIN
+    IF entrant_id IS NULL THEN
+        RAISE EXCEPTION 'Claim your profile before entering a tournament.';
+    END IF;
+
+    IF entrant_id IS DISTINCT FROM public.current_profile_id() AND NOT public.is_league_officer() THEN
+        RAISE EXCEPTION 'Only league officers can enter other players.';
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM public.tournaments WHERE id = p_tournament_id AND status = 'registration') THEN
+        RAISE EXCEPTION 'Entries for this tournament are closed.';
+    END IF;
+
+    INSERT INTO public.tournament_entrants (tournament_id, profile_id)
+    VALUES (p_tournament_id, entrant_id)
+    ON CONFLICT (tournament_id, profile_id) DO NOTHING;
+
+    SELECT * INTO entry FROM public.tournament_entrants
+    WHERE tournament_id = p_tournament_id AND profile_id = entrant_id;
+
+    RETURN entry;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.withdraw_from_tournament(p_tournament_id uuid, p_profile_id uuid DEFAULT NULL)
+RETURNS void AS $$
+DECLARE
+    entrant_id uuid := COALESCE(p_profile_id, public.current_profile_id());
+BEGIN
+    IF entrant_id IS DISTINCT FROM public.current_profile_id() AND NOT public.is_league_officer() THEN
+        RAISE EXCEPTION 'Only league officers can withdraw other players.';
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM public.tournaments WHERE id = p_tournament_id AND status = 'registration') THEN
+        RAISE EXCEPTION 'This tournament has already started.';
+    END IF;
+
+    DELETE FROM public.tournament_entrants
+    WHERE tournament_id = p_tournament_id AND profile_id = entrant_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.complete_tournament(p_tournament_id uuid, p_winner_id uuid)
+RETURNS void AS $$
+DECLARE
+    finished public.tournaments;
+BEGIN
+    UPDATE public.tournaments
+    SET status = 'completed',
+        winner_id = p_winner_id,
+        updated_at = now()
+    WHERE id = p_tournament_id AND status = 'in_progress'
+    RETURNING * INTO finished;
+
+    IF finished.id IS NULL THEN
+        -- A corrected result in the deciding match changes the champion
+        UPDATE public.tournaments
+        SET winner_id = p_winner_id,
+            updated_at = now()
+        WHERE id = p_tournament_id AND status = 'completed' AND winner_id IS DISTINCT FROM p_winner_id;
+        RETURN;
+    END IF;
+
+    INSERT INTO public.activities (user_id, action_type, metadata)
+    VALUES (
+        p_winner_id,
+        'TOURNAMENT_WON',
+        jsonb_build_object(
+            'tournament_id', finished.id,
+            'tournament_name', finished.name,
+            'format', finished.format,
+            'game_type', finished.game_type,
+            'entrants', (SELECT count(*) FROM public.tournament_entrants WHERE tournament_id = finished.id)
+        )
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Puts a player into a bracket slot, then settles the match: it gets a
+-- challenge once both players are in, or passes the player straight on
+-- when the other slot is a bye
+CREATE OR REPLACE FUNCTION public.place_tournament_player(
+    p_tournament_id uuid,
+    p_match_key text,
+    p_slot integer,
+    p_player_id uuid
+)
+RETURNS void AS $$
+DECLARE
+    m public.tournament_matches;
+BEGIN
+    IF p_match_key IS NULL OR p_player_id IS NULL THEN
+        RETURN;
+    END IF;
+
+    UPDATE public.tournament_matches
+    SET player1_id = CASE WHEN p_slot = 1 THEN p_player_id ELSE player1_id END,
+        player2_id = CASE WHEN p_slot = 2 THEN p_player_id ELSE player2_id END,
+        updated_at = now()
+    WHERE tournament_id = p_tournament_id AND match_key = p_match_key
+    RETURNING * INTO m;
+
+    PERFORM public.settle_tournament_match(m.id);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.settle_tournament_match(p_match_id uuid)
+RETURNS void AS $$
+DECLARE
+    m public.tournament_matches;
+    t public.tournaments;
+    new_challenge_id uuid;
+BEGIN
+    SELECT * INTO m FROM public.tournament_matches WHERE id = p_match_id FOR UPDATE;
+
+    IF m.id IS NULL OR m.status <> 'waiting' THEN
+        RETURN;
+    END IF;
+
+    IF m.player1_id IS NOT NULL AND m.player2_id IS NOT NULL THEN
+        SELECT * INTO t FROM public.tournaments WHERE id = m.tournament_id;
+
+        INSERT INTO public.challenges (challenger_id, challenged_id, game_type, games_to_win, status, tournament_id)
+        VALUES (m.player1_id, m.player2_id, t.game_type, t.games_to_win, 'scheduled', t.id)
+        RETURNING id INTO new_challenge_id;
+
+        UPDATE public.tournament_matches
+        SET challenge_id = new_challenge_id,
+            status = 'ready',
+            updated_at = now()
+        WHERE id = m.id;
+    ELSIF (m.player1_id IS NOT NULL AND m.player2_bye) OR (m.player2_id IS NOT NULL AND m.player1_bye) THEN
+        UPDATE public.tournament_matches
+        SET status = 'bye',
+            winner_id = COALESCE(m.player1_id, m.player2_id),
+            updated_at = now()
+        WHERE id = m.id
+        RETURNING * INTO m;
+
+        IF m.winner_next_key IS NULL THEN
+            PERFORM public.complete_tournament(m.tournament_id, m.winner_id);
+        ELSE
+            PERFORM public.place_tournament_player(m.tournament_id, m.winner_next_key, m.winner_next_slot, m.winner_id);
+        END IF;
+    END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Empties one bracket slot so a decided match can be changed. Raises if the
+-- match in that slot has already started; a bye that passed the player on
+-- is taken back as well.
+CREATE OR REPLACE FUNCTION public.clear_tournament_slot(
+    p_tournament_id uuid,
+    p_match_key text,
+    p_slot integer
+)
+RETURNS void AS $$
+DECLARE
+    m public.tournament_matches;
+BEGIN
+    IF p_match_key IS NULL THEN
+        RETURN;
+    END IF;
+
+    SELECT * INTO m FROM public.tournament_matches
+    WHERE tournament_id = p_tournament_id AND match_key = p_match_key
+    FOR UPDATE;
+
+    IF m.status = 'completed' OR EXISTS (
+        SELECT 1 FROM public.challenges
+        WHERE id = m.challenge_id
+          AND (status <> 'scheduled' OR reported_by IS NOT NULL)
+    ) THEN
+        RAISE EXCEPTION 'Bracket match % has already started, so this result can no longer change. Void that match first.', m.match_key;
+    END IF;
+
+    IF m.status = 'bye' THEN
+        PERFORM public.retract_tournament_result(m.id);
+    END IF;
+
+    -- Detach first so voiding the unplayed challenge doesn't reopen the slot again
+    UPDATE public.tournament_matches
+    SET player1_id = CASE WHEN p_slot = 1 THEN NULL ELSE player1_id END,
+        player2_id = CASE WHEN p_slot = 2 THEN NULL ELSE player2_id END,
+        challenge_id = NULL,
+        winner_id = NULL,
+        status = 'waiting',
+        updated_at = now()
+    WHERE id = m.id;
+
+    UPDATE public.challenges
+    SET status = 'voided',
+        reported_by = NULL,
+        reported_at = NULL,
+        updated_at = now()
+    WHERE id = m.challenge_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Undoes where a decided match sent its players: takes them back out of the
+-- next matches, or reopens the tournament if the match decided it
+CREATE OR REPLACE FUNCTION public.retract_tournament_result(p_match_id uuid)
+RETURNS void AS $$
+DECLARE
+    m public.tournament_matches;
+BEGIN
+    SELECT * INTO m FROM public.tournament_matches WHERE id = p_match_id FOR UPDATE;
+
+    IF m.bracket = 'round_robin' OR m.winner_next_key IS NULL THEN
+        UPDATE public.tournaments
+        SET status = 'in_progress',
+            winner_id = NULL,
+            updated_at = now()
+        WHERE id = m.tournament_id AND status = 'completed';
+        RETURN;
+    END IF;
+
+    PERFORM public.clear_tournament_slot(m.tournament_id, m.winner_next_key, m.winner_next_slot);
+
+    -- Byes send nobody to the losers bracket
+    IF m.status = 'completed' THEN
+        PERFORM public.clear_tournament_slot(m.tournament_id, m.loser_next_key, m.loser_next_slot);
+    END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Seeds the entrants, stores the bracket plan and starts the first matches.
+-- p_plan is the array of planned matches from planTournament().
+CREATE OR REPLACE FUNCTION public.start_tournament(p_tournament_id uuid, p_plan jsonb)
+RETURNS public.tournaments AS $$
+DECLARE
+    t public.tournaments;
+    entrant_count integer;
+    min_entrants integer;
+    seeds integer[];
+    opening record;
+BEGIN
+    IF NOT public.is_league_officer() THEN
+        RAISE EXCEPTION 'Only league officers can run tournaments.';
+    END IF;
+
+    SELECT * INTO t FROM public.tournaments WHERE id = p_tournament_id FOR UPDATE;
+
+    IF t.id IS NULL THEN
+        RAISE EXCEPTION 'Tournament not found.';
+    END IF;
+
+    IF t.status <> 'registration' THEN
+        RAISE EXCEPTION 'This tournament has already started.';
+    END IF;
+
+    SELECT count(*) INTO entrant_count FROM public.tournament_entrants WHERE tournament_id = t.id;
+    min_entrants := CASE t.format WHEN 'double_elimination' THEN 3 ELSE 2 END;
+
+    IF entrant_count < min_entrants THEN
+        RAISE EXCEPTION 'This format needs at least % players.', min_entrants;
+    END IF;
+
+    -- Same order as seedEntrants()
+    UPDATE public.tournament_entrants e
+    SET seed = ranked.seed
+    FROM (
+        SELECT te.profile_id,
+            row_number() OVER (
+                ORDER BY
+                    CASE WHEN t.seed_by = 'ladder_rank' THEN lp.rank END ASC NULLS LAST,
+                    p.fargo_rating DESC NULLS LAST,
+                    lp.rank ASC NULLS LAST
+            ) AS seed
+        FROM public.tournament_entrants te
+        JOIN public.profiles p ON p.id = te.profile_id
+        LEFT JOIN public.ladder_positions lp ON lp.profile_id = te.profile_id AND lp.game_type = t.game_type
+        WHERE te.tournament_id = t.id
+    ) AS ranked
+    WHERE e.tournament_id = t.id AND e.profile_id = ranked.profile_id;
+
+    -- Every seed must start somewhere, exactly once
+    SELECT array_agg((slot->>'seed')::integer ORDER BY (slot->>'seed')::integer) INTO seeds
+    FROM jsonb_array_elements(p_plan) AS planned,
+        jsonb_array_elements(planned->'slots') AS slot
+    WHERE slot->>'seed' IS NOT NULL;
+
+    IF seeds IS DISTINCT FROM ARRAY(SELECT generate_series(1, entrant_count)) THEN
+        RAISE EXCEPTION 'The bracket does not match the entrant list.';
+    END IF;
+
+    -- Match keys are unique, and every route leads to exactly one later
+    -- match and an open slot in it: one not seeded and not fed by any other
+    -- route (same invariants as planTournament())
+    IF EXISTS (
+        SELECT 1 FROM jsonb_array_elements(p_plan) AS planned
+        GROUP BY planned->>'key'
+        HAVING planned->>'key' IS NULL OR count(*) > 1
+    ) THEN
+        RAISE EXCEPTION 'Every bracket match needs its own key.';
+    END IF;
+
+    IF EXISTS (
+        WITH plan AS (
+            SELECT planned, ord FROM jsonb_array_elements(p_plan) WITH ORDINALITY AS p(planned, ord)
+        ),
+        routes AS (
+            SELECT plan.ord, route->>'key' AS next_key, route->>'slot' AS next_slot
+            FROM plan,
+                LATERAL (VALUES (plan.planned->'winnerTo'), (plan.planned->'loserTo')) AS r(route)
+            WHERE route IS NOT NULL AND route <> 'null'::jsonb
+        )
+        SELECT 1 FROM routes
+        LEFT JOIN plan target ON target.planned->>'key' = routes.next_key
+        WHERE target.ord IS NULL
+           OR target.ord <= routes.ord
+           OR routes.next_slot IS DISTINCT FROM '1' AND routes.next_slot IS DISTINCT FROM '2'
+           OR target.planned->'slots'->(CASE routes.next_slot WHEN '1' THEN 0 WHEN '2' THEN 1 END)->>'seed' IS NOT NULL
+           OR (SELECT count(*) FROM routes other
+               WHERE other.next_key = routes.next_key AND other.next_slot = routes.next_slot) > 1
+    ) THEN
+        RAISE EXCEPTION 'The bracket routes a player to a match slot that does not exist or is already taken.';
+    END IF;
+
+    INSERT INTO public.tournament_matches (
+        tournament_id, match_key, bracket, round, position,
+        player1_id, player2_id, player1_bye, player2_bye,
+        winner_next_key, winner_next_slot, loser_next_key, loser_next_slot
+    )
+    SELECT
+        t.id,
+        planned->>'key',
+        planned->>'bracket',
+        (planned->>'round')::integer,
+        (planned->>'position')::integer,
+        (SELECT profile_id FROM public.tournament_entrants
+         WHERE tournament_id = t.id AND seed = (planned->'slots'->0->>'seed')::integer),
+        (SELECT profile_id FROM public.tournament_entrants
+         WHERE tournament_id = t.id AND seed = (planned->'slots'->1->>'seed')::integer),
+        COALESCE((planned->'slots'->0->>'bye')::boolean, false),
+        COALESCE((planned->'slots'->1->>'bye')::boolean, false),
+        planned->'winnerTo'->>'key',
+        (planned->'winnerTo'->>'slot')::smallint,
+        planned->'loserTo'->>'key',
+        (planned->'loserTo'->>'slot')::smallint
+    FROM jsonb_array_elements(p_plan) AS planned;
+
+    UPDATE public.tournaments
+    SET status = 'in_progress',
+        updated_at = now()
+    WHERE id = t.id
+    RETURNING * INTO t;
+
+    FOR opening IN
+        SELECT id FROM public.tournament_matches
+        WHERE tournament_id = t.id
+          AND (player1_id IS NOT NULL OR player2_id IS NOT NULL)
+        ORDER BY bracket, round, position
+    LOOP
+        PERFORM public.settle_tournament_match(opening.id);
+    END LOOP;
+
+    SELECT * INTO t FROM public.tournaments WHERE id = t.id;
+    RETURN t;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Moves players on when a bracket match's challenge is decided
+CREATE OR REPLACE FUNCTION public.advance_tournament()
+RETURNS trigger AS $$
+DECLARE
+    m public.tournament_matches;
+    loser_id uuid;
+    rr_winner uuid;
+BEGIN
+    SELECT * INTO m FROM public.tournament_matches WHERE challenge_id = NEW.id FOR UPDATE;
+
+    IF m.id IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    -- An officer corrected the result (admin_set_match_result). With the same
+    -- winner nothing moves; otherwise the old players come back out of the
+    -- next matches first. Round robin standings are simply recounted below.
+    IF m.status = 'completed' THEN
+        IF m.bracket <> 'round_robin' AND m.winner_next_key IS NOT NULL THEN
+            IF m.winner_id = NEW.winner_id THEN
+                RETURN NEW;
+            END IF;
+            PERFORM public.retract_tournament_result(m.id);
+        END IF;
+    END IF;
+
+    loser_id := CASE WHEN NEW.winner_id = m.player1_id THEN m.player2_id ELSE m.player1_id END;
+
+    UPDATE public.tournament_matches
+    SET status = 'completed',
+        winner_id = NEW.winner_id,
+        updated_at = now()
+    WHERE id = m.id;
+
+    IF m.bracket = 'round_robin' THEN
+        IF NOT EXISTS (
+            SELECT 1 FROM public.tournament_matches
+            WHERE tournament_id = m.tournament_id AND status <> 'completed'
+        ) THEN
+            -- Most wins, then best game difference, then seed (see getRoundRobinStandings)
+            SELECT e.profile_id INTO rr_winner
+            FROM public.tournament_entrants e
+            CROSS JOIN LATERAL (
+                SELECT count(*) FILTER (WHERE tm.winner_id = e.profile_id) AS wins,
+                    COALESCE(sum(
+                        CASE WHEN c.challenger_id = e.profile_id
+                            THEN COALESCE(c.challenger_score, 0) - COALESCE(c.challenged_score, 0)
+                            ELSE COALESCE(c.challenged_score, 0) - COALESCE(c.challenger_score, 0)
+                        END
+                    ), 0) AS game_difference
+                FROM public.tournament_matches tm
+                JOIN public.challenges c ON c.id = tm.challenge_id
+                WHERE tm.tournament_id = e.tournament_id
+                  AND e.profile_id IN (tm.player1_id, tm.player2_id)
+            ) AS results
+            WHERE e.tournament_id = m.tournament_id
+            ORDER BY results.wins DESC, results.game_difference DESC, e.seed
+            LIMIT 1;
+
+            PERFORM public.complete_tournament(m.tournament_id, rr_winner);
+        END IF;
+    ELSIF m.winner_next_key IS NULL THEN
+        PERFORM public.complete_tournament(m.tournament_id, NEW.winner_id);
+    ELSE
+        PERFORM public.place_tournament_player(m.tournament_id, m.winner_next_key, m.winner_next_slot, NEW.winner_id);
+        PERFORM public.place_tournament_player(m.tournament_id, m.loser_next_key, m.loser_next_slot, loser_id);
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS challenges_advance_tournament ON public.challenges;
+CREATE TRIGGER challenges_advance_tournament
+    AFTER UPDATE OF status ON public.challenges
+    FOR EACH ROW
+    WHEN (
+        NEW.tournament_id IS NOT NULL
+        AND NEW.status IN ('completed', 'forfeited')
+        AND NEW.winner_id IS NOT NULL
+        AND OLD.status IS DISTINCT FROM NEW.status
+    )
+    EXECUTE FUNCTION public.advance_tournament();
+
+-- A voided bracket match is replayed: its players come back out of any
+-- next matches it fed, and a fresh challenge is set up between them
+CREATE OR REPLACE FUNCTION public.replay_tournament_match()
+RETURNS trigger AS $$
+DECLARE
+    m public.tournament_matches;
+BEGIN
+    SELECT * INTO m FROM public.tournament_matches WHERE challenge_id = NEW.id FOR UPDATE;
+
+    -- Cancelled tournaments void their open challenges and stay that way
+    IF m.id IS NULL OR NOT EXISTS (
+        SELECT 1 FROM public.tournaments
+        WHERE id = m.tournament_id AND status IN ('in_progress', 'completed')
+    ) THEN
+        RETURN NEW;
+    END IF;
+
+    IF m.status = 'completed' THEN
+        PERFORM public.retract_tournament_result(m.id);
+    END IF;
+
+    UPDATE public.tournament_matches
+    SET challenge_id = NULL,
+        winner_id = NULL,
+        status = 'waiting',
+        updated_at = now()
+    WHERE id = m.id;
+
+    PERFORM public.settle_tournament_match(m.id);
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS challenges_replay_tournament_match ON public.challenges;
+CREATE TRIGGER challenges_replay_tournament_match
+    AFTER UPDATE OF status ON public.challenges
+    FOR EACH ROW
+    WHEN (
+        NEW.tournament_id IS NOT NULL
+        AND NEW.status = 'voided'
+        AND OLD.status IS DISTINCT FROM NEW.status
+    )
+    EXECUTE FUNCTION public.replay_tournament_match();
+
+-- Voids every unplayed bracket match
+CREATE OR REPLACE FUNCTION public.cancel_tournament(p_tournament_id uuid)
+RETURNS public.tournaments AS $$
+DECLARE
+    t public.tournaments;
+BEGIN
+    IF NOT public.is_league_officer() THEN
+        RAISE EXCEPTION 'Only league officers can run tournaments.';
+    END IF;
+
+    UPDATE public.tournaments
+    SET status = 'cancelled',
+        updated_at = now()
+    WHERE id = p_tournament_id AND status IN ('registration', 'in_progress')
+    RETURNING * INTO t;
+
+    IF t.id IS NULL THEN
+        RAISE EXCEPTION 'This tournament is already over.';
+    END IF;
+
+    UPDATE public.challenges
+    SET status = 'voided',
+        reported_by = NULL,
+        reported_at = NULL,
+        updated_at = now()
+    WHERE tournament_id = t.id
+      AND status IN ('pending', 'negotiating', 'scheduled', 'live', 'disputed');
+
+    RETURN t;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Merging duplicate profiles also carries over tournament entries, bracket
+-- spots and titles
+CREATE OR REPLACE FUNCTION public.merge_profile_references(p_keep_id uuid, p_duplicate_id uuid)
+RETURNS void AS $$
+BEGIN
+    UPDATE public.challenges SET challenger_id = p_keep_id WHERE challenger_id = p_duplicate_id;
+    UPDATE public.challenges SET challenged_id = p_keep_id WHERE challenged_id = p_duplicate_id;
+    UPDATE public.challenges SET winner_id = p_keep_id WHERE winner_id = p_duplicate_id;
+    UPDATE public.challenges SET reported_by = p_keep_id WHERE reported_by = p_duplicate_id;
+    UPDATE public.challenges SET last_proposed_by = p_keep_id WHERE last_proposed_by = p_duplicate_id;
+    UPDATE public.challenge_proposals SET proposed_by = p_keep_id WHERE proposed_by = p_duplicate_id;
+    UPDATE public.activities SET user_id = p_keep_id WHERE user_id = p_duplicate_id;
+    UPDATE public.comments SET user_id = p_keep_id WHERE user_id = p_duplicate_id;
+
+    DELETE FROM public.cheers c
+    WHERE c.user_id = p_duplicate_id
+      AND EXISTS (SELECT 1 FROM public.cheers k WHERE k.activity_id = c.activity_id AND k.user_id = p_keep_id);
+    UPDATE public.cheers SET user_id = p_keep_id WHERE user_id = p_duplicate_id;
+
+    DELETE FROM public.rating_history r
+    WHERE r.profile_id = p_duplicate_id
+      AND EXISTS (SELECT 1 FROM public.rating_history k WHERE k.challenge_id = r.challenge_id AND k.profile_id = p_keep_id);
+    UPDATE public.rating_history SET profile_id = p_keep_id WHERE profile_id = p_duplicate_id;
+
+    UPDATE public.rank_history SET profile_id = p_keep_id WHERE profile_id = p_duplicate_id;
+
+    -- Archived seasons both played in add up, keeping the better finish
+    UPDATE public.season_standings k
+    SET rank = LEAST(k.rank, d.rank),
+        points = k.points + d.points,
+        wins = k.wins + d.wins,
+        losses = k.losses + d.losses
+    FROM public.season_standings d
+    WHERE k.profile_id = p_keep_id
+      AND d.profile_id = p_duplicate_id
+      AND d.season_id = k.season_id
+      AND d.game_type = k.game_type;
+    DELETE FROM public.season_standings d
+    WHERE d.profile_id = p_duplicate_id
+      AND EXISTS (
+          SELECT 1 FROM public.season_standings k
+          WHERE k.profile_id = p_keep_id AND k.season_id = d.season_id AND k.game_type = d.game_type
+      );
+    UPDATE public.season_standings SET profile_id = p_keep_id WHERE profile_id = p_duplicate_id;
+
+    INSERT INTO public.league_officers (profile_id)
+    SELECT p_keep_id FROM public.league_officers WHERE profile_id = p_duplicate_id
+    ON CONFLICT (profile_id) DO NOTHING;
+
+    UPDATE public.admin_actions SET officer_id = p_keep_id WHERE officer_id = p_duplicate_id;
+    UPDATE public.admin_actions SET target_profile_id = p_keep_id WHERE target_profile_id = p_duplicate_id;
+
+    -- A player can't hold two spots in a bracket that is still being played
+    IF EXISTS (
+        SELECT 1
+        FROM public.tournament_entrants k
+        JOIN public.tournament_entrants d ON d.tournament_id = k.tournament_id
+        JOIN public.tournaments t ON t.id = k.tournament_id
+        WHERE k.profile_id = p_keep_id
+          AND d.profile_id = p_duplicate_id
+          AND t.status = 'in_progress'
+    ) THEN
+        RAISE EXCEPTION 'Both profiles are playing in the same tournament. Merge them once it is over.';
+    END IF;
+
+    DELETE FROM public.tournament_entrants d
+    WHERE d.profile_id = p_duplicate_id
+      AND EXISTS (SELECT 1 FROM public.tournament_entrants k WHERE k.tournament_id = d.tournament_id AND k.profile_id = p_keep_id);
+    UPDATE public.tournament_entrants SET profile_id = p_keep_id WHERE profile_id = p_duplicate_id;
+    UPDATE public.tournament_matches SET player1_id = p_keep_id WHERE player1_id = p_duplicate_id;
+    UPDATE public.tournament_matches SET player2_id = p_keep_id WHERE player2_id = p_duplicate_id;
+    UPDATE public.tournament_matches SET winner_id = p_keep_id WHERE winner_id = p_duplicate_id;
+    UPDATE public.tournaments SET winner_id = p_keep_id WHERE winner_id = p_duplicate_id;
+    UPDATE public.tournaments SET created_by = p_keep_id WHERE created_by = p_duplicate_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.complete_tournament(uuid, uuid) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.place_tournament_player(uuid, text, integer, uuid) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.settle_tournament_match(uuid) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.clear_tournament_slot(uuid, text, integer) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.retract_tournament_result(uuid) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.create_tournament(text, text, game_type, text, integer, timestamp with time zone) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.enter_tournament(uuid, uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.withdraw_from_tournament(uuid, uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.start_tournament(uuid, jsonb) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.cancel_tournament(uuid) TO authenticated;
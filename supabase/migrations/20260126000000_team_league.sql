@@ -0,0 +1,637 @@
+-- Team league
+-- Officers create teams and name a captain; captains invite players, who
+-- join once they accept (a player can be on one team at a time). A team match between two teams is a
+-- set of individual games between roster players. Each game is a challenge
+-- with team_match_id set, so it is scored and confirmed on the scoreboard
+-- like any other match, but it never moves the ladder. Every individual game
+-- won is a point for that player's team; the team match is decided once all
+-- of its planned games are played.
+
+CREATE TABLE IF NOT EXISTS public.teams (
+    id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+    name text NOT NULL UNIQUE,
+    captain_id uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    updated_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS public.team_members (
+    team_id uuid REFERENCES public.teams(id) ON DELETE CASCADE NOT NULL,
+    -- One team per player
+    profile_id uuid REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL UNIQUE,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    PRIMARY KEY (team_id, profile_id)
+);
+
+-- Roster invites from a captain, waiting on the player
+CREATE TABLE IF NOT EXISTS public.team_invites (
+    team_id uuid REFERENCES public.teams(id) ON DELETE CASCADE NOT NULL,
+    profile_id uuid REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+    invited_by uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    PRIMARY KEY (team_id, profile_id)
+);
+
+CREATE TABLE IF NOT EXISTS public.team_matches (
+    id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+    home_team_id uuid REFERENCES public.teams(id) ON DELETE CASCADE NOT NULL,
+    away_team_id uuid REFERENCES public.teams(id) ON DELETE CASCADE NOT NULL,
+    game_type game_type NOT NULL DEFAULT '8-ball',
+    -- Race for each individual game
+    games_to_win integer NOT NULL DEFAULT 3 CHECK (games_to_win > 0),
+    -- Individual games that make up the team match
+    games_planned integer NOT NULL DEFAULT 5 CHECK (games_planned > 0),
+    venue text,
+    scheduled_at timestamp with time zone,
+    status text NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'in_progress', 'completed', 'cancelled')),
+    home_points integer NOT NULL DEFAULT 0,
+    away_points integer NOT NULL DEFAULT 0,
+    -- null for a drawn match
+    winner_team_id uuid REFERENCES public.teams(id) ON DELETE SET NULL,
+    created_by uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    updated_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    CHECK (home_team_id <> away_team_id)
+);
+
+-- The home player is always the challenger
+ALTER TABLE public.challenges
+    ADD COLUMN IF NOT EXISTS team_match_id uuid REFERENCES public.team_matches(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS challenges_team_match_idx ON public.challenges (team_match_id) WHERE team_match_id IS NOT NULL;
+
+ALTER TABLE public.teams ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.team_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.team_invites ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.team_matches ENABLE ROW LEVEL SECURITY;
+
+-- Read-only for clients; written by the functions below
+DROP POLICY IF EXISTS "Teams are viewable by everyone" ON public.teams;
+CREATE POLICY "Teams are viewable by everyone" ON public.teams FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Team members are viewable by everyone" ON public.team_members;
+CREATE POLICY "Team members are viewable by everyone" ON public.team_members FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Team invites are viewable by everyone" ON public.team_invites;
+CREATE POLICY "Team invites are viewable by everyone" ON public.team_invites FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Team matches are viewable by everyone" ON public.team_matches;
+CREATE POLICY "Team matches are viewable by everyone" ON public.team_matches FOR SELECT USING (true);
+
+-- Live team match scores
+DO $$ BEGIN
+    ALTER PUBLICATION supabase_realtime ADD TABLE public.team_matches;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- Tournament and team games don't move the ladder or start a cooldown
+CREATE OR REPLACE FUNCTION public.finalize_match(
+    p_challenge_id uuid,
+    p_challenger_score integer,
+    p_challenged_score integer
+)
+RETURNS public.challenges AS $$
+DECLARE
+    match public.challenges;
+    v_winner_id uuid;
+    v_loser_id uuid;
+    challenger_name text;
+    challenged_name text;
+BEGIN
+    -- Lock the challenge row so concurrent finalizations serialize here
+    SELECT * INTO match FROM public.challenges WHERE id = p_challenge_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Challenge not found.';
+    END IF;
+
+    IF match.status = 'completed' THEN
+        RAISE EXCEPTION 'This match has already been finalized.';
+    END IF;
+
+    IF match.status = 'forfeited' THEN
+        RAISE EXCEPTION 'This challenge was forfeited and cannot be finalized.';
+    END IF;
+
+    IF match.status = 'voided' THEN
+        RAISE EXCEPTION 'This match was voided and cannot be finalized.';
+    END IF;
+
+    v_winner_id := public.match_winner(match, p_challenger_score, p_challenged_score);
+    IF v_winner_id = match.challenger_id THEN
+        v_loser_id := match.challenged_id;
+    ELSE
+        v_loser_id := match.challenger_id;
+    END IF;
+
+    SELECT full_name INTO challenger_name FROM public.profiles WHERE id = match.challenger_id;
+    SELECT full_name INTO challenged_name FROM public.profiles WHERE id = match.challenged_id;
+
+    IF match.tournament_id IS NULL AND match.team_match_id IS NULL THEN
+        -- 1. Rank movement on this discipline's ladder
+        PERFORM public.update_rankings_on_win(v_winner_id, v_loser_id, match.game_type, 'match', match.id);
+
+        -- 2. 24h cooldown for the loser
+        UPDATE public.profiles
+        SET cooldown_until = now() + interval '24 hours'
+        WHERE id = v_loser_id;
+    END IF;
+
+    -- 3. Activity feed entry
+    INSERT INTO public.activities (user_id, action_type, metadata)
+    VALUES (
+        v_winner_id,
+        'MATCH_COMPLETED',
+        jsonb_build_object(
+            'challenge_id', match.id,
+            'challenger_name', challenger_name,
+            'challenged_name', challenged_name,
+            'final_score', p_challenger_score || ' - ' || p_challenged_score,
+            'winner_name', CASE WHEN v_winner_id = match.challenger_id THEN challenger_name ELSE challenged_name END,
+            'game_type', match.game_type,
+            'tournament_id', match.tournament_id,
+            'team_match_id', match.team_match_id
+        )
+    );
+
+    -- 4. Close out the challenge
+    UPDATE public.challenges
+    SET status = 'completed',
+        challenger_score = p_challenger_score,
+        challenged_score = p_challenged_score,
+        winner_id = v_winner_id,
+        updated_at = now()
+    WHERE id = p_challenge_id
+    RETURNING * INTO match;
+
+    RETURN match;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.is_team_captain(p_team_id uuid)
+RETURNS boolean AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM public.teams
+        WHERE id = p_team_id AND captain_id = public.current_profile_id()
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.create_team(p_name text, p_captain_id uuid)
+RETURNS public.teams AS $$
+DECLARE
+    created public.teams;
+BEGIN
+    IF NOT public.is_league_officer() THEN
+        RAISE EXCEPTION 'Only league officers can create teams.';
+    END IF;
+
+    IF p_name IS NULL OR btrim(p_name) = '' THEN
+        RAISE EXCEPTION 'Give the team a name.';
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM public.team_members WHERE profile_id = p_captain_id) THEN
+        RAISE EXCEPTION 'That player is already on a team.';
+    END IF;
+
+    INSERT INTO public.teams (name, captain_id)
+    VALUES (btrim(p_name), p_captain_id)
+    RETURNING * INTO created;
+
+    INSERT INTO public.team_members (team_id, profile_id)
+    VALUES (created.id, p_captain_id);
+
+    DELETE FROM public.team_invites WHERE profile_id = p_captain_id;
+
+    RETURN created;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.set_team_captain(p_team_id uuid, p_profile_id uuid)
+RETURNS public.teams AS $$
+DECLARE
+    updated public.teams;
+BEGIN
+    IF NOT public.is_league_officer() THEN
+        RAISE EXCEPTION 'Only league officers can change a team captain.';
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM public.team_members WHERE team_id = p_team_id AND profile_id = p_profile_id) THEN
+        RAISE EXCEPTION 'The captain must be on the team roster.';
+    END IF;
+
+    UPDATE public.teams
+    SET captain_id = p_profile_id,
+        updated_at = now()
+    WHERE id = p_team_id
+    RETURNING * INTO updated;
+
+    RETURN updated;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Officers can put any player without a team straight on a roster
+CREATE OR REPLACE FUNCTION public.add_team_member(p_team_id uuid, p_profile_id uuid)
+RETURNS public.team_members AS $$
+DECLARE
+    member public.team_members;
+BEGIN
+    IF NOT public.is_league_officer() THEN
+        RAISE EXCEPTION 'Only league officers can add players directly. Invite them instead.';
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM public.team_members WHERE profile_id = p_profile_id) THEN
+        RAISE EXCEPTION 'That player is already on a team.';
+    END IF;
+
+    INSERT INTO public.team_members (team_id, profile_id)
+    VALUES (p_team_id, p_profile_id)
+    RETURNING * INTO member;
+
+    DELETE FROM public.team_invites WHERE profile_id = p_profile_id;
+
+    RETURN member;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Captains invite players who don't have a team yet; the player joins by
+-- accepting
+CREATE OR REPLACE FUNCTION public.invite_team_member(p_team_id uuid, p_profile_id uuid)
+RETURNS public.team_invites AS $$
+DECLARE
+    invite public.team_invites;
+BEGIN
+    IF NOT public.is_team_captain(p_team_id) AND NOT public.is_league_officer() THEN
+        RAISE EXCEPTION 'Only the team captain can invite players.';
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM public.team_members WHERE profile_id = p_profile_id) THEN
+        RAISE EXCEPTION 'That player is already on a team.';
+    END IF;
+
+    INSERT INTO public.team_invites (team_id, profile_id, invited_by)
+    VALUES (p_team_id, p_profile_id, public.current_profile_id())
+    ON CONFLICT (team_id, profile_id) DO NOTHING;
+
+    SELECT * INTO invite FROM public.team_invites
+    WHERE team_id = p_team_id AND profile_id = p_profile_id;
+
+    RETURN invite;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Joins the team and drops the player's other invites
+CREATE OR REPLACE FUNCTION public.accept_team_invite(p_team_id uuid)
+RETURNS public.team_members AS $$
+DECLARE
+    caller_id uuid := public.current_profile_id();
+    member public.team_members;
+BEGIN
+    IF caller_id IS NULL OR NOT EXISTS (
+        SELECT 1 FROM public.team_invites WHERE team_id = p_team_id AND profile_id = caller_id
+    ) THEN
+        RAISE EXCEPTION 'This invite is no longer open.';
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM public.team_members WHERE profile_id = caller_id) THEN
+        RAISE EXCEPTION 'You are already on a team.';
+    END IF;
+
+    INSERT INTO public.team_members (team_id, profile_id)
+    VALUES (p_team_id, caller_id)
+    RETURNING * INTO member;
+
+    DELETE FROM public.team_invites WHERE profile_id = caller_id;
+
+    RETURN member;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- The invited player turns it down, or the captain takes it back
+CREATE OR REPLACE FUNCTION public.decline_team_invite(p_team_id uuid, p_profile_id uuid)
+RETURNS void AS $$
+BEGIN
+    IF p_profile_id IS DISTINCT FROM public.current_profile_id()
+        AND NOT public.is_team_captain(p_team_id)
+        AND NOT public.is_league_officer() THEN
+        RAISE EXCEPTION 'Only the invited player or the team captain can cancel this invite.';
+    END IF;
+
+    DELETE FROM public.team_invites
+    WHERE team_id = p_team_id AND profile_id = p_profile_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.remove_team_member(p_team_id uuid, p_profile_id uuid)
+RETURNS void AS $$
+BEGIN
+    IF NOT public.is_team_captain(p_team_id) AND NOT public.is_league_officer() THEN
+        RAISE EXCEPTION 'Only the team captain can change the roster.';
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM public.teams WHERE id = p_team_id AND captain_id = p_profile_id) THEN
+        RAISE EXCEPTION 'Name a new captain before removing this player.';
+    END IF;
+
+    DELETE FROM public.team_members
+    WHERE team_id = p_team_id AND profile_id = p_profile_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Officers or the home team's captain schedule team matches
+CREATE OR REPLACE FUNCTION public.schedule_team_match(
+    p_home_team_id uuid,
+    p_away_team_id uuid,
+    p_game_type game_type DEFAULT '8-ball',
+    p_games_to_win integer DEFAULT 3,
+    p_games_planned integer DEFAULT 5,
+    p_scheduled_at timestamp with time zone DEFAULT NULL,
+    p_venue text DEFAULT NULL
+)
+RETURNS public.team_matches AS $$
+DECLARE
+    created public.team_matches;
+BEGIN
+    IF NOT public.is_team_captain(p_home_team_id) AND NOT public.is_league_officer() THEN
+        RAISE EXCEPTION 'Only league officers or the home captain can schedule a team match.';
+    END IF;
+
+    IF p_home_team_id = p_away_team_id THEN
+        RAISE EXCEPTION 'A team cannot play itself.';
+    END IF;
+
+    INSERT INTO public.team_matches (home_team_id, away_team_id, game_type, games_to_win, games_planned, scheduled_at, venue, created_by)
+    VALUES (p_home_team_id, p_away_team_id, p_game_type, p_games_to_win, p_games_planned, p_scheduled_at, NULLIF(btrim(p_venue), ''), public.current_profile_id())
+    RETURNING * INTO created;
+
+    RETURN created;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Either captain (or an officer) puts up the next individual game
+CREATE OR REPLACE FUNCTION public.add_team_match_game(
+    p_team_match_id uuid,
+    p_home_player_id uuid,
+    p_away_player_id uuid
+)
+RETURNS public.challenges AS $$
+DECLARE
+    tm public.team_matches;
+    game public.challenges;
+BEGIN
+    SELECT * INTO tm FROM public.team_matches WHERE id = p_team_match_id FOR UPDATE;
+
+    IF tm.id IS NULL THEN
+        RAISE EXCEPTION 'Team match not found.';
+    END IF;
+
+    IF NOT public.is_team_captain(tm.home_team_id)
+       AND NOT public.is_team_captain(tm.away_team_id)
+       AND NOT public.is_league_officer() THEN
+        RAISE EXCEPTION 'Only a team captain can set the lineup.';
+    END IF;
+
+    IF tm.status NOT IN ('scheduled', 'in_progress') THEN
+        RAISE EXCEPTION 'This team match is already over.';
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM public.team_members WHERE team_id = tm.home_team_id AND profile_id = p_home_player_id)
+       OR NOT EXISTS (SELECT 1 FROM public.team_members WHERE team_id = tm.away_team_id AND profile_id = p_away_player_id) THEN
+        RAISE EXCEPTION 'Both players must be on their team''s roster.';
+    END IF;
+
+    IF (
+        SELECT count(*) FROM public.challenges
+        WHERE team_match_id = tm.id AND status <> 'voided'
+    ) >= tm.games_planned THEN
+        RAISE EXCEPTION 'Every game in this team match has already been set.';
+    END IF;
+
+    INSERT INTO public.challenges (challenger_id, challenged_id, game_type, games_to_win, venue, proposed_time, status, team_match_id)
+    VALUES (p_home_player_id, p_away_player_id, tm.game_type, tm.games_to_win, tm.venue, tm.scheduled_at, 'scheduled', tm.id)
+    RETURNING * INTO game;
+
+    UPDATE public.team_matches
+    SET status = 'in_progress',
+        updated_at = now()
+    WHERE id = tm.id AND status = 'scheduled';
+
+    RETURN game;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Recounts a team match from its individual games whenever one is decided,
+-- corrected or voided. See getTeamStandings() for the same rules client-side.
+CREATE OR REPLACE FUNCTION public.score_team_match()
+RETURNS trigger AS $$
+DECLARE
+    tm public.team_matches;
+    v_home_points integer;
+    v_away_points integer;
+    decided integer;
+    winning_team uuid;
+BEGIN
+    SELECT * INTO tm FROM public.team_matches WHERE id = NEW.team_match_id FOR UPDATE;
+
+    IF tm.id IS NULL OR tm.status = 'cancelled' THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT count(*) FILTER (WHERE winner_id = challenger_id),
+           count(*) FILTER (WHERE winner_id = challenged_id),
+           count(*)
+    INTO v_home_points, v_away_points, decided
+    FROM public.challenges
+    WHERE team_match_id = tm.id
+      AND status IN ('completed', 'forfeited')
+      AND winner_id IS NOT NULL;
+
+    winning_team := CASE
+        WHEN v_home_points > v_away_points THEN tm.home_team_id
+        WHEN v_away_points > v_home_points THEN tm.away_team_id
+    END;
+
+    UPDATE public.team_matches
+    SET home_points = v_home_points,
+        away_points = v_away_points,
+        status = CASE WHEN decided >= games_planned THEN 'completed' ELSE 'in_progress' END,
+        winner_team_id = CASE WHEN decided >= games_planned THEN winning_team END,
+        updated_at = now()
+    WHERE id = tm.id;
+
+    IF decided >= tm.games_planned AND tm.status <> 'completed' THEN
+        INSERT INTO public.activities (user_id, action_type, metadata)
+        SELECT
+            COALESCE(winner.captain_id, home.captain_id),
+            'TEAM_MATCH_COMPLETED',
+            jsonb_build_object(
+                'team_match_id', tm.id,
+                'home_team_name', home.name,
+                'away_team_name', away.name,
+                'final_score', v_home_points || ' - ' || v_away_points,
+                'winner_team_name', winner.name,
+                'game_type', tm.game_type
+            )
+        FROM public.teams home
+        JOIN public.teams away ON away.id = tm.away_team_id
+        LEFT JOIN public.teams winner ON winner.id = winning_team
+        WHERE home.id = tm.home_team_id;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS challenges_score_team_match ON public.challenges;
+CREATE TRIGGER challenges_score_team_match
+    AFTER UPDATE OF status, winner_id ON public.challenges
+    FOR EACH ROW
+    WHEN (
+        NEW.team_match_id IS NOT NULL
+        AND NEW.status IN ('completed', 'forfeited', 'voided')
+        AND (OLD.status IS DISTINCT FROM NEW.status OR OLD.winner_id IS DISTINCT FROM NEW.winner_id)
+    )
+    EXECUTE FUNCTION public.score_team_match();
+
+-- Voids every unplayed game in the team match
+CREATE OR REPLACE FUNCTION public.cancel_team_match(p_team_match_id uuid)
+RETURNS public.team_matches AS $$
+DECLARE
+    tm public.team_matches;
+BEGIN
+    IF NOT public.is_league_officer() THEN
+        RAISE EXCEPTION 'Only league officers can cancel a team match.';
+    END IF;
+
+    UPDATE public.team_matches
+    SET status = 'cancelled',
+        updated_at = now()
+    WHERE id = p_team_match_id AND status IN ('scheduled', 'in_progress')
+    RETURNING * INTO tm;
+
+    IF tm.id IS NULL THEN
+        RAISE EXCEPTION 'This team match is already over.';
+    END IF;
+
+    UPDATE public.challenges
+    SET status = 'voided',
+        reported_by = NULL,
+        reported_at = NULL,
+        updated_at = now()
+    WHERE team_match_id = tm.id
+      AND status IN ('pending', 'negotiating', 'scheduled', 'live', 'disputed');
+
+    RETURN tm;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Merging duplicate profiles also carries over roster spots and captaincies
+CREATE OR REPLACE FUNCTION public.merge_profile_references(p_keep_id uuid, p_duplicate_id uuid)
+RETURNS void AS $$
+BEGIN
+    UPDATE public.challenges SET challenger_id = p_keep_id WHERE challenger_id = p_duplicate_id;
+    UPDATE public.challenges SET challenged_id = p_keep_id WHERE challenged_id = p_duplicate_id;
+    UPDATE public.challenges SET winner_id = p_keep_id WHERE winner_id = p_duplicate_id;
+    UPDATE public.challenges SET reported_by = p_keep_id WHERE reported_by = p_duplicate_id;
+    UPDATE public.challenges SET last_proposed_by = p_keep_id WHERE last_proposed_by = p_duplicate_id;
+    UPDATE public.challenge_proposals SET proposed_by = p_keep_id WHERE proposed_by = p_duplicate_id;
+    UPDATE public.activities SET user_id = p_keep_id WHERE user_id = p_duplicate_id;
+    UPDATE public.comments SET user_id = p_keep_id WHERE user_id = p_duplicate_id;
+
+    DELETE FROM public.cheers c
+    WHERE c.user_id = p_duplicate_id
+      AND EXISTS (SELECT 1 FROM public.cheers k WHERE k.activity_id = c.activity_id AND k.user_id = p_keep_id);
+    UPDATE public.cheers SET user_id = p_keep_id WHERE user_id = p_duplicate_id;
+
+    DELETE FROM public.rating_history r
+    WHERE r.profile_id = p_duplicate_id
+      AND EXISTS (SELECT 1 FROM public.rating_history k WHERE k.challenge_id = r.challenge_id AND k.profile_id = p_keep_id);
+    UPDATE public.rating_history SET profile_id = p_keep_id WHERE profile_id = p_duplicate_id;
+
+    UPDATE public.rank_history SET profile_id = p_keep_id WHERE profile_id = p_duplicate_id;
+
+    -- Archived seasons both played in add up, keeping the better finish
+    UPDATE public.season_standings k
+    SET rank = LEAST(k.rank, d.rank),
+        points = k.points + d.points,
+        wins = k.wins + d.wins,
+        losses = k.losses + d.losses
+    FROM public.season_standings d
+    WHERE k.profile_id = p_keep_id
+      AND d.profile_id = p_duplicate_id
+      AND d.season_id = k.season_id
+      AND d.game_type = k.game_type;
+    DELETE FROM public.season_standings d
+    WHERE d.profile_id = p_duplicate_id
+      AND EXISTS (
+          SELECT 1 FROM public.season_standings k
+          WHERE k.profile_id = p_keep_id AND k.season_id = d.season_id AND k.game_type = d.game_type
+      );
+    UPDATE public.season_standings SET profile_id = p_keep_id WHERE profile_id = p_duplicate_id;
+
+    INSERT INTO public.league_officers (profile_id)
+    SELECT p_keep_id FROM public.league_officers WHERE profile_id = p_duplicate_id
+    ON CONFLICT (profile_id) DO NOTHING;
+
+    UPDATE public.admin_actions SET officer_id = p_keep_id WHERE officer_id = p_duplicate_id;
+    UPDATE public.admin_actions SET target_profile_id = p_keep_id WHERE target_profile_id = p_duplicate_id;
+
+    -- A player can't hold two spots in a bracket that is still being played
+    IF EXISTS (
+        SELECT 1
+        FROM public.tournament_entrants k
+        JOIN public.tournament_entrants d ON d.tournament_id = k.tournament_id
+        JOIN public.tournaments t ON t.id = k.tournament_id
+        WHERE k.profile_id = p_keep_id
+          AND d.profile_id = p_duplicate_id
+          AND t.status = 'in_progress'
+    ) THEN
+        RAISE EXCEPTION 'Both profiles are playing in the same tournament. Merge them once it is over.';
+    END IF;
+
+    DELETE FROM public.tournament_entrants d
+    WHERE d.profile_id = p_duplicate_id
+      AND EXISTS (SELECT 1 FROM public.tournament_entrants k WHERE k.tournament_id = d.tournament_id AND k.profile_id = p_keep_id);
+    UPDATE public.tournament_entrants SET profile_id = p_keep_id WHERE profile_id = p_duplicate_id;
+    UPDATE public.tournament_matches SET player1_id = p_keep_id WHERE player1_id = p_duplicate_id;
+    UPDATE public.tournament_matches SET player2_id = p_keep_id WHERE player2_id = p_duplicate_id;
+    UPDATE public.tournament_matches SET winner_id = p_keep_id WHERE winner_id = p_duplicate_id;
+    UPDATE public.tournaments SET winner_id = p_keep_id WHERE winner_id = p_duplicate_id;
+    UPDATE public.tournaments SET created_by = p_keep_id WHERE created_by = p_duplicate_id;
+
+    -- One team per player: profiles on two different rosters can't be folded
+    IF EXISTS (
+        SELECT 1
+        FROM public.team_members k
+        JOIN public.team_members d ON d.team_id <> k.team_id
+        WHERE k.profile_id = p_keep_id AND d.profile_id = p_duplicate_id
+    ) THEN
+        RAISE EXCEPTION 'The two profiles are on different teams. Take one off its roster first.';
+    END IF;
+
+    DELETE FROM public.team_members
+    WHERE profile_id = p_duplicate_id
+      AND EXISTS (SELECT 1 FROM public.team_members WHERE profile_id = p_keep_id);
+    UPDATE public.team_members SET profile_id = p_keep_id WHERE profile_id = p_duplicate_id;
+    UPDATE public.teams SET captain_id = p_keep_id WHERE captain_id = p_duplicate_id;
+    UPDATE public.team_matches SET created_by = p_keep_id WHERE created_by = p_duplicate_id;
+
+    DELETE FROM public.team_invites d
+    WHERE d.profile_id = p_duplicate_id
+      AND EXISTS (SELECT 1 FROM public.team_invites k WHERE k.team_id = d.team_id AND k.profile_id = p_keep_id);
+    UPDATE public.team_invites SET profile_id = p_keep_id WHERE profile_id = p_duplicate_id;
+    UPDATE public.team_invites SET invited_by = p_keep_id WHERE invited_by = p_duplicate_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.is_team_captain(uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.create_team(text, uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.set_team_captain(uuid, uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.add_team_member(uuid, uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.invite_team_member(uuid, uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.accept_team_invite(uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.decline_team_invite(uuid, uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.remove_team_member(uuid, uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.schedule_team_match(uuid, uuid, game_type, integer, integer, timestamp with time zone, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.add_team_match_game(uuid, uuid, uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.cancel_team_match(uuid) TO authenticated;
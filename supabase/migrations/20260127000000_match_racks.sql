@@ -0,0 +1,279 @@
+-- Rack-by-rack match log
+-- The scoreboard records every rack as it is played (who won, who broke,
+-- and whether it was a break-and-run or golden break), so a match can be
+-- resumed from another phone and the score has a history. Undo and reset
+-- mark racks as undone rather than deleting them.
+
+CREATE TABLE IF NOT EXISTS public.match_racks (
+    id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+    challenge_id uuid REFERENCES public.challenges(id) ON DELETE CASCADE NOT NULL,
+    rack_number integer NOT NULL CHECK (rack_number > 0),
+    winner_id uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+    breaker_id uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+    break_and_run boolean NOT NULL DEFAULT false,
+    golden_break boolean NOT NULL DEFAULT false,
+    recorded_by uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    -- Undone racks stay in the log but no longer count
+    undone_at timestamp with time zone,
+    undone_by uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+    -- Only the breaker can run out from the break
+    CHECK (NOT (break_and_run OR golden_break) OR winner_id = breaker_id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS match_racks_active_number_idx
+    ON public.match_racks (challenge_id, rack_number)
+    WHERE undone_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS match_racks_challenge_idx ON public.match_racks (challenge_id, created_at);
+
+ALTER TABLE public.match_racks ENABLE ROW LEVEL SECURITY;
+
+-- Read-only for clients; written by the functions below
+DROP POLICY IF EXISTS "Match racks are viewable by everyone" ON public.match_racks;
+CREATE POLICY "Match racks are viewable by everyone" ON public.match_racks FOR SELECT USING (true);
+
+DO $$ BEGIN
+    ALTER PUBLICATION supabase_realtime ADD TABLE public.match_racks;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- Locks the challenge and checks the caller may score it right now
+CREATE OR REPLACE FUNCTION public.lock_scorable_match(p_challenge_id uuid)
+RETURNS public.challenges AS $$
+DECLARE
+    match public.challenges;
+    caller_id uuid := public.current_profile_id();
+BEGIN
+    SELECT * INTO match FROM public.challenges WHERE id = p_challenge_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Challenge not found.';
+    END IF;
+
+    IF (caller_id IS NULL OR caller_id NOT IN (match.challenger_id, match.challenged_id))
+       AND NOT public.is_league_officer() THEN
+        RAISE EXCEPTION 'Only the players can score this match.';
+    END IF;
+
+    IF match.status NOT IN ('scheduled', 'live') THEN
+        RAISE EXCEPTION 'This match is not being played.';
+    END IF;
+
+    RETURN match;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.record_rack(
+    p_challenge_id uuid,
+    p_winner_id uuid,
+    p_breaker_id uuid DEFAULT NULL,
+    p_break_and_run boolean DEFAULT false,
+    p_golden_break boolean DEFAULT false
+)
+RETURNS public.match_racks AS $$
+DECLARE
+    match public.challenges;
+    challenger_racks integer;
+    challenged_racks integer;
+    recorded public.match_racks;
+BEGIN
+    match := public.lock_scorable_match(p_challenge_id);
+
+    IF p_winner_id IS NULL OR p_winner_id NOT IN (match.challenger_id, match.challenged_id) THEN
+        RAISE EXCEPTION 'The rack winner must be one of the players.';
+    END IF;
+
+    IF p_breaker_id IS NOT NULL AND p_breaker_id NOT IN (match.challenger_id, match.challenged_id) THEN
+        RAISE EXCEPTION 'The breaker must be one of the players.';
+    END IF;
+
+    IF (p_break_and_run OR p_golden_break) AND p_breaker_id IS DISTINCT FROM p_winner_id THEN
+        RAISE EXCEPTION 'Only the breaker can win a rack from the break.';
+    END IF;
+
+    SELECT count(*) FILTER (WHERE winner_id = match.challenger_id),
+           count(*) FILTER (WHERE winner_id = match.challenged_id)
+    INTO challenger_racks, challenged_racks
+    FROM public.match_racks
+    WHERE challenge_id = match.id AND undone_at IS NULL;
+
+    IF challenger_racks >= COALESCE(match.challenger_race, match.games_to_win)
+       OR challenged_racks >= COALESCE(match.challenged_race, match.games_to_win) THEN
+        RAISE EXCEPTION 'The race is already over. Undo a rack or finish the match.';
+    END IF;
+
+    INSERT INTO public.match_racks (challenge_id, rack_number, winner_id, breaker_id, break_and_run, golden_break, recorded_by)
+    VALUES (
+        match.id,
+        challenger_racks + challenged_racks + 1,
+        p_winner_id,
+        p_breaker_id,
+        COALESCE(p_break_and_run, false),
+        COALESCE(p_golden_break, false),
+        public.current_profile_id()
+    )
+    RETURNING * INTO recorded;
+
+    RETURN recorded;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Undoes the latest rack still counting; call again to step further back
+CREATE OR REPLACE FUNCTION public.undo_last_rack(p_challenge_id uuid)
+RETURNS public.match_racks AS $$
+DECLARE
+    match public.challenges;
+    undone public.match_racks;
+BEGIN
+    match := public.lock_scorable_match(p_challenge_id);
+
+    UPDATE public.match_racks
+    SET undone_at = now(),
+        undone_by = public.current_profile_id()
+    WHERE id = (
+        SELECT id FROM public.match_racks
+        WHERE challenge_id = match.id AND undone_at IS NULL
+        ORDER BY rack_number DESC
+        LIMIT 1
+    )
+    RETURNING * INTO undone;
+
+    IF undone.id IS NULL THEN
+        RAISE EXCEPTION 'There are no racks to undo.';
+    END IF;
+
+    RETURN undone;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Undoes every rack, returning how many were undone
+CREATE OR REPLACE FUNCTION public.reset_racks(p_challenge_id uuid)
+RETURNS integer AS $$
+DECLARE
+    match public.challenges;
+    undone_count integer;
+BEGIN
+    match := public.lock_scorable_match(p_challenge_id);
+
+    UPDATE public.match_racks
+    SET undone_at = now(),
+        undone_by = public.current_profile_id()
+    WHERE challenge_id = match.id AND undone_at IS NULL;
+
+    GET DIAGNOSTICS undone_count = ROW_COUNT;
+    RETURN undone_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Merging duplicate profiles also carries over the rack log, so rack history
+-- and break stats stay with the kept player
+CREATE OR REPLACE FUNCTION public.merge_profile_references(p_keep_id uuid, p_duplicate_id uuid)
+RETURNS void AS $$
+BEGIN
+    UPDATE public.challenges SET challenger_id = p_keep_id WHERE challenger_id = p_duplicate_id;
+    UPDATE public.challenges SET challenged_id = p_keep_id WHERE challenged_id = p_duplicate_id;
+    UPDATE public.challenges SET winner_id = p_keep_id WHERE winner_id = p_duplicate_id;
+    UPDATE public.challenges SET reported_by = p_keep_id WHERE reported_by = p_duplicate_id;
+    UPDATE public.challenges SET last_proposed_by = p_keep_id WHERE last_proposed_by = p_duplicate_id;
+    UPDATE public.challenge_proposals SET proposed_by = p_keep_id WHERE proposed_by = p_duplicate_id;
+    UPDATE public.activities SET user_id = p_keep_id WHERE user_id = p_duplicate_id;
+    UPDATE public.comments SET user_id = p_keep_id WHERE user_id = p_duplicate_id;
+
+    DELETE FROM public.cheers c
+    WHERE c.user_id = p_duplicate_id
+      AND EXISTS (SELECT 1 FROM public.cheers k WHERE k.activity_id = c.activity_id AND k.user_id = p_keep_id);
+    UPDATE public.cheers SET user_id = p_keep_id WHERE user_id = p_duplicate_id;
+
+    DELETE FROM public.rating_history r
+    WHERE r.profile_id = p_duplicate_id
+      AND EXISTS (SELECT 1 FROM public.rating_history k WHERE k.challenge_id = r.challenge_id AND k.profile_id = p_keep_id);
+    UPDATE public.rating_history SET profile_id = p_keep_id WHERE profile_id = p_duplicate_id;
+
+    UPDATE public.rank_history SET profile_id = p_keep_id WHERE profile_id = p_duplicate_id;
+
+    -- Archived seasons both played in add up, keeping the better finish
+    UPDATE public.season_standings k
+    SET rank = LEAST(k.rank, d.rank),
+        points = k.points + d.points,
+        wins = k.wins + d.wins,
+        losses = k.losses + d.losses
+    FROM public.season_standings d
+    WHERE k.profile_id = p_keep_id
+      AND d.profile_id = p_duplicate_id
+      AND d.season_id = k.season_id
+      AND d.game_type = k.game_type;
+    DELETE FROM public.season_standings d
+    WHERE d.profile_id = p_duplicate_id
+      AND EXISTS (
+          SELECT 1 FROM public.season_standings k
+          WHERE k.profile_id = p_keep_id AND k.season_id = d.season_id AND k.game_type = d.game_type
+      );
+    UPDATE public.season_standings SET profile_id = p_keep_id WHERE profile_id = p_duplicate_id;
+
+    INSERT INTO public.league_officers (profile_id)
+    SELECT p_keep_id FROM public.league_officers WHERE profile_id = p_duplicate_id
+    ON CONFLICT (profile_id) DO NOTHING;
+
+    UPDATE public.admin_actions SET officer_id = p_keep_id WHERE officer_id = p_duplicate_id;
+    UPDATE public.admin_actions SET target_profile_id = p_keep_id WHERE target_profile_id = p_duplicate_id;
+
+    -- A player can't hold two spots in a bracket that is still being played
+    IF EXISTS (
+        SELECT 1
+        FROM public.tournament_entrants k
+        JOIN public.tournament_entrants d ON d.tournament_id = k.tournament_id
+        JOIN public.tournaments t ON t.id = k.tournament_id
+        WHERE k.profile_id = p_keep_id
+          AND d.profile_id = p_duplicate_id
+          AND t.status = 'in_progress'
+    ) THEN
+        RAISE EXCEPTION 'Both profiles are playing in the same tournament. Merge them once it is over.';
+    END IF;
+
+    DELETE FROM public.tournament_entrants d
+    WHERE d.profile_id = p_duplicate_id
+      AND EXISTS (SELECT 1 FROM public.tournament_entrants k WHERE k.tournament_id = d.tournament_id AND k.profile_id = p_keep_id);
+    UPDATE public.tournament_entrants SET profile_id = p_keep_id WHERE profile_id = p_duplicate_id;
+    UPDATE public.tournament_matches SET player1_id = p_keep_id WHERE player1_id = p_duplicate_id;
+    UPDATE public.tournament_matches SET player2_id = p_keep_id WHERE player2_id = p_duplicate_id;
+    UPDATE public.tournament_matches SET winner_id = p_keep_id WHERE winner_id = p_duplicate_id;
+    UPDATE public.tournaments SET winner_id = p_keep_id WHERE winner_id = p_duplicate_id;
+    UPDATE public.tournaments SET created_by = p_keep_id WHERE created_by = p_duplicate_id;
+
+    -- One team per player: profiles on two different rosters can't be folded
+    IF EXISTS (
+        SELECT 1
+        FROM public.team_members k
+        JOIN public.team_members d ON d.team_id <> k.team_id
+        WHERE k.profile_id = p_keep_id AND d.profile_id = p_duplicate_id
+    ) THEN
+        RAISE EXCEPTION 'The two profiles are on different teams. Take one off its roster first.';
+    END IF;
+
+    DELETE FROM public.team_members
+    WHERE profile_id = p_duplicate_id
+      AND EXISTS (SELECT 1 FROM public.team_members WHERE profile_id = p_keep_id);
+    UPDATE public.team_members SET profile_id = p_keep_id WHERE profile_id = p_duplicate_id;
+    UPDATE public.teams SET captain_id = p_keep_id WHERE captain_id = p_duplicate_id;
+    UPDATE public.team_matches SET created_by = p_keep_id WHERE created_by = p_duplicate_id;
+
+    DELETE FROM public.team_invites d
+    WHERE d.profile_id = p_duplicate_id
+      AND EXISTS (SELECT 1 FROM public.team_invites k WHERE k.team_id = d.team_id AND k.profile_id = p_keep_id);
+    UPDATE public.team_invites SET profile_id = p_keep_id WHERE profile_id = p_duplicate_id;
+    UPDATE public.team_invites SET invited_by = p_keep_id WHERE invited_by = p_duplicate_id;
+
+    UPDATE public.match_racks SET winner_id = p_keep_id WHERE winner_id = p_duplicate_id;
+    UPDATE public.match_racks SET breaker_id = p_keep_id WHERE breaker_id = p_duplicate_id;
+    UPDATE public.match_racks SET recorded_by = p_keep_id WHERE recorded_by = p_duplicate_id;
+    UPDATE public.match_racks SET undone_by = p_keep_id WHERE undone_by = p_duplicate_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.lock_scorable_match(uuid) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.record_rack(uuid, uuid, uuid, boolean, boolean) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.undo_last_rack(uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.reset_racks(uuid) TO authenticated;
@@ -0,0 +1,200 @@
+-- Persisted live score
+-- The scoreboard used to broadcast the score without storing it, so late
+-- spectators saw 0-0 and two scorekeepers could overwrite each other. The
+-- current score now lives in live_scores, kept in step with the rack log by
+-- the rack functions. Every change bumps a version; a scorekeeper sends the
+-- version they were looking at and is turned away if it has moved on.
+
+CREATE TABLE IF NOT EXISTS public.live_scores (
+    challenge_id uuid REFERENCES public.challenges(id) ON DELETE CASCADE PRIMARY KEY,
+    challenger_score integer NOT NULL DEFAULT 0,
+    challenged_score integer NOT NULL DEFAULT 0,
+    -- Only ever goes up, one step per change
+    version bigint NOT NULL DEFAULT 0,
+    updated_by uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+    updated_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+ALTER TABLE public.live_scores ENABLE ROW LEVEL SECURITY;
+
+-- Read-only for clients; written by the rack functions
+DROP POLICY IF EXISTS "Live scores are viewable by everyone" ON public.live_scores;
+CREATE POLICY "Live scores are viewable by everyone" ON public.live_scores FOR SELECT USING (true);
+
+DO $$ BEGIN
+    ALTER PUBLICATION supabase_realtime ADD TABLE public.live_scores;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- Matches already being scored with the rack log
+INSERT INTO public.live_scores (challenge_id, challenger_score, challenged_score, version)
+SELECT c.id,
+       count(*) FILTER (WHERE r.winner_id = c.challenger_id AND r.undone_at IS NULL),
+       count(*) FILTER (WHERE r.winner_id = c.challenged_id AND r.undone_at IS NULL),
+       1
+FROM public.challenges c
+JOIN public.match_racks r ON r.challenge_id = c.id
+GROUP BY c.id
+ON CONFLICT (challenge_id) DO NOTHING;
+
+-- Turns away a change made against an out-of-date score.
+-- A NULL expected version skips the check.
+CREATE OR REPLACE FUNCTION public.check_score_version(p_challenge_id uuid, p_expected_version bigint)
+RETURNS void AS $$
+DECLARE
+    current_version bigint;
+BEGIN
+    IF p_expected_version IS NULL THEN
+        RETURN;
+    END IF;
+
+    SELECT version INTO current_version FROM public.live_scores WHERE challenge_id = p_challenge_id;
+
+    IF COALESCE(current_version, 0) <> p_expected_version THEN
+        RAISE EXCEPTION 'The score was changed on another device. Check the scoreboard and try again.'
+            USING ERRCODE = '40001';
+    END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Recounts the rack log into live_scores and bumps the version
+CREATE OR REPLACE FUNCTION public.refresh_live_score(match public.challenges)
+RETURNS public.live_scores AS $$
+DECLARE
+    score public.live_scores;
+BEGIN
+    INSERT INTO public.live_scores (challenge_id, challenger_score, challenged_score, version, updated_by, updated_at)
+    SELECT match.id,
+           count(*) FILTER (WHERE winner_id = match.challenger_id),
+           count(*) FILTER (WHERE winner_id = match.challenged_id),
+           1,
+           public.current_profile_id(),
+           now()
+    FROM public.match_racks
+    WHERE challenge_id = match.id AND undone_at IS NULL
+    ON CONFLICT (challenge_id) DO UPDATE
+    SET challenger_score = EXCLUDED.challenger_score,
+        challenged_score = EXCLUDED.challenged_score,
+        version = public.live_scores.version + 1,
+        updated_by = EXCLUDED.updated_by,
+        updated_at = EXCLUDED.updated_at
+    RETURNING * INTO score;
+
+    RETURN score;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- The rack functions now take the version the scorekeeper saw and return the new score
+DROP FUNCTION IF EXISTS public.record_rack(uuid, uuid, uuid, boolean, boolean);
+DROP FUNCTION IF EXISTS public.undo_last_rack(uuid);
+DROP FUNCTION IF EXISTS public.reset_racks(uuid);
+
+CREATE OR REPLACE FUNCTION public.record_rack(
+    p_challenge_id uuid,
+    p_winner_id uuid,
+    p_breaker_id uuid DEFAULT NULL,
+    p_break_and_run boolean DEFAULT false,
+    p_golden_break boolean DEFAULT false,
+    p_expected_version bigint DEFAULT NULL
+)
+RETURNS public.live_scores AS $$
+DECLARE
+    match public.challenges;
+    challenger_racks integer;
+    challenged_racks integer;
+BEGIN
+    match := public.lock_scorable_match(p_challenge_id);
+    PERFORM public.check_score_version(match.id, p_expected_version);
+
+    IF p_winner_id IS NULL OR p_winner_id NOT IN (match.challenger_id, match.challenged_id) THEN
+        RAISE EXCEPTION 'The rack winner must be one of the players.';
+    END IF;
+
+    IF p_breaker_id IS NOT NULL AND p_breaker_id NOT IN (match.challenger_id, match.challenged_id) THEN
+        RAISE EXCEPTION 'The breaker must be one of the players.';
+    END IF;
+
+    IF (p_break_and_run OR p_golden_break) AND p_breaker_id IS DISTINCT FROM p_winner_id THEN
+        RAISE EXCEPTION 'Only the breaker can win a rack from the break.';
+    END IF;
+
+    SELECT count(*) FILTER (WHERE winner_id = match.challenger_id),
+           count(*) FILTER (WHERE winner_id = match.challenged_id)
+    INTO challenger_racks, challenged_racks
+    FROM public.match_racks
+    WHERE challenge_id = match.id AND undone_at IS NULL;
+
+    IF challenger_racks >= COALESCE(match.challenger_race, match.games_to_win)
+       OR challenged_racks >= COALESCE(match.challenged_race, match.games_to_win) THEN
+        RAISE EXCEPTION 'The race is already over. Undo a rack or finish the match.';
+    END IF;
+
+    INSERT INTO public.match_racks (challenge_id, rack_number, winner_id, breaker_id, break_and_run, golden_break, recorded_by)
+    VALUES (
+        match.id,
+        challenger_racks + challenged_racks + 1,
+        p_winner_id,
+        p_breaker_id,
+        COALESCE(p_break_and_run, false),
+        COALESCE(p_golden_break, false),
+        public.current_profile_id()
+    );
+
+    RETURN public.refresh_live_score(match);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Undoes the latest rack still counting; call again to step further back
+CREATE OR REPLACE FUNCTION public.undo_last_rack(p_challenge_id uuid, p_expected_version bigint DEFAULT NULL)
+RETURNS public.live_scores AS $$
+DECLARE
+    match public.challenges;
+    undone_id uuid;
+BEGIN
+    match := public.lock_scorable_match(p_challenge_id);
+    PERFORM public.check_score_version(match.id, p_expected_version);
+
+    UPDATE public.match_racks
+    SET undone_at = now(),
+        undone_by = public.current_profile_id()
+    WHERE id = (
+        SELECT id FROM public.match_racks
+        WHERE challenge_id = match.id AND undone_at IS NULL
+        ORDER BY rack_number DESC
+        LIMIT 1
+    )
+    RETURNING id INTO undone_id;
+
+    IF undone_id IS NULL THEN
+        RAISE EXCEPTION 'There are no racks to undo.';
+    END IF;
+
+    RETURN public.refresh_live_score(match);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Undoes every rack
+CREATE OR REPLACE FUNCTION public.reset_racks(p_challenge_id uuid, p_expected_version bigint DEFAULT NULL)
+RETURNS public.live_scores AS $$
+DECLARE
+    match public.challenges;
+BEGIN
+    match := public.lock_scorable_match(p_challenge_id);
+    PERFORM public.check_score_version(match.id, p_expected_version);
+
+    UPDATE public.match_racks
+    SET undone_at = now(),
+        undone_by = public.current_profile_id()
+    WHERE challenge_id = match.id AND undone_at IS NULL;
+
+    RETURN public.refresh_live_score(match);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.check_score_version(uuid, bigint) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.refresh_live_score(public.challenges) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.record_rack(uuid, uuid, uuid, boolean, boolean, bigint) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.undo_last_rack(uuid, bigint) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.reset_racks(uuid, bigint) TO authenticated;
@@ -0,0 +1,169 @@
+-- Break rules
+-- Each challenge can carry its break format (winner breaks or alternate
+-- break) and who won the lag for the first break. NULL break_format means
+-- the discipline's default, worked out by the app. Both are settled on the
+-- scoreboard before the first rack and fixed once play starts.
+
+ALTER TABLE public.challenges
+    ADD COLUMN IF NOT EXISTS break_format text CHECK (break_format IN ('winner_breaks', 'alternate')),
+    ADD COLUMN IF NOT EXISTS lag_winner_id uuid REFERENCES public.profiles(id) ON DELETE SET NULL;
+
+CREATE OR REPLACE FUNCTION public.set_break_rules(
+    p_challenge_id uuid,
+    p_break_format text,
+    p_lag_winner_id uuid
+)
+RETURNS public.challenges AS $$
+DECLARE
+    match public.challenges;
+BEGIN
+    match := public.lock_scorable_match(p_challenge_id);
+
+    IF p_lag_winner_id IS NOT NULL AND p_lag_winner_id NOT IN (match.challenger_id, match.challenged_id) THEN
+        RAISE EXCEPTION 'The lag winner must be one of the players.';
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM public.match_racks
+        WHERE challenge_id = match.id AND undone_at IS NULL
+    ) THEN
+        RAISE EXCEPTION 'The break rules are fixed once the first rack is played.';
+    END IF;
+
+    UPDATE public.challenges
+    SET break_format = p_break_format,
+        lag_winner_id = p_lag_winner_id
+    WHERE id = match.id
+    RETURNING * INTO match;
+
+    RETURN match;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.set_break_rules(uuid, text, uuid) TO authenticated;
+
+-- Merging duplicate profiles also carries over lag wins
+CREATE OR REPLACE FUNCTION public.merge_profile_references(p_keep_id uuid, p_duplicate_id uuid)
+RETURNS void AS $$
+BEGIN
+    UPDATE public.challenges SET challenger_id = p_keep_id WHERE challenger_id = p_duplicate_id;
+    UPDATE public.challenges SET challenged_id = p_keep_id WHERE challenged_id = p_duplicate_id;
+    UPDATE public.challenges SET winner_id = p_keep_id WHERE winner_id = p_duplicate_id;
+    UPDATE public.challenges SET reported_by = p_keep_id WHERE reported_by = p_duplicate_id;
+    UPDATE public.challenges SET last_proposed_by = p_keep_id WHERE last_proposed_by = p_duplicate_id;
+    UPDATE public.challenge_proposals SET proposed_by = p_keep_id WHERE proposed_by = p_duplicate_id;
+    UPDATE public.activities SET user_id = p_keep_id WHERE user_id = p_duplicate_id;
+    UPDATE public.comments SET user_id = p_keep_id WHERE user_id = p_duplicate_id;
+
+    DELETE FROM public.cheers c
+    WHERE c.user_id = p_duplicate_id
+      AND EXISTS (SELECT 1 FROM public.cheers k WHERE k.activity_id = c.activity_id AND k.user_id = p_keep_id);
+    UPDATE public.cheers SET user_id = p_keep_id WHERE user_id = p_duplicate_id;
+
+    DELETE FROM public.rating_history r
+    WHERE r.profile_id = p_duplicate_id
+      AND EXISTS (SELECT 1 FROM public.rating_history k WHERE k.challenge_id = r.challenge_id AND k.profile_id = p_keep_id);
+    UPDATE public.rating_history SET profile_id = p_keep_id WHERE profile_id = p_duplicate_id;
+
+    UPDATE public.rank_history SET profile_id = p_keep_id WHERE profile_id = p_duplicate_id;
+
+    -- Archived seasons both played in add up, keeping the better finish
+    UPDATE public.season_standings k
+    SET rank = LEAST(k.rank, d.rank),
+        points = k.points + d.points,
+        wins = k.wins + d.wins,
+        losses = k.losses + d.losses
+    FROM public.season_standings d
+    WHERE k.profile_id = p_keep_id
+      AND d.profile_id = p_duplicate_id
+      AND d.season_id = k.season_id
+      AND d.game_type = k.game_type;
+    DELETE FROM public.season_standings d
+    WHERE d.profile_id = p_duplicate_id
+      AND EXISTS (
+          SELECT 1 FROM public.season_standings k
+          WHERE k.profile_id = p_keep_id AND k.season_id = d.season_id AND k.game_type = d.game_type
+      );
+    UPDATE public.season_standings SET profile_id = p_keep_id WHERE profile_id = p_duplicate_id;
+
+    INSERT INTO public.league_officers (profile_id)
+    SELECT p_keep_id FROM public.league_officers WHERE profile_id = p_duplicate_id
+    ON CONFLICT (profile_id) DO NOTHING;
+
+    UPDATE public.admin_actions SET officer_id = p_keep_id WHERE officer_id = p_duplicate_id;
+    UPDATE public.admin_actions SET target_profile_id = p_keep_id WHERE target_profile_id = p_duplicate_id;
+
+    -- A player can't hold two spots in a bracket that is still being played
+    IF EXISTS (
+        SELECT 1
+        FROM public.tournament_entrants k
+        JOIN public.tournament_entrants d ON d.tournament_id = k.tournament_id
+        JOIN public.tournaments t ON t.id = k.tournament_id
+        WHERE k.profile_id = p_keep_id
+          AND d.profile_id = p_duplicate_id
+          AND t.status = 'in_progress'
+    ) THEN
+        RAISE EXCEPTION 'Both profiles are playing in the same tournament. Merge them once it is over.';
+    END IF;
+
+    DELETE FROM public.tournament_entrants d
+    WHERE d.profile_id = p_duplicate_id
+      AND EXISTS (SELECT 1 FROM public.tournament_entrants k WHERE k.tournament_id = d.tournament_id AND k.profile_id = p_keep_id);
+    UPDATE public.tournament_entrants SET profile_id = p_keep_id WHERE profile_id = p_duplicate_id;
+    UPDATE public.tournament_matches SET player1_id = p_keep_id WHERE player1_id = p_duplicate_id;
+    UPDATE public.tournament_matches SET player2_id = p_keep_id WHERE player2_id = p_duplicate_id;
+    UPDATE public.tournament_matches SET winner_id = p_keep_id WHERE winner_id = p_duplicate_id;
+    UPDATE public.tournaments SET winner_id = p_keep_id WHERE winner_id = p_duplicate_id;
+    UPDATE public.tournaments SET created_by = p_keep_id WHERE created_by = p_duplicate_id;
+
+    -- One team per player: profiles on two different rosters can't be folded
+    IF EXISTS (
+        SELECT 1
+        FROM public.team_members k
+        JOIN public.team_members d ON d.team_id <> k.team_id
+        WHERE k.profile_id = p_keep_id AND d.profile_id = p_duplicate_id
+    ) THEN
+        RAISE EXCEPTION 'The two profiles are on different teams. Take one off its roster first.';
+    END IF;
+
+    DELETE FROM public.team_members
+    WHERE profile_id = p_duplicate_id
+      AND EXISTS (SELECT 1 FROM public.team_members WHERE profile_id = p_keep_id);
+    UPDATE public.team_members SET profile_id = p_keep_id WHERE profile_id = p_duplicate_id;
+    UPDATE public.teams SET captain_id = p_keep_id WHERE captain_id = p_duplicate_id;
+    UPDATE public.team_matches SET created_by = p_keep_id WHERE created_by = p_duplicate_id;
+
+    DELETE FROM public.team_invites d
+    WHERE d.profile_id = p_duplicate_id
+      AND EXISTS (SELECT 1 FROM public.team_invites k WHERE k.team_id = d.team_id AND k.profile_id = p_keep_id);
+    UPDATE public.team_invites SET profile_id = p_keep_id WHERE profile_id = p_duplicate_id;
+    UPDATE public.team_invites SET invited_by = p_keep_id WHERE invited_by = p_duplicate_id;
+
+    UPDATE public.match_racks SET winner_id = p_keep_id WHERE winner_id = p_duplicate_id;
+    UPDATE public.match_racks SET breaker_id = p_keep_id WHERE breaker_id = p_duplicate_id;
+    UPDATE public.match_racks SET recorded_by = p_keep_id WHERE recorded_by = p_duplicate_id;
+    UPDATE public.match_racks SET undone_by = p_keep_id WHERE undone_by = p_duplicate_id;
+
+    UPDATE public.challenges SET lag_winner_id = p_keep_id WHERE lag_winner_id = p_duplicate_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Career break stats from completed matches scored rack by rack
+DROP VIEW IF EXISTS public.player_break_stats;
+
+CREATE VIEW public.player_break_stats AS
+SELECT
+    r.breaker_id AS profile_id,
+    count(*) AS breaks,
+    count(*) FILTER (WHERE r.winner_id = r.breaker_id) AS racks_won_on_break,
+    count(*) FILTER (WHERE r.break_and_run) AS break_and_runs,
+    count(*) FILTER (WHERE r.golden_break) AS golden_breaks
+FROM public.match_racks r
+JOIN public.challenges c ON c.id = r.challenge_id
+WHERE r.undone_at IS NULL
+  AND r.breaker_id IS NOT NULL
+  AND c.status = 'completed'
+GROUP BY r.breaker_id;
+
+GRANT SELECT ON public.player_break_stats TO anon;
+GRANT SELECT ON public.player_break_stats TO authenticated;
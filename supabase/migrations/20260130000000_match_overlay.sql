@@ -0,0 +1,91 @@
+-- Stream overlay share links
+-- Streamers add a browser source (e.g. in OBS) pointing at the web app's
+-- /overlay/<token> page. The token is read-only and per match, so the page
+-- needs no login: it can only read the overlay for that one match.
+
+CREATE TABLE IF NOT EXISTS public.match_share_tokens (
+    challenge_id uuid REFERENCES public.challenges(id) ON DELETE CASCADE PRIMARY KEY,
+    token text NOT NULL UNIQUE,
+    created_by uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- No policies: tokens are only handed out by get_match_share_token()
+ALTER TABLE public.match_share_tokens ENABLE ROW LEVEL SECURITY;
+
+-- Returns the match's share token, creating it on first use (players or officers)
+CREATE OR REPLACE FUNCTION public.get_match_share_token(p_challenge_id uuid)
+RETURNS text AS $$
+DECLARE
+    match public.challenges;
+    caller_id uuid := public.current_profile_id();
+    share_token text;
+BEGIN
+    SELECT * INTO match FROM public.challenges WHERE id = p_challenge_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Challenge not found.';
+    END IF;
+
+    IF (caller_id IS NULL OR caller_id NOT IN (match.challenger_id, match.challenged_id))
+       AND NOT public.is_league_officer() THEN
+        RAISE EXCEPTION 'Only the players can share this match.';
+    END IF;
+
+    INSERT INTO public.match_share_tokens (challenge_id, token, created_by)
+    VALUES (match.id, md5(random()::text || clock_timestamp()::text || match.id::text), caller_id)
+    ON CONFLICT (challenge_id) DO NOTHING;
+
+    SELECT token INTO share_token FROM public.match_share_tokens WHERE challenge_id = match.id;
+    RETURN share_token;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Everything the overlay shows, looked up by share token. Callable without
+-- logging in; after loading, the page follows live_scores for the match.
+CREATE OR REPLACE FUNCTION public.get_match_overlay(p_token text)
+RETURNS json AS $$
+DECLARE
+    match public.challenges;
+    result json;
+BEGIN
+    SELECT c.* INTO match
+    FROM public.match_share_tokens t
+    JOIN public.challenges c ON c.id = t.challenge_id
+    WHERE t.token = p_token;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'This overlay link is not valid.';
+    END IF;
+
+    SELECT json_build_object(
+        'challenge_id', match.id,
+        'game_type', match.game_type,
+        'status', match.status,
+        'challenger_name', challenger.full_name,
+        'challenged_name', challenged.full_name,
+        'challenger_rank', challenger_rank.rank,
+        'challenged_rank', challenged_rank.rank,
+        'challenger_race', COALESCE(match.challenger_race, match.games_to_win),
+        'challenged_race', COALESCE(match.challenged_race, match.games_to_win),
+        -- The final score once the match is over, the live score before
+        'challenger_score', CASE WHEN match.status = 'completed' THEN match.challenger_score ELSE COALESCE(score.challenger_score, 0) END,
+        'challenged_score', CASE WHEN match.status = 'completed' THEN match.challenged_score ELSE COALESCE(score.challenged_score, 0) END,
+        'version', COALESCE(score.version, 0)
+    )
+    INTO result
+    FROM public.profiles challenger
+    JOIN public.profiles challenged ON challenged.id = match.challenged_id
+    LEFT JOIN public.ladder_positions challenger_rank
+        ON challenger_rank.profile_id = challenger.id AND challenger_rank.game_type = match.game_type
+    LEFT JOIN public.ladder_positions challenged_rank
+        ON challenged_rank.profile_id = challenged.id AND challenged_rank.game_type = match.game_type
+    LEFT JOIN public.live_scores score ON score.challenge_id = match.id
+    WHERE challenger.id = match.challenger_id;
+
+    RETURN result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.get_match_share_token(uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.get_match_overlay(text) TO anon, authenticated;
@@ -0,0 +1,96 @@
+-- Match streams
+-- Going live now records the stream link the Live Arena's WATCH button
+-- opens. The app normalizes the pasted link (src/lib/streams.ts); here it
+-- must be one of the same canonical watch links, and the embeddable player
+-- link is built from it. Ending the stream clears the live state but leaves
+-- the match open for its result.
+
+ALTER TABLE public.challenges
+    ADD COLUMN IF NOT EXISTS stream_url text,
+    ADD COLUMN IF NOT EXISTS stream_embed_url text,
+    ADD COLUMN IF NOT EXISTS stream_provider text CHECK (stream_provider IN ('youtube', 'facebook', 'twitch', 'hls')),
+    ADD COLUMN IF NOT EXISTS live_started_at timestamp with time zone;
+
+-- Goes live, with or without a stream link (players or officers)
+CREATE OR REPLACE FUNCTION public.go_live(
+    p_challenge_id uuid,
+    p_stream_url text DEFAULT NULL,
+    p_stream_provider text DEFAULT NULL
+)
+RETURNS public.challenges AS $$
+DECLARE
+    match public.challenges;
+    embed_url text;
+BEGIN
+    match := public.lock_scorable_match(p_challenge_id);
+
+    IF p_stream_url IS NOT NULL THEN
+        IF p_stream_provider = 'youtube' THEN
+            embed_url := 'https://www.youtube.com/embed/'
+                || substring(p_stream_url FROM '^https://www\.youtube\.com/watch\?v=([A-Za-z0-9_-]{11})$');
+        ELSIF p_stream_provider = 'twitch' THEN
+            IF p_stream_url ~ '^https://www\.twitch\.tv/videos/[0-9]+$' THEN
+                embed_url := 'https://player.twitch.tv/?video=' || substring(p_stream_url FROM '([0-9]+)$');
+            ELSIF p_stream_url ~ '^https://www\.twitch\.tv/[a-z0-9_]{3,25}$' THEN
+                embed_url := 'https://player.twitch.tv/?channel=' || substring(p_stream_url FROM '([a-z0-9_]+)$');
+            END IF;
+        ELSIF p_stream_provider = 'facebook' THEN
+            -- These links only contain characters encodeURIComponent leaves
+            -- alone apart from the four replaced here
+            IF p_stream_url ~ '^https://(fb\.watch/[A-Za-z0-9_-]+/|www\.facebook\.com/([A-Za-z0-9._-]+/videos/[0-9]+/|watch/\?v=[0-9]+))$' THEN
+                embed_url := 'https://www.facebook.com/plugins/video.php?href='
+                    || replace(replace(replace(replace(p_stream_url, ':', '%3A'), '/', '%2F'), '?', '%3F'), '=', '%3D')
+                    || '&show_text=false';
+            END IF;
+        ELSIF p_stream_provider = 'hls' THEN
+            IF p_stream_url ~* '^https://[^\s?#]+\.m3u8([?#]\S*)?$' THEN
+                embed_url := p_stream_url;
+            END IF;
+        END IF;
+
+        IF embed_url IS NULL THEN
+            RAISE EXCEPTION 'Use a YouTube, Facebook or Twitch link, or an HLS (.m3u8) playlist.';
+        END IF;
+    END IF;
+
+    UPDATE public.challenges
+    SET status = 'live',
+        stream_url = p_stream_url,
+        stream_embed_url = embed_url,
+        stream_provider = CASE WHEN p_stream_url IS NULL THEN NULL ELSE p_stream_provider END,
+        live_started_at = COALESCE(match.live_started_at, now())
+    WHERE id = match.id
+    RETURNING * INTO match;
+
+    RETURN match;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Stops streaming and takes the match out of the Live Arena without
+-- finishing it; the score and rack log are kept
+CREATE OR REPLACE FUNCTION public.end_stream(p_challenge_id uuid)
+RETURNS public.challenges AS $$
+DECLARE
+    match public.challenges;
+BEGIN
+    match := public.lock_scorable_match(p_challenge_id);
+
+    IF match.status <> 'live' THEN
+        RAISE EXCEPTION 'This match is not live.';
+    END IF;
+
+    UPDATE public.challenges
+    SET status = 'scheduled',
+        stream_url = NULL,
+        stream_embed_url = NULL,
+        stream_provider = NULL,
+        live_started_at = NULL
+    WHERE id = match.id
+    RETURNING * INTO match;
+
+    RETURN match;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.go_live(uuid, text, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.end_stream(uuid) TO authenticated;
@@ -0,0 +1,349 @@
+-- Server-side push fan-out
+-- Push notifications go out through the send-push edge function instead of
+-- from the app, so push tokens never leave the server. Tokens move out of
+-- profiles, which every player can read, into push_tokens, which no client
+-- can; the app stores its token through save_push_token(). The function asks
+-- plan_push_fanout() who should hear about a challenge (which also applies
+-- the rate limits), sends through Expo in batches and reports back through
+-- record_push_results() so dead tokens are cleared.
+
+-- One Expo token per player
+CREATE TABLE IF NOT EXISTS public.push_tokens (
+    profile_id uuid REFERENCES public.profiles(id) ON DELETE CASCADE PRIMARY KEY,
+    token text NOT NULL,
+    updated_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS push_tokens_token_idx ON public.push_tokens (token);
+
+INSERT INTO public.push_tokens (profile_id, token)
+SELECT id, expo_push_token
+FROM public.profiles
+WHERE expo_push_token IS NOT NULL
+ON CONFLICT (profile_id) DO NOTHING;
+
+ALTER TABLE public.profiles DROP COLUMN IF EXISTS expo_push_token;
+
+-- One row per fan-out, used for rate limiting and duplicate suppression
+CREATE TABLE IF NOT EXISTS public.push_sends (
+    id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+    sender_id uuid REFERENCES public.profiles(id) ON DELETE CASCADE,
+    kind text NOT NULL,
+    challenge_id uuid REFERENCES public.challenges(id) ON DELETE CASCADE,
+    recipient_count integer DEFAULT 0 NOT NULL,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS push_sends_sender_idx ON public.push_sends (sender_id, created_at);
+CREATE INDEX IF NOT EXISTS push_sends_challenge_idx ON public.push_sends (challenge_id, kind, created_at);
+
+-- Expo tickets awaiting a receipt check
+CREATE TABLE IF NOT EXISTS public.push_tickets (
+    ticket_id text PRIMARY KEY,
+    profile_id uuid REFERENCES public.profiles(id) ON DELETE CASCADE,
+    token text NOT NULL,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- No policies: only the edge function (service role) reads or writes these
+ALTER TABLE public.push_tokens ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.push_sends ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.push_tickets ENABLE ROW LEVEL SECURITY;
+
+-- Stores the signed-in player's token, or forgets it when p_token is null
+CREATE OR REPLACE FUNCTION public.save_push_token(p_token text)
+RETURNS void AS $$
+DECLARE
+    caller_id uuid := public.current_profile_id();
+BEGIN
+    IF caller_id IS NULL THEN
+        RAISE EXCEPTION 'Profile not found.';
+    END IF;
+
+    IF p_token IS NULL THEN
+        DELETE FROM public.push_tokens WHERE profile_id = caller_id;
+        RETURN;
+    END IF;
+
+    INSERT INTO public.push_tokens (profile_id, token, updated_at)
+    VALUES (caller_id, p_token, now())
+    ON CONFLICT (profile_id) DO UPDATE
+    SET token = EXCLUDED.token,
+        updated_at = EXCLUDED.updated_at;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.save_push_token(text) TO authenticated;
+
+-- Officer tools from the admin console, now clearing and moving tokens in
+-- push_tokens
+CREATE OR REPLACE FUNCTION public.admin_release_claim(p_profile_id uuid, p_reason text)
+RETURNS public.admin_actions AS $$
+DECLARE
+    officer_id uuid := public.require_league_officer(p_reason);
+    previous_owner uuid;
+BEGIN
+    SELECT owner_id INTO previous_owner FROM public.profiles WHERE id = p_profile_id FOR UPDATE;
+
+    IF previous_owner IS NULL THEN
+        RAISE EXCEPTION 'This profile has not been claimed.';
+    END IF;
+
+    UPDATE public.profiles SET owner_id = NULL WHERE id = p_profile_id;
+    DELETE FROM public.push_tokens WHERE profile_id = p_profile_id;
+
+    RETURN public.log_admin_action(officer_id, 'release_claim', p_reason, jsonb_build_object(
+        'owner_before', previous_owner
+    ), p_profile_id);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Folds a duplicate profile into the one being kept: match history, feed
+-- entries and points move over, the kept player takes the better of the two
+-- ranks on each ladder, and the duplicate leaves every ladder.
+CREATE OR REPLACE FUNCTION public.admin_merge_profiles(
+    p_keep_id uuid,
+    p_duplicate_id uuid,
+    p_reason text
+)
+RETURNS public.admin_actions AS $$
+DECLARE
+    officer_id uuid := public.require_league_officer(p_reason);
+    keep public.profiles;
+    duplicate public.profiles;
+    dup_position record;
+    keep_rank integer;
+    ranks jsonb := '{}'::jsonb;
+BEGIN
+    IF p_keep_id = p_duplicate_id THEN
+        RAISE EXCEPTION 'Choose two different profiles to merge.';
+    END IF;
+
+    PERFORM 1 FROM public.profiles
+    WHERE id IN (p_keep_id, p_duplicate_id)
+    ORDER BY id
+    FOR UPDATE;
+
+    SELECT * INTO keep FROM public.profiles WHERE id = p_keep_id;
+    SELECT * INTO duplicate FROM public.profiles WHERE id = p_duplicate_id;
+
+    IF keep.id IS NULL OR duplicate.id IS NULL THEN
+        RAISE EXCEPTION 'Player not found.';
+    END IF;
+
+    IF keep.owner_id IS NOT NULL AND duplicate.owner_id IS NOT NULL AND keep.owner_id <> duplicate.owner_id THEN
+        RAISE EXCEPTION 'Both profiles are claimed by different accounts. Release one claim first.';
+    END IF;
+
+    -- 1. Ladders: keep the better rank, then close the duplicate's gap
+    FOR dup_position IN
+        SELECT * FROM public.ladder_positions WHERE profile_id = p_duplicate_id ORDER BY game_type
+    LOOP
+        SELECT rank INTO keep_rank FROM public.ladder_positions
+        WHERE profile_id = p_keep_id AND game_type = dup_position.game_type;
+
+        ranks := ranks || jsonb_build_object(dup_position.game_type::text, jsonb_build_object(
+            'keep_rank', keep_rank,
+            'duplicate_rank', dup_position.rank
+        ));
+
+        IF keep_rank IS NOT NULL AND dup_position.rank < keep_rank THEN
+            PERFORM public.move_ladder_position(p_keep_id, dup_position.game_type, dup_position.rank);
+        END IF;
+
+        -- The duplicate is now at its old rank or one below it
+        PERFORM public.move_ladder_position(
+            p_duplicate_id,
+            dup_position.game_type,
+            (SELECT max(rank) FROM public.ladder_positions WHERE game_type = dup_position.game_type)
+        );
+        DELETE FROM public.ladder_positions
+        WHERE profile_id = p_duplicate_id AND game_type = dup_position.game_type;
+    END LOOP;
+
+    -- 2. Open challenges between the two would become self-challenges
+    UPDATE public.challenges
+    SET status = 'voided',
+        reported_by = NULL,
+        reported_at = NULL,
+        updated_at = now()
+    WHERE ((challenger_id = p_keep_id AND challenged_id = p_duplicate_id)
+        OR (challenger_id = p_duplicate_id AND challenged_id = p_keep_id))
+      AND status NOT IN ('completed', 'forfeited', 'voided');
+
+    -- 3. History moves to the kept profile
+    PERFORM public.merge_profile_references(p_keep_id, p_duplicate_id);
+
+    -- 4. Profile fields: points add up, the more established rating wins
+    UPDATE public.profiles SET owner_id = NULL WHERE id = p_duplicate_id;
+
+    -- The token follows the account, unless the kept profile already has one
+    INSERT INTO public.push_tokens (profile_id, token)
+    SELECT p_keep_id, token FROM public.push_tokens WHERE profile_id = p_duplicate_id
+    ON CONFLICT (profile_id) DO NOTHING;
+
+    UPDATE public.profiles
+    SET points = keep.points + duplicate.points,
+        fargo_rating = CASE
+            WHEN duplicate.fargo_robustness > keep.fargo_robustness THEN duplicate.fargo_rating
+            ELSE keep.fargo_rating
+        END,
+        fargo_robustness = keep.fargo_robustness + duplicate.fargo_robustness,
+        owner_id = COALESCE(keep.owner_id, duplicate.owner_id),
+        phone = COALESCE(keep.phone, duplicate.phone),
+        avatar_url = COALESCE(keep.avatar_url, duplicate.avatar_url)
+    WHERE id = p_keep_id;
+
+    DELETE FROM public.profiles WHERE id = p_duplicate_id;
+
+    RETURN public.log_admin_action(officer_id, 'merge_profiles', p_reason, jsonb_build_object(
+        'duplicate_id', duplicate.id,
+        'duplicate_name', duplicate.full_name,
+        'duplicate_points', duplicate.points,
+        'duplicate_fargo_rating', duplicate.fargo_rating,
+        'ranks', ranks
+    ), p_keep_id);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Checks that the caller may announce the challenge and returns what the
+-- message needs plus who should get it. p_owner_id is the caller's auth user,
+-- as verified by the edge function.
+--   new_challenge: the challenger tells the challenged player, once per challenge
+--   live_match:    a player tells everyone else, at most every 30 minutes
+-- Nobody can start more than 20 fan-outs an hour.
+CREATE OR REPLACE FUNCTION public.plan_push_fanout(
+    p_owner_id uuid,
+    p_kind text,
+    p_challenge_id uuid
+)
+RETURNS json AS $$
+DECLARE
+    caller_id uuid;
+    match public.challenges;
+    recent_sends integer;
+    recipients json;
+    result json;
+BEGIN
+    SELECT id INTO caller_id FROM public.profiles WHERE owner_id = p_owner_id LIMIT 1;
+
+    IF caller_id IS NULL THEN
+        RAISE EXCEPTION 'Profile not found.';
+    END IF;
+
+    SELECT * INTO match FROM public.challenges WHERE id = p_challenge_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Challenge not found.';
+    END IF;
+
+    IF p_kind = 'new_challenge' THEN
+        IF match.challenger_id <> caller_id THEN
+            RAISE EXCEPTION 'Only the challenger can announce this challenge.';
+        END IF;
+    ELSIF p_kind = 'live_match' THEN
+        IF caller_id NOT IN (match.challenger_id, match.challenged_id) THEN
+            RAISE EXCEPTION 'Only the players can announce this match.';
+        END IF;
+        IF match.status <> 'live' THEN
+            RAISE EXCEPTION 'This match is not live.';
+        END IF;
+    ELSE
+        RAISE EXCEPTION 'Unknown notification type.';
+    END IF;
+
+    SELECT count(*) INTO recent_sends
+    FROM public.push_sends
+    WHERE sender_id = caller_id
+      AND created_at > now() - interval '1 hour';
+
+    IF recent_sends >= 20 THEN
+        RAISE EXCEPTION 'Too many notifications sent. Try again later.';
+    END IF;
+
+    -- Already announced: nothing to send, but not an error for the caller
+    IF EXISTS (
+        SELECT 1 FROM public.push_sends
+        WHERE challenge_id = match.id
+          AND kind = p_kind
+          AND (p_kind = 'new_challenge' OR created_at > now() - interval '30 minutes')
+    ) THEN
+        recipients := '[]'::json;
+    ELSE
+        SELECT COALESCE(json_agg(json_build_object('profile_id', p.id, 'token', t.token)), '[]'::json)
+        INTO recipients
+        FROM public.profiles p
+        JOIN public.push_tokens t ON t.profile_id = p.id
+        WHERE CASE
+              WHEN p_kind = 'new_challenge' THEN p.id = match.challenged_id
+              ELSE p.id NOT IN (match.challenger_id, match.challenged_id)
+          END;
+
+        INSERT INTO public.push_sends (sender_id, kind, challenge_id, recipient_count)
+        VALUES (caller_id, p_kind, match.id, json_array_length(recipients));
+    END IF;
+
+    SELECT json_build_object(
+        'challenge_id', match.id,
+        'challenger_name', challenger.full_name,
+        'challenged_name', challenged.full_name,
+        'game_type', match.game_type,
+        'games_to_win', match.games_to_win,
+        'recipients', recipients
+    )
+    INTO result
+    FROM public.profiles challenger
+    JOIN public.profiles challenged ON challenged.id = match.challenged_id
+    WHERE challenger.id = match.challenger_id;
+
+    RETURN result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Push tokens for the given players, for server-side senders (the scheduler)
+CREATE OR REPLACE FUNCTION public.get_push_recipients(p_profile_ids uuid[])
+RETURNS TABLE (profile_id uuid, token text) AS $$
+    SELECT profile_id, token
+    FROM public.push_tokens
+    WHERE profile_id = ANY(p_profile_ids);
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Stores new tickets, drops ones whose receipts have been read (or that are
+-- too old for Expo to still hold a receipt) and clears tokens Expo reported
+-- as no longer registered.
+CREATE OR REPLACE FUNCTION public.record_push_results(
+    p_tickets jsonb DEFAULT '[]'::jsonb,
+    p_checked_ticket_ids text[] DEFAULT '{}',
+    p_invalid_tokens text[] DEFAULT '{}'
+)
+RETURNS void AS $$
+BEGIN
+    INSERT INTO public.push_tickets (ticket_id, profile_id, token)
+    SELECT t->>'ticket_id', (t->>'profile_id')::uuid, t->>'token'
+    FROM jsonb_array_elements(p_tickets) t
+    ON CONFLICT (ticket_id) DO NOTHING;
+
+    DELETE FROM public.push_tickets
+    WHERE ticket_id = ANY(p_checked_ticket_ids)
+       OR created_at < now() - interval '1 day';
+
+    DELETE FROM public.push_tokens
+    WHERE token = ANY(p_invalid_tokens);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Tickets old enough for Expo to have a receipt ready
+CREATE OR REPLACE FUNCTION public.get_pending_push_tickets(p_limit integer DEFAULT 1000)
+RETURNS SETOF public.push_tickets AS $$
+    SELECT *
+    FROM public.push_tickets
+    WHERE created_at < now() - interval '15 minutes'
+    ORDER BY created_at
+    LIMIT p_limit;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Only the edge function and scheduler (service role) call these
+REVOKE EXECUTE ON FUNCTION public.plan_push_fanout(uuid, text, uuid) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.get_push_recipients(uuid[]) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.record_push_results(jsonb, text[], text[]) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.get_pending_push_tickets(integer) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,295 @@
+-- Notification preferences and quiet hours
+-- Players choose which kinds of push they get and can set quiet hours in
+-- their own timezone. Players without a row get everything, any time.
+-- Pushes that fall in quiet hours are skipped, not held back.
+
+CREATE TABLE IF NOT EXISTS public.notification_preferences (
+    profile_id uuid REFERENCES public.profiles(id) ON DELETE CASCADE PRIMARY KEY,
+    challenge_received boolean DEFAULT true NOT NULL,
+    challenge_accepted boolean DEFAULT true NOT NULL,
+    match_live boolean DEFAULT true NOT NULL,
+    rank_change boolean DEFAULT true NOT NULL,
+    comments boolean DEFAULT true NOT NULL,
+    reminders boolean DEFAULT true NOT NULL,
+    -- Both set or both empty; a window may run past midnight (22:00 - 07:00)
+    quiet_hours_start time,
+    quiet_hours_end time,
+    timezone text DEFAULT 'UTC' NOT NULL,
+    updated_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    CONSTRAINT notification_preferences_quiet_hours_check
+        CHECK ((quiet_hours_start IS NULL) = (quiet_hours_end IS NULL))
+);
+
+ALTER TABLE public.notification_preferences ENABLE ROW LEVEL SECURITY;
+
+-- Players only see their own; changes go through save_notification_preferences()
+DROP POLICY IF EXISTS "Players can view their own notification preferences" ON public.notification_preferences;
+CREATE POLICY "Players can view their own notification preferences"
+    ON public.notification_preferences FOR SELECT
+    USING (profile_id = public.current_profile_id());
+
+CREATE OR REPLACE FUNCTION public.save_notification_preferences(
+    p_challenge_received boolean,
+    p_challenge_accepted boolean,
+    p_match_live boolean,
+    p_rank_change boolean,
+    p_comments boolean,
+    p_reminders boolean,
+    p_quiet_hours_start time,
+    p_quiet_hours_end time,
+    p_timezone text
+)
+RETURNS public.notification_preferences AS $$
+DECLARE
+    caller_id uuid := public.current_profile_id();
+    saved public.notification_preferences;
+BEGIN
+    IF caller_id IS NULL THEN
+        RAISE EXCEPTION 'Profile not found.';
+    END IF;
+
+    IF (p_quiet_hours_start IS NULL) <> (p_quiet_hours_end IS NULL) THEN
+        RAISE EXCEPTION 'Set both a start and an end for quiet hours.';
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM pg_timezone_names WHERE name = p_timezone) THEN
+        RAISE EXCEPTION 'Unknown timezone.';
+    END IF;
+
+    INSERT INTO public.notification_preferences (
+        profile_id, challenge_received, challenge_accepted, match_live, rank_change,
+        comments, reminders, quiet_hours_start, quiet_hours_end, timezone, updated_at
+    )
+    VALUES (
+        caller_id, p_challenge_received, p_challenge_accepted, p_match_live, p_rank_change,
+        p_comments, p_reminders, p_quiet_hours_start, p_quiet_hours_end, p_timezone, now()
+    )
+    ON CONFLICT (profile_id) DO UPDATE SET
+        challenge_received = EXCLUDED.challenge_received,
+        challenge_accepted = EXCLUDED.challenge_accepted,
+        match_live = EXCLUDED.match_live,
+        rank_change = EXCLUDED.rank_change,
+        comments = EXCLUDED.comments,
+        reminders = EXCLUDED.reminders,
+        quiet_hours_start = EXCLUDED.quiet_hours_start,
+        quiet_hours_end = EXCLUDED.quiet_hours_end,
+        timezone = EXCLUDED.timezone,
+        updated_at = EXCLUDED.updated_at
+    RETURNING * INTO saved;
+
+    RETURN saved;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.save_notification_preferences(boolean, boolean, boolean, boolean, boolean, boolean, time, time, text) TO authenticated;
+
+-- Whether a player should get a push of this category right now.
+-- Categories are the preference columns above.
+CREATE OR REPLACE FUNCTION public.wants_push(p_profile_id uuid, p_category text)
+RETURNS boolean AS $$
+DECLARE
+    prefs public.notification_preferences;
+    local_time time;
+BEGIN
+    SELECT * INTO prefs FROM public.notification_preferences WHERE profile_id = p_profile_id;
+
+    IF NOT FOUND THEN
+        RETURN true;
+    END IF;
+
+    IF NOT CASE p_category
+        WHEN 'challenge_received' THEN prefs.challenge_received
+        WHEN 'challenge_accepted' THEN prefs.challenge_accepted
+        WHEN 'match_live' THEN prefs.match_live
+        WHEN 'rank_change' THEN prefs.rank_change
+        WHEN 'comments' THEN prefs.comments
+        WHEN 'reminders' THEN prefs.reminders
+        ELSE true
+    END THEN
+        RETURN false;
+    END IF;
+
+    IF prefs.quiet_hours_start IS NULL OR prefs.quiet_hours_start = prefs.quiet_hours_end THEN
+        RETURN true;
+    END IF;
+
+    local_time := (now() AT TIME ZONE prefs.timezone)::time;
+
+    IF prefs.quiet_hours_start < prefs.quiet_hours_end THEN
+        RETURN NOT (local_time >= prefs.quiet_hours_start AND local_time < prefs.quiet_hours_end);
+    END IF;
+    -- Overnight window
+    RETURN NOT (local_time >= prefs.quiet_hours_start OR local_time < prefs.quiet_hours_end);
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Fan-outs for comments are tracked per comment
+ALTER TABLE public.push_sends ADD COLUMN IF NOT EXISTS comment_id uuid;
+
+-- plan_push_fanout() now covers accepted challenges and comments, so it takes
+-- the id of whatever is being announced, and it leaves out players who
+-- don't want the push (or are in quiet hours).
+--   new_challenge:      challenge id; the challenger tells the challenged player
+--   challenge_accepted: challenge id; the player who accepted tells the other
+--   live_match:         challenge id; a player tells everyone else
+--   comment:            comment id; the commenter tells the activity's owner
+DROP FUNCTION IF EXISTS public.plan_push_fanout(uuid, text, uuid);
+
+CREATE OR REPLACE FUNCTION public.plan_push_fanout(
+    p_owner_id uuid,
+    p_kind text,
+    p_target_id uuid
+)
+RETURNS json AS $$
+DECLARE
+    caller_id uuid;
+    category text;
+    match public.challenges;
+    comment_row record;
+    recent_sends integer;
+    recipients json;
+    result json;
+BEGIN
+    SELECT id INTO caller_id FROM public.profiles WHERE owner_id = p_owner_id LIMIT 1;
+
+    IF caller_id IS NULL THEN
+        RAISE EXCEPTION 'Profile not found.';
+    END IF;
+
+    category := CASE p_kind
+        WHEN 'new_challenge' THEN 'challenge_received'
+        WHEN 'challenge_accepted' THEN 'challenge_accepted'
+        WHEN 'live_match' THEN 'match_live'
+        WHEN 'comment' THEN 'comments'
+    END;
+
+    IF category IS NULL THEN
+        RAISE EXCEPTION 'Unknown notification type.';
+    END IF;
+
+    SELECT count(*) INTO recent_sends
+    FROM public.push_sends
+    WHERE sender_id = caller_id
+      AND created_at > now() - interval '1 hour';
+
+    IF recent_sends >= 20 THEN
+        RAISE EXCEPTION 'Too many notifications sent. Try again later.';
+    END IF;
+
+    IF p_kind = 'comment' THEN
+        -- Feed rows may hold either the profile id or the auth user id
+        SELECT c.id, c.content, a.user_id AS activity_user_id INTO comment_row
+        FROM public.comments c
+        JOIN public.activities a ON a.id = c.activity_id
+        WHERE c.id = p_target_id
+          AND c.user_id IN (caller_id, p_owner_id);
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Comment not found.';
+        END IF;
+
+        IF EXISTS (SELECT 1 FROM public.push_sends WHERE comment_id = comment_row.id) THEN
+            recipients := '[]'::json;
+        ELSE
+            SELECT COALESCE(json_agg(json_build_object('profile_id', p.id, 'token', t.token)), '[]'::json)
+            INTO recipients
+            FROM public.profiles p
+            JOIN public.push_tokens t ON t.profile_id = p.id
+            WHERE (p.id = comment_row.activity_user_id OR p.owner_id = comment_row.activity_user_id)
+              AND p.id <> caller_id
+              AND public.wants_push(p.id, category);
+
+            INSERT INTO public.push_sends (sender_id, kind, comment_id, recipient_count)
+            VALUES (caller_id, p_kind, comment_row.id, json_array_length(recipients));
+        END IF;
+
+        SELECT json_build_object(
+            'commenter_name', full_name,
+            'comment', left(comment_row.content, 120),
+            'recipients', recipients
+        )
+        INTO result
+        FROM public.profiles
+        WHERE id = caller_id;
+
+        RETURN result;
+    END IF;
+
+    SELECT * INTO match FROM public.challenges WHERE id = p_target_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Challenge not found.';
+    END IF;
+
+    IF p_kind = 'new_challenge' AND match.challenger_id <> caller_id THEN
+        RAISE EXCEPTION 'Only the challenger can announce this challenge.';
+    END IF;
+
+    IF p_kind IN ('challenge_accepted', 'live_match') AND caller_id NOT IN (match.challenger_id, match.challenged_id) THEN
+        RAISE EXCEPTION 'Only the players can announce this match.';
+    END IF;
+
+    IF p_kind = 'challenge_accepted' AND match.status <> 'scheduled' THEN
+        RAISE EXCEPTION 'This challenge has not been accepted.';
+    END IF;
+
+    IF p_kind = 'live_match' AND match.status <> 'live' THEN
+        RAISE EXCEPTION 'This match is not live.';
+    END IF;
+
+    -- Already announced: nothing to send, but not an error for the caller
+    IF EXISTS (
+        SELECT 1 FROM public.push_sends
+        WHERE challenge_id = match.id
+          AND kind = p_kind
+          AND (p_kind <> 'live_match' OR created_at > now() - interval '30 minutes')
+    ) THEN
+        recipients := '[]'::json;
+    ELSE
+        SELECT COALESCE(json_agg(json_build_object('profile_id', p.id, 'token', t.token)), '[]'::json)
+        INTO recipients
+        FROM public.profiles p
+        JOIN public.push_tokens t ON t.profile_id = p.id
+        WHERE CASE p_kind
+              WHEN 'new_challenge' THEN p.id = match.challenged_id
+              WHEN 'challenge_accepted' THEN p.id IN (match.challenger_id, match.challenged_id) AND p.id <> caller_id
+              ELSE p.id NOT IN (match.challenger_id, match.challenged_id)
+          END
+          AND public.wants_push(p.id, category);
+
+        INSERT INTO public.push_sends (sender_id, kind, challenge_id, recipient_count)
+        VALUES (caller_id, p_kind, match.id, json_array_length(recipients));
+    END IF;
+
+    SELECT json_build_object(
+        'challenge_id', match.id,
+        'challenger_name', challenger.full_name,
+        'challenged_name', challenged.full_name,
+        'accepted_by_name', CASE WHEN caller_id = match.challenger_id THEN challenger.full_name ELSE challenged.full_name END,
+        'game_type', match.game_type,
+        'games_to_win', match.games_to_win,
+        'recipients', recipients
+    )
+    INTO result
+    FROM public.profiles challenger
+    JOIN public.profiles challenged ON challenged.id = match.challenged_id
+    WHERE challenger.id = match.challenger_id;
+
+    RETURN result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Server-side senders now say what kind of push it is
+DROP FUNCTION IF EXISTS public.get_push_recipients(uuid[]);
+
+CREATE OR REPLACE FUNCTION public.get_push_recipients(p_profile_ids uuid[], p_category text)
+RETURNS TABLE (profile_id uuid, token text) AS $$
+    SELECT profile_id, token
+    FROM public.push_tokens
+    WHERE profile_id = ANY(p_profile_ids)
+      AND public.wants_push(profile_id, p_category);
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.wants_push(uuid, text) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.plan_push_fanout(uuid, text, uuid) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.get_push_recipients(uuid[], text) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,268 @@
+-- In-app notification center
+-- Everything the send-push edge function announces is also kept here, so
+-- players can catch up in the app whether or not the push reached them. Rows
+-- link to the challenge, feed activity or profile they're about. Players who
+-- switched a category off don't get it here either; quiet hours only hold
+-- back the push.
+
+CREATE TABLE IF NOT EXISTS public.notifications (
+    id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+    profile_id uuid REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+    -- The push data type, e.g. CHALLENGE_RECEIVED, LIVE_MATCH, COMMENT
+    type text NOT NULL,
+    title text NOT NULL,
+    body text DEFAULT '' NOT NULL,
+    challenge_id uuid REFERENCES public.challenges(id) ON DELETE CASCADE,
+    activity_id uuid,
+    link_profile_id uuid REFERENCES public.profiles(id) ON DELETE CASCADE,
+    read_at timestamp with time zone,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS notifications_profile_idx ON public.notifications (profile_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS notifications_unread_idx ON public.notifications (profile_id) WHERE read_at IS NULL;
+
+ALTER TABLE public.notifications ENABLE ROW LEVEL SECURITY;
+
+-- Players only see their own; rows are written by the edge function and
+-- marked read through mark_notifications_read()
+DROP POLICY IF EXISTS "Players can view their own notifications" ON public.notifications;
+CREATE POLICY "Players can view their own notifications"
+    ON public.notifications FOR SELECT
+    USING (profile_id = public.current_profile_id());
+
+-- Realtime keeps the unread badge current
+DO $$
+BEGIN
+    ALTER PUBLICATION supabase_realtime ADD TABLE public.notifications;
+EXCEPTION
+    WHEN duplicate_object THEN NULL;
+END;
+$$;
+
+-- Marks the given notifications read, or all of them when p_ids is null.
+-- Returns how many changed.
+CREATE OR REPLACE FUNCTION public.mark_notifications_read(p_ids uuid[] DEFAULT NULL)
+RETURNS integer AS $$
+DECLARE
+    marked integer;
+BEGIN
+    UPDATE public.notifications
+    SET read_at = now()
+    WHERE profile_id = public.current_profile_id()
+      AND read_at IS NULL
+      AND (p_ids IS NULL OR id = ANY(p_ids));
+
+    GET DIAGNOSTICS marked = ROW_COUNT;
+    RETURN marked;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.mark_notifications_read(uuid[]) TO authenticated;
+
+-- The category half of wants_push(), without quiet hours
+CREATE OR REPLACE FUNCTION public.notification_category_enabled(p_profile_id uuid, p_category text)
+RETURNS boolean AS $$
+    SELECT COALESCE((
+        SELECT CASE p_category
+            WHEN 'challenge_received' THEN challenge_received
+            WHEN 'challenge_accepted' THEN challenge_accepted
+            WHEN 'match_live' THEN match_live
+            WHEN 'rank_change' THEN rank_change
+            WHEN 'comments' THEN comments
+            WHEN 'reminders' THEN reminders
+            ELSE true
+        END
+        FROM public.notification_preferences
+        WHERE profile_id = p_profile_id
+    ), true);
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Stores one notification per player, skipping players who switched the
+-- category off. Called by the edge function alongside each push.
+CREATE OR REPLACE FUNCTION public.create_notifications(
+    p_profile_ids uuid[],
+    p_category text,
+    p_type text,
+    p_title text,
+    p_body text,
+    p_challenge_id uuid DEFAULT NULL,
+    p_activity_id uuid DEFAULT NULL,
+    p_link_profile_id uuid DEFAULT NULL
+)
+RETURNS integer AS $$
+DECLARE
+    created integer;
+BEGIN
+    INSERT INTO public.notifications (profile_id, type, title, body, challenge_id, activity_id, link_profile_id)
+    SELECT p.id, p_type, p_title, COALESCE(p_body, ''), p_challenge_id, p_activity_id, p_link_profile_id
+    FROM public.profiles p
+    WHERE p.id = ANY(p_profile_ids)
+      AND public.notification_category_enabled(p.id, p_category);
+
+    GET DIAGNOSTICS created = ROW_COUNT;
+    RETURN created;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- plan_push_fanout() also returns the audience (everyone the fan-out is for,
+-- with or without a push token) so the edge function can store notifications
+-- for them, and the activity for comments so they can link to it.
+CREATE OR REPLACE FUNCTION public.plan_push_fanout(
+    p_owner_id uuid,
+    p_kind text,
+    p_target_id uuid
+)
+RETURNS json AS $$
+DECLARE
+    caller_id uuid;
+    category text;
+    match public.challenges;
+    target_comment_id uuid;
+    comment_text text;
+    target_activity_id uuid;
+    activity_owner_id uuid;
+    recent_sends integer;
+    audience uuid[];
+    recipients json;
+    result json;
+BEGIN
+    SELECT id INTO caller_id FROM public.profiles WHERE owner_id = p_owner_id LIMIT 1;
+
+    IF caller_id IS NULL THEN
+        RAISE EXCEPTION 'Profile not found.';
+    END IF;
+
+    category := CASE p_kind
+        WHEN 'new_challenge' THEN 'challenge_received'
+        WHEN 'challenge_accepted' THEN 'challenge_accepted'
+        WHEN 'live_match' THEN 'match_live'
+        WHEN 'comment' THEN 'comments'
+    END;
+
+    IF category IS NULL THEN
+        RAISE EXCEPTION 'Unknown notification type.';
+    END IF;
+
+    SELECT count(*) INTO recent_sends
+    FROM public.push_sends
+    WHERE sender_id = caller_id
+      AND created_at > now() - interval '1 hour';
+
+    IF recent_sends >= 20 THEN
+        RAISE EXCEPTION 'Too many notifications sent. Try again later.';
+    END IF;
+
+    IF p_kind = 'comment' THEN
+        -- Feed rows may hold either the profile id or the auth user id
+        SELECT c.id, c.content, a.id, a.user_id
+        INTO target_comment_id, comment_text, target_activity_id, activity_owner_id
+        FROM public.comments c
+        JOIN public.activities a ON a.id = c.activity_id
+        WHERE c.id = p_target_id
+          AND c.user_id IN (caller_id, p_owner_id);
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Comment not found.';
+        END IF;
+
+        IF EXISTS (SELECT 1 FROM public.push_sends WHERE comment_id = target_comment_id) THEN
+            audience := '{}';
+        ELSE
+            SELECT COALESCE(array_agg(p.id), '{}') INTO audience
+            FROM public.profiles p
+            WHERE (p.id = activity_owner_id OR p.owner_id = activity_owner_id)
+              AND p.id <> caller_id;
+        END IF;
+    ELSE
+        SELECT * INTO match FROM public.challenges WHERE id = p_target_id;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Challenge not found.';
+        END IF;
+
+        IF p_kind = 'new_challenge' AND match.challenger_id <> caller_id THEN
+            RAISE EXCEPTION 'Only the challenger can announce this challenge.';
+        END IF;
+
+        IF p_kind IN ('challenge_accepted', 'live_match') AND caller_id NOT IN (match.challenger_id, match.challenged_id) THEN
+            RAISE EXCEPTION 'Only the players can announce this match.';
+        END IF;
+
+        IF p_kind = 'challenge_accepted' AND match.status <> 'scheduled' THEN
+            RAISE EXCEPTION 'This challenge has not been accepted.';
+        END IF;
+
+        IF p_kind = 'live_match' AND match.status <> 'live' THEN
+            RAISE EXCEPTION 'This match is not live.';
+        END IF;
+
+        -- Already announced: nothing to send, but not an error for the caller
+        IF EXISTS (
+            SELECT 1 FROM public.push_sends
+            WHERE challenge_id = match.id
+              AND kind = p_kind
+              AND (p_kind <> 'live_match' OR created_at > now() - interval '30 minutes')
+        ) THEN
+            audience := '{}';
+        ELSE
+            SELECT COALESCE(array_agg(p.id), '{}') INTO audience
+            FROM public.profiles p
+            WHERE CASE p_kind
+                WHEN 'new_challenge' THEN p.id = match.challenged_id
+                WHEN 'challenge_accepted' THEN p.id IN (match.challenger_id, match.challenged_id) AND p.id <> caller_id
+                ELSE p.id NOT IN (match.challenger_id, match.challenged_id)
+            END;
+        END IF;
+    END IF;
+
+    SELECT COALESCE(json_agg(json_build_object('profile_id', t.profile_id, 'token', t.token)), '[]'::json)
+    INTO recipients
+    FROM public.push_tokens t
+    WHERE t.profile_id = ANY(audience)
+      AND public.wants_push(t.profile_id, category);
+
+    IF cardinality(audience) > 0 THEN
+        INSERT INTO public.push_sends (sender_id, kind, challenge_id, comment_id, recipient_count)
+        VALUES (caller_id, p_kind, match.id, target_comment_id, json_array_length(recipients));
+    END IF;
+
+    IF p_kind = 'comment' THEN
+        SELECT json_build_object(
+            'category', category,
+            'activity_id', target_activity_id,
+            'commenter_name', full_name,
+            'comment', left(comment_text, 120),
+            'audience', audience,
+            'recipients', recipients
+        )
+        INTO result
+        FROM public.profiles
+        WHERE id = caller_id;
+
+        RETURN result;
+    END IF;
+
+    SELECT json_build_object(
+        'category', category,
+        'challenge_id', match.id,
+        'challenger_name', challenger.full_name,
+        'challenged_name', challenged.full_name,
+        'accepted_by_name', CASE WHEN caller_id = match.challenger_id THEN challenger.full_name ELSE challenged.full_name END,
+        'game_type', match.game_type,
+        'games_to_win', match.games_to_win,
+        'audience', audience,
+        'recipients', recipients
+    )
+    INTO result
+    FROM public.profiles challenger
+    JOIN public.profiles challenged ON challenged.id = match.challenged_id
+    WHERE challenger.id = match.challenger_id;
+
+    RETURN result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.notification_category_enabled(uuid, text) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.create_notifications(uuid[], text, text, text, text, uuid, uuid, uuid) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.plan_push_fanout(uuid, text, uuid) FROM PUBLIC, anon, authenticated;